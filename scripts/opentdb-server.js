@@ -0,0 +1,366 @@
+#!/usr/bin/env node
+import http from 'node:http';
+import { readFileSync } from 'node:fs';
+import { randomBytes } from 'node:crypto';
+import { fileURLToPath } from 'node:url';
+import { resolveCategory, shuffleArray } from '../src/utils/api.js';
+
+/**
+ * Local Open Trivia DB compatible question server
+ *
+ * Serves api.php, api_category.php, api_count.php and api_token.php from
+ * local question packs (JSON, in the layout of src/data/questions.json),
+ * for CI and networks that can't reach opentdb.com. Point the app at it with
+ * VITE_OPENTDB_BASE_URL=http://localhost:8787
+ *
+ * Usage: npm run opentdb-server -- [options]
+ *   --port <n>             Port to listen on (default 8787)
+ *   --host <name>          Host to bind (default 127.0.0.1)
+ *   --pack <file>          Question pack to serve, repeatable (default src/data/questions.json)
+ *   --rate-limit <ms>      Minimum time between api.php calls per client, answered
+ *                          with response code 5 (default 5000, 0 to turn off)
+ *   --simulate <code>      Answer api.php with response code 1-5, or HTTP 429
+ *   --simulate-rate <0-1>  Share of api.php calls that get the simulated answer (default 1)
+ *
+ * Simulated answers can also be queued at runtime:
+ *   GET /__simulate?code=429&times=2   the next two api.php calls get HTTP 429
+ *   GET /__simulate?clear              drop queued answers
+ */
+
+const DEFAULT_PACK = fileURLToPath(new URL('../src/data/questions.json', import.meta.url));
+const FIRST_CUSTOM_CATEGORY_ID = 100; // Ids for categories with no Open Trivia DB equivalent
+const MAX_AMOUNT = 50;
+const DIFFICULTIES = ['easy', 'medium', 'hard'];
+const TYPES = ['multiple', 'boolean'];
+const SIMULATED_CODES = ['1', '2', '3', '4', '5', '429'];
+
+/**
+ * Reads command line options
+ * @param {Array<string>} args - Arguments after the script name
+ * @returns {object} Options
+ */
+const parseArgs = (args) => {
+  const options = {
+    port: 8787,
+    host: '127.0.0.1',
+    packs: [],
+    rateLimit: 5000,
+    simulate: null,
+    simulateRate: 1
+  };
+
+  for (let i = 0; i < args.length; i++) {
+    const value = args[i + 1];
+
+    switch (args[i]) {
+      case '--port':
+        options.port = Number(value);
+        break;
+      case '--host':
+        options.host = value;
+        break;
+      case '--pack':
+        options.packs.push(value);
+        break;
+      case '--rate-limit':
+        options.rateLimit = Number(value);
+        break;
+      case '--simulate':
+        if (!SIMULATED_CODES.includes(value)) {
+          throw new Error(`--simulate takes one of ${SIMULATED_CODES.join(', ')}`);
+        }
+        options.simulate = value;
+        break;
+      case '--simulate-rate':
+        options.simulateRate = Number(value);
+        break;
+      default:
+        throw new Error(`Unknown option ${args[i]}`);
+    }
+    i++;
+  }
+
+  if (options.packs.length === 0) {
+    options.packs.push(DEFAULT_PACK);
+  }
+
+  return options;
+};
+
+/**
+ * Converts a pack question into an Open Trivia DB result, or null for
+ * questions the API can't express (other types, images and audio)
+ * @param {object} question - Question in the questions.json layout
+ * @returns {object|null} { type, difficulty, category, question, correct_answer, incorrect_answers }
+ */
+const toTriviaQuestion = (question) => {
+  const type = question.type || 'multiple';
+  if (!TYPES.includes(type) || question.media) return null;
+
+  const options = question.options || (type === 'boolean' ? ['True', 'False'] : []);
+  const correctAnswer = typeof question.correctAnswer === 'number'
+    ? options[question.correctAnswer]
+    : question.correctAnswer;
+
+  if (!question.question || !correctAnswer || !options.includes(correctAnswer)) return null;
+
+  return {
+    type,
+    difficulty: DIFFICULTIES.includes(question.difficulty) ? question.difficulty : 'medium',
+    category: question.category || 'General Knowledge',
+    question: question.question,
+    correct_answer: correctAnswer,
+    incorrect_answers: options.filter(option => option !== correctAnswer)
+  };
+};
+
+/**
+ * Loads every pack and gives each question a category id
+ * @param {Array<string>} files - Pack files
+ * @returns {object} { questions, categories, skipped } where categories maps id to name
+ */
+const loadPacks = (files) => {
+  const questions = [];
+  const categories = new Map();
+  const customIds = new Map();
+  let skipped = 0;
+
+  files.forEach(file => {
+    const data = JSON.parse(readFileSync(file, 'utf8'));
+    const items = Array.isArray(data) ? data : data.questions || [];
+
+    items.forEach(item => {
+      const question = toTriviaQuestion(item);
+      if (!question) {
+        skipped++;
+        return;
+      }
+
+      // Same category ids as the app, so category filters carry over
+      const resolved = resolveCategory(question.category);
+      let id = resolved.id;
+      if (!id) {
+        if (!customIds.has(resolved.name)) {
+          customIds.set(resolved.name, FIRST_CUSTOM_CATEGORY_ID + customIds.size);
+        }
+        id = customIds.get(resolved.name);
+      }
+
+      categories.set(id, resolved.name);
+      questions.push({ ...question, category: resolved.name, categoryId: id, key: questions.length });
+    });
+  });
+
+  return { questions, categories, skipped };
+};
+
+/**
+ * Encodes a result field the way Open Trivia DB does
+ * @param {string} text - Field value
+ * @param {string} encoding - 'url3986', 'base64', or anything else for HTML entities
+ * @returns {string} Encoded value
+ */
+const encodeField = (text, encoding) => {
+  if (encoding === 'url3986') return encodeURIComponent(text);
+  if (encoding === 'base64') return Buffer.from(text, 'utf8').toString('base64');
+
+  return text
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#039;');
+};
+
+/**
+ * Creates the request handler
+ * @param {object} options - Parsed command line options
+ * @param {object} data - Loaded packs, see loadPacks
+ * @returns {Function} Node request listener
+ */
+const createHandler = (options, { questions, categories }) => {
+  const tokens = new Map(); // token -> Set of served question keys
+  const lastCalls = new Map(); // client address -> time of the last api.php call
+  let queuedAnswers = []; // codes queued through /__simulate
+
+  const send = (res, status, body) => {
+    res.writeHead(status, {
+      'Content-Type': 'application/json',
+      'Access-Control-Allow-Origin': '*'
+    });
+    res.end(JSON.stringify(body));
+  };
+
+  // HTTP 429 carries the rate limit code, like the real API
+  const sendCode = (res, code) => {
+    send(res, code === '429' ? 429 : 200, { response_code: code === '429' ? 5 : Number(code), results: [] });
+  };
+
+  const matching = ({ category, difficulty, type }) => questions.filter(question =>
+    (!category || question.categoryId === category) &&
+    (!difficulty || question.difficulty === difficulty) &&
+    (!type || question.type === type));
+
+  const handleQuestions = (params, req, res) => {
+    // Simulated answers first, they stand in for whatever the server would say
+    if (queuedAnswers.length > 0) {
+      sendCode(res, queuedAnswers.shift());
+      return;
+    }
+    if (options.simulate && Math.random() < options.simulateRate) {
+      sendCode(res, options.simulate);
+      return;
+    }
+
+    const client = req.socket.remoteAddress;
+    const now = Date.now();
+    if (options.rateLimit > 0 && now - (lastCalls.get(client) || 0) < options.rateLimit) {
+      sendCode(res, '5');
+      return;
+    }
+    lastCalls.set(client, now);
+
+    const amount = Number(params.get('amount'));
+    const category = params.get('category') ? Number(params.get('category')) : null;
+    const difficulty = params.get('difficulty') || null;
+    const type = params.get('type') || null;
+    const token = params.get('token') || null;
+
+    if (!Number.isInteger(amount) || amount < 1 || amount > MAX_AMOUNT ||
+      (category !== null && !categories.has(category)) ||
+      (difficulty && !DIFFICULTIES.includes(difficulty)) ||
+      (type && !TYPES.includes(type))) {
+      sendCode(res, '2');
+      return;
+    }
+
+    if (token && !tokens.has(token)) {
+      sendCode(res, '3');
+      return;
+    }
+
+    const pool = matching({ category, difficulty, type });
+    const served = token ? tokens.get(token) : new Set();
+    const unserved = pool.filter(question => !served.has(question.key));
+
+    if (unserved.length < amount) {
+      sendCode(res, pool.length >= amount ? '4' : '1');
+      return;
+    }
+
+    const picked = shuffleArray(unserved).slice(0, amount);
+    picked.forEach(question => served.add(question.key));
+
+    const encoding = params.get('encode');
+    send(res, 200, {
+      response_code: 0,
+      results: picked.map(question => ({
+        type: question.type,
+        difficulty: question.difficulty,
+        category: encodeField(question.category, encoding),
+        question: encodeField(question.question, encoding),
+        correct_answer: encodeField(question.correct_answer, encoding),
+        incorrect_answers: question.incorrect_answers.map(answer => encodeField(answer, encoding))
+      }))
+    });
+  };
+
+  const handleToken = (params, res) => {
+    const command = params.get('command');
+    const token = params.get('token');
+
+    if (command === 'request') {
+      const newToken = randomBytes(32).toString('hex');
+      tokens.set(newToken, new Set());
+      send(res, 200, { response_code: 0, response_message: 'Token Generated Successfully!', token: newToken });
+    } else if (command === 'reset' && tokens.has(token)) {
+      tokens.set(token, new Set());
+      send(res, 200, { response_code: 0, token });
+    } else {
+      sendCode(res, command === 'reset' ? '3' : '2');
+    }
+  };
+
+  const handleCount = (params, res) => {
+    const category = Number(params.get('category'));
+    const pool = matching({ category });
+    const count = difficulty => pool.filter(question => question.difficulty === difficulty).length;
+
+    send(res, 200, {
+      category_id: category,
+      category_question_count: {
+        total_question_count: pool.length,
+        total_easy_question_count: count('easy'),
+        total_medium_question_count: count('medium'),
+        total_hard_question_count: count('hard')
+      }
+    });
+  };
+
+  const handleSimulate = (params, res) => {
+    if (params.has('clear')) {
+      queuedAnswers = [];
+    } else {
+      const code = params.get('code');
+      const times = Math.max(1, Number(params.get('times')) || 1);
+      if (!SIMULATED_CODES.includes(code)) {
+        send(res, 400, { error: `code must be one of ${SIMULATED_CODES.join(', ')}` });
+        return;
+      }
+      queuedAnswers.push(...Array(times).fill(code));
+    }
+    send(res, 200, { queued: queuedAnswers });
+  };
+
+  return (req, res) => {
+    const url = new URL(req.url, 'http://localhost');
+    const params = url.searchParams;
+
+    res.on('finish', () => {
+      console.log(`${req.method} ${url.pathname}${url.search} -> ${res.statusCode}`);
+    });
+
+    switch (url.pathname) {
+      case '/api.php':
+        handleQuestions(params, req, res);
+        break;
+      case '/api_token.php':
+        handleToken(params, res);
+        break;
+      case '/api_category.php':
+        send(res, 200, {
+          trivia_categories: Array.from(categories, ([id, name]) => ({ id, name }))
+            .sort((a, b) => a.id - b.id)
+        });
+        break;
+      case '/api_count.php':
+        handleCount(params, res);
+        break;
+      case '/__simulate':
+        handleSimulate(params, res);
+        break;
+      default:
+        send(res, 404, { error: 'Not found' });
+    }
+  };
+};
+
+try {
+  const options = parseArgs(process.argv.slice(2));
+  const data = loadPacks(options.packs);
+  const { questions, categories, skipped } = data;
+  const server = http.createServer(createHandler(options, data));
+
+  server.listen(options.port, options.host, () => {
+    console.log(`Open Trivia DB compatible server on http://${options.host}:${options.port}`);
+    console.log(`Serving ${questions.length} questions in ${categories.size} categories` +
+      (skipped > 0 ? ` (${skipped} the API can't express left out)` : ''));
+    if (options.simulate) {
+      console.log(`Simulating ${options.simulate === '429' ? 'HTTP 429' : `response code ${options.simulate}`} ` +
+        `for ${Math.round(options.simulateRate * 100)}% of question requests`);
+    }
+  });
+} catch (error) {
+  console.error(error.message);
+  process.exit(1);
+}
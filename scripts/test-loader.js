@@ -0,0 +1,21 @@
+/**
+ * Lets `npm test` load the app's modules in Node. Vite imports JSON data
+ * without an import attribute, which Node refuses, so this hook hands JSON
+ * files over as modules with a default export.
+ *
+ * Usage: node --import ./scripts/test-loader.js --test src/
+ */
+import { register } from 'node:module';
+import { readFile } from 'node:fs/promises';
+import { fileURLToPath } from 'node:url';
+import { isMainThread } from 'node:worker_threads';
+
+export const load = async (url, context, nextLoad) => {
+  if (!url.startsWith('file:') || !url.endsWith('.json')) return nextLoad(url, context);
+
+  const source = await readFile(fileURLToPath(url), 'utf8');
+  return { format: 'module', source: `export default ${source};`, shortCircuit: true };
+};
+
+// Hooks run on their own thread, which loads this file again
+if (isMainThread) register(import.meta.url);
@@ -3,6 +3,7 @@ import { BrowserRouter as Router, Routes, Route } from 'react-router-dom';
 import Home from './pages/Home';
 import Quiz from './pages/Quiz';
 import Results from './pages/Results';
+import Editor from './pages/Editor';
 import './index.css';
 
 /**
@@ -17,6 +18,7 @@ function App() {
           <Route path="/" element={<Home />} />
           <Route path="/quiz" element={<Quiz />} />
           <Route path="/results" element={<Results />} />
+          <Route path="/editor" element={<Editor />} />
           {/* Fallback route - redirect to home */}
           <Route path="*" element={<Home />} />
         </Routes>
@@ -0,0 +1,269 @@
+import React, { useMemo, useState } from 'react';
+import RichText from './RichText';
+import { optionAnimations } from '../utils/animations';
+import { matchTextAnswer } from '../utils/scoring';
+import { toPlainText } from '../utils/richText';
+import { translate as t } from '../utils/i18n';
+import { shuffleArray } from '../utils/api';
+import { createRandom } from '../utils/random';
+
+/**
+ * Multi-Select Options Component
+ * Checkbox-style options for "select all that apply" questions
+ */
+export const MultiSelectOptions = ({
+  question,
+  selectedAnswer,
+  onAnswerSelect,
+  showResult = false,
+  optionsRef
+}) => {
+  const selected = Array.isArray(selectedAnswer) ? selectedAnswer : [];
+
+  const toggleOption = (optionIndex) => {
+    if (showResult) return;
+
+    if (optionsRef && optionsRef.current[optionIndex]) {
+      optionAnimations.select(optionsRef.current[optionIndex]);
+    }
+
+    const next = selected.includes(optionIndex)
+      ? selected.filter(index => index !== optionIndex)
+      : [...selected, optionIndex].sort((a, b) => a - b);
+
+    onAnswerSelect(next);
+  };
+
+  const getOptionClasses = (optionIndex) => {
+    const isSelected = selected.includes(optionIndex);
+    const isCorrect = question.correctAnswer.includes(optionIndex);
+
+    if (!showResult) {
+      return isSelected ? 'quiz-option selected' : 'quiz-option';
+    }
+    if (isCorrect) return 'quiz-option correct';
+    if (isSelected) return 'quiz-option incorrect';
+    return 'quiz-option';
+  };
+
+  return (
+    <div className="space-y-3">
+      <p className="text-sm text-gray-600">{t('answers.selectAll')}</p>
+      <div className="grid gap-3" role="group" aria-label={t('answers.options')}>
+        {question.options.map((option, index) => {
+          const isSelected = selected.includes(index);
+
+          return (
+            <button
+              key={index}
+              ref={el => { if (optionsRef) optionsRef.current[index] = el; }}
+              onClick={() => toggleOption(index)}
+              disabled={showResult}
+              role="checkbox"
+              aria-checked={isSelected}
+              className={getOptionClasses(index)}
+            >
+              <div className="flex items-center gap-3">
+                <div className={`flex-shrink-0 w-6 h-6 rounded border-2 flex items-center justify-center text-sm font-bold ${
+                  isSelected ? 'bg-primary-600 border-primary-600 text-white' : 'border-gray-300 bg-white'
+                }`}>
+                  {isSelected ? '✓' : ''}
+                </div>
+                <RichText text={option} inline className="text-start flex-1" />
+              </div>
+            </button>
+          );
+        })}
+      </div>
+    </div>
+  );
+};
+
+/**
+ * Builds the order an ordering question starts in: shuffled with the quiz's seed,
+ * so a quiz dealt again starts the same way, and never already solved
+ * @param {object} question - Canonical ordering question
+ * @param {string|null} seed - Quiz seed
+ * @returns {Array<number>} Option indices
+ */
+const createStartingOrder = (question, seed) => {
+  const listed = question.options.map((option, index) => index);
+  if (listed.length < 2) return listed;
+
+  const random = createRandom(`${seed || ''}:${question.id}`);
+  const isSolved = order => order.every((optionIndex, position) => question.correctAnswer[position] === optionIndex);
+
+  let order = shuffleArray(listed, random);
+  while (isSolved(order)) {
+    order = shuffleArray(listed, random);
+  }
+  return order;
+};
+
+/**
+ * Ordering Options Component
+ * Items the player drags, or moves with the keyboard, into sequence
+ */
+export const OrderingOptions = ({
+  question,
+  selectedAnswer,
+  onAnswerSelect,
+  showResult = false,
+  optionsRef,
+  seed = null
+}) => {
+  const [draggedPosition, setDraggedPosition] = useState(null);
+
+  // Until the player moves something, the options are shown in a shuffled starting order
+  const startingOrder = useMemo(() => createStartingOrder(question, seed), [question, seed]);
+  const order = Array.isArray(selectedAnswer) ? selectedAnswer : startingOrder;
+
+  const moveItem = (from, to) => {
+    if (showResult || to < 0 || to >= order.length || from === to) return;
+
+    const next = [...order];
+    const [item] = next.splice(from, 1);
+    next.splice(to, 0, item);
+    onAnswerSelect(next);
+  };
+
+  const handleKeyDown = (event, position) => {
+    if (!event.altKey) return;
+
+    if (event.key === 'ArrowUp') {
+      event.preventDefault();
+      moveItem(position, position - 1);
+    } else if (event.key === 'ArrowDown') {
+      event.preventDefault();
+      moveItem(position, position + 1);
+    }
+  };
+
+  const handleDrop = (event, position) => {
+    event.preventDefault();
+    if (draggedPosition !== null) {
+      moveItem(draggedPosition, position);
+    }
+    setDraggedPosition(null);
+  };
+
+  const getItemClasses = (optionIndex, position) => {
+    if (!showResult) {
+      return draggedPosition === position ? 'quiz-option selected' : 'quiz-option';
+    }
+    return question.correctAnswer[position] === optionIndex
+      ? 'quiz-option correct'
+      : 'quiz-option incorrect';
+  };
+
+  return (
+    <div className="space-y-3">
+      <p className="text-sm text-gray-600">{t('answers.dragHint')}</p>
+      <ol className="grid gap-3" aria-label={t('answers.itemsToOrder')}>
+        {order.map((optionIndex, position) => (
+          <li
+            key={optionIndex}
+            ref={el => { if (optionsRef) optionsRef.current[position] = el; }}
+            draggable={!showResult}
+            tabIndex={showResult ? -1 : 0}
+            onDragStart={() => setDraggedPosition(position)}
+            onDragOver={(event) => event.preventDefault()}
+            onDrop={(event) => handleDrop(event, position)}
+            onDragEnd={() => setDraggedPosition(null)}
+            onKeyDown={(event) => handleKeyDown(event, position)}
+            aria-label={t('answers.position', { number: position + 1, text: toPlainText(question.options[optionIndex]) })}
+            className={`${getItemClasses(optionIndex, position)} ${showResult ? '' : 'cursor-move'}`}
+          >
+            <div className="flex items-center gap-3">
+              <div className="flex-shrink-0 w-8 h-8 rounded-full bg-gray-200 flex items-center justify-center text-sm font-medium">
+                {position + 1}
+              </div>
+              <RichText text={question.options[optionIndex]} inline className="text-start flex-1" />
+
+              {!showResult && (
+                <div className="flex-shrink-0 flex gap-1">
+                  <button
+                    type="button"
+                    onClick={() => moveItem(position, position - 1)}
+                    disabled={position === 0}
+                    className="w-8 h-8 rounded bg-gray-100 hover:bg-gray-200 disabled:opacity-30"
+                    aria-label={t('answers.moveUp', { text: toPlainText(question.options[optionIndex]) })}
+                  >
+                    ↑
+                  </button>
+                  <button
+                    type="button"
+                    onClick={() => moveItem(position, position + 1)}
+                    disabled={position === order.length - 1}
+                    className="w-8 h-8 rounded bg-gray-100 hover:bg-gray-200 disabled:opacity-30"
+                    aria-label={t('answers.moveDown', { text: toPlainText(question.options[optionIndex]) })}
+                  >
+                    ↓
+                  </button>
+                </div>
+              )}
+            </div>
+          </li>
+        ))}
+      </ol>
+    </div>
+  );
+};
+
+/**
+ * Text Answer Input Component
+ * Free-text field for questions answered by typing
+ */
+export const TextAnswerInput = ({
+  question,
+  selectedAnswer,
+  onAnswerSelect,
+  showResult = false,
+  optionsRef
+}) => {
+  const value = typeof selectedAnswer === 'string' ? selectedAnswer : '';
+  const isMatch = showResult && matchTextAnswer(question, value) !== -1;
+
+  const getInputClasses = () => {
+    const baseClasses = 'w-full px-4 py-3 text-lg border-2 rounded-lg focus:outline-none focus:ring-2 focus:ring-primary-500';
+
+    if (!showResult) return `${baseClasses} border-gray-300`;
+    return isMatch
+      ? `${baseClasses} border-green-500 bg-green-50`
+      : `${baseClasses} border-red-500 bg-red-50`;
+  };
+
+  return (
+    <div
+      ref={el => { if (optionsRef) optionsRef.current[0] = el; }}
+      className="space-y-3"
+    >
+      <label htmlFor={`answer-${question.id}`} className="block text-sm text-gray-600">
+        {t('answers.typeHint')}
+      </label>
+      <input
+        id={`answer-${question.id}`}
+        type="text"
+        value={value}
+        onChange={(event) => onAnswerSelect(event.target.value)}
+        disabled={showResult}
+        autoComplete="off"
+        autoCapitalize="off"
+        spellCheck={false}
+        className={getInputClasses()}
+      />
+
+      {showResult && !isMatch && (
+        <p className="text-sm text-gray-700">
+          {t('answers.accepted', { answers: question.correctAnswer.join(', ') })}
+        </p>
+      )}
+    </div>
+  );
+};
+
+export default {
+  MultiSelectOptions,
+  OrderingOptions,
+  TextAnswerInput
+};
@@ -0,0 +1,194 @@
+import React from 'react';
+import RichText from './RichText';
+import { QUESTION_TYPES } from '../utils/questionSchema';
+import { matchTextAnswer } from '../utils/scoring';
+import { translate as t } from '../utils/i18n';
+
+/**
+ * Answer chip used in the review rows
+ */
+const AnswerChip = ({ children, variant = 'neutral' }) => {
+  const variantClasses = {
+    correct: 'bg-green-100 text-green-800',
+    incorrect: 'bg-red-100 text-red-800',
+    neutral: 'bg-gray-100 text-gray-700'
+  };
+
+  return (
+    <span className={`px-2 py-1 rounded text-sm ${variantClasses[variant]}`}>
+      {children}
+    </span>
+  );
+};
+
+/**
+ * Review for single-answer questions (multiple choice and true/false)
+ */
+const SingleAnswerReview = ({ result }) => {
+  const { question, userAnswer, isCorrect } = result;
+
+  return (
+    <div className="space-y-2">
+      {/* User's Answer */}
+      <div className="flex items-center gap-2">
+        <span className="text-sm font-medium text-gray-600">{t('review.yourAnswer')}</span>
+        <AnswerChip variant={isCorrect ? 'correct' : 'incorrect'}>
+          {userAnswer !== undefined && question.options[userAnswer]
+            ? <RichText text={question.options[userAnswer]} inline />
+            : t('review.noAnswer')
+          }
+        </AnswerChip>
+        {isCorrect ? (
+          <span className="text-green-600">✓</span>
+        ) : (
+          <span className="text-red-600">✗</span>
+        )}
+      </div>
+
+      {/* Correct Answer (if wrong) */}
+      {!isCorrect && (
+        <div className="flex items-center gap-2">
+          <span className="text-sm font-medium text-gray-600">{t('review.correctAnswer')}</span>
+          <AnswerChip variant="correct">
+            <RichText text={question.options[question.correctAnswer]} inline />
+          </AnswerChip>
+        </div>
+      )}
+    </div>
+  );
+};
+
+/**
+ * Review for select-all-that-apply questions: every option with what
+ * the player chose next to what was correct
+ */
+const MultiSelectReview = ({ result }) => {
+  const { question, userAnswer } = result;
+  const chosen = Array.isArray(userAnswer) ? userAnswer : [];
+
+  return (
+    <div className="space-y-2">
+      {!chosen.length && (
+        <div className="text-sm text-gray-600">{t('review.noAnswer')}</div>
+      )}
+      <ul className="space-y-1">
+        {question.options.map((option, index) => {
+          const isChosen = chosen.includes(index);
+          const isCorrectOption = question.correctAnswer.includes(index);
+
+          return (
+            <li key={index} className="flex items-center gap-2 text-sm">
+              <span className="w-5 text-center">
+                {isChosen && isCorrectOption && <span className="text-green-600">✓</span>}
+                {isChosen && !isCorrectOption && <span className="text-red-600">✗</span>}
+                {!isChosen && isCorrectOption && <span className="text-yellow-600">○</span>}
+              </span>
+              <AnswerChip variant={isCorrectOption ? 'correct' : isChosen ? 'incorrect' : 'neutral'}>
+                <RichText text={option} inline />
+              </AnswerChip>
+              {!isChosen && isCorrectOption && (
+                <span className="text-xs text-gray-500">{t('review.missed')}</span>
+              )}
+            </li>
+          );
+        })}
+      </ul>
+    </div>
+  );
+};
+
+/**
+ * Review for ordering questions: the player's sequence next to the correct one
+ */
+const OrderingReview = ({ result }) => {
+  const { question, userAnswer } = result;
+  const order = Array.isArray(userAnswer) ? userAnswer : null;
+
+  return (
+    <div className="grid sm:grid-cols-2 gap-4">
+      <div>
+        <div className="text-sm font-medium text-gray-600 mb-1">{t('review.yourOrder')}</div>
+        {order ? (
+          <ol className="space-y-1">
+            {order.map((optionIndex, position) => (
+              <li key={optionIndex} className="flex items-center gap-2 text-sm">
+                <span className="w-5 text-end text-gray-500">{position + 1}.</span>
+                <AnswerChip variant={question.correctAnswer[position] === optionIndex ? 'correct' : 'incorrect'}>
+                  <RichText text={question.options[optionIndex]} inline />
+                </AnswerChip>
+              </li>
+            ))}
+          </ol>
+        ) : (
+          <div className="text-sm text-gray-600">{t('review.noAnswer')}</div>
+        )}
+      </div>
+      <div>
+        <div className="text-sm font-medium text-gray-600 mb-1">{t('review.correctOrder')}</div>
+        <ol className="space-y-1">
+          {question.correctAnswer.map((optionIndex, position) => (
+            <li key={optionIndex} className="flex items-center gap-2 text-sm">
+              <span className="w-5 text-end text-gray-500">{position + 1}.</span>
+              <AnswerChip variant="correct"><RichText text={question.options[optionIndex]} inline /></AnswerChip>
+            </li>
+          ))}
+        </ol>
+      </div>
+    </div>
+  );
+};
+
+/**
+ * Review for free-text questions: what was typed next to the accepted answers
+ */
+const TextAnswerReview = ({ result }) => {
+  const { question, userAnswer, isCorrect } = result;
+  const typed = typeof userAnswer === 'string' ? userAnswer.trim() : '';
+  const matchedIndex = typed ? matchTextAnswer(question, typed) : -1;
+
+  return (
+    <div className="space-y-2">
+      <div className="flex items-center gap-2">
+        <span className="text-sm font-medium text-gray-600">{t('review.youTyped')}</span>
+        <AnswerChip variant={isCorrect ? 'correct' : 'incorrect'}>
+          {typed || t('review.noAnswer')}
+        </AnswerChip>
+        {isCorrect ? (
+          <span className="text-green-600">✓</span>
+        ) : (
+          <span className="text-red-600">✗</span>
+        )}
+      </div>
+
+      <div className="flex flex-wrap items-center gap-2">
+        <span className="text-sm font-medium text-gray-600">
+          {t('review.acceptedAnswers', { count: question.correctAnswer.length })}
+        </span>
+        {question.correctAnswer.map((answer, index) => (
+          <AnswerChip key={index} variant={index === matchedIndex ? 'correct' : 'neutral'}>
+            {answer}
+          </AnswerChip>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+/**
+ * Answer Review Component
+ * Shows what the player answered against the correct answer, per question type
+ */
+const AnswerReview = ({ result }) => {
+  switch (result.question.type) {
+    case QUESTION_TYPES.multiSelect:
+      return <MultiSelectReview result={result} />;
+    case QUESTION_TYPES.ordering:
+      return <OrderingReview result={result} />;
+    case QUESTION_TYPES.text:
+      return <TextAnswerReview result={result} />;
+    default:
+      return <SingleAnswerReview result={result} />;
+  }
+};
+
+export default AnswerReview;
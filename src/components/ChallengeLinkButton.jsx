@@ -0,0 +1,72 @@
+import React, { useEffect, useState } from 'react';
+import { Button } from './common';
+import { useTranslation } from '../hooks/useTranslation';
+
+// How long the button says "Copied" before it can be pressed again
+const COPIED_DURATION = 2000;
+
+/**
+ * Challenge Link Button Component
+ * Copies a link that deals the same quiz to someone else. When the clipboard
+ * can't be reached the link is shown instead, ready to select and copy.
+ * Quizzes that can't be shared (see canShareQuiz) get a note saying why.
+ */
+const ChallengeLinkButton = ({ getLink, available = true, variant = 'outline', size = 'md', className = '' }) => {
+  const { t } = useTranslation();
+  const [status, setStatus] = useState('idle'); // 'idle', 'copied' or 'failed'
+  const [link, setLink] = useState('');
+
+  useEffect(() => {
+    if (status !== 'copied') return undefined;
+
+    const timeout = setTimeout(() => setStatus('idle'), COPIED_DURATION);
+    return () => clearTimeout(timeout);
+  }, [status]);
+
+  const handleCopy = async () => {
+    const challengeLink = getLink();
+    setLink(challengeLink);
+
+    try {
+      await navigator.clipboard.writeText(challengeLink);
+      setStatus('copied');
+    } catch (error) {
+      setStatus('failed');
+    }
+  };
+
+  if (!available) {
+    return (
+      <p className={`text-xs text-gray-500 text-center ${className}`}>
+        {t('challenge.unavailable')}
+      </p>
+    );
+  }
+
+  return (
+    <div className={className}>
+      <Button onClick={handleCopy} variant={variant} size={size} className="w-full">
+        {status === 'copied' ? `✓ ${t('challenge.copied')}` : `🔗 ${t('challenge.copy')}`}
+      </Button>
+      <span className="sr-only" role="status">
+        {status === 'copied' ? t('challenge.copied') : ''}
+      </span>
+      {status === 'failed' && (
+        <div className="mt-2 text-start">
+          <p className="text-xs text-gray-500 mb-1">{t('challenge.copyManually')}</p>
+          <input
+            type="text"
+            readOnly
+            value={link}
+            onFocus={(event) => event.target.select()}
+            dir="ltr"
+            className="w-full p-2 text-sm border border-gray-300 rounded-lg font-mono"
+            aria-label={t('challenge.copy')}
+          />
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ChallengeLinkButton;
@@ -0,0 +1,31 @@
+import React from 'react';
+import { useTranslation } from '../hooks/useTranslation';
+import { listLocales } from '../utils/i18n';
+
+/**
+ * Language Picker Component
+ * Switches the interface language; each language is listed in its own script
+ */
+const LanguagePicker = ({ className = '' }) => {
+  const { locale, setLocale, t } = useTranslation();
+
+  return (
+    <label className={`flex items-center gap-2 text-sm text-gray-600 ${className}`}>
+      <span aria-hidden="true">🌐</span>
+      <span className="sr-only">{t('common.language')}</span>
+      <select
+        value={locale}
+        onChange={(event) => setLocale(event.target.value)}
+        className="py-1 ps-2 pe-8 border border-gray-300 rounded-lg bg-white text-gray-700 focus:ring-2 focus:ring-primary-500 focus:border-primary-500"
+      >
+        {listLocales().map(({ code, name }) => (
+          <option key={code} value={code} lang={code}>
+            {name}
+          </option>
+        ))}
+      </select>
+    </label>
+  );
+};
+
+export default LanguagePicker;
@@ -1,5 +1,7 @@
 import React from 'react';
 import { Timer, ProgressBar } from './common';
+import LanguagePicker from './LanguagePicker';
+import { useTranslation } from '../hooks/useTranslation';
 // import { DarkModeToggle } from './DarkModeToggle';
 
 /**
@@ -19,6 +21,8 @@ export const Layout = ({
   subtitle = '',
   className = ''
 }) => {
+  const { t } = useTranslation();
+
   return (
     <div className={`min-h-screen bg-gradient-to-br from-primary-50 to-secondary-50 dark:from-gray-900 dark:to-gray-800 transition-colors duration-300 ${className}`}>
       {/* Header */}
@@ -26,19 +30,20 @@ export const Layout = ({
         <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8">
           <div className="flex items-center justify-between h-16">
             {/* Logo */}
-            <div className="flex items-center space-x-3">
+            <div className="flex items-center gap-3">
               <div className="flex items-center justify-center w-10 h-10 bg-primary-600 rounded-lg">
                 <QuizMasterIcon className="w-6 h-6 text-white" />
               </div>
               <div>
-                <h1 className="text-xl font-bold text-gray-900 dark:text-white">QuizMaster</h1>
-                <p className="text-xs text-gray-600 dark:text-gray-300 hidden sm:block">Challenge Your Knowledge</p>
+                <h1 className="text-xl font-bold text-gray-900 dark:text-white">{t('common.appName')}</h1>
+                <p className="text-xs text-gray-600 dark:text-gray-300 hidden sm:block">{t('common.tagline')}</p>
               </div>
             </div>
 
-            {/* Dark Mode Toggle */}
-            <div className="flex items-center space-x-4">
+            {/* Dark Mode Toggle and Language */}
+            <div className="flex items-center gap-4">
               {/* <DarkModeToggle size="sm" /> */}
+              <LanguagePicker />
 
               {/* Timer */}
               {showTimer && (
@@ -106,17 +111,17 @@ export const Layout = ({
         <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-6">
           <div className="flex flex-col sm:flex-row items-center justify-between gap-4">
             <div className="text-sm text-gray-600">
-              © 2024 QuizMaster. Challenge yourself, expand your knowledge.
+              {t('layout.footer')}
             </div>
-            <div className="flex items-center space-x-4 text-sm text-gray-600">
+            <div className="flex items-center gap-4 text-sm text-gray-600">
               <a href="#" className="hover:text-primary-600 transition-colors">
-                About
+                {t('layout.about')}
               </a>
               <a href="#" className="hover:text-primary-600 transition-colors">
-                Contact
+                {t('layout.contact')}
               </a>
               <a href="#" className="hover:text-primary-600 transition-colors">
-                GitHub
+                {t('layout.github')}
               </a>
             </div>
           </div>
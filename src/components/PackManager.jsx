@@ -0,0 +1,283 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { Button, Alert } from './common';
+import { getPacks, getPack, savePack, deletePack, createPackId, getPackSourceId, subscribeToPacks } from '../utils/questionPacks';
+import { PACK_FORMATS, detectFormat, importQuestions, exportQuestions } from '../utils/packFormats';
+import { describeIssue, inferMediaType, mergeTranslations } from '../utils/questionSchema';
+import { readMediaFile, attachMediaFiles } from '../utils/media';
+import { createMessage } from '../utils/i18n';
+import { useTranslation } from '../hooks/useTranslation';
+
+const NEW_PACK = 'new';
+const TRANSLATION = createMessage('validation.location.translation');
+
+/**
+ * Offers a generated file as a download
+ * @param {object} file - { content, fileName, mimeType }
+ */
+const downloadFile = ({ content, fileName, mimeType }) => {
+  const url = URL.createObjectURL(new Blob([content], { type: `${mimeType};charset=utf-8` }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  URL.revokeObjectURL(url);
+};
+
+/**
+ * Import Report Component
+ * Lists the questions an import or export had to leave out
+ */
+const ImportReport = ({ report, onClose }) => {
+  const { variant, message, issues = [] } = report;
+
+  return (
+    <Alert variant={variant} onClose={onClose}>
+      <p className="font-medium">{message}</p>
+      {issues.length > 0 && (
+        <ul className="mt-2 max-h-48 overflow-auto text-sm space-y-1 list-disc list-inside">
+          {issues.map((issue, index) => (
+            <li key={index}>{issue}</li>
+          ))}
+        </ul>
+      )}
+    </Alert>
+  );
+};
+
+/**
+ * Pack Manager Component
+ * Imports question files into local packs and exports packs in every supported format
+ */
+const PackManager = ({ className = '' }) => {
+  const { t, translateMessage } = useTranslation();
+  const fileInputRef = useRef(null);
+  const [packs, setPacks] = useState(getPacks);
+  const [format, setFormat] = useState('auto');
+  const [target, setTarget] = useState(NEW_PACK);
+  const [report, setReport] = useState(null);
+  const [pendingDelete, setPendingDelete] = useState(null);
+
+  useEffect(() => subscribeToPacks(setPacks), []);
+
+  const handleImport = async (event) => {
+    const files = Array.from(event.target.files);
+    event.target.value = ''; // Allow importing the same file again
+
+    // Images and audio picked along with the question file get embedded in its questions
+    const file = files.find(item => !inferMediaType(item.name));
+    const mediaFiles = files.filter(item => item !== file);
+    if (!file) {
+      if (mediaFiles.length > 0) {
+        setReport({ variant: 'error', message: t('packs.report.pickQuestionFile') });
+      }
+      return;
+    }
+
+    try {
+      const media = {};
+      for (const mediaFile of mediaFiles) {
+        media[mediaFile.name] = await readMediaFile(mediaFile);
+      }
+
+      const text = await file.text();
+      const fileFormat = format === 'auto' ? detectFormat(file.name, text) : format;
+      const existing = target === NEW_PACK ? null : getPack(target);
+      const packId = existing ? existing.id : createPackId();
+
+      const imported = importQuestions(text, {
+        format: fileFormat,
+        source: getPackSourceId(packId)
+      });
+      const { name, rejected } = imported;
+      const { questions, missing, unused } = attachMediaFiles(imported.questions, media);
+
+      const issues = [
+        ...rejected.map(describeIssue),
+        ...missing.map(item => t('packs.report.missingMedia', { id: item.id, fileName: item.fileName })),
+        ...unused.map(fileName => t('packs.report.unusedMedia', { fileName }))
+      ];
+      // Questions already in the pack only bring new languages
+      const packQuestions = existing ? [...existing.questions] : [];
+      const positions = new Map(packQuestions.map((question, index) => [question.id, index]));
+      const added = [];
+      let translated = 0;
+      let skipped = 0;
+
+      questions.forEach(question => {
+        if (!positions.has(question.id)) {
+          added.push(question);
+          return;
+        }
+
+        const merged = mergeTranslations(packQuestions[positions.get(question.id)], question);
+        if (merged.errors.length > 0) {
+          issues.push(describeIssue({ location: TRANSLATION, id: question.id, errors: merged.errors }));
+        } else if (merged.languages.length === 0) {
+          skipped++;
+        } else {
+          packQuestions[positions.get(question.id)] = merged.question;
+          translated++;
+        }
+      });
+
+      if (skipped > 0) {
+        issues.push(t('packs.report.alreadyInPack', { count: skipped }));
+      }
+
+      if (added.length === 0 && translated === 0) {
+        setReport({
+          variant: 'error',
+          message: t('packs.report.nothingImported', { fileName: file.name, format: PACK_FORMATS[fileFormat].label }),
+          issues
+        });
+        return;
+      }
+
+      const pack = savePack({
+        id: packId,
+        name: existing ? existing.name : name || file.name.replace(/\.[^.]+$/, ''),
+        questions: [...packQuestions, ...added]
+      });
+
+      setReport({
+        variant: issues.length > 0 ? 'warning' : 'success',
+        message: [
+          t('packs.report.imported', { count: added.length, name: pack.name }),
+          translated > 0 ? t('packs.report.translated', { count: translated }) : '',
+          rejected.length > 0 ? t('packs.report.rejected', { count: rejected.length }) : ''
+        ].filter(Boolean).join(' '),
+        issues
+      });
+    } catch (error) {
+      console.error('Error importing questions:', error);
+      setReport({ variant: 'error', message: translateMessage(error) || t('packs.report.readFailed') });
+    }
+  };
+
+  const handleExport = (pack, exportFormat) => {
+    const file = exportQuestions(pack, exportFormat);
+
+    if (file.skipped.length > 0 && file.skipped.length === pack.questions.length) {
+      setReport({
+        variant: 'error',
+        message: t('packs.report.nothingExported', { name: pack.name, format: PACK_FORMATS[exportFormat].label }),
+        issues: [translateMessage(file.skipped[0].reason)]
+      });
+      return;
+    }
+
+    downloadFile(file);
+
+    setReport(file.skipped.length > 0
+      ? {
+        variant: 'warning',
+        message: t('packs.report.exportedSkipping', { fileName: file.fileName, count: file.skipped.length }),
+        issues: file.skipped.map(item => `${item.id}: ${translateMessage(item.reason)}`)
+      }
+      : null);
+  };
+
+  const handleDelete = (pack) => {
+    if (pendingDelete !== pack.id) {
+      setPendingDelete(pack.id);
+      return;
+    }
+    deletePack(pack.id);
+    setPendingDelete(null);
+    if (target === pack.id) setTarget(NEW_PACK);
+  };
+
+  return (
+    <div className={`space-y-6 ${className}`}>
+      {/* Import */}
+      <div className="grid sm:grid-cols-3 gap-3 items-end">
+        <label className="block">
+          <span className="block text-sm font-medium text-gray-700 mb-1">{t('packs.fileFormat')}</span>
+          <select
+            value={format}
+            onChange={(e) => setFormat(e.target.value)}
+            className="w-full p-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-transparent"
+          >
+            <option value="auto">{t('packs.detectFormat')}</option>
+            {Object.entries(PACK_FORMATS).map(([id, { label }]) => (
+              <option key={id} value={id}>{label}</option>
+            ))}
+          </select>
+        </label>
+
+        <label className="block">
+          <span className="block text-sm font-medium text-gray-700 mb-1">{t('packs.importInto')}</span>
+          <select
+            value={target}
+            onChange={(e) => setTarget(e.target.value)}
+            className="w-full p-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-transparent"
+          >
+            <option value={NEW_PACK}>{t('packs.newPack')}</option>
+            {packs.map(pack => (
+              <option key={pack.id} value={pack.id}>{pack.name}</option>
+            ))}
+          </select>
+        </label>
+
+        <div>
+          <input
+            ref={fileInputRef}
+            type="file"
+            accept=".json,.csv,.gift,.txt,image/*,audio/*"
+            multiple
+            onChange={handleImport}
+            className="hidden"
+          />
+          <Button variant="primary" onClick={() => fileInputRef.current.click()} className="w-full">
+            📂 {t('packs.import')}
+          </Button>
+        </div>
+      </div>
+
+      <p className="text-sm text-gray-600 -mt-3">
+        {t('packs.mediaHint')}
+      </p>
+
+      {report && <ImportReport report={report} onClose={() => setReport(null)} />}
+
+      {/* Saved packs */}
+      {packs.length === 0 ? (
+        <p className="text-center text-gray-600">
+          {t('packs.empty')}
+        </p>
+      ) : (
+        <ul className="divide-y divide-gray-200 border border-gray-200 rounded-lg bg-white">
+          {packs.map(pack => (
+            <li key={pack.id} className="p-4 flex flex-col md:flex-row md:items-center gap-3">
+              <div className="flex-1">
+                <div className="font-medium text-gray-900">📦 {pack.name}</div>
+                <div className="text-sm text-gray-600">
+                  {t('packs.questionCount', { count: pack.questions.length })}
+                </div>
+              </div>
+
+              <div className="flex flex-wrap gap-2">
+                {Object.entries(PACK_FORMATS).map(([id, { label }]) => (
+                  <Button key={id} variant="ghost" size="sm" onClick={() => handleExport(pack, id)}>
+                    ⬇ {label}
+                  </Button>
+                ))}
+                <Button
+                  variant={pendingDelete === pack.id ? 'error' : 'ghost'}
+                  size="sm"
+                  onClick={() => handleDelete(pack)}
+                >
+                  {pendingDelete === pack.id ? t('packs.confirmDelete') : `🗑 ${t('packs.delete')}`}
+                </Button>
+              </div>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default PackManager;
@@ -1,10 +1,19 @@
 import React, { useEffect, useRef } from 'react';
 import { Badge, Button } from './common';
+import { MultiSelectOptions, OrderingOptions, TextAnswerInput } from './AnswerInputs';
+import QuestionMedia from './QuestionMedia';
+import RichText from './RichText';
 import { questionAnimations, optionAnimations } from '../utils/animations';
+import { QUESTION_TYPES } from '../utils/questionSchema';
+import { hasAnswer } from '../utils/scoring';
+import { toPlainText } from '../utils/richText';
+import { translate as t, translateMessage } from '../utils/i18n';
 
 /**
  * Question Component
- * Displays a single question with multiple choice options
+ * Displays a single question with the answer input for its type:
+ * multiple choice, true/false, select-all-that-apply, ordering or free text,
+ * and the question's image or audio clip when it has one
  */
 const Question = ({
   question,
@@ -13,12 +22,16 @@ const Question = ({
   onNext,
   onPrevious,
   onSkip,
+  mediaPlayCount,
+  onMediaPlay,
   showResult = false,
+  showNavigation = true,
   canGoNext = false,
   canGoPrevious = false,
   isLastQuestion = false,
   questionNumber = 1,
   totalQuestions = 10,
+  seed = null,
   className = ''
 }) => {
   const questionRef = useRef(null);
@@ -34,8 +47,9 @@ const Question = ({
   // Animate options after question animation
   useEffect(() => {
     const timer = setTimeout(() => {
-      if (optionsRef.current.length > 0) {
-        optionAnimations.staggerIn(optionsRef.current);
+      const optionElements = optionsRef.current.filter(Boolean);
+      if (optionElements.length > 0) {
+        optionAnimations.staggerIn(optionElements);
       }
     }, 300);
 
@@ -97,15 +111,32 @@ const Question = ({
     return baseClasses;
   };
 
+  const renderResultIcon = (index) => {
+    if (!showResult) return null;
+
+    return (
+      <div className="flex-shrink-0">
+        {index === question.correctAnswer && (
+          <span className="text-green-600 text-xl">✓</span>
+        )}
+        {selectedAnswer === index && index !== question.correctAnswer && (
+          <span className="text-red-600 text-xl">✗</span>
+        )}
+      </div>
+    );
+  };
+
+  const isBoolean = question.type === QUESTION_TYPES.boolean;
+
   return (
     <div className={`w-full max-w-4xl mx-auto ${className}`}>
       <div ref={questionRef} className="space-y-6">
         {/* Question Header */}
         <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-4">
-          <div className="flex items-center space-x-3">
-            <div className="flex items-center space-x-2">
+          <div className="flex items-center gap-3">
+            <div className="flex items-center gap-2">
               <span className="text-sm font-medium text-gray-600">
-                Question {questionNumber} of {totalQuestions}
+                {t('question.progress', { number: questionNumber, total: totalQuestions })}
               </span>
               <div className="h-1 w-12 bg-gray-200 rounded-full overflow-hidden">
                 <div 
@@ -116,7 +147,7 @@ const Question = ({
             </div>
           </div>
           
-          <div className="flex items-center space-x-2">
+          <div className="flex items-center gap-2">
             {question.category && (
               <Badge variant="primary" size="sm">
                 {question.category}
@@ -124,7 +155,7 @@ const Question = ({
             )}
             {question.difficulty && (
               <Badge variant={getDifficultyColor(question.difficulty)} size="sm">
-                {question.difficulty.charAt(0).toUpperCase() + question.difficulty.slice(1)}
+                {t(`difficulty.${question.difficulty}`)}
               </Badge>
             )}
           </div>
@@ -133,97 +164,145 @@ const Question = ({
         {/* Question Text */}
         <div className="card">
           <h2 className="text-xl md:text-2xl font-semibold text-gray-900 leading-relaxed">
-            {question.question}
+            <RichText text={question.question} />
           </h2>
+
+          <QuestionMedia
+            media={question.media}
+            playCount={mediaPlayCount}
+            onPlay={onMediaPlay}
+            className="mt-4"
+          />
         </div>
 
         {/* Options */}
-        <div className="grid gap-3">
-          {question.options.map((option, index) => (
-            <button
-              key={index}
-              ref={el => optionsRef.current[index] = el}
-              onClick={() => handleAnswerSelect(index)}
-              disabled={showResult}
-              className={getOptionClasses(index)}
-              aria-label={`Option ${index + 1}: ${option}`}
-            >
-              <div className="flex items-center space-x-3">
-                <div className="flex-shrink-0 w-8 h-8 rounded-full bg-gray-200 flex items-center justify-center text-sm font-medium">
-                  {String.fromCharCode(65 + index)}
+        {question.type === QUESTION_TYPES.multiSelect ? (
+          <MultiSelectOptions
+            question={question}
+            selectedAnswer={selectedAnswer}
+            onAnswerSelect={onAnswerSelect}
+            showResult={showResult}
+            optionsRef={optionsRef}
+          />
+        ) : question.type === QUESTION_TYPES.ordering ? (
+          <OrderingOptions
+            question={question}
+            selectedAnswer={selectedAnswer}
+            onAnswerSelect={onAnswerSelect}
+            showResult={showResult}
+            optionsRef={optionsRef}
+            seed={seed}
+          />
+        ) : question.type === QUESTION_TYPES.text ? (
+          <TextAnswerInput
+            question={question}
+            selectedAnswer={selectedAnswer}
+            onAnswerSelect={onAnswerSelect}
+            showResult={showResult}
+            optionsRef={optionsRef}
+          />
+        ) : isBoolean ? (
+          <div className="grid grid-cols-2 gap-3">
+            {question.options.map((option, index) => (
+              <button
+                key={index}
+                ref={el => optionsRef.current[index] = el}
+                onClick={() => handleAnswerSelect(index)}
+                disabled={showResult}
+                className={getOptionClasses(index)}
+                aria-label={option}
+                aria-pressed={selectedAnswer === index}
+              >
+                <div className="flex items-center justify-center gap-3 py-4">
+                  <span className="text-xl font-semibold">{option}</span>
+                  {renderResultIcon(index)}
                 </div>
-                <span className="text-left flex-1">{option}</span>
-                
-                {/* Show result icons */}
-                {showResult && (
-                  <div className="flex-shrink-0">
-                    {index === question.correctAnswer && (
-                      <span className="text-green-600 text-xl">✓</span>
-                    )}
-                    {selectedAnswer === index && index !== question.correctAnswer && (
-                      <span className="text-red-600 text-xl">✗</span>
-                    )}
+              </button>
+            ))}
+          </div>
+        ) : (
+          <div className="grid gap-3">
+            {question.options.map((option, index) => (
+              <button
+                key={index}
+                ref={el => optionsRef.current[index] = el}
+                onClick={() => handleAnswerSelect(index)}
+                disabled={showResult}
+                className={getOptionClasses(index)}
+                aria-label={t('question.option', { number: index + 1, text: toPlainText(option) })}
+              >
+                <div className="flex items-center gap-3">
+                  <div className="flex-shrink-0 w-8 h-8 rounded-full bg-gray-200 flex items-center justify-center text-sm font-medium">
+                    {String.fromCharCode(65 + index)}
                   </div>
-                )}
-              </div>
-            </button>
-          ))}
-        </div>
+                  <RichText text={option} inline className="text-start flex-1" />
+                
+                  {/* Show result icons */}
+                  {renderResultIcon(index)}
+                </div>
+              </button>
+            ))}
+          </div>
+        )}
 
         {/* Explanation (shown only when showing results) */}
         {showResult && question.explanation && (
           <div className="card bg-blue-50 border-blue-200">
-            <div className="flex items-start space-x-3">
+            <div className="flex items-start gap-3">
               <span className="text-blue-600 text-xl flex-shrink-0">💡</span>
               <div>
-                <h4 className="font-medium text-blue-900 mb-1">Explanation</h4>
-                <p className="text-blue-800">{question.explanation}</p>
+                <h4 className="font-medium text-blue-900 mb-1">{t('question.explanation')}</h4>
+                <RichText text={translateMessage(question.explanation)} className="text-blue-800" />
               </div>
             </div>
           </div>
         )}
 
         {/* Action Buttons */}
-        <div className="flex flex-col sm:flex-row gap-3 sm:justify-between">
-          <div className="flex gap-3">
-            {canGoPrevious && (
-              <Button
-                variant="secondary"
-                onClick={onPrevious}
-                className="flex-1 sm:flex-none"
-              >
-                ← Previous
-              </Button>
-            )}
-            
-            {onSkip && !showResult && (
+        {showNavigation && (
+          <div className="flex flex-col sm:flex-row gap-3 sm:justify-between">
+            <div className="flex gap-3">
+              {canGoPrevious && (
+                <Button
+                  variant="secondary"
+                  onClick={onPrevious}
+                  className="flex-1 sm:flex-none"
+                >
+                  {t('question.previous')}
+                </Button>
+              )}
+              
+              {onSkip && !showResult && (
+                <Button
+                  variant="outline"
+                  onClick={onSkip}
+                  className="flex-1 sm:flex-none"
+                >
+                  {t('question.skip')}
+                </Button>
+              )}
+            </div>
+
+            <div className="flex gap-3">
               <Button
-                variant="outline"
-                onClick={onSkip}
-                className="flex-1 sm:flex-none"
+                variant="primary"
+                onClick={handleNext}
+                disabled={!canGoNext}
+                className="flex-1 sm:flex-none min-w-[120px]"
               >
-                Skip Question
+                {isLastQuestion ? t('question.finish') : t('question.next')}
               </Button>
-            )}
-          </div>
-
-          <div className="flex gap-3">
-            <Button
-              variant="primary"
-              onClick={handleNext}
-              disabled={!canGoNext}
-              className="flex-1 sm:flex-none min-w-[120px]"
-            >
-              {isLastQuestion ? 'Finish Quiz' : 'Next Question'} →
-            </Button>
+            </div>
           </div>
-        </div>
+        )}
 
         {/* Selection Prompt */}
-        {!showResult && selectedAnswer === undefined && (
+        {showNavigation && !showResult && !hasAnswer(question, selectedAnswer) && (
           <div className="text-center">
             <p className="text-gray-600 text-sm">
-              Please select an answer to continue
+              {question.type === QUESTION_TYPES.text
+                ? t('question.typePrompt')
+                : t('question.selectPrompt')}
             </p>
           </div>
         )}
@@ -0,0 +1,415 @@
+import React, { useRef, useState } from 'react';
+import { Button } from './common';
+import { QUESTION_TYPES, QUESTION_TYPE_LABELS, DIFFICULTIES, MEDIA_TYPES, inferMediaType } from '../utils/questionSchema';
+import { changeDraftType, changeDraftOptions } from '../utils/questionDrafts';
+import { readMediaFile } from '../utils/media';
+import { translate as t, translateMessage } from '../utils/i18n';
+
+const MAX_OPTIONS = 8;
+const inputClasses = 'w-full p-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-transparent';
+
+/**
+ * Form Field Component
+ * Label and control pair used throughout the form
+ */
+const Field = ({ label, children, className = '' }) => (
+  <label className={`block ${className}`}>
+    <span className="block text-sm font-medium text-gray-700 mb-1">{label}</span>
+    {children}
+  </label>
+);
+
+/**
+ * Option List Component
+ * Option inputs with the control for marking the correct answer(s)
+ */
+const OptionList = ({ draft, onChange }) => {
+  const isMultiSelect = draft.type === QUESTION_TYPES.multiSelect;
+  const isOrdering = draft.type === QUESTION_TYPES.ordering;
+  const isBoolean = draft.type === QUESTION_TYPES.boolean;
+
+  const updateOption = (index, value) => {
+    onChange(changeDraftOptions(draft, draft.options.map((option, i) => (i === index ? value : option))));
+  };
+
+  const addOption = () => {
+    onChange(changeDraftOptions(draft, [...draft.options, '']));
+  };
+
+  const removeOption = (index) => {
+    onChange(changeDraftOptions(draft, draft.options.filter((option, i) => i !== index), index));
+  };
+
+  const moveOption = (index, offset) => {
+    const options = [...draft.options];
+    const [option] = options.splice(index, 1);
+    options.splice(index + offset, 0, option);
+    onChange(changeDraftOptions(draft, options));
+  };
+
+  const toggleCorrect = (index) => {
+    if (!isMultiSelect) {
+      onChange({ ...draft, correct: index });
+      return;
+    }
+    const correct = draft.correct.includes(index)
+      ? draft.correct.filter(i => i !== index)
+      : [...draft.correct, index].sort((a, b) => a - b);
+    onChange({ ...draft, correct });
+  };
+
+  return (
+    <div className="space-y-2">
+      <span className="block text-sm font-medium text-gray-700">
+        {t(isOrdering ? 'editor.form.itemsInOrder' : isMultiSelect ? 'editor.form.optionsTickAll' : 'editor.form.optionsPickOne')}
+      </span>
+
+      {draft.options.map((option, index) => (
+        <div key={index} className="flex items-center space-x-2">
+          {isOrdering ? (
+            <span className="w-6 text-right text-sm text-gray-500">{index + 1}.</span>
+          ) : (
+            <input
+              type={isMultiSelect ? 'checkbox' : 'radio'}
+              name="correct-option"
+              checked={isMultiSelect ? draft.correct.includes(index) : draft.correct === index}
+              onChange={() => toggleCorrect(index)}
+              aria-label={t('editor.form.markCorrect', { number: index + 1 })}
+              className="w-5 h-5 text-primary-600"
+            />
+          )}
+
+          <input
+            type="text"
+            value={option}
+            onChange={(e) => updateOption(index, e.target.value)}
+            readOnly={isBoolean}
+            placeholder={t('editor.form.option', { number: index + 1 })}
+            className={inputClasses}
+          />
+
+          {isOrdering && (
+            <>
+              <button
+                type="button"
+                onClick={() => moveOption(index, -1)}
+                disabled={index === 0}
+                className="w-8 h-8 rounded bg-gray-100 hover:bg-gray-200 disabled:opacity-30"
+                aria-label={t('editor.form.moveItemUp', { number: index + 1 })}
+              >
+                ↑
+              </button>
+              <button
+                type="button"
+                onClick={() => moveOption(index, 1)}
+                disabled={index === draft.options.length - 1}
+                className="w-8 h-8 rounded bg-gray-100 hover:bg-gray-200 disabled:opacity-30"
+                aria-label={t('editor.form.moveItemDown', { number: index + 1 })}
+              >
+                ↓
+              </button>
+            </>
+          )}
+
+          {!isBoolean && draft.options.length > 2 && (
+            <button
+              type="button"
+              onClick={() => removeOption(index)}
+              className="w-8 h-8 rounded text-gray-500 hover:bg-red-50 hover:text-red-600"
+              aria-label={t('editor.form.removeOption', { number: index + 1 })}
+            >
+              ×
+            </button>
+          )}
+        </div>
+      ))}
+
+      {!isBoolean && draft.options.length < MAX_OPTIONS && (
+        <Button variant="ghost" size="sm" onClick={addOption}>
+          + {t('editor.form.addOption')}
+        </Button>
+      )}
+    </div>
+  );
+};
+
+/**
+ * Accepted Answer List Component
+ * Accepted answers and typo tolerance for free-text questions
+ */
+const AcceptedAnswerList = ({ draft, onChange }) => {
+  const updateAnswers = (acceptedAnswers) => onChange({ ...draft, acceptedAnswers });
+
+  return (
+    <div className="space-y-2">
+      <span className="block text-sm font-medium text-gray-700">{t('editor.form.acceptedAnswers')}</span>
+
+      {draft.acceptedAnswers.map((answer, index) => (
+        <div key={index} className="flex items-center space-x-2">
+          <input
+            type="text"
+            value={answer}
+            onChange={(e) => updateAnswers(draft.acceptedAnswers.map((item, i) => (i === index ? e.target.value : item)))}
+            placeholder={t(index === 0 ? 'editor.form.mainAnswer' : 'editor.form.alsoAccept')}
+            className={inputClasses}
+          />
+          {draft.acceptedAnswers.length > 1 && (
+            <button
+              type="button"
+              onClick={() => updateAnswers(draft.acceptedAnswers.filter((item, i) => i !== index))}
+              className="w-8 h-8 rounded text-gray-500 hover:bg-red-50 hover:text-red-600"
+              aria-label={t('editor.form.removeAcceptedAnswer', { number: index + 1 })}
+            >
+              ×
+            </button>
+          )}
+        </div>
+      ))}
+
+      <Button variant="ghost" size="sm" onClick={() => updateAnswers([...draft.acceptedAnswers, ''])}>
+        + {t('editor.form.addAcceptedAnswer')}
+      </Button>
+
+      <Field label={t('editor.form.typosAllowed')}>
+        <input
+          type="number"
+          min="0"
+          max="5"
+          value={draft.maxDistance}
+          onChange={(e) => onChange({ ...draft, maxDistance: Math.max(0, parseInt(e.target.value, 10) || 0) })}
+          className={`${inputClasses} max-w-[8rem]`}
+        />
+      </Field>
+    </div>
+  );
+};
+
+/**
+ * Media Field Component
+ * Attaches an image or audio clip to the question, from a file (embedded
+ * in the pack) or a web address
+ */
+const MediaField = ({ draft, onChange }) => {
+  const fileInputRef = useRef(null);
+  const [fileError, setFileError] = useState(null);
+  const { media } = draft;
+
+  const setMedia = (src) => {
+    onChange({
+      ...draft,
+      media: src ? {
+        type: inferMediaType(src) || (media ? media.type : MEDIA_TYPES.image),
+        src,
+        alt: media ? media.alt : '',
+        maxPlays: media ? media.maxPlays : null
+      } : null
+    });
+  };
+
+  const handleFile = async (event) => {
+    const file = event.target.files[0];
+    event.target.value = '';
+    if (!file) return;
+
+    try {
+      setMedia(await readMediaFile(file));
+      setFileError(null);
+    } catch (error) {
+      setFileError(translateMessage(error));
+    }
+  };
+
+  const isEmbedded = media && media.src.startsWith('data:');
+
+  return (
+    <div className="space-y-2">
+      <span className="block text-sm font-medium text-gray-700">{t('editor.form.media')}</span>
+
+      <div className="flex flex-wrap items-center gap-2">
+        <input
+          ref={fileInputRef}
+          type="file"
+          accept="image/*,audio/*"
+          onChange={handleFile}
+          className="hidden"
+        />
+        <Button variant="ghost" size="sm" onClick={() => fileInputRef.current.click()}>
+          🖼 {t(media ? 'editor.form.replaceFile' : 'editor.form.addFile')}
+        </Button>
+        {isEmbedded ? (
+          <span className="text-sm text-gray-600 flex-1">
+            {t(media.type === MEDIA_TYPES.audio ? 'editor.form.embeddedAudio' : 'editor.form.embeddedImage')}
+          </span>
+        ) : (
+          <input
+            type="text"
+            value={media ? media.src : ''}
+            onChange={(e) => setMedia(e.target.value.trim())}
+            placeholder={t('editor.form.mediaAddress')}
+            aria-label={t('editor.form.mediaAddressLabel')}
+            className={`${inputClasses} flex-1 min-w-[12rem]`}
+          />
+        )}
+        {media && (
+          <Button variant="ghost" size="sm" onClick={() => setMedia(null)}>
+            {t('editor.form.removeMedia')}
+          </Button>
+        )}
+      </div>
+
+      {fileError && <p className="text-sm text-red-700">{fileError}</p>}
+
+      {media && (
+        <div className="grid sm:grid-cols-3 gap-3">
+          <Field label={t('editor.form.mediaType')}>
+            <select
+              value={media.type || ''}
+              onChange={(e) => onChange({ ...draft, media: { ...media, type: e.target.value } })}
+              className={inputClasses}
+            >
+              <option value={MEDIA_TYPES.image}>{t('editor.form.image')}</option>
+              <option value={MEDIA_TYPES.audio}>{t('editor.form.audio')}</option>
+            </select>
+          </Field>
+
+          <Field
+            label={t(media.type === MEDIA_TYPES.audio ? 'editor.form.audioDescription' : 'editor.form.altText')}
+            className={media.type === MEDIA_TYPES.audio ? '' : 'sm:col-span-2'}
+          >
+            <input
+              type="text"
+              value={media.alt}
+              onChange={(e) => onChange({ ...draft, media: { ...media, alt: e.target.value } })}
+              placeholder={t(media.type === MEDIA_TYPES.audio ? 'editor.form.audioPlaceholder' : 'editor.form.imagePlaceholder')}
+              className={inputClasses}
+            />
+          </Field>
+
+          {media.type === MEDIA_TYPES.audio && (
+            <Field label={t('editor.form.maxPlays')}>
+              <input
+                type="number"
+                min="1"
+                value={media.maxPlays ?? ''}
+                onChange={(e) => onChange({
+                  ...draft,
+                  media: { ...media, maxPlays: parseInt(e.target.value, 10) > 0 ? parseInt(e.target.value, 10) : null }
+                })}
+                className={inputClasses}
+              />
+            </Field>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+/**
+ * Question Form Component
+ * Edits one question draft: text, media, answers, category, difficulty and explanation
+ */
+const QuestionForm = ({ draft, onChange, categories = [], errors = [] }) => {
+  const update = (field) => (e) => onChange({ ...draft, [field]: e.target.value });
+  const supportsPartialCredit = draft.type === QUESTION_TYPES.multiSelect || draft.type === QUESTION_TYPES.ordering;
+
+  return (
+    <div className="space-y-4">
+      <div className="grid sm:grid-cols-3 gap-3">
+        <Field label={t('editor.form.type')}>
+          <select
+            value={draft.type}
+            onChange={(e) => onChange(changeDraftType(draft, e.target.value))}
+            className={inputClasses}
+          >
+            {Object.entries(QUESTION_TYPE_LABELS).map(([value, label]) => (
+              <option key={value} value={value}>{t(`questionTypes.${value}`, { defaultValue: label })}</option>
+            ))}
+          </select>
+        </Field>
+
+        <Field label={t('editor.form.category')}>
+          <input
+            type="text"
+            value={draft.category}
+            onChange={update('category')}
+            list="editor-categories"
+            className={inputClasses}
+          />
+          <datalist id="editor-categories">
+            {categories.map(category => (
+              <option key={category} value={category} />
+            ))}
+          </datalist>
+        </Field>
+
+        <Field label={t('editor.form.difficulty')}>
+          <select value={draft.difficulty} onChange={update('difficulty')} className={inputClasses}>
+            {DIFFICULTIES.map(difficulty => (
+              <option key={difficulty} value={difficulty}>
+                {t(`difficulty.${difficulty}`)}
+              </option>
+            ))}
+          </select>
+        </Field>
+      </div>
+
+      <Field label={t('editor.form.question')}>
+        <textarea
+          value={draft.question}
+          onChange={update('question')}
+          rows={3}
+          className={inputClasses}
+        />
+        <span className="block text-xs text-gray-500 mt-1">
+          {t('editor.form.formattingHint')}
+        </span>
+      </Field>
+
+      <MediaField draft={draft} onChange={onChange} />
+
+      {draft.type === QUESTION_TYPES.text ? (
+        <AcceptedAnswerList draft={draft} onChange={onChange} />
+      ) : (
+        <OptionList draft={draft} onChange={onChange} />
+      )}
+
+      {supportsPartialCredit && (
+        <label className="flex items-center space-x-2 text-sm text-gray-700">
+          <input
+            type="checkbox"
+            checked={draft.partialCredit}
+            onChange={(e) => onChange({ ...draft, partialCredit: e.target.checked })}
+            className="w-4 h-4"
+          />
+          <span>{t('editor.form.partialCredit')}</span>
+        </label>
+      )}
+
+      <Field label={t('editor.form.explanation')}>
+        <textarea
+          value={draft.explanation}
+          onChange={update('explanation')}
+          rows={2}
+          className={inputClasses}
+        />
+      </Field>
+
+      {Object.keys(draft.translations || {}).length > 0 && (
+        <p className="text-sm text-gray-600 bg-gray-50 border border-gray-200 rounded-lg p-3">
+          {t('editor.form.translatedInto', { languages: Object.keys(draft.translations).join(', ') })}
+        </p>
+      )}
+
+      {errors.length > 0 && (
+        <ul className="text-sm text-red-700 bg-red-50 border border-red-200 rounded-lg p-3 list-disc list-inside">
+          {errors.map(translateMessage).map((error, index) => (
+            <li key={index}>{error.charAt(0).toUpperCase() + error.slice(1)}</li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default QuestionForm;
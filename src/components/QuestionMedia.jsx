@@ -0,0 +1,101 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { Button } from './common';
+import { MEDIA_TYPES } from '../utils/questionSchema';
+import { resolveMediaSrc } from '../utils/media';
+import { translate as t } from '../utils/i18n';
+
+/**
+ * Audio Clip Component
+ * Play button for a question's audio clip, counting plays against its limit.
+ * The count can be kept by the caller (playCount / onPlay) so it survives
+ * leaving and coming back to the question.
+ */
+const AudioClip = ({ media, playCount, onPlay, unlimited }) => {
+  const audioRef = useRef(null);
+  const [ownPlayCount, setOwnPlayCount] = useState(0);
+  const [isPlaying, setIsPlaying] = useState(false);
+
+  const plays = playCount ?? ownPlayCount;
+  const limit = unlimited ? null : media.maxPlays;
+  const playsLeft = limit === null ? null : Math.max(0, limit - plays);
+
+  // Stop the clip when the question changes
+  useEffect(() => {
+    const audio = audioRef.current;
+    return () => {
+      if (audio) audio.pause();
+    };
+  }, [media.src]);
+
+  const handlePlay = () => {
+    const audio = audioRef.current;
+    if (!audio || isPlaying || playsLeft === 0) return;
+
+    audio.currentTime = 0;
+    audio.play()
+      .then(() => {
+        setOwnPlayCount(prev => prev + 1);
+        if (onPlay) onPlay();
+      })
+      .catch(error => console.warn('Could not play the clip:', error.message));
+  };
+
+  return (
+    <div className="flex flex-wrap items-center gap-3">
+      <audio
+        ref={audioRef}
+        src={resolveMediaSrc(media.src)}
+        preload="auto"
+        onPlay={() => setIsPlaying(true)}
+        onPause={() => setIsPlaying(false)}
+        onEnded={() => setIsPlaying(false)}
+      />
+
+      <Button
+        variant="secondary"
+        size="sm"
+        onClick={handlePlay}
+        disabled={isPlaying || playsLeft === 0}
+        aria-label={media.alt ? t('media.playClipLabel', { alt: media.alt }) : t('media.playClip')}
+      >
+        {isPlaying ? t('media.playing') : plays > 0 ? t('media.playAgain') : t('media.playClip')}
+      </Button>
+
+      {playsLeft !== null && (
+        <span className="text-sm text-gray-600" aria-live="polite">
+          {playsLeft === 0
+            ? t('media.noPlaysLeft')
+            : t('media.playsLeft', { count: playsLeft })}
+        </span>
+      )}
+    </div>
+  );
+};
+
+/**
+ * Question Media Component
+ * Shows the image or audio clip attached to a question
+ */
+const QuestionMedia = ({ media, playCount, onPlay, unlimited = false, compact = false, className = '' }) => {
+  if (!media) return null;
+
+  if (media.type === MEDIA_TYPES.audio) {
+    return (
+      <div className={className}>
+        <AudioClip key={media.src} media={media} playCount={playCount} onPlay={onPlay} unlimited={unlimited} />
+      </div>
+    );
+  }
+
+  return (
+    <figure className={`flex justify-center ${className}`}>
+      <img
+        src={resolveMediaSrc(media.src)}
+        alt={media.alt}
+        className={`rounded-lg object-contain ${compact ? 'max-h-32' : 'max-h-72 w-full'}`}
+      />
+    </figure>
+  );
+};
+
+export default QuestionMedia;
@@ -0,0 +1,126 @@
+import React, { useMemo } from 'react';
+import { parseRichText } from '../utils/richText';
+import { parseTex } from '../utils/texMath';
+import { highlightCode } from '../utils/syntaxHighlight';
+
+const TOKEN_CLASSES = {
+  keyword: 'text-purple-300 font-semibold',
+  string: 'text-green-300',
+  comment: 'text-gray-400 italic',
+  number: 'text-amber-300',
+  text: ''
+};
+
+/**
+ * Renders a MathML node from utils/texMath
+ */
+const renderMathNode = (node, key) => React.createElement(
+  node.tag,
+  { key, ...node.attrs },
+  node.children ? node.children.map(renderMathNode) : node.text
+);
+
+/**
+ * Formula Component
+ * Inline or display math
+ */
+const Formula = ({ tex, display = false }) => {
+  const root = useMemo(() => parseTex(tex, { display }), [tex, display]);
+  return renderMathNode({ ...root, attrs: { ...root.attrs, className: display ? 'block my-2 text-lg' : undefined } });
+};
+
+/**
+ * Code Block Component
+ * Fenced code with syntax highlighting
+ */
+const CodeBlock = ({ language, text }) => {
+  const tokens = useMemo(() => highlightCode(text, language), [text, language]);
+
+  return (
+    <pre dir="ltr" className="my-2 p-3 rounded-lg bg-gray-900 text-gray-100 text-sm font-mono text-left overflow-x-auto whitespace-pre">
+      <code>
+        {tokens.map((token, index) => (
+          token.type === 'text'
+            ? token.text
+            : <span key={index} className={TOKEN_CLASSES[token.type]}>{token.text}</span>
+        ))}
+      </code>
+    </pre>
+  );
+};
+
+/**
+ * Renders inline nodes
+ */
+const renderInline = (nodes) => nodes.map((node, index) => {
+  switch (node.type) {
+    case 'strong':
+      return <strong key={index}>{renderInline(node.children)}</strong>;
+    case 'em':
+      return <em key={index}>{renderInline(node.children)}</em>;
+    case 'sup':
+      return <sup key={index}>{renderInline(node.children)}</sup>;
+    case 'sub':
+      return <sub key={index}>{renderInline(node.children)}</sub>;
+    case 'code':
+      return (
+        <code key={index} className="px-1 py-0.5 rounded bg-gray-100 text-pink-700 font-mono text-[0.9em]">
+          {node.text}
+        </code>
+      );
+    case 'math':
+      return <Formula key={index} tex={node.tex} display={node.display} />;
+    case 'break':
+      return <br key={index} />;
+    default:
+      return <React.Fragment key={index}>{node.text}</React.Fragment>;
+  }
+});
+
+/**
+ * Renders block nodes
+ */
+const renderBlock = (block, index) => {
+  switch (block.type) {
+    case 'code':
+      return <CodeBlock key={index} language={block.language} text={block.text} />;
+    case 'math':
+      return <Formula key={index} tex={block.tex} display />;
+    case 'list': {
+      const List = block.ordered ? 'ol' : 'ul';
+      return (
+        <List
+          key={index}
+          start={block.ordered && block.start !== 1 ? block.start : undefined}
+          className={`my-2 ps-6 text-start ${block.ordered ? 'list-decimal' : 'list-disc'}`}
+        >
+          {block.items.map((item, itemIndex) => (
+            <li key={itemIndex}>{renderInline(item)}</li>
+          ))}
+        </List>
+      );
+    }
+    default:
+      return <p key={index} className="my-2 first:mt-0 last:mb-0">{renderInline(block.children)}</p>;
+  }
+};
+
+/**
+ * Rich Text Component
+ * Shows question text, options and explanations with the Markdown subset,
+ * code highlighting and math described in utils/richText. Text is only
+ * ever rendered as React elements, never as HTML.
+ */
+const RichText = ({ text, inline = false, className = '' }) => {
+  const blocks = useMemo(() => parseRichText(text), [text]);
+  const Wrapper = inline ? 'span' : 'div';
+
+  // A single paragraph needs no paragraph element, so it sits inside headings and buttons
+  if (blocks.length === 1 && blocks[0].type === 'paragraph') {
+    return <Wrapper className={className}>{renderInline(blocks[0].children)}</Wrapper>;
+  }
+
+  return <Wrapper className={className}>{blocks.map(renderBlock)}</Wrapper>;
+};
+
+export default RichText;
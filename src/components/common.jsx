@@ -1,5 +1,7 @@
 import React, {forwardRef, useEffect, useRef } from 'react';
 import { loadingAnimations, timerAnimations } from '../utils/animations';
+import { formatTime } from '../utils/api';
+import { translate as t, formatNumber } from '../utils/i18n';
 
 /**
  * Loading Spinner Component
@@ -7,7 +9,7 @@ import { loadingAnimations, timerAnimations } from '../utils/animations';
 export const LoadingSpinner = ({ 
   size = 'md', 
   color = 'primary', 
-  text = 'Loading...', 
+  text = t('common.loading'), 
   showText = true 
 }) => {
   const spinnerRef = useRef(null);
@@ -122,16 +124,10 @@ export const Timer = ({
     prevTimeRef.current = timeRemaining;
   }, [timeRemaining]);
 
-  const formatTime = (seconds) => {
-    const minutes = Math.floor(seconds / 60);
-    const remainingSeconds = seconds % 60;
-    return `${minutes.toString().padStart(2, '0')}:${remainingSeconds.toString().padStart(2, '0')}`;
-  };
-
   const progress = totalTime > 0 ? (timeRemaining / totalTime) * 100 : 0;
 
   return (
-    <div className={`flex items-center space-x-3 ${className}`}>
+    <div className={`flex items-center gap-3 ${className}`}>
       <div className="relative">
         <svg className="h-12 w-12 transform -rotate-90" viewBox="0 0 36 36">
           <path
@@ -154,12 +150,12 @@ export const Timer = ({
             ref={timerRef}
             className="text-sm font-medium text-gray-700"
           >
-            {timeRemaining}
+            {formatNumber(timeRemaining)}
           </span>
         </div>
       </div>
       <div className="text-sm text-gray-600">
-        <div>Time Left</div>
+        <div>{t('common.timeLeft')}</div>
         <div className="font-medium">{formatTime(timeRemaining)}</div>
       </div>
     </div>
@@ -321,12 +317,12 @@ export const Alert = ({
       ${variantClasses[variant]} 
       ${className}
     `}>
-      <span className="mr-3 text-lg">{iconClasses[variant]}</span>
+      <span className="me-3 text-lg">{iconClasses[variant]}</span>
       <div className="flex-1">{children}</div>
       {onClose && (
         <button
           onClick={onClose}
-          className="ml-3 text-lg hover:opacity-70 transition-opacity"
+          className="ms-3 text-lg hover:opacity-70 transition-opacity"
         >
           ×
         </button>
@@ -0,0 +1,375 @@
+import { scoreQuiz, hasAnswer } from '../utils/scoring.js';
+
+/**
+ * Quiz engine
+ *
+ * The rules of a quiz as a pure state machine, free of React and timers, so
+ * any front end can drive it and every transition can be replayed in Node:
+ *
+ *   const next = transition(state, { type: QUIZ_EVENTS.next, now: Date.now() });
+ *
+ * transition never mutates the state it is given and never reads the clock;
+ * events that need the time carry it as `now` (milliseconds). Events that make
+ * no sense in the current state return the same state object, so callers can
+ * dispatch freely (a time-up reported twice only counts once).
+ *
+ * States:
+ *   loading      no questions yet
+ *   ready        questions loaded, waiting for START
+ *   in-progress  a question is on screen and its timer runs
+ *   paused       the quiz is on hold, the timer frozen (as often as pauseLimit allows)
+ *   reviewing    the timer ran out; the question stays up, locked, until ADVANCE
+ *   completed    the quiz is over and can be scored
+ *
+ * The driver owns the clock: it sends TICK once a second while the state is
+ * in-progress, and ADVANCE a moment after the state turns to reviewing.
+ *
+ * A state is plain JSON, so a quiz under way can be saved and brought back
+ * later with RESTORE (see utils/quizSession.js).
+ */
+
+export const QUIZ_STATES = {
+  loading: 'loading',
+  ready: 'ready',
+  inProgress: 'in-progress',
+  paused: 'paused',
+  reviewing: 'reviewing',
+  completed: 'completed'
+};
+
+export const QUIZ_EVENTS = {
+  load: 'LOAD',                      // { timeLimit?, pauseLimit? } start over, waiting for questions
+  questionsLoaded: 'QUESTIONS_LOADED', // { questions, seed, streaming } a fresh set of questions
+  questionsAdded: 'QUESTIONS_ADDED', // { questions } more questions for a streaming quiz
+  loadSettled: 'LOAD_SETTLED',       // no more questions are coming
+  start: 'START',                    // { now }
+  selectAnswer: 'SELECT_ANSWER',     // { answer } for the current question
+  mediaPlayed: 'MEDIA_PLAYED',       // the current question's audio clip was played
+  next: 'NEXT',                      // { now } finishes the quiz on the last question
+  previous: 'PREVIOUS',
+  tick: 'TICK',                      // one second of the current question's time has passed
+  advance: 'ADVANCE',                // { now } move on after a time-up
+  pause: 'PAUSE',                    // { now } ignored once the pause allowance is used up
+  resume: 'RESUME',                  // { now }
+  finish: 'FINISH',                  // { now }
+  restore: 'RESTORE'                 // { snapshot, savedAt, now } continue a saved quiz
+};
+
+// States worth saving: the quiz has started and isn't over
+const UNFINISHED_STATES = [QUIZ_STATES.inProgress, QUIZ_STATES.paused, QUIZ_STATES.reviewing];
+
+/**
+ * Creates the state of a quiz that has no questions yet
+ * @param {object} options - { timeLimit, pauseLimit } seconds per question, and how
+ *   often the quiz may be paused: null for no limit, 0 for never (exams)
+ * @returns {object} Quiz state
+ */
+export const createQuizState = ({ timeLimit = 30, pauseLimit = null } = {}) => ({
+  status: QUIZ_STATES.loading,
+  questions: [],
+  seed: null,
+  streaming: false,   // more questions are still arriving
+  currentIndex: 0,
+  answers: {},        // question id -> answer
+  mediaPlays: {},     // question id -> times its audio clip was played
+  timeLimit,
+  timeRemaining: timeLimit,
+  startedAt: null,
+  finishedAt: null,
+  pauseLimit,
+  pauses: [],         // { questionIndex, timeRemaining, pausedAt, resumedAt } per pause
+  pausedAt: null,
+  pausedTime: 0       // milliseconds spent paused, left out of the time taken
+});
+
+/**
+ * Closes the pause in progress, if there is one
+ * @param {object} state - Quiz state
+ * @param {number} now - Current time
+ * @returns {object} State with the pause recorded and its time counted
+ */
+const endPause = (state, now) => {
+  if (state.pausedAt === null) return state;
+
+  const pauses = state.pauses.slice();
+  pauses[pauses.length - 1] = { ...pauses[pauses.length - 1], resumedAt: now };
+  return {
+    ...state,
+    pauses,
+    pausedAt: null,
+    pausedTime: state.pausedTime + (now - state.pausedAt)
+  };
+};
+
+/**
+ * Ends the quiz
+ * @param {object} state - Quiz state
+ * @param {number} now - Current time
+ * @returns {object} Completed state
+ */
+const complete = (state, now) => ({
+  ...endPause(state, now),
+  status: QUIZ_STATES.completed,
+  streaming: false,
+  finishedAt: now
+});
+
+/**
+ * Moves to another question with a fresh timer
+ * @param {object} state - Quiz state
+ * @param {number} index - Question index
+ * @returns {object} In-progress state
+ */
+const goTo = (state, index) => ({
+  ...state,
+  status: QUIZ_STATES.inProgress,
+  currentIndex: index,
+  timeRemaining: state.timeLimit
+});
+
+/**
+ * Applies an event to a quiz state
+ * @param {object} state - Quiz state
+ * @param {object} event - { type, ...payload }, see QUIZ_EVENTS
+ * @returns {object} The next state, or the same state when the event doesn't apply
+ */
+export const transition = (state, event) => {
+  const { status } = state;
+  const playing = status === QUIZ_STATES.inProgress;
+  const current = state.questions[state.currentIndex];
+
+  switch (event.type) {
+    case QUIZ_EVENTS.load:
+      return createQuizState({
+        timeLimit: event.timeLimit ?? state.timeLimit,
+        pauseLimit: event.pauseLimit !== undefined ? event.pauseLimit : state.pauseLimit
+      });
+
+    case QUIZ_EVENTS.questionsLoaded:
+      if (!event.questions || event.questions.length === 0) return state;
+      return {
+        ...createQuizState({ timeLimit: state.timeLimit, pauseLimit: state.pauseLimit }),
+        status: QUIZ_STATES.ready,
+        questions: event.questions,
+        seed: event.seed ?? null,
+        streaming: !!event.streaming
+      };
+
+    case QUIZ_EVENTS.questionsAdded: {
+      if (status === QUIZ_STATES.loading || status === QUIZ_STATES.completed) return state;
+      const ids = new Set(state.questions.map(question => question.id));
+      const fresh = (event.questions || []).filter(question => !ids.has(question.id));
+      return fresh.length > 0 ? { ...state, questions: [...state.questions, ...fresh] } : state;
+    }
+
+    case QUIZ_EVENTS.loadSettled:
+      return state.streaming ? { ...state, streaming: false } : state;
+
+    case QUIZ_EVENTS.start:
+      if (status !== QUIZ_STATES.ready) return state;
+      return { ...goTo(state, 0), startedAt: event.now };
+
+    case QUIZ_EVENTS.selectAnswer:
+      if (!playing || !current) return state;
+      return { ...state, answers: { ...state.answers, [current.id]: event.answer } };
+
+    case QUIZ_EVENTS.mediaPlayed:
+      if (!playing || !current) return state;
+      return {
+        ...state,
+        mediaPlays: { ...state.mediaPlays, [current.id]: (state.mediaPlays[current.id] || 0) + 1 }
+      };
+
+    case QUIZ_EVENTS.next:
+      if (!playing) return state;
+      if (state.currentIndex < state.questions.length - 1) return goTo(state, state.currentIndex + 1);
+      // The last question so far, with more on the way: wait for them
+      return state.streaming ? state : complete(state, event.now);
+
+    case QUIZ_EVENTS.previous:
+      if (!playing || state.currentIndex === 0) return state;
+      return goTo(state, state.currentIndex - 1);
+
+    case QUIZ_EVENTS.tick:
+      if (!playing || state.timeRemaining <= 0) return state;
+      return state.timeRemaining === 1
+        ? { ...state, timeRemaining: 0, status: QUIZ_STATES.reviewing }
+        : { ...state, timeRemaining: state.timeRemaining - 1 };
+
+    case QUIZ_EVENTS.advance:
+      if (status !== QUIZ_STATES.reviewing) return state;
+      return state.currentIndex < state.questions.length - 1
+        ? goTo(state, state.currentIndex + 1)
+        : complete(state, event.now);
+
+    case QUIZ_EVENTS.pause:
+      if (!canPause(state)) return state;
+      return {
+        ...state,
+        status: QUIZ_STATES.paused,
+        pausedAt: event.now,
+        pauses: [...state.pauses, {
+          questionIndex: state.currentIndex,
+          timeRemaining: state.timeRemaining,
+          pausedAt: event.now,
+          resumedAt: null
+        }]
+      };
+
+    case QUIZ_EVENTS.resume:
+      if (status !== QUIZ_STATES.paused) return state;
+      return { ...endPause(state, event.now), status: QUIZ_STATES.inProgress };
+
+    case QUIZ_EVENTS.finish:
+      if (!UNFINISHED_STATES.includes(status)) return state;
+      return complete(state, event.now);
+
+    case QUIZ_EVENTS.restore: {
+      const { snapshot } = event;
+      if (!snapshot || !UNFINISHED_STATES.includes(snapshot.status)) return state;
+      if (!Array.isArray(snapshot.questions) || !snapshot.questions[snapshot.currentIndex]) return state;
+
+      // Time away isn't held against the player; a paused quiz counts it as part of the pause
+      const away = snapshot.status === QUIZ_STATES.paused ? 0 : Math.max(0, event.now - event.savedAt);
+      return {
+        ...createQuizState({ timeLimit: snapshot.timeLimit, pauseLimit: snapshot.pauseLimit }),
+        ...snapshot,
+        streaming: false,
+        pausedTime: (snapshot.pausedTime || 0) + away
+      };
+    }
+
+    default:
+      return state;
+  }
+};
+
+/**
+ * Replays a list of events from a starting state
+ * @param {object} state - Starting state
+ * @param {Array} events - Events in order
+ * @returns {object} Final state
+ */
+export const replay = (state, events) => events.reduce(transition, state);
+
+/**
+ * Gets the question on screen
+ * @param {object} state - Quiz state
+ * @returns {object|undefined} Current question
+ */
+export const getCurrentQuestion = (state) => state.questions[state.currentIndex];
+
+/**
+ * Checks whether the current question is the last one (none still arriving)
+ * @param {object} state - Quiz state
+ * @returns {boolean} True on the last question
+ */
+export const isLastQuestion = (state) => {
+  return state.currentIndex === state.questions.length - 1 && !state.streaming;
+};
+
+/**
+ * Checks whether the player is on the newest question while more are still arriving
+ * @param {object} state - Quiz state
+ * @returns {boolean} True while waiting for the next question
+ */
+export const isWaitingForQuestions = (state) => {
+  return state.streaming && state.currentIndex === state.questions.length - 1;
+};
+
+/**
+ * Checks whether a quiz has started and isn't over yet, i.e. is worth saving
+ * @param {object} state - Quiz state
+ * @returns {boolean} True while unfinished
+ */
+export const isUnfinished = (state) => UNFINISHED_STATES.includes(state.status);
+
+/**
+ * Gets how many more times the quiz may be paused
+ * @param {object} state - Quiz state
+ * @returns {number|null} Pauses left, null when there is no limit
+ */
+export const getPausesLeft = (state) => {
+  if (state.pauseLimit === null || state.pauseLimit === undefined) return null;
+  return Math.max(0, state.pauseLimit - state.pauses.length);
+};
+
+/**
+ * Checks whether the quiz can be paused right now
+ * @param {object} state - Quiz state
+ * @returns {boolean} True when a question is under way and a pause is left
+ */
+export const canPause = (state) => {
+  return state.status === QUIZ_STATES.inProgress && getPausesLeft(state) !== 0;
+};
+
+/**
+ * Checks whether the current question has an answer
+ * @param {object} state - Quiz state
+ * @returns {boolean} True when answered
+ */
+export const hasCurrentAnswer = (state) => {
+  const question = getCurrentQuestion(state);
+  return question ? hasAnswer(question, state.answers[question.id]) : false;
+};
+
+/**
+ * Gets the time the player spent on the quiz, leaving out pauses
+ * @param {object} state - Quiz state
+ * @param {number} now - Current time, for a quiz still under way
+ * @returns {number} Milliseconds
+ */
+export const getTimeTaken = (state, now = state.finishedAt) => {
+  if (state.startedAt === null || now === null) return 0;
+  const pausedTime = state.pausedAt !== null ? state.pausedTime + (now - state.pausedAt) : state.pausedTime;
+  return Math.max(0, now - state.startedAt - pausedTime);
+};
+
+/**
+ * Scores a completed quiz
+ * @param {object} state - Quiz state
+ * @param {Array} questions - Questions to score and report, e.g. translated for the
+ *   player (defaults to the state's questions; must keep their ids and order)
+ * @returns {object|null} { score, correctCount, total, percentage, results, timeTaken, seed,
+ *   pauses, pausedTime }, null until the quiz is completed. Each pause is
+ *   { questionIndex, timeRemaining, duration } in milliseconds.
+ */
+export const getQuizResults = (state, questions = state.questions) => {
+  if (state.status !== QUIZ_STATES.completed) return null;
+
+  // Score may be fractional when questions award partial credit
+  const { score, correctCount, results } = scoreQuiz(questions, state.answers);
+
+  return {
+    score,
+    correctCount,
+    total: questions.length,
+    percentage: questions.length > 0 ? Math.round((score / questions.length) * 100) : 0,
+    results,
+    timeTaken: getTimeTaken(state),
+    seed: state.seed,
+    pauses: state.pauses.map(({ questionIndex, timeRemaining, pausedAt, resumedAt }) => ({
+      questionIndex,
+      timeRemaining,
+      duration: resumedAt - pausedAt
+    })),
+    pausedTime: state.pausedTime
+  };
+};
+
+export default {
+  QUIZ_STATES,
+  QUIZ_EVENTS,
+  createQuizState,
+  transition,
+  replay,
+  getCurrentQuestion,
+  isLastQuestion,
+  isWaitingForQuestions,
+  isUnfinished,
+  getPausesLeft,
+  canPause,
+  hasCurrentAnswer,
+  getTimeTaken,
+  getQuizResults
+};
@@ -0,0 +1,198 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  QUIZ_STATES,
+  QUIZ_EVENTS,
+  createQuizState,
+  transition,
+  replay,
+  getCurrentQuestion,
+  getPausesLeft,
+  canPause,
+  getTimeTaken,
+  getQuizResults
+} from './quizEngine.js';
+
+const questions = [1, 2, 3].map(number => ({
+  id: `local-${number}`,
+  type: 'multiple',
+  question: `Question ${number}`,
+  options: ['Right', 'Wrong'],
+  correctAnswer: 0
+}));
+
+/**
+ * Builds a quiz that has just started, at time 1000
+ * @param {object} options - { timeLimit, pauseLimit }
+ * @returns {object} In-progress state on the first question
+ */
+const startQuiz = (options = { timeLimit: 3 }) => replay(createQuizState(options), [
+  { type: QUIZ_EVENTS.questionsLoaded, questions, seed: 'k3mq8zta' },
+  { type: QUIZ_EVENTS.start, now: 1000 }
+]);
+
+describe('quizEngine', () => {
+  it('waits for questions, then for START', () => {
+    const loading = createQuizState({ timeLimit: 3 });
+    assert.equal(loading.status, QUIZ_STATES.loading);
+    assert.equal(transition(loading, { type: QUIZ_EVENTS.start, now: 1000 }), loading);
+
+    const ready = transition(loading, { type: QUIZ_EVENTS.questionsLoaded, questions, seed: 'k3mq8zta' });
+    assert.equal(ready.status, QUIZ_STATES.ready);
+    assert.equal(ready.seed, 'k3mq8zta');
+
+    const started = transition(ready, { type: QUIZ_EVENTS.start, now: 1000 });
+    assert.equal(started.status, QUIZ_STATES.inProgress);
+    assert.equal(started.startedAt, 1000);
+    assert.equal(started.timeRemaining, 3);
+    assert.equal(getCurrentQuestion(started), questions[0]);
+  });
+
+  it('records answers for the current question without touching the old state', () => {
+    const started = startQuiz();
+    const answered = transition(started, { type: QUIZ_EVENTS.selectAnswer, answer: 1 });
+
+    assert.deepEqual(answered.answers, { 'local-1': 1 });
+    assert.deepEqual(started.answers, {});
+  });
+
+  it('locks a question when its time runs out and moves on after ADVANCE', () => {
+    const ticks = Array.from({ length: 3 }, () => ({ type: QUIZ_EVENTS.tick }));
+    const timedOut = replay(startQuiz(), ticks);
+
+    assert.equal(timedOut.status, QUIZ_STATES.reviewing);
+    assert.equal(timedOut.timeRemaining, 0);
+    // A locked question takes no answers, and a second time-up changes nothing
+    assert.equal(transition(timedOut, { type: QUIZ_EVENTS.selectAnswer, answer: 0 }), timedOut);
+    assert.equal(transition(timedOut, { type: QUIZ_EVENTS.tick }), timedOut);
+
+    const advanced = transition(timedOut, { type: QUIZ_EVENTS.advance, now: 5000 });
+    assert.equal(advanced.status, QUIZ_STATES.inProgress);
+    assert.equal(advanced.currentIndex, 1);
+    assert.equal(advanced.timeRemaining, 3);
+  });
+
+  it('completes the quiz when the last question times out', () => {
+    const last = replay(startQuiz({ timeLimit: 1 }), [
+      { type: QUIZ_EVENTS.next, now: 2000 },
+      { type: QUIZ_EVENTS.next, now: 3000 },
+      { type: QUIZ_EVENTS.tick },
+      { type: QUIZ_EVENTS.advance, now: 4000 }
+    ]);
+
+    assert.equal(last.status, QUIZ_STATES.completed);
+    assert.equal(last.finishedAt, 4000);
+  });
+
+  it('freezes the timer while paused and leaves paused time out', () => {
+    const paused = replay(startQuiz({ timeLimit: 3, pauseLimit: 1 }), [
+      { type: QUIZ_EVENTS.tick },
+      { type: QUIZ_EVENTS.pause, now: 2000 }
+    ]);
+
+    assert.equal(paused.status, QUIZ_STATES.paused);
+    assert.equal(getPausesLeft(paused), 0);
+    assert.equal(transition(paused, { type: QUIZ_EVENTS.tick }), paused);
+    assert.equal(transition(paused, { type: QUIZ_EVENTS.selectAnswer, answer: 0 }), paused);
+
+    const resumed = transition(paused, { type: QUIZ_EVENTS.resume, now: 7000 });
+    assert.equal(resumed.status, QUIZ_STATES.inProgress);
+    assert.equal(resumed.timeRemaining, 2);
+    assert.equal(resumed.pausedTime, 5000);
+    assert.equal(getTimeTaken(resumed, 8000), 2000);
+
+    // The allowance is used up
+    assert.equal(canPause(resumed), false);
+    assert.equal(transition(resumed, { type: QUIZ_EVENTS.pause, now: 8000 }), resumed);
+  });
+
+  it('never pauses a quiz without pauses', () => {
+    const started = startQuiz({ timeLimit: 3, pauseLimit: 0 });
+    assert.equal(transition(started, { type: QUIZ_EVENTS.pause, now: 2000 }), started);
+  });
+
+  it('goes back to earlier questions with a fresh timer, keeping their answers', () => {
+    const second = replay(startQuiz(), [
+      { type: QUIZ_EVENTS.selectAnswer, answer: 0 },
+      { type: QUIZ_EVENTS.next, now: 2000 },
+      { type: QUIZ_EVENTS.tick }
+    ]);
+    const back = transition(second, { type: QUIZ_EVENTS.previous });
+
+    assert.equal(back.currentIndex, 0);
+    assert.equal(back.timeRemaining, 3);
+    assert.deepEqual(back.answers, { 'local-1': 0 });
+    assert.equal(transition(back, { type: QUIZ_EVENTS.previous }), back);
+  });
+
+  it('scores a completed quiz', () => {
+    const started = startQuiz({ timeLimit: 3, pauseLimit: null });
+    assert.equal(getQuizResults(started), null);
+
+    const completed = replay(started, [
+      { type: QUIZ_EVENTS.selectAnswer, answer: 0 },
+      { type: QUIZ_EVENTS.next, now: 2000 },
+      { type: QUIZ_EVENTS.selectAnswer, answer: 1 },
+      { type: QUIZ_EVENTS.pause, now: 3000 },
+      { type: QUIZ_EVENTS.resume, now: 4000 },
+      { type: QUIZ_EVENTS.next, now: 5000 },
+      { type: QUIZ_EVENTS.next, now: 6000 }
+    ]);
+
+    assert.equal(completed.status, QUIZ_STATES.completed);
+    assert.equal(transition(completed, { type: QUIZ_EVENTS.finish, now: 7000 }), completed);
+
+    const results = getQuizResults(completed);
+    assert.equal(results.score, 1);
+    assert.equal(results.total, 3);
+    assert.equal(results.percentage, 33);
+    assert.equal(results.timeTaken, 4000);
+    assert.equal(results.seed, 'k3mq8zta');
+    assert.deepEqual(results.pauses, [{ questionIndex: 1, timeRemaining: 3, duration: 1000 }]);
+  });
+
+  it('restores a saved quiz, leaving the time away out', () => {
+    const saved = replay(startQuiz(), [
+      { type: QUIZ_EVENTS.selectAnswer, answer: 0 },
+      { type: QUIZ_EVENTS.next, now: 2000 },
+      { type: QUIZ_EVENTS.tick }
+    ]);
+    const restored = transition(createQuizState(), { type: QUIZ_EVENTS.restore, snapshot: saved, savedAt: 3000, now: 10000 });
+
+    assert.equal(restored.status, QUIZ_STATES.inProgress);
+    assert.equal(restored.currentIndex, 1);
+    assert.equal(restored.timeRemaining, 2);
+    assert.deepEqual(restored.answers, { 'local-1': 0 });
+    assert.equal(restored.pausedTime, 7000);
+    assert.equal(getTimeTaken(restored, 11000), 3000);
+  });
+
+  it('restores a paused quiz without counting the time away twice', () => {
+    const saved = transition(startQuiz({ timeLimit: 3, pauseLimit: 1 }), { type: QUIZ_EVENTS.pause, now: 2000 });
+    const restored = transition(createQuizState(), { type: QUIZ_EVENTS.restore, snapshot: saved, savedAt: 3000, now: 10000 });
+
+    assert.equal(restored.status, QUIZ_STATES.paused);
+    assert.equal(restored.pausedTime, 0);
+    // The pause runs from when it began, so resuming counts the time away once
+    assert.equal(transition(restored, { type: QUIZ_EVENTS.resume, now: 10000 }).pausedTime, 8000);
+  });
+
+  it('ignores snapshots of quizzes that are not under way', () => {
+    const loading = createQuizState();
+    const finished = transition(startQuiz(), { type: QUIZ_EVENTS.finish, now: 2000 });
+
+    assert.equal(transition(loading, { type: QUIZ_EVENTS.restore, snapshot: finished, savedAt: 2000, now: 3000 }), loading);
+    assert.equal(transition(loading, { type: QUIZ_EVENTS.restore, snapshot: null, savedAt: 2000, now: 3000 }), loading);
+  });
+
+  it('finishes early with FINISH, closing a pause in progress', () => {
+    const finished = replay(startQuiz(), [
+      { type: QUIZ_EVENTS.pause, now: 2000 },
+      { type: QUIZ_EVENTS.finish, now: 3000 }
+    ]);
+
+    assert.equal(finished.status, QUIZ_STATES.completed);
+    assert.equal(finished.pausedTime, 1000);
+    assert.equal(getQuizResults(finished).timeTaken, 1000);
+  });
+});
@@ -1,4 +1,5 @@
 import { useState, useEffect } from 'react';
+import { formatDuration } from '../utils/i18n';
 
 /**
  * Custom hook for managing localStorage with React state
@@ -182,15 +183,7 @@ export const useQuizStats = () => {
     });
   };
 
-  const formatTimeSpent = () => {
-    const hours = Math.floor(stats.timeSpent / (1000 * 60 * 60));
-    const minutes = Math.floor((stats.timeSpent % (1000 * 60 * 60)) / (1000 * 60));
-    
-    if (hours > 0) {
-      return `${hours}h ${minutes}m`;
-    }
-    return `${minutes}m`;
-  };
+  const formatTimeSpent = () => formatDuration(stats.timeSpent, { smallestUnit: 'minute' });
 
   return {
     stats,
@@ -1,157 +1,414 @@
-import { useState, useEffect, useRef } from 'react';
-import { fetchQuestionsWithRetry } from '../utils/api';
-import questionsData from '../data/questions.json';
+import { useState, useEffect, useRef, useMemo, useReducer } from 'react';
+import { resolveProvider, loadFallbackQuestions, DEFAULT_PROVIDER_ID } from '../utils/providers';
+import {
+  QUIZ_STATES,
+  QUIZ_EVENTS,
+  createQuizState,
+  transition,
+  isLastQuestion as isOnLastQuestion,
+  isWaitingForQuestions,
+  isUnfinished,
+  getPausesLeft,
+  canPause as canPauseQuiz,
+  hasCurrentAnswer,
+  getQuizResults
+} from '../engine/quizEngine';
+import { REQUEST_PRIORITIES, subscribeToRequestQueue, isAbortError } from '../utils/api';
+import { filterRecentlySeen, markQuestionsSeen, getSeenCooldown, getSeenLog } from '../utils/seenQuestions';
+import { prefetchQuiz, takePrefetchedQuiz } from '../utils/quizPrefetch';
+import { preloadMedia, isMediaReady } from '../utils/media';
+import { animationController } from '../utils/animations';
+import { saveQuizSession, getQuizSession, loadSessionQuestions, clearQuizSession } from '../utils/quizSession';
+import { localizeQuestions } from '../utils/questionTranslations';
+import { createSeed, normalizeSeed } from '../utils/random';
+import { createMessage, createMessageError } from '../utils/i18n';
+import { useTranslation } from './useTranslation';
+
+// Start loading the next quiz when this many questions are left
+const PREFETCH_AHEAD = 3;
+
+// How long a question stays up, locked, after its time runs out
+const TIME_UP_DELAY = 1000;
+
+// Seconds of a question's timer between saves of an unfinished quiz
+const SESSION_SAVE_INTERVAL = 5;
+
+/**
+ * Explains where a quiz couldn't avoid repeats: fewer questions than asked
+ * for, or questions the player has seen within the cooldown window
+ * @param {Array} questions - Loaded questions
+ * @param {number} amount - Number of questions asked for
+ * @param {object} seenLog - Seen log from before the quiz began (questions shown since don't count)
+ * @returns {Array} Notices as { type, key, params }
+ */
+const describeRepeats = (questions, amount, seenLog) => {
+  const notices = [];
+  const recent = filterRecentlySeen(questions, seenLog);
+
+  if (questions.length < amount) {
+    notices.push({
+      type: 'short-quiz',
+      ...createMessage('quiz.notices.shortQuiz', { count: questions.length, amount })
+    });
+  }
+
+  if (recent.length > 0) {
+    const period = createMessage('quiz.notices.period', { count: getSeenCooldown() });
+    notices.push({
+      type: 'recently-seen',
+      ...(recent.length === questions.length
+        ? createMessage('quiz.notices.recentlySeenAll', { period })
+        : createMessage('quiz.notices.recentlySeen', { count: recent.length, period }))
+    });
+  }
+
+  return notices;
+};
 
 /**
  * Custom hook for managing quiz state and logic
+ *
+ * The quiz rules live in engine/quizEngine.js; this hook loads the questions,
+ * drives the engine's clock and translates questions for the player.
  */
 export const useQuiz = (options = {}) => {
   const {
-    useAPI = false,
+    source = DEFAULT_PROVIDER_ID, // question provider id, see utils/providers
     amount = 10,
-    category = null,
+    categories = [], // category ids, empty for any category
     difficulty = null,
-    timeLimit = 30 // seconds per question
+    type = 'multiple', // 'multiple', 'boolean', or null for both
+    timeLimit = 30, // seconds per question
+    pauseLimit = null, // pauses allowed, null for no limit and 0 for none (exams)
+    seed = null, // deals the same quiz again from the same source, see utils/random
+    questionIds = null, // plays exactly these questions, e.g. from a challenge link
+    session = null // { id, options } saves the quiz as it goes, to resume after a refresh; null for exams
   } = options;
 
-  // Quiz state
-  const [questions, setQuestions] = useState([]);
-  const [currentQuestionIndex, setCurrentQuestionIndex] = useState(0);
-  const [selectedAnswers, setSelectedAnswers] = useState({});
+  const { locale } = useTranslation();
+
+  // Quiz state, see engine/quizEngine.js
+  const [quiz, dispatch] = useReducer(transition, { timeLimit, pauseLimit }, createQuizState);
+
+  // Loading state
   const [isLoading, setIsLoading] = useState(false);
   const [error, setError] = useState(null);
-  const [quizCompleted, setQuizCompleted] = useState(false);
-  const [score, setScore] = useState(0);
-  const [timeRemaining, setTimeRemaining] = useState(timeLimit);
-  const [timerActive, setTimerActive] = useState(false);
-  const [startTime, setStartTime] = useState(null);
-  const [endTime, setEndTime] = useState(null);
+  const [errorCode, setErrorCode] = useState(null);
+  const [notices, setNotices] = useState([]);
+  const [queueStatus, setQueueStatus] = useState(null); // { position, wait } while a request waits its turn
+  const [loadProgress, setLoadProgress] = useState(null); // { loaded, total } while a large quiz streams in
+  const [, setSettledMedia] = useState(0); // bumped when media finishes preloading, to re-render
 
-  const timerRef = useRef(null);
+  const loadControllerRef = useRef(null);
 
-  // Load questions on mount
+  const { status, currentIndex: currentQuestionIndex, startedAt } = quiz;
+  const quizCompleted = status === QUIZ_STATES.completed;
+  const isPaused = status === QUIZ_STATES.paused;
+
+  // Questions as the player sees them, in their language where a translation exists
+  const questions = useMemo(() => localizeQuestions(quiz.questions, locale), [quiz.questions, locale]);
+
+  // The current question (and its timer) is held back until its media has loaded
+  const mediaReady = isMediaReady((questions[currentQuestionIndex] || {}).media);
+
+  // Callers usually pass a fresh array each render, so compare categories by value
+  const categoriesKey = JSON.stringify(categories);
+  const questionIdsKey = JSON.stringify(questionIds);
+
+  // Load questions on mount, cancelling the request if the page closes first
   useEffect(() => {
     loadQuestions();
-  }, [useAPI, amount, category, difficulty]);
 
-  // Timer effect
+    return () => {
+      if (loadControllerRef.current) {
+        loadControllerRef.current.abort();
+      }
+    };
+  }, [source, amount, categoriesKey, difficulty, type, seed, questionIdsKey]);
+
+  // Remember every question the player gets to see
   useEffect(() => {
-    if (timerActive && timeRemaining > 0) {
-      timerRef.current = setTimeout(() => {
-        setTimeRemaining(prev => prev - 1);
-      }, 1000);
-    } else if (timeRemaining === 0 && timerActive) {
-      handleTimeUp();
+    const question = quiz.questions[currentQuestionIndex];
+    if (startedAt && question) {
+      markQuestionsSeen([question]);
     }
+  }, [startedAt, currentQuestionIndex, quiz.questions]);
+
+  // Fetch every question's media up front so later questions appear without a wait
+  useEffect(() => {
+    questions.forEach(question => preloadMedia(question.media));
+  }, [questions]);
+
+  // Re-render once the current question's media is in
+  useEffect(() => {
+    if (mediaReady) return;
+
+    let cancelled = false;
+    preloadMedia(questions[currentQuestionIndex].media).then(() => {
+      if (!cancelled) setSettledMedia(count => count + 1);
+    });
 
     return () => {
-      if (timerRef.current) {
-        clearTimeout(timerRef.current);
-      }
+      cancelled = true;
     };
-  }, [timeRemaining, timerActive]);
+  }, [questions, currentQuestionIndex, mediaReady]);
 
-  /**
-   * Shuffle an array using Fisher-Yates algorithm
-   * @param {Array} array - Array to shuffle
-   * @returns {Array} New shuffled array
-   */
-  const shuffleQuestions = (array) => {
-    const shuffled = [...array];
-    for (let i = shuffled.length - 1; i > 0; i--) {
-      const j = Math.floor(Math.random() * (i + 1));
-      [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+  // Load the next quiz with the same options in the background as this one nears its end.
+  // A seeded quiz deals the same questions again, so there is nothing to get ahead of.
+  const isLinked = Boolean(questionIds);
+  useEffect(() => {
+    if (!seed && !isLinked && startedAt && !isLoading && !quizCompleted && currentQuestionIndex >= questions.length - PREFETCH_AHEAD) {
+      prefetchQuiz({ source, amount, categories: JSON.parse(categoriesKey), difficulty, type });
     }
-    return shuffled;
-  };
+  }, [
+    source,
+    amount,
+    categoriesKey,
+    difficulty,
+    type,
+    seed,
+    isLinked,
+    startedAt,
+    currentQuestionIndex,
+    questions.length,
+    isLoading,
+    quizCompleted
+  ]);
+
+  // The engine's clock: one tick a second while a question (and its media) is on screen
+  useEffect(() => {
+    if (status !== QUIZ_STATES.inProgress || !mediaReady) return undefined;
+
+    const timeout = setTimeout(() => dispatch({ type: QUIZ_EVENTS.tick }), 1000);
+    return () => clearTimeout(timeout);
+  }, [status, quiz.timeRemaining, currentQuestionIndex, mediaReady]);
+
+  // Save the quiz as it is played, so a refresh or a crash can pick it up again: after
+  // every answer, move, pause and clip play, and every few seconds of the timer
+  const latestQuizRef = useRef(quiz);
+  latestQuizRef.current = quiz;
+  const sessionId = session ? session.id : null;
+  const sessionOptions = session ? session.options : null;
+  const timerCheckpoint = Math.ceil(quiz.timeRemaining / SESSION_SAVE_INTERVAL);
+  useEffect(() => {
+    if (!sessionId) return;
+
+    const latestQuiz = latestQuizRef.current;
+    if (isUnfinished(latestQuiz)) {
+      saveQuizSession({ id: sessionId, options: sessionOptions, quiz: latestQuiz });
+    } else if (latestQuiz.status === QUIZ_STATES.completed) {
+      clearQuizSession(sessionId);
+    }
+  }, [
+    sessionId,
+    sessionOptions,
+    status,
+    currentQuestionIndex,
+    quiz.answers,
+    quiz.mediaPlays,
+    quiz.pauses,
+    quiz.questions,
+    timerCheckpoint
+  ]);
+
+  // Freeze every animation while the quiz is paused
+  useEffect(() => {
+    if (!isPaused) return undefined;
+
+    animationController.pauseAll();
+    return () => animationController.resumeAll();
+  }, [isPaused]);
+
+  // Move on a moment after a question's time runs out
+  useEffect(() => {
+    if (status !== QUIZ_STATES.reviewing) return undefined;
+
+    const timeout = setTimeout(() => dispatch({ type: QUIZ_EVENTS.advance, now: Date.now() }), TIME_UP_DELAY);
+    return () => clearTimeout(timeout);
+  }, [status, currentQuestionIndex]);
+
+  // Questions still streaming in are no longer needed once the quiz is over
+  useEffect(() => {
+    if (quizCompleted && isLoading && loadControllerRef.current) {
+      loadControllerRef.current.abort();
+      setQueueStatus(null);
+      setLoadProgress(null);
+      setIsLoading(false);
+    }
+  }, [quizCompleted, isLoading]);
 
   /**
-   * Load questions from API or local data
+   * Load questions from the selected provider
    */
   const loadQuestions = async () => {
-    setIsLoading(true);
+    // Only the latest load may update the quiz
+    if (loadControllerRef.current) {
+      loadControllerRef.current.abort();
+    }
+    const controller = new AbortController();
+    const { signal } = controller;
+    loadControllerRef.current = controller;
+
+    dispatch({ type: QUIZ_EVENTS.load, timeLimit, pauseLimit });
     setError(null);
-    
+    setErrorCode(null);
+    setNotices([]);
+    setQueueStatus(null);
+    setLoadProgress(null);
+
+    setIsLoading(true);
+
+    // A quiz cut short by a refresh or a crash carries on where it was
+    const saved = session ? getQuizSession() : null;
+    if (saved && saved.id === session.id) {
+      const savedQuestions = await loadSessionQuestions(saved.quiz);
+      if (signal.aborted) return;
+
+      if (savedQuestions) {
+        const snapshot = { ...saved.quiz, questions: savedQuestions };
+        dispatch({ type: QUIZ_EVENTS.restore, snapshot, savedAt: saved.savedAt, now: Date.now() });
+        setIsLoading(false);
+        return;
+      }
+
+      clearQuizSession(saved.id);
+      setNotices([{ type: 'resume-unavailable', ...createMessage('quiz.notices.resumeUnavailable') }]);
+    }
+
+    const provider = resolveProvider(source);
+    const seenLog = getSeenLog();
+    let streamed = []; // Questions that arrived in chunks, playable before the load finishes
+    let loadOptions = null;
+
+    // A quiz prefetched with the same options skips the wait, unless a seed or a
+    // list of questions asks for a particular quiz
+    const explicitSeed = normalizeSeed(seed);
+    const linkedIds = questionIds && questionIds.length > 0 ? questionIds : null;
+    const prefetched = explicitSeed || linkedIds ? null : takePrefetchedQuiz({ source, amount, categories, difficulty, type }, signal);
+    const ownSignals = prefetched ? [signal, prefetched.signal] : [signal];
+
+    const unsubscribe = subscribeToRequestQueue(({ requests }) => {
+      const request = requests.find(item => ownSignals.includes(item.signal));
+      setQueueStatus(request ? { position: request.position, wait: request.wait } : null);
+    });
+
     try {
-      let questionData;
-      
-      if (useAPI) {
-        questionData = await fetchQuestionsWithRetry(amount, category, difficulty);
-      } else {
-        // Use local questions and filter/limit as needed
-        let filteredQuestions = questionsData.questions
-          .filter(q => {
-            if (difficulty && q.difficulty !== difficulty) return false;
-            return true;
-          })
-          .map((question, index) => ({
-            ...question,
-            id: question.id || index + 1
-          }));
-
-        // FIXED: Shuffle questions before selecting to randomize order
-        const shuffledQuestions = shuffleQuestions(filteredQuestions);
-        
-        // If we have enough questions, take random selection
-        // If not enough, repeat questions by shuffling again
-        if (shuffledQuestions.length >= amount) {
-          questionData = shuffledQuestions.slice(0, amount);
-        } else if (shuffledQuestions.length > 0) {
-          // If we need more questions than available, repeat with reshuffling
-          questionData = [];
-          let questionsPool = [...shuffledQuestions];
-          
-          while (questionData.length < amount) {
-            if (questionsPool.length === 0) {
-              // Reshuffle original questions when pool is empty
-              questionsPool = shuffleQuestions(filteredQuestions);
-            }
-            
-            // Take one question from pool
-            const question = questionsPool.pop();
-            
-            // Assign new ID to avoid conflicts with repeated questions
-            questionData.push({
-              ...question,
-              id: questionData.length + 1
-            });
+      // Linked questions are played as given; when none are available here, deal
+      // a quiz with the same settings instead
+      if (linkedIds) {
+        const linked = await provider.loadQuestionsById(linkedIds);
+        if (signal.aborted) return;
+
+        if (linked.length > 0) {
+          dispatch({ type: QUIZ_EVENTS.questionsLoaded, questions: linked, seed: explicitSeed || createSeed() });
+          if (linked.length < linkedIds.length) {
+            setNotices(prev => [...prev, {
+              type: 'short-quiz',
+              ...createMessage('quiz.notices.linkedMissing', { count: linkedIds.length - linked.length })
+            }]);
+          }
+          return;
+        }
+
+        setNotices(prev => [...prev, { type: 'short-quiz', ...createMessage('quiz.notices.linkedUnavailable') }]);
+      }
+
+      const prefetchedQuiz = prefetched ? await prefetched.result : null;
+      if (signal.aborted) return;
+
+      if (prefetchedQuiz) {
+        setNotices(prev => [...prev, ...prefetchedQuiz.notices]);
+      }
+
+      // Every quiz gets a seed so its result can say how to deal it again. Only a seed
+      // the player chose lets recently seen questions back in, to keep the quiz identical.
+      const loadSeed = prefetchedQuiz ? prefetchedQuiz.seed : (explicitSeed || createSeed());
+      loadOptions = { amount, categories, difficulty, type, seed: loadSeed, avoidSeen: !explicitSeed };
+
+      const questionData = prefetchedQuiz ? prefetchedQuiz.questions : await provider.loadQuestions({
+        ...loadOptions,
+        signal,
+        priority: REQUEST_PRIORITIES.interactive,
+        onNotice: (notice) => {
+          if (!signal.aborted) setNotices(prev => [...prev, notice]);
+        },
+        onChunk: (chunk, chunkProgress) => {
+          if (signal.aborted) return;
+
+          const streamedIds = new Set(streamed.map(question => question.id));
+          const fresh = chunk.filter(question => !streamedIds.has(question.id));
+
+          if (streamed.length === 0) {
+            dispatch({ type: QUIZ_EVENTS.questionsLoaded, questions: fresh, seed: loadSeed, streaming: true });
+          } else {
+            dispatch({ type: QUIZ_EVENTS.questionsAdded, questions: fresh });
           }
-        } else {
-          questionData = [];
+          streamed = [...streamed, ...fresh];
+          setLoadProgress(chunkProgress);
         }
+      });
+
+      if (signal.aborted) return;
+
+      if (streamed.length > 0) {
+        // The quiz may already be under way, so only add what the chunks missed
+        const streamedIds = new Set(streamed.map(question => question.id));
+        const missing = questionData.filter(question => !streamedIds.has(question.id));
+
+        dispatch({ type: QUIZ_EVENTS.questionsAdded, questions: missing });
+        setNotices(prev => [...prev, ...describeRepeats([...streamed, ...missing], amount, seenLog)]);
+        return;
       }
 
       if (questionData.length === 0) {
-        throw new Error('No questions found');
+        throw createMessageError('quiz.notices.noQuestions');
       }
 
-      setQuestions(questionData);
-      setCurrentQuestionIndex(0);
-      setSelectedAnswers({});
-      setQuizCompleted(false);
-      setScore(0);
-      setTimeRemaining(timeLimit);
-      setTimerActive(false);
-      setStartTime(null);
-      setEndTime(null);
+      dispatch({ type: QUIZ_EVENTS.questionsLoaded, questions: questionData, seed: loadSeed });
+      setNotices(prev => [...prev, ...describeRepeats(questionData, amount, seenLog)]);
     } catch (err) {
+      if (signal.aborted || isAbortError(err)) return;
+
+      // Questions that already arrived are still playable
+      if (streamed.length > 0) {
+        setNotices(prev => [...prev, {
+          type: 'partial-load',
+          ...createMessage('api.notices.partialLoad', { loaded: streamed.length, total: amount, reason: err })
+        }]);
+        return;
+      }
+
       console.error('Error loading questions:', err);
-      setError(err.message || 'Failed to load questions');
+      // Kept as a message, translated where it is shown
+      setError(err.key || err.message ? err : createMessage('quiz.notices.failedToLoad'));
+      setErrorCode(err.code || null);
       
-      // Fallback to local questions if API fails
-      if (useAPI) {
-        try {
-          // Apply same shuffling logic for fallback
-          const shuffledQuestions = shuffleQuestions(questionsData.questions);
-          const fallbackQuestions = shuffledQuestions.slice(0, amount);
-          setQuestions(fallbackQuestions);
-          setError('Using offline questions due to connection issues');
-        } catch (fallbackErr) {
-          setError('Failed to load questions');
+      // Fall back to the provider's fallback chain (saved questions, then local questions)
+      if (provider.fallback && loadOptions) {
+        const fallbackQuestions = await loadFallbackQuestions(provider.id, loadOptions);
+
+        if (signal.aborted) return;
+
+        if (fallbackQuestions.length > 0) {
+          dispatch({ type: QUIZ_EVENTS.questionsLoaded, questions: fallbackQuestions, seed: loadOptions.seed });
+          setError(null);
+          setErrorCode(null);
+          setNotices(prev => [...prev, {
+            type: 'offline-fallback',
+            ...createMessage('quiz.notices.offlineFallback', {
+              reason: err.key || err.message ? err : createMessage('quiz.notices.couldNotReach')
+            })
+          }, ...describeRepeats(fallbackQuestions, amount, seenLog)]);
         }
       }
     } finally {
-      setIsLoading(false);
+      unsubscribe();
+      if (!signal.aborted) {
+        dispatch({ type: QUIZ_EVENTS.loadSettled });
+        setQueueStatus(null);
+        setLoadProgress(null);
+        setIsLoading(false);
+      }
     }
   };
 
@@ -159,103 +416,65 @@ export const useQuiz = (options = {}) => {
    * Start the quiz and timer
    */
   const startQuiz = () => {
-    setStartTime(new Date());
-    setTimerActive(true);
+    dispatch({ type: QUIZ_EVENTS.start, now: Date.now() });
   };
 
   /**
    * Handle answer selection
+   * @param {*} answer - Option index, or a list of indices for multi-select and ordering questions
    */
-  const selectAnswer = (answerIndex) => {
-    if (quizCompleted) return;
-
-    const questionId = questions[currentQuestionIndex].id;
-    setSelectedAnswers(prev => ({
-      ...prev,
-      [questionId]: answerIndex
-    }));
+  const selectAnswer = (answer) => {
+    dispatch({ type: QUIZ_EVENTS.selectAnswer, answer });
   };
 
   /**
-   * Move to next question
+   * Count a play of the current question's audio clip against its limit
+   */
+  const recordMediaPlay = () => {
+    dispatch({ type: QUIZ_EVENTS.mediaPlayed });
+  };
+
+  /**
+   * Move to next question, finishing the quiz after the last one
    */
   const nextQuestion = () => {
-    if (currentQuestionIndex < questions.length - 1) {
-      setCurrentQuestionIndex(prev => prev + 1);
-      setTimeRemaining(timeLimit);
-    } else {
-      finishQuiz();
-    }
+    dispatch({ type: QUIZ_EVENTS.next, now: Date.now() });
   };
 
   /**
    * Move to previous question
    */
   const previousQuestion = () => {
-    if (currentQuestionIndex > 0) {
-      setCurrentQuestionIndex(prev => prev - 1);
-      setTimeRemaining(timeLimit);
-    }
+    dispatch({ type: QUIZ_EVENTS.previous });
   };
 
   /**
-   * Handle time up for current question
+   * Pause the quiz, if the pause allowance has any left
    */
-  const handleTimeUp = () => {
-    setTimerActive(false);
-    // Auto-advance to next question after a short delay
-    setTimeout(() => {
-      if (currentQuestionIndex < questions.length - 1) {
-        setCurrentQuestionIndex(prev => prev + 1);
-        setTimeRemaining(timeLimit);
-        setTimerActive(true);
-      } else {
-        finishQuiz();
-      }
-    }, 1000);
+  const pauseQuiz = () => {
+    dispatch({ type: QUIZ_EVENTS.pause, now: Date.now() });
   };
 
   /**
-   * Finish the quiz and calculate results
+   * Resume a paused quiz
    */
-  const finishQuiz = () => {
-    setTimerActive(false);
-    setEndTime(new Date());
-    
-    let correctAnswers = 0;
-    const results = questions.map((question, index) => {
-      const userAnswer = selectedAnswers[question.id];
-      const isCorrect = userAnswer === question.correctAnswer;
-      
-      if (isCorrect) {
-        correctAnswers++;
-      }
-
-      return {
-        question,
-        userAnswer,
-        isCorrect,
-        correctAnswer: question.correctAnswer
-      };
-    });
-
-    setScore(correctAnswers);
-    setQuizCompleted(true);
+  const resumeQuiz = () => {
+    dispatch({ type: QUIZ_EVENTS.resume, now: Date.now() });
+  };
 
-    return {
-      score: correctAnswers,
-      total: questions.length,
-      percentage: Math.round((correctAnswers / questions.length) * 100),
-      results,
-      timeTaken: startTime ? new Date() - startTime : 0
-    };
+  /**
+   * Finish the quiz; the results appear in quizResults
+   */
+  const finishQuiz = () => {
+    dispatch({ type: QUIZ_EVENTS.finish, now: Date.now() });
   };
 
   /**
    * Restart the quiz with new shuffled questions
    */
   const restartQuiz = () => {
-    // Reload questions to get a new random set
+    // Reload questions to get a new random set, rather than the saved quiz
+    if (session) clearQuizSession(session.id);
     loadQuestions();
   };
 
@@ -268,55 +487,65 @@ export const useQuiz = (options = {}) => {
 
   // Computed values
   const currentQuestion = questions[currentQuestionIndex];
-  const progress = questions.length > 0 ? ((currentQuestionIndex + 1) / questions.length) * 100 : 0;
-  const hasSelectedAnswer = currentQuestion ? selectedAnswers[currentQuestion.id] !== undefined : false;
-  const canGoNext = hasSelectedAnswer || quizCompleted;
+  const totalQuestions = isLoading && loadProgress ? Math.max(loadProgress.total, questions.length) : questions.length;
+  const waitingForQuestions = isWaitingForQuestions(quiz);
+  const progress = totalQuestions > 0 ? ((currentQuestionIndex + 1) / totalQuestions) * 100 : 0;
+  const hasSelectedAnswer = hasCurrentAnswer(quiz);
+  const canGoNext = (hasSelectedAnswer || quizCompleted) && !waitingForQuestions;
   const canGoPrevious = currentQuestionIndex > 0 && !quizCompleted;
-  const isLastQuestion = currentQuestionIndex === questions.length - 1;
-  
-  const quizResults = quizCompleted ? {
-    score,
-    total: questions.length,
-    percentage: Math.round((score / questions.length) * 100),
-    results: questions.map(question => ({
-      question,
-      userAnswer: selectedAnswers[question.id],
-      isCorrect: selectedAnswers[question.id] === question.correctAnswer,
-      correctAnswer: question.correctAnswer
-    })),
-    timeTaken: startTime && endTime ? endTime - startTime : 0
-  } : null;
+  const isLastQuestion = isOnLastQuestion(quiz);
+  const pausesLeft = getPausesLeft(quiz); // null when unlimited
+  const canPause = canPauseQuiz(quiz);
+
+  // Results keep their identity until the quiz changes, so effects can depend on them
+  const quizResults = useMemo(() => getQuizResults(quiz, questions), [quiz, questions]);
 
   return {
     // State
     questions,
     currentQuestion,
     currentQuestionIndex,
-    selectedAnswers,
+    selectedAnswers: quiz.answers,
     isLoading,
     error,
+    errorCode,
+    notices,
+    queueStatus,
+    loadProgress,
+    status,
+    mediaPlays: quiz.mediaPlays,
     quizCompleted,
-    score,
-    timeRemaining,
-    timerActive,
-    startTime,
-    endTime,
+    isPaused,
+    score: quizResults ? quizResults.score : 0,
+    timeRemaining: quiz.timeRemaining,
+    timerActive: status === QUIZ_STATES.inProgress,
+    startTime: startedAt ? new Date(startedAt) : null,
+    endTime: quiz.finishedAt ? new Date(quiz.finishedAt) : null,
+    seed: quiz.seed,
     
     // Computed values
+    totalQuestions,
+    waitingForQuestions,
+    mediaReady,
     progress,
     hasSelectedAnswer,
     canGoNext,
     canGoPrevious,
     isLastQuestion,
+    pausesLeft,
+    canPause,
     quizResults,
     
     // Actions
     loadQuestions,
     startQuiz,
     selectAnswer,
+    recordMediaPlay,
     nextQuestion,
     previousQuestion,
     skipQuestion,
+    pauseQuiz,
+    resumeQuiz,
     finishQuiz,
     restartQuiz
   };
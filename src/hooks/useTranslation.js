@@ -0,0 +1,39 @@
+import { useEffect, useState } from 'react';
+import {
+  getLocale,
+  getDirection,
+  setLocale,
+  subscribeToLocale,
+  translate,
+  translateMessage,
+  formatNumber,
+  formatPercent,
+  formatDate,
+  formatDuration,
+  formatClock
+} from '../utils/i18n';
+
+/**
+ * Custom hook for translated text and locale-aware formatting.
+ * Components using it re-render when the language changes.
+ */
+export const useTranslation = () => {
+  const [locale, setLocaleState] = useState(getLocale);
+
+  useEffect(() => subscribeToLocale(setLocaleState), []);
+
+  return {
+    locale,
+    direction: getDirection(locale),
+    setLocale,
+    t: translate,
+    translateMessage,
+    formatNumber,
+    formatPercent,
+    formatDate,
+    formatDuration,
+    formatClock
+  };
+};
+
+export default useTranslation;
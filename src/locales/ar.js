@@ -0,0 +1,723 @@
+/**
+ * Arabic interface text (right-to-left)
+ * Counted messages use the full set of Arabic plural forms.
+ */
+export default {
+  common: {
+    appName: 'QuizMaster',
+    tagline: 'تحدَّ معرفتك',
+    loading: 'جارٍ التحميل...',
+    timeLeft: 'الوقت المتبقي',
+    cancel: 'إلغاء',
+    backToHome: 'العودة إلى الرئيسية',
+    notAvailable: 'غير متاح',
+    any: 'أي',
+    language: 'اللغة'
+  },
+
+  challenge: {
+    copy: 'نسخ رابط التحدي',
+    copied: 'تم نسخ الرابط',
+    copyManually: 'انسخ هذا الرابط لتتحدى صديقًا بالاختبار نفسه:',
+    unavailable: 'لا يمكن مشاركة اختبارات Open Trivia DB أو الأسئلة المحفوظة أو حزم أسئلتك كرابط تحدٍّ: فأسئلتها محفوظة في هذا المتصفح فقط، ولا يستطيع متصفح صديقك العثور عليها.'
+  },
+
+  difficulty: {
+    mixed: 'مختلط',
+    easy: 'سهل',
+    medium: 'متوسط',
+    hard: 'صعب'
+  },
+
+  questionTypes: {
+    mixed: 'مختلط',
+    multiple: 'اختيار من متعدد',
+    boolean: 'صح / خطأ',
+    'multi-select': 'اختر كل ما ينطبق',
+    ordering: 'ترتيب',
+    text: 'اكتب الإجابة'
+  },
+
+  sources: {
+    label: 'مصدر الأسئلة',
+    opentdb: {
+      name: 'Open Trivia DB',
+      shortName: 'API',
+      description: 'أسئلة جديدة من Open Trivia DB'
+    },
+    cache: {
+      name: 'الأسئلة المحفوظة',
+      shortName: 'محفوظة',
+      description: 'أسئلة محفوظة من اختبارات سابقة عبر الإنترنت'
+    },
+    local: {
+      name: 'الأسئلة المحلية',
+      shortName: 'محلية',
+      description: 'أسئلة مختارة بدون اتصال'
+    },
+    pack: {
+      description: {
+        zero: 'حزمتك · لا أسئلة',
+        one: 'حزمتك · سؤال واحد',
+        two: 'حزمتك · سؤالان',
+        few: 'حزمتك · {count} أسئلة',
+        many: 'حزمتك · {count} سؤالًا',
+        other: 'حزمتك · {count} سؤال'
+      }
+    },
+    errors: {
+      noValidQuestions: 'لم يُرجع {source} أي سؤال صالح.',
+      cacheEmpty: 'لا توجد أسئلة محفوظة بعد. العب اختبارًا عبر الإنترنت أولًا لتكوين مجموعتك دون اتصال.',
+      packEmpty: 'لا تحتوي الحزمة "{name}" على أسئلة لهذه الإعدادات.'
+    }
+  },
+
+  layout: {
+    footer: '© 2024 QuizMaster. تحدَّ نفسك ووسّع معرفتك.',
+    about: 'حول',
+    contact: 'اتصل بنا',
+    github: 'GitHub'
+  },
+
+  home: {
+    source: {
+      title: 'مصدر الأسئلة',
+      using: 'المصدر: {name}',
+      online: '{icon} أسئلة مباشرة، تحتاج إلى اتصال بالإنترنت',
+      offline: '{icon} أسئلة بدون اتصال لتدريب موثوق'
+    },
+    hero: {
+      onlineSubtitle: 'اختبر معرفتك بأسئلة جديدة من قاعدة بياناتنا العالمية',
+      offlineSubtitle: 'تدرّب باستخدام مجموعتنا المختارة من الأسئلة بدون اتصال',
+      description: 'اختر مستوى الصعوبة، وسابق الزمن، وتابع تقدّمك حتى تصبح QuizMaster حقيقيًا!',
+      startOnline: 'ابدأ اختبارًا جديدًا 🌐',
+      startOffline: 'ابدأ اختبارًا سريعًا 💾',
+      custom: 'اختبار مخصص ⚙️'
+    },
+    resume: {
+      title: 'تابع اختبارك غير المكتمل',
+      progress: 'السؤال {number} من {total}',
+      savedAt: 'حُفظ في {date}',
+      resume: 'متابعة',
+      discard: 'تجاهل'
+    },
+    liveMode: {
+      title: 'وضع الاتصال المباشر:',
+      text: 'تُجلب الأسئلة من {name} لأكبر قدر من التنوع!'
+    },
+    progress: {
+      title: 'تقدّمك',
+      quizzesTaken: 'الاختبارات المنجزة',
+      averageScore: 'متوسط النتيجة',
+      bestStreak: 'أفضل سلسلة',
+      timePlayed: 'وقت اللعب',
+      bestScore: '🏆 أفضل نتيجة لك: {percentage} ({score}/{total})'
+    },
+    modes: {
+      title: 'اختر تحديك',
+      subtitle: 'اختر وضع الاختبار المناسب لمستواك',
+      questions: {
+        zero: 'لا أسئلة',
+        one: 'سؤال واحد',
+        two: 'سؤالان',
+        few: '{count} أسئلة',
+        many: '{count} سؤالًا',
+        other: '{count} سؤال'
+      },
+      perQuestion: '{time} لكل سؤال',
+      start: 'ابدأ الاختبار',
+      quick: {
+        title: 'اختبار سريع',
+        online: 'أسئلة جديدة من قاعدة بياناتنا',
+        offline: '5 أسئلة محلية لتدريب سريع'
+      },
+      standard: {
+        title: 'اختبار قياسي',
+        online: 'التحدي الكلاسيكي من 10 أسئلة عبر API',
+        offline: 'اختبار قياسي بأسئلة محلية'
+      },
+      expert: {
+        title: 'تحدي الخبراء',
+        online: 'أسئلة صعبة من قاعدة البيانات العالمية',
+        offline: 'أسئلة محلية صعبة للخبراء'
+      },
+      lightning: {
+        title: 'الجولة الخاطفة',
+        online: '10 أسئلة من API، 15 ثانية لكل سؤال',
+        offline: '10 أسئلة محلية بإيقاع سريع'
+      }
+    },
+    packs: {
+      title: 'حزم أسئلتك',
+      subtitle: 'اكتب أسئلتك الخاصة أو استوردها من ملفات JSON أو CSV أو Moodle GIFT أو Aiken، ثم العب بها كمصدر',
+      openEditor: '✏️ افتح محرر الأسئلة'
+    },
+    features: {
+      title: 'لماذا QuizMaster؟',
+      subtitle: 'أمتع تجربة اختبارات على الإطلاق',
+      timed: {
+        title: 'أسئلة مؤقتة',
+        description: 'تحدَّ نفسك بحدود زمنية'
+      },
+      progress: {
+        title: 'تابع تقدّمك',
+        description: 'شاهد تحسّنك مع الوقت'
+      },
+      design: {
+        title: 'واجهة جميلة',
+        description: 'حركات سلسة وتصميم متجاوب'
+      }
+    },
+    custom: {
+      title: 'إعدادات الاختبار المخصص',
+      questionCount: 'عدد الأسئلة',
+      noMatches: 'لا توجد أسئلة تطابق هذه الإعدادات. جرّب صعوبة أو فئة أخرى.',
+      onlySome: {
+        one: 'سؤال واحد فقط يطابق هذه الإعدادات، لذا سيستخدمه الاختبار.',
+        two: 'سؤالان فقط يطابقان هذه الإعدادات، لذا سيستخدمهما الاختبار.',
+        few: '{count} أسئلة فقط تطابق هذه الإعدادات، لذا سيستخدمها الاختبار كلها.',
+        many: '{count} سؤالًا فقط يطابق هذه الإعدادات، لذا سيستخدمها الاختبار كلها.',
+        other: '{count} سؤال فقط يطابق هذه الإعدادات، لذا سيستخدمها الاختبار كلها.'
+      },
+      largeQuiz: 'تُحمَّل الاختبارات الكبيرة 50 سؤالًا كل بضع ثوانٍ. يمكنك البدء بمجرد وصول أول 50 سؤالًا.',
+      questionType: 'نوع السؤال',
+      difficulty: 'الصعوبة',
+      categories: 'الفئات',
+      anyCategory: 'أي فئة',
+      pickMany: 'اختر ما تشاء.',
+      all: 'الكل',
+      timeLimit: 'الوقت لكل سؤال',
+      cooldown: 'تجنّب الأسئلة التي ظهرت خلال آخر',
+      cooldownOff: 'إيقاف',
+      cooldownHint: 'تأتي الأسئلة غير المعروضة أولًا. لا تُستخدم الأسئلة المعروضة مؤخرًا إلا عند عدم وجود غيرها.',
+      seed: 'بذرة الاختبار (اختياري)',
+      seedPlaceholder: 'مثلًا k3mq8zta',
+      seedHint: 'البذرة نفسها تعيد الاختبار نفسه من المصدر نفسه. اتركها فارغة لاختبار جديد.',
+      pauses: 'مرات الإيقاف المؤقت المسموحة',
+      pausesUnlimited: 'غير محدودة',
+      pausesNone: 'لا شيء (امتحان)',
+      pausesHint: 'لا يُحتسب وقت الإيقاف المؤقت، ويُخفى السؤال أثناء إيقاف الاختبار.',
+      exam: 'وضع الامتحان',
+      examHint: 'بلا إيقاف مؤقت، ولا يمكن متابعة الاختبار بعد مغادرة الصفحة أو إعادة تحميلها.',
+      sessionExpiry: 'الاحتفاظ بالاختبارات غير المكتملة لمدة:',
+      sessionExpiryHint: 'يمكن متابعة الاختبار الذي قطعته إعادة تحميل أو عطل حتى انتهاء هذه المدة.',
+      historyCleared: 'تم مسح السجل',
+      forgetSeen: 'انسَ الأسئلة المعروضة',
+      start: 'ابدأ الاختبار المخصص'
+    },
+    cta: {
+      title: 'هل أنت مستعد للتحدي؟',
+      online: 'انضم إلى آلاف محبي الاختبارات مع أسئلة جديدة من قاعدة بياناتنا العالمية!',
+      offline: 'تدرّب باستخدام مجموعتنا المختارة بعناية من الأسئلة بدون اتصال!',
+      startOnline: 'ابدأ اختبارًا جديدًا 🌐',
+      startOffline: 'ابدأ اختبارًا تدريبيًا 💾',
+      highScores: 'عرض أفضل النتائج'
+    }
+  },
+
+  quiz: {
+    loading: {
+      title: 'جارٍ تجهيز اختبارك',
+      questions: {
+        zero: 'لا أسئلة للتحميل...',
+        one: 'جارٍ تحميل سؤال واحد...',
+        two: 'جارٍ تحميل سؤالين...',
+        few: 'جارٍ تحميل {count} أسئلة...',
+        many: 'جارٍ تحميل {count} سؤالًا...',
+        other: 'جارٍ تحميل {count} سؤال...'
+      },
+      queue: 'الترتيب {position} في قائمة الانتظار، ~{wait}',
+      ready: '{loaded} من {total} أسئلة جاهزة',
+      startNow: 'ابدأ الآن 🚀',
+      keepLoading: 'يستمر تحميل الباقي أثناء اللعب.'
+    },
+    error: {
+      rateLimit: '⏱️ تم تجاوز حد الطلبات',
+      connection: '🌐 مشكلة في الاتصال',
+      generic: 'خطأ في تحميل الاختبار',
+      whatToDo: 'ما يمكنك فعله:',
+      rateLimitTip1: 'انتظر 10-15 ثانية ثم حاول مجددًا',
+      rateLimitTip2: 'انتقل إلى مصدر الأسئلة المحلية في الصفحة الرئيسية',
+      rateLimitTip3: 'جرّب عددًا أقل من الأسئلة',
+      suggestions: 'اقتراحات:',
+      networkTip1: 'تحقق من اتصالك بالإنترنت',
+      networkTip2: 'جرّب تحديث الصفحة',
+      networkTip3: 'انتقل إلى مصدر الأسئلة المحلية للعب بدون اتصال',
+      tryAgain: 'حاول مجددًا',
+      refresh: 'تحديث الصفحة',
+      tip: '💡 نصيحة: اختر الأسئلة المحلية كمصدر في الصفحة الرئيسية لاختبارات فورية بلا حدود للطلبات!'
+    },
+    start: {
+      title: 'هل أنت مستعد للبدء؟',
+      questions: 'الأسئلة:',
+      timePerQuestion: 'الوقت لكل سؤال:',
+      difficulty: 'الصعوبة:',
+      categories: {
+        one: 'الفئة:',
+        other: 'الفئات:'
+      },
+      questionType: 'نوع السؤال:',
+      instructions: 'التعليمات:',
+      instruction1: 'اقرأ كل سؤال بعناية',
+      instruction2: 'اختر إجابتك قبل انتهاء الوقت',
+      instruction3: 'يمكنك الرجوع إلى الأسئلة السابقة',
+      instruction4: 'ستظهر نتيجتك النهائية في النهاية',
+      pauses: 'مرات الإيقاف المؤقت:',
+      pausesUnlimited: 'غير محدودة',
+      pausesNone: 'لا شيء',
+      examNotice: 'هذا امتحان: لا يمكن إيقافه مؤقتًا، ومغادرة الصفحة أو إعادة تحميلها تنهي هذه المحاولة.',
+      begin: 'ابدأ الاختبار 🚀'
+    },
+    completed: {
+      title: 'اكتمل الاختبار!',
+      score: '{score} من {total} صحيحة',
+      outstanding: 'مذهل! أنت QuizMaster حقيقي! 🏆',
+      excellent: 'عمل ممتاز! أنت تعرف الكثير حقًا! 🌟',
+      good: 'أحسنت! واصل العمل الرائع! 👍',
+      notBad: 'ليس سيئًا! هناك مجال للتحسن! 📈',
+      keepLearning: 'واصل التعلّم! الممارسة تصنع الإتقان! 💪',
+      redirecting: 'جارٍ الانتقال إلى النتائج التفصيلية...'
+    },
+    header: {
+      title: 'تحدي QuizMaster',
+      difficulty: 'الصعوبة: {difficulty}'
+    },
+    pause: '⏸️ إيقاف مؤقت',
+    pausesLeft: {
+      zero: 'لم يتبقَّ أي إيقاف مؤقت',
+      one: 'تبقّى إيقاف مؤقت واحد',
+      two: 'تبقّى إيقافان مؤقتان',
+      few: 'تبقّت {count} إيقافات مؤقتة',
+      many: 'تبقّى {count} إيقافًا مؤقتًا',
+      other: 'تبقّى {count} إيقاف مؤقت'
+    },
+    paused: {
+      title: 'الاختبار متوقف مؤقتًا',
+      text: 'المؤقت متوقف والسؤال مخفي حتى تستأنف.',
+      resume: '▶️ استئناف الاختبار',
+      lastPause: 'كان هذا آخر إيقاف مؤقت لك.'
+    },
+    exit: 'الخروج من الاختبار',
+    loadingMedia: 'جارٍ تحميل الوسائط...',
+    loadingMore: '⏳ جارٍ تحميل المزيد من الأسئلة ({progress})',
+    loadingMoreProgress: '{loaded} من {total}',
+    exitModal: {
+      title: 'الخروج من الاختبار؟',
+      text: 'هل أنت متأكد من رغبتك في الخروج من الاختبار؟ سيضيع تقدّمك.',
+      continue: 'متابعة الاختبار',
+      confirm: 'الخروج'
+    },
+    notices: {
+      resumeUnavailable: 'لا يمكن استئناف الاختبار غير المكتمل لأن بعض أسئلته لم تعد متاحة هنا، لذا هذا اختبار جديد.',
+      invalidQuestions: {
+        zero: 'لم يُتجاوز أي سؤال تالف من {source}.',
+        one: 'تم تجاوز سؤال تالف واحد من {source}.',
+        two: 'تم تجاوز سؤالين تالفين من {source}.',
+        few: 'تم تجاوز {count} أسئلة تالفة من {source}.',
+        many: 'تم تجاوز {count} سؤالًا تالفًا من {source}.',
+        other: 'تم تجاوز {count} سؤال تالف من {source}.'
+      },
+      shortQuiz: {
+        one: 'سؤال واحد مختلف فقط يطابق هذه الإعدادات، لذا يحتوي هذا الاختبار على {count} بدلًا من {amount}.',
+        two: 'سؤالان مختلفان فقط يطابقان هذه الإعدادات، لذا يحتوي هذا الاختبار على {count} بدلًا من {amount}.',
+        few: '{count} أسئلة مختلفة فقط تطابق هذه الإعدادات، لذا يحتوي هذا الاختبار على {count} بدلًا من {amount}.',
+        many: '{count} سؤالًا مختلفًا فقط يطابق هذه الإعدادات، لذا يحتوي هذا الاختبار على {count} بدلًا من {amount}.',
+        other: '{count} سؤال مختلف فقط يطابق هذه الإعدادات، لذا يحتوي هذا الاختبار على {count} بدلًا من {amount}.'
+      },
+      recentlySeenAll: 'عُرضت عليك كل هذه الأسئلة {period}. لا توجد أسئلة جديدة كافية لهذه الإعدادات.',
+      recentlySeen: {
+        one: 'عُرض عليك سؤال واحد من هذه الأسئلة {period}. لا توجد أسئلة جديدة كافية لهذه الإعدادات.',
+        two: 'عُرض عليك سؤالان من هذه الأسئلة {period}. لا توجد أسئلة جديدة كافية لهذه الإعدادات.',
+        few: 'عُرضت عليك {count} أسئلة من هذه الأسئلة {period}. لا توجد أسئلة جديدة كافية لهذه الإعدادات.',
+        many: 'عُرض عليك {count} سؤالًا من هذه الأسئلة {period}. لا توجد أسئلة جديدة كافية لهذه الإعدادات.',
+        other: 'عُرض عليك {count} سؤال من هذه الأسئلة {period}. لا توجد أسئلة جديدة كافية لهذه الإعدادات.'
+      },
+      period: {
+        one: 'خلال اليوم الأخير',
+        two: 'خلال اليومين الأخيرين',
+        few: 'خلال آخر {count} أيام',
+        many: 'خلال آخر {count} يومًا',
+        other: 'خلال آخر {count} يوم'
+      },
+      linkedMissing: {
+        zero: 'كل أسئلة هذا الرابط متاحة هنا.',
+        one: 'سؤال واحد من هذا الرابط غير متاح هنا، لذا الاختبار أقصر.',
+        two: 'سؤالان من هذا الرابط غير متاحين هنا، لذا الاختبار أقصر.',
+        few: '{count} أسئلة من هذا الرابط غير متاحة هنا، لذا الاختبار أقصر.',
+        many: '{count} سؤالًا من هذا الرابط غير متاح هنا، لذا الاختبار أقصر.',
+        other: '{count} سؤال من هذا الرابط غير متاح هنا، لذا الاختبار أقصر.'
+      },
+      linkedUnavailable: 'أسئلة هذا الرابط غير متاحة هنا. سيُعدّ اختبار بالإعدادات نفسها بدلًا منها.',
+      noQuestions: 'لم يتم العثور على أسئلة',
+      failedToLoad: 'تعذّر تحميل الأسئلة',
+      couldNotReach: 'تعذّر الوصول إلى خادم الأسئلة.',
+      offlineFallback: '{reason} سيتم استخدام الأسئلة بدون اتصال بدلًا من ذلك.'
+    }
+  },
+
+  question: {
+    progress: 'السؤال {number} من {total}',
+    explanation: 'الشرح',
+    option: 'الخيار {number}: {text}',
+    previous: '→ السابق',
+    skip: 'تخطَّ السؤال',
+    next: 'السؤال التالي ←',
+    finish: 'إنهاء الاختبار ←',
+    typePrompt: 'اكتب إجابة للمتابعة',
+    selectPrompt: 'اختر إجابة للمتابعة'
+  },
+
+  answers: {
+    selectAll: 'اختر كل الإجابات الصحيحة.',
+    options: 'خيارات الإجابة',
+    dragHint: 'اسحب العناصر إلى الترتيب الصحيح، أو استخدم الأسهم (Alt + ↑/↓ على لوحة المفاتيح).',
+    itemsToOrder: 'عناصر للترتيب',
+    position: 'الموضع {number}: {text}',
+    moveUp: 'نقل {text} لأعلى',
+    moveDown: 'نقل {text} لأسفل',
+    typeHint: 'اكتب إجابتك. لا يلزم أن يكون الإملاء والتشكيل وحالة الأحرف مطابقة تمامًا.',
+    accepted: 'المقبول: {answers}'
+  },
+
+  review: {
+    yourAnswer: 'إجابتك:',
+    correctAnswer: 'الإجابة الصحيحة:',
+    noAnswer: 'لا توجد إجابة',
+    missed: 'فائتة',
+    yourOrder: 'ترتيبك:',
+    correctOrder: 'الترتيب الصحيح:',
+    youTyped: 'كتبت:',
+    acceptedAnswers: {
+      one: 'الإجابة المقبولة:',
+      other: 'الإجابات المقبولة:'
+    }
+  },
+
+  media: {
+    playClip: '▶ تشغيل المقطع',
+    playClipLabel: 'تشغيل المقطع: {alt}',
+    playing: '🔊 جارٍ التشغيل…',
+    playAgain: '↻ تشغيل مجددًا',
+    noPlaysLeft: 'لم تتبقَّ مرات تشغيل',
+    playsLeft: {
+      one: 'تتبقى مرة تشغيل واحدة',
+      two: 'تتبقى مرتا تشغيل',
+      few: 'تتبقى {count} مرات تشغيل',
+      many: 'تتبقى {count} مرة تشغيل',
+      other: 'تتبقى {count} مرة تشغيل'
+    },
+    errors: {
+      type: '{fileName} ليس ملف صورة أو صوت',
+      size: 'حجم {fileName} أكبر من {size} ميغابايت',
+      read: 'تعذّرت قراءة {fileName}'
+    }
+  },
+
+  results: {
+    score: '{score} من {total} إجابات صحيحة',
+    newHighScore: {
+      title: '🎉 نتيجة قياسية جديدة! 🎉',
+      text: 'تهانينا! هذه أفضل نتيجة حققتها حتى الآن!'
+    },
+    timeTaken: 'الوقت المستغرق',
+    correctAnswers: 'الإجابات الصحيحة',
+    incorrectAnswers: 'الإجابات الخاطئة',
+    seed: 'بذرة الاختبار:',
+    pauses: {
+      zero: 'لم يُوقف مؤقتًا',
+      one: 'أُوقف مؤقتًا مرة واحدة لمدة {duration}',
+      two: 'أُوقف مؤقتًا مرتين لمدة {duration} إجمالًا',
+      few: 'أُوقف مؤقتًا {count} مرات لمدة {duration} إجمالًا',
+      many: 'أُوقف مؤقتًا {count} مرة لمدة {duration} إجمالًا',
+      other: 'أُوقف مؤقتًا {count} مرة لمدة {duration} إجمالًا'
+    },
+    retry: '🔄 أعد الاختبار',
+    newQuiz: '🏠 اختبار جديد',
+    showReview: '📝 مراجعة الإجابات',
+    hideReview: '👁️ إخفاء الإجابات',
+    highScores: '🏆 أفضل النتائج',
+    review: {
+      title: 'مراجعة الإجابات',
+      correctCount: '{correct}/{total} صحيحة',
+      question: 'السؤال {number}:',
+      correct: 'صحيحة',
+      partial: 'جزئية ({percent})',
+      incorrect: 'خاطئة'
+    },
+    scores: {
+      title: 'أفضل النتائج',
+      clear: 'مسح النتائج',
+      entry: '{percentage} ({score}/{total})',
+      mixedCategories: 'فئات متنوعة',
+      empty: 'لا توجد نتائج بعد. واصل اللعب لتبني سجلك!'
+    },
+    clearModal: {
+      title: 'مسح أفضل النتائج؟',
+      text: 'هل أنت متأكد من رغبتك في مسح كل أفضل النتائج؟ لا يمكن التراجع عن هذا الإجراء.',
+      confirm: 'مسح النتائج'
+    }
+  },
+
+  packs: {
+    fileFormat: 'صيغة الملف',
+    detectFormat: 'اكتشاف من الملف',
+    importInto: 'استيراد إلى',
+    newPack: 'حزمة جديدة',
+    import: 'استيراد الأسئلة',
+    mediaHint: 'يمكن أن تعرض الأسئلة صورًا أو تشغّل مقاطع صوتية مذكورة في الملف: اختر تلك الملفات معه.',
+    empty: 'لا توجد حزم بعد. استورد ملف JSON أو CSV أو Moodle GIFT أو Aiken لإنشاء حزمة.',
+    questionCount: {
+      zero: 'لا أسئلة',
+      one: 'سؤال واحد',
+      two: 'سؤالان',
+      few: '{count} أسئلة',
+      many: '{count} سؤالًا',
+      other: '{count} سؤال'
+    },
+    delete: 'حذف',
+    confirmDelete: 'تأكيد الحذف',
+    errors: {
+      needsName: 'تحتاج حزم الأسئلة إلى اسم',
+      storageFull: 'تعذّر حفظ الحزمة. قد تكون مساحة تخزين المتصفح ممتلئة.',
+      unknownFormat: 'صيغة حزمة أسئلة غير معروفة "{format}"'
+    },
+    parse: {
+      invalidJSON: 'ليس JSON صالحًا ({reason})',
+      notQuestionList: 'كان المتوقع قائمة أسئلة أو كائنًا يحتوي على "questions"',
+      empty: 'الملف فارغ',
+      questionColumn: 'العمود "question" مفقود',
+      giftNoAnswerBlock: 'لا توجد كتلة إجابات بين أقواس معقوفة (الأوصاف ليست أسئلة)',
+      giftNumeric: 'الأسئلة الرقمية غير مدعومة',
+      giftEmptyBlock: 'كتلة الإجابات فارغة (الأسئلة المقالية غير مدعومة)',
+      giftMatching: 'أسئلة المطابقة غير مدعومة',
+      giftNoCorrectAnswer: 'تعذّر تحديد الإجابة الصحيحة',
+      aikenAnswerFirst: 'سطر ANSWER بلا سؤال',
+      aikenNoOptions: 'السؤال بلا خيارات',
+      aikenUnknownAnswer: 'ANSWER {letter} ليس من الخيارات',
+      aikenExpectedOption: 'كان المتوقع الخيار {letter} أو سطر ANSWER',
+      aikenMissingAnswer: 'ينقصه سطر ANSWER'
+    },
+    skip: {
+      csvSeparator: 'يحتوي خيار أو إجابة على "{separator}"',
+      giftOrdering: 'لا توجد في GIFT أسئلة ترتيب',
+      aikenType: 'لا يدعم Aiken إلا أسئلة الاختيار من متعدد ذات الإجابة الواحدة',
+      media: 'لا يمكن لملفات {format} أن تحمل صورًا أو صوتًا'
+    },
+    report: {
+      pickQuestionFile: 'اختر ملف الأسئلة مع صوره ومقاطعه الصوتية.',
+      missingMedia: '{id}: لم يُختر {fileName} مع ملف الأسئلة، لذا لن يظهر',
+      unusedMedia: 'لا يستخدم أي سؤال {fileName}',
+      alreadyInPack: {
+        zero: 'لم يُتخطَّ أي سؤال',
+        one: 'كان سؤال واحد موجودًا في هذه الحزمة فتم تخطيه',
+        two: 'كان سؤالان موجودين في هذه الحزمة فتم تخطيهما',
+        few: 'كانت {count} أسئلة موجودة في هذه الحزمة فتم تخطيها',
+        many: 'كان {count} سؤالًا موجودًا في هذه الحزمة فتم تخطيها',
+        other: 'كان {count} سؤال موجودًا في هذه الحزمة فتم تخطيها'
+      },
+      nothingImported: 'تعذّر استيراد أي سؤال من {fileName} ({format}).',
+      imported: {
+        zero: 'لم يُستورد أي سؤال إلى "{name}".',
+        one: 'استُورد سؤال واحد إلى "{name}".',
+        two: 'استُورد سؤالان إلى "{name}".',
+        few: 'استُوردت {count} أسئلة إلى "{name}".',
+        many: 'استُورد {count} سؤالًا إلى "{name}".',
+        other: 'استُورد {count} سؤال إلى "{name}".'
+      },
+      translated: {
+        zero: 'لم تُضف ترجمات.',
+        one: 'أُضيفت ترجمات إلى سؤال واحد موجود.',
+        two: 'أُضيفت ترجمات إلى سؤالين موجودين.',
+        few: 'أُضيفت ترجمات إلى {count} أسئلة موجودة.',
+        many: 'أُضيفت ترجمات إلى {count} سؤالًا موجودًا.',
+        other: 'أُضيفت ترجمات إلى {count} سؤال موجود.'
+      },
+      rejected: {
+        zero: 'لم يُرفض شيء:',
+        one: 'رُفض سؤال واحد:',
+        two: 'رُفض سؤالان:',
+        few: 'رُفضت {count} أسئلة:',
+        many: 'رُفض {count} سؤالًا:',
+        other: 'رُفض {count} سؤال:'
+      },
+      readFailed: 'تعذّرت قراءة الملف.',
+      nothingExported: 'لا يمكن كتابة أي سؤال من "{name}" بصيغة {format}.',
+      exportedSkipping: {
+        zero: 'صُدّر {fileName}:',
+        one: 'صُدّر {fileName} دون سؤال واحد:',
+        two: 'صُدّر {fileName} دون سؤالين:',
+        few: 'صُدّر {fileName} دون {count} أسئلة:',
+        many: 'صُدّر {fileName} دون {count} سؤالًا:',
+        other: 'صُدّر {fileName} دون {count} سؤال:'
+      }
+    }
+  },
+
+  editor: {
+    title: 'محرر الأسئلة',
+    subtitle: 'أنشئ حزم أسئلتك الخاصة والعب بها كمصدر للأسئلة',
+    packs: 'الحزم',
+    noPacks: 'لا توجد حزم بعد. أنشئ حزمة لتبدأ بإضافة الأسئلة.',
+    newPackName: 'اسم الحزمة الجديدة',
+    create: 'إنشاء',
+    selectPack: 'اختر حزمة أو أنشئ واحدة من القائمة الجانبية.',
+    editQuestion: 'تعديل السؤال',
+    newQuestion: 'سؤال جديد',
+    saveQuestion: 'حفظ السؤال',
+    preview: 'معاينة',
+    showAnswer: 'إظهار الإجابة',
+    hideAnswer: 'إخفاء الإجابة',
+    previewIncomplete: 'تظهر المعاينة عند اكتمال السؤال.',
+    packName: 'اسم الحزمة',
+    play: 'العب',
+    deletePack: 'حذف الحزمة',
+    confirmDelete: 'تأكيد الحذف',
+    noQuestions: 'لا تحتوي هذه الحزمة على أسئلة بعد.',
+    edit: 'تعديل',
+    duplicate: 'تكرار',
+    deleteQuestion: 'حذف السؤال',
+    confirm: 'تأكيد',
+    addQuestion: 'إضافة سؤال',
+    form: {
+      type: 'النوع',
+      category: 'الفئة',
+      difficulty: 'الصعوبة',
+      question: 'السؤال',
+      formattingHint: 'يمكن أن يستخدم السؤال والخيارات والشرح **غامق** و*مائل* و`كود` و``` كتل كود ``` وx^2^ وH~2~O ومعادلات $\\frac{a}{b}$.',
+      itemsInOrder: 'العناصر بالترتيب الصحيح',
+      optionsTickAll: 'الخيارات (حدّد كل خيار صحيح)',
+      optionsPickOne: 'الخيارات (اختر الخيار الصحيح)',
+      markCorrect: 'تحديد الخيار {number} كصحيح',
+      option: 'الخيار {number}',
+      moveItemUp: 'نقل العنصر {number} للأعلى',
+      moveItemDown: 'نقل العنصر {number} للأسفل',
+      removeOption: 'إزالة الخيار {number}',
+      addOption: 'إضافة خيار',
+      acceptedAnswers: 'الإجابات المقبولة',
+      mainAnswer: 'الإجابة الرئيسية',
+      alsoAccept: 'اقبل أيضًا',
+      removeAcceptedAnswer: 'إزالة الإجابة المقبولة {number}',
+      addAcceptedAnswer: 'إضافة إجابة مقبولة',
+      typosAllowed: 'الأخطاء الإملائية المسموحة (أحرف قد تختلف)',
+      media: 'صورة أو صوت (اختياري)',
+      addFile: 'إضافة ملف',
+      replaceFile: 'استبدال الملف',
+      embeddedImage: 'صورة مضمّنة',
+      embeddedAudio: 'مقطع صوتي مضمّن',
+      mediaAddress: 'أو عنوان ويب',
+      mediaAddressLabel: 'عنوان الصورة أو الصوت',
+      removeMedia: 'إزالة',
+      mediaType: 'النوع',
+      image: 'صورة',
+      audio: 'مقطع صوتي',
+      altText: 'نص بديل',
+      audioDescription: 'وصف (اختياري)',
+      imagePlaceholder: 'ما الذي تعرضه الصورة',
+      audioPlaceholder: 'كيف يبدو المقطع',
+      maxPlays: 'مرات التشغيل المسموحة (اتركه فارغًا لعدد غير محدود)',
+      partialCredit: 'منح درجات جزئية للإجابات الصحيحة جزئيًا',
+      explanation: 'الشرح (اختياري)',
+      translatedInto: 'مترجم أيضًا إلى {languages}. تُحفظ الترجمات كما هي وتطابق الخيارات حسب موضعها، لذا عدّلها في ملف JSON مُصدَّر ثم استورده مجددًا.'
+    }
+  },
+
+  validation: {
+    location: {
+      file: 'الملف',
+      row: 'الصف {number}',
+      line: 'السطر {number}',
+      question: 'السؤال {number}',
+      translation: 'الترجمة'
+    },
+    object: 'يجب أن يكون السؤال كائنًا',
+    id: 'المعرّف مفقود',
+    questionText: 'نص السؤال مفقود',
+    type: 'نوع غير معروف "{type}"',
+    difficulty: 'يجب أن تكون الصعوبة إحدى القيم {difficulties} (القيمة "{difficulty}")',
+    explanation: 'يجب أن يكون الشرح نصًا',
+    optionsList: 'يجب أن تكون الخيارات قائمة',
+    optionText: 'يجب أن تكون الخيارات نصًا غير فارغ',
+    optionCount: 'يلزم خياران على الأقل',
+    booleanOptions: 'تحتاج أسئلة صح/خطأ إلى خيارين بالضبط',
+    uniqueOptions: 'يجب ألا تتكرر الخيارات',
+    partialCredit: 'يجب أن تكون قيمة partialCredit هي true أو false',
+    correctAnswer: 'الإجابة الصحيحة ليست من الخيارات',
+    answerKey: 'مفتاح الإجابة لا يطابق الخيار الصحيح',
+    correctAnswersOptions: 'يجب أن تكون كل الإجابات الصحيحة من الخيارات',
+    correctAnswersRepeat: 'يجب ألا تتكرر الإجابات الصحيحة',
+    multiSelectAnswer: 'تحتاج أسئلة اختيار الكل إلى خيار صحيح واحد على الأقل',
+    orderingAnswer: 'يجب أن ترتّب أسئلة الترتيب كل الخيارات',
+    answerKeys: 'مفتاح الإجابة لا يطابق الخيارات الصحيحة',
+    textOptions: 'يجب ألا تحتوي الأسئلة النصية على خيارات',
+    acceptedAnswersRequired: 'تحتاج الأسئلة النصية إلى إجابة مقبولة واحدة على الأقل',
+    acceptedAnswers: 'يجب أن تحتوي الإجابات المقبولة على حروف أو أرقام',
+    textAnswerKey: 'مفتاح الإجابة لا يطابق الإجابات المقبولة',
+    maxDistance: 'يجب أن تكون قيمة maxDistance عددًا صحيحًا من 0 فأكثر',
+    duplicateId: 'معرّف مكرر "{id}"',
+    language: 'يجب أن تكون اللغة رمز لغة مثل "en" أو "pt-br" (القيمة "{language}")',
+    translationsObject: 'يجب أن تكون الترجمات كائنًا مفاتيحه رموز اللغات',
+    media: {
+      object: 'يجب أن تكون الوسائط كائنًا',
+      type: 'يجب أن يكون نوع الوسائط أحد الأنواع {types}',
+      source: 'تحتاج الوسائط إلى مصدر',
+      scheme: 'يجب أن يكون مصدر الوسائط عنوان ويب أو عنوان data: أو مسار ملف',
+      notAudio: 'بيانات الوسائط ليست صوتًا',
+      notImage: 'بيانات الوسائط ليست صورة',
+      altText: 'يجب أن يكون النص البديل نصًا',
+      altRequired: 'تحتاج الصور إلى نص بديل',
+      maxPlays: 'يجب أن تكون قيمة maxPlays عددًا صحيحًا من 1 فأكثر'
+    },
+    translation: {
+      code: 'الترجمة "{language}" ليست رمز لغة',
+      ownLanguage: 'الترجمة "{language}" تكرر لغة السؤال نفسه',
+      object: 'يجب أن تكون الترجمة "{language}" كائنًا',
+      questionText: 'نص السؤال مفقود في الترجمة "{language}"',
+      explanation: 'يجب أن يكون شرح الترجمة "{language}" نصًا',
+      acceptedAnswers: 'يجب أن تحتوي الإجابات المقبولة في الترجمة "{language}" على حروف أو أرقام',
+      optionCount: 'يجب أن تضم الترجمة "{language}" عدد خيارات السؤال نفسه',
+      optionText: 'يجب أن تكون خيارات الترجمة "{language}" نصًا غير فارغ',
+      uniqueOptions: 'يجب ألا تتكرر خيارات الترجمة "{language}"',
+      type: 'يجب أن تكون الترجمة "{language}" من نوع السؤال نفسه',
+      order: 'يجب أن ترتّب الترجمة "{language}" خياراتها بترتيب السؤال نفسه',
+      twice: 'الترجمة "{language}" مذكورة مرتين'
+    }
+  },
+
+  api: {
+    errors: {
+      rateLimit: 'تم تجاوز حد الطلبات. انتظر بضع ثوانٍ ثم حاول مجددًا، أو انتقل إلى الوضع بدون اتصال.',
+      noResults: 'لم يتم العثور على أسئلة للمعايير المحددة. جرّب إعدادات أخرى أو استخدم الوضع بدون اتصال.',
+      invalidSettings: 'إعدادات الاختبار غير صالحة. يرجى مراجعة الإعدادات.',
+      network: 'خطأ في الشبكة. تحقق من اتصالك بالإنترنت أو جرّب الوضع بدون اتصال.',
+      notEnough: 'لا توجد أسئلة كافية لهذه الإعدادات. جرّب عددًا أقل من الأسئلة أو فئة أخرى.',
+      http: 'ردّ خادم الأسئلة بخطأ (HTTP {status}). يرجى المحاولة لاحقًا.'
+    },
+    notices: {
+      tokenReset: 'لقد رأيت كل أسئلة هذه الفئة، تتم إعادة التعيين لتتكرر الأسئلة.',
+      partialLoad: 'تم تحميل {loaded} فقط من {total} أسئلة. {reason}'
+    },
+    explanation: 'الإجابة الصحيحة هي: {answer}',
+    performance: {
+      outstanding: {
+        title: 'مذهل! 🏆',
+        message: 'أنت QuizMaster حقيقي!'
+      },
+      excellent: {
+        title: 'ممتاز! 🌟',
+        message: 'عمل رائع! أنت تعرف الكثير حقًا.'
+      },
+      good: {
+        title: 'عمل جيد! 👍',
+        message: 'أداء جميل! واصل ذلك.'
+      },
+      notBad: {
+        title: 'ليس سيئًا! 📚',
+        message: 'هناك مجال للتحسن، لكنك تتقدم.'
+      },
+      keepLearning: {
+        title: 'واصل التعلّم! 💪',
+        message: 'لا تستسلم! الممارسة تصنع الإتقان.'
+      }
+    }
+  }
+};
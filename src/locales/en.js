@@ -0,0 +1,656 @@
+/**
+ * English interface text, the reference for every other locale.
+ * See utils/i18n for placeholders and plural forms.
+ */
+export default {
+  common: {
+    appName: 'QuizMaster',
+    tagline: 'Challenge Your Knowledge',
+    loading: 'Loading...',
+    timeLeft: 'Time Left',
+    cancel: 'Cancel',
+    backToHome: 'Back to Home',
+    notAvailable: 'N/A',
+    any: 'Any',
+    language: 'Language'
+  },
+
+  challenge: {
+    copy: 'Copy challenge link',
+    copied: 'Link copied',
+    copyManually: 'Copy this link to challenge a friend to the same quiz:',
+    unavailable: 'Quizzes from Open Trivia DB, saved questions or your question packs can\'t be shared as challenge links: their questions are only stored in this browser, so a friend\'s browser can\'t look them up.'
+  },
+
+  difficulty: {
+    mixed: 'Mixed',
+    easy: 'Easy',
+    medium: 'Medium',
+    hard: 'Hard'
+  },
+
+  questionTypes: {
+    mixed: 'Mixed',
+    multiple: 'Multiple Choice',
+    boolean: 'True / False',
+    'multi-select': 'Select All',
+    ordering: 'Ordering',
+    text: 'Type the Answer'
+  },
+
+  sources: {
+    label: 'Question source',
+    opentdb: {
+      name: 'Open Trivia DB',
+      shortName: 'API',
+      description: 'Fresh questions from Open Trivia DB'
+    },
+    cache: {
+      name: 'Saved Questions',
+      shortName: 'Saved',
+      description: 'Questions saved from earlier online quizzes'
+    },
+    local: {
+      name: 'Local Questions',
+      shortName: 'Local',
+      description: 'Offline curated questions'
+    },
+    pack: {
+      description: {
+        one: 'Your pack · {count} question',
+        other: 'Your pack · {count} questions'
+      }
+    },
+    errors: {
+      noValidQuestions: '{source} returned no valid questions.',
+      cacheEmpty: 'No saved questions yet. Play an online quiz first to build up your offline collection.',
+      packEmpty: 'The pack "{name}" has no questions for these settings.'
+    }
+  },
+
+  layout: {
+    footer: '© 2024 QuizMaster. Challenge yourself, expand your knowledge.',
+    about: 'About',
+    contact: 'Contact',
+    github: 'GitHub'
+  },
+
+  home: {
+    source: {
+      title: 'Question Source',
+      using: 'Using {name}',
+      online: '{icon} Live questions, needs an internet connection',
+      offline: '{icon} Offline questions for reliable testing'
+    },
+    hero: {
+      onlineSubtitle: 'Test your knowledge with fresh questions from our global database',
+      offlineSubtitle: 'Practice with our curated collection of offline questions',
+      description: 'Choose your difficulty level, race against time, and track your progress as you become a true QuizMaster!',
+      startOnline: 'Start Fresh Quiz 🌐',
+      startOffline: 'Start Quick Quiz 💾',
+      custom: 'Custom Quiz ⚙️'
+    },
+    resume: {
+      title: 'Resume your unfinished quiz',
+      progress: 'Question {number} of {total}',
+      savedAt: 'Saved {date}',
+      resume: 'Resume',
+      discard: 'Discard'
+    },
+    liveMode: {
+      title: 'Live API Mode:',
+      text: 'Questions are fetched from {name} for maximum variety and freshness!'
+    },
+    progress: {
+      title: 'Your Progress',
+      quizzesTaken: 'Quizzes Taken',
+      averageScore: 'Average Score',
+      bestStreak: 'Best Streak',
+      timePlayed: 'Time Played',
+      bestScore: '🏆 Your best score: {percentage} ({score}/{total})'
+    },
+    modes: {
+      title: 'Choose Your Challenge',
+      subtitle: 'Select the perfect quiz mode for your skill level',
+      questions: {
+        one: '{count} question',
+        other: '{count} questions'
+      },
+      perQuestion: '{time} per question',
+      start: 'Start Quiz',
+      quick: {
+        title: 'Quick Quiz',
+        online: 'Fresh questions from our database',
+        offline: '5 local questions for quick testing'
+      },
+      standard: {
+        title: 'Standard Quiz',
+        online: 'Classic 10-question challenge from API',
+        offline: 'Standard quiz with local questions'
+      },
+      expert: {
+        title: 'Expert Challenge',
+        online: 'Hard questions from global database',
+        offline: 'Hard local questions for experts'
+      },
+      lightning: {
+        title: 'Lightning Round',
+        online: '10 API questions, 15 seconds each',
+        offline: '10 local questions, fast-paced'
+      }
+    },
+    packs: {
+      title: 'Your Question Packs',
+      subtitle: 'Write your own questions or import them from JSON, CSV, Moodle GIFT or Aiken files, then play them as a source',
+      openEditor: '✏️ Open Question Editor'
+    },
+    features: {
+      title: 'Why Choose QuizMaster?',
+      subtitle: 'The most engaging quiz experience you\'ll ever have',
+      timed: {
+        title: 'Timed Questions',
+        description: 'Challenge yourself with time limits'
+      },
+      progress: {
+        title: 'Track Progress',
+        description: 'See your improvement over time'
+      },
+      design: {
+        title: 'Beautiful Interface',
+        description: 'Smooth animations and responsive design'
+      }
+    },
+    custom: {
+      title: 'Custom Quiz Settings',
+      questionCount: 'Number of Questions',
+      noMatches: 'No questions match these settings. Try another difficulty or category.',
+      onlySome: {
+        one: 'Only {count} question matches these settings, so the quiz will use it.',
+        other: 'Only {count} questions match these settings, so the quiz will use all of them.'
+      },
+      largeQuiz: 'Large quizzes load 50 questions every few seconds. You can start as soon as the first 50 arrive.',
+      questionType: 'Question Type',
+      difficulty: 'Difficulty',
+      categories: 'Categories',
+      anyCategory: 'Any Category',
+      pickMany: 'Pick as many as you like.',
+      all: 'All',
+      timeLimit: 'Time per Question',
+      cooldown: 'Avoid Questions Seen In The Last',
+      cooldownOff: 'Off',
+      cooldownHint: 'Unseen questions come first. Recently seen ones are only used when nothing else is left.',
+      seed: 'Quiz seed (optional)',
+      seedPlaceholder: 'e.g. k3mq8zta',
+      seedHint: 'The same seed deals the same quiz again from the same source. Leave empty for a new quiz.',
+      pauses: 'Pauses Allowed',
+      pausesUnlimited: 'Unlimited',
+      pausesNone: 'None (exam)',
+      pausesHint: 'Paused time doesn\'t count, and the question is hidden while the quiz is paused.',
+      exam: 'Exam mode',
+      examHint: 'No pauses, and the quiz can\'t be resumed after leaving or reloading the page.',
+      sessionExpiry: 'Keep unfinished quizzes for:',
+      sessionExpiryHint: 'A quiz cut short by a reload or a crash can be resumed until then.',
+      historyCleared: 'History cleared',
+      forgetSeen: 'Forget seen questions',
+      start: 'Start Custom Quiz'
+    },
+    cta: {
+      title: 'Ready to Challenge Yourself?',
+      online: 'Join thousands of quiz enthusiasts with fresh questions from our global database!',
+      offline: 'Practice with our carefully curated collection of offline questions!',
+      startOnline: 'Start Fresh Quiz 🌐',
+      startOffline: 'Start Practice Quiz 💾',
+      highScores: 'View High Scores'
+    }
+  },
+
+  quiz: {
+    loading: {
+      title: 'Preparing Your Quiz',
+      questions: {
+        one: 'Loading {count} question...',
+        other: 'Loading {count} questions...'
+      },
+      queue: 'Position {position} in queue, ~{wait}',
+      ready: '{loaded} of {total} questions ready',
+      startNow: 'Start now 🚀',
+      keepLoading: 'The rest keep loading while you play.'
+    },
+    error: {
+      rateLimit: '⏱️ Rate Limit Exceeded',
+      connection: '🌐 Connection Issue',
+      generic: 'Error Loading Quiz',
+      whatToDo: 'What you can do:',
+      rateLimitTip1: 'Wait 10-15 seconds and try again',
+      rateLimitTip2: 'Switch to the Local Questions source on the home page',
+      rateLimitTip3: 'Try a smaller number of questions',
+      suggestions: 'Suggestions:',
+      networkTip1: 'Check your internet connection',
+      networkTip2: 'Try refreshing the page',
+      networkTip3: 'Switch to the Local Questions source for offline play',
+      tryAgain: 'Try Again',
+      refresh: 'Refresh Page',
+      tip: '💡 Tip: Pick Local Questions as the source on the home page for instant quizzes without rate limits!'
+    },
+    start: {
+      title: 'Ready to Start?',
+      questions: 'Questions:',
+      timePerQuestion: 'Time per question:',
+      difficulty: 'Difficulty:',
+      categories: {
+        one: 'Category:',
+        other: 'Categories:'
+      },
+      questionType: 'Question type:',
+      instructions: 'Instructions:',
+      instruction1: 'Read each question carefully',
+      instruction2: 'Select your answer before the timer runs out',
+      instruction3: 'You can navigate back to previous questions',
+      instruction4: 'Your final score will be shown at the end',
+      pauses: 'Pauses:',
+      pausesUnlimited: 'Unlimited',
+      pausesNone: 'None',
+      examNotice: 'This is an exam: it can\'t be paused, and leaving or reloading the page ends this attempt.',
+      begin: 'Start Quiz 🚀'
+    },
+    completed: {
+      title: 'Quiz Completed!',
+      score: '{score} out of {total} correct',
+      outstanding: 'Outstanding! You\'re a true QuizMaster! 🏆',
+      excellent: 'Excellent work! You really know your stuff! 🌟',
+      good: 'Good job! Keep up the great work! 👍',
+      notBad: 'Not bad! There\'s room for improvement! 📈',
+      keepLearning: 'Keep learning! Practice makes perfect! 💪',
+      redirecting: 'Redirecting to detailed results...'
+    },
+    header: {
+      title: 'QuizMaster Challenge',
+      difficulty: '{difficulty} Difficulty'
+    },
+    pause: '⏸️ Pause',
+    pausesLeft: {
+      one: '{count} pause left',
+      other: '{count} pauses left'
+    },
+    paused: {
+      title: 'Quiz Paused',
+      text: 'The timer is stopped and the question is hidden until you resume.',
+      resume: '▶️ Resume Quiz',
+      lastPause: 'That was your last pause.'
+    },
+    exit: 'Exit Quiz',
+    loadingMedia: 'Loading media...',
+    loadingMore: '⏳ Loading more questions ({progress})',
+    loadingMoreProgress: '{loaded} of {total}',
+    exitModal: {
+      title: 'Exit Quiz?',
+      text: 'Are you sure you want to exit the quiz? Your progress will be lost.',
+      continue: 'Continue Quiz',
+      confirm: 'Exit Quiz'
+    },
+    notices: {
+      resumeUnavailable: 'The unfinished quiz can\'t be resumed because some of its questions are no longer available here, so this is a new quiz.',
+      invalidQuestions: {
+        one: 'Skipped {count} malformed question from {source}.',
+        other: 'Skipped {count} malformed questions from {source}.'
+      },
+      shortQuiz: {
+        one: 'Only {count} different question matches these settings, so this quiz has {count} instead of {amount}.',
+        other: 'Only {count} different questions match these settings, so this quiz has {count} instead of {amount}.'
+      },
+      recentlySeenAll: 'All of these questions were already shown to you in the last {period}. There aren\'t enough unseen questions for these settings.',
+      recentlySeen: {
+        one: '{count} of these questions was already shown to you in the last {period}. There aren\'t enough unseen questions for these settings.',
+        other: '{count} of these questions were already shown to you in the last {period}. There aren\'t enough unseen questions for these settings.'
+      },
+      period: {
+        one: 'day',
+        other: '{count} days'
+      },
+      linkedMissing: {
+        one: '{count} question from this link isn\'t available here, so the quiz is shorter.',
+        other: '{count} questions from this link aren\'t available here, so the quiz is shorter.'
+      },
+      linkedUnavailable: 'The questions from this link aren\'t available here. Dealing a quiz with the same settings instead.',
+      noQuestions: 'No questions found',
+      failedToLoad: 'Failed to load questions',
+      couldNotReach: 'Could not reach the question server.',
+      offlineFallback: '{reason} Using offline questions instead.'
+    }
+  },
+
+  question: {
+    progress: 'Question {number} of {total}',
+    explanation: 'Explanation',
+    option: 'Option {number}: {text}',
+    previous: '← Previous',
+    skip: 'Skip Question',
+    next: 'Next Question →',
+    finish: 'Finish Quiz →',
+    typePrompt: 'Please type an answer to continue',
+    selectPrompt: 'Please select an answer to continue'
+  },
+
+  answers: {
+    selectAll: 'Select all answers that apply.',
+    options: 'Answer options',
+    dragHint: 'Drag the items into the right order, or use the arrows (Alt + ↑/↓ on the keyboard).',
+    itemsToOrder: 'Items to order',
+    position: 'Position {number}: {text}',
+    moveUp: 'Move {text} up',
+    moveDown: 'Move {text} down',
+    typeHint: 'Type your answer. Spelling, accents and capital letters don\'t need to be exact.',
+    accepted: 'Accepted: {answers}'
+  },
+
+  review: {
+    yourAnswer: 'Your answer:',
+    correctAnswer: 'Correct answer:',
+    noAnswer: 'No answer',
+    missed: 'missed',
+    yourOrder: 'Your order:',
+    correctOrder: 'Correct order:',
+    youTyped: 'You typed:',
+    acceptedAnswers: {
+      one: 'Accepted answer:',
+      other: 'Accepted answers:'
+    }
+  },
+
+  media: {
+    playClip: '▶ Play clip',
+    playClipLabel: 'Play clip: {alt}',
+    playing: '🔊 Playing…',
+    playAgain: '↻ Play again',
+    noPlaysLeft: 'No plays left',
+    playsLeft: {
+      one: '{count} play left',
+      other: '{count} plays left'
+    },
+    errors: {
+      type: '{fileName} is not an image or audio file',
+      size: '{fileName} is larger than {size} MB',
+      read: 'Could not read {fileName}'
+    }
+  },
+
+  results: {
+    score: '{score} out of {total} questions correct',
+    newHighScore: {
+      title: '🎉 New High Score! 🎉',
+      text: 'Congratulations! You\'ve achieved your best score yet!'
+    },
+    timeTaken: 'Time Taken',
+    correctAnswers: 'Correct Answers',
+    incorrectAnswers: 'Incorrect Answers',
+    seed: 'Quiz seed:',
+    pauses: {
+      one: 'Paused once, for {duration}',
+      other: 'Paused {count} times, for {duration} in total'
+    },
+    retry: '🔄 Retry Quiz',
+    newQuiz: '🏠 New Quiz',
+    showReview: '📝 Review Answers',
+    hideReview: '👁️ Hide Answers',
+    highScores: '🏆 High Scores',
+    review: {
+      title: 'Answer Review',
+      correctCount: '{correct}/{total} Correct',
+      question: 'Question {number}:',
+      correct: 'Correct',
+      partial: 'Partial ({percent})',
+      incorrect: 'Incorrect'
+    },
+    scores: {
+      title: 'High Scores',
+      clear: 'Clear Scores',
+      entry: '{percentage} ({score}/{total})',
+      mixedCategories: 'Mixed categories',
+      empty: 'No high scores yet. Keep playing to build your record!'
+    },
+    clearModal: {
+      title: 'Clear High Scores?',
+      text: 'Are you sure you want to clear all high scores? This action cannot be undone.',
+      confirm: 'Clear Scores'
+    }
+  },
+
+  packs: {
+    fileFormat: 'File format',
+    detectFormat: 'Detect from file',
+    importInto: 'Import into',
+    newPack: 'A new pack',
+    import: 'Import Questions',
+    mediaHint: 'Questions can show images or play audio clips named in the file: pick those files together with it.',
+    empty: 'No packs yet. Import a JSON, CSV, Moodle GIFT or Aiken file to create one.',
+    questionCount: {
+      one: '{count} question',
+      other: '{count} questions'
+    },
+    delete: 'Delete',
+    confirmDelete: 'Confirm delete',
+    errors: {
+      needsName: 'Question packs need a name',
+      storageFull: 'Could not save the pack. Browser storage may be full.',
+      unknownFormat: 'Unknown question pack format "{format}"'
+    },
+    parse: {
+      invalidJSON: 'not valid JSON ({reason})',
+      notQuestionList: 'expected a list of questions or an object with "questions"',
+      empty: 'the file is empty',
+      questionColumn: 'missing a "question" column',
+      giftNoAnswerBlock: 'no answer block in braces (descriptions are not questions)',
+      giftNumeric: 'numeric questions are not supported',
+      giftEmptyBlock: 'the answer block is empty (essay questions are not supported)',
+      giftMatching: 'matching questions are not supported',
+      giftNoCorrectAnswer: 'could not tell which answer is correct',
+      aikenAnswerFirst: 'ANSWER line without a question',
+      aikenNoOptions: 'question has no options',
+      aikenUnknownAnswer: 'ANSWER {letter} is not one of the options',
+      aikenExpectedOption: 'expected option {letter} or an ANSWER line',
+      aikenMissingAnswer: 'missing ANSWER line'
+    },
+    skip: {
+      csvSeparator: 'an option or answer contains "{separator}"',
+      giftOrdering: 'GIFT has no ordering questions',
+      aikenType: 'Aiken only has single-answer multiple choice questions',
+      media: '{format} files can\'t carry images or audio'
+    },
+    report: {
+      pickQuestionFile: 'Pick the question file together with its images and audio.',
+      missingMedia: '{id}: {fileName} wasn\'t picked with the question file, so it won\'t show',
+      unusedMedia: '{fileName} isn\'t used by any question',
+      alreadyInPack: {
+        one: '{count} question was already in this pack and was skipped',
+        other: '{count} questions were already in this pack and were skipped'
+      },
+      nothingImported: 'No questions could be imported from {fileName} ({format}).',
+      imported: {
+        one: 'Imported {count} question into "{name}".',
+        other: 'Imported {count} questions into "{name}".'
+      },
+      translated: {
+        one: 'Added translations to {count} question already there.',
+        other: 'Added translations to {count} questions already there.'
+      },
+      rejected: {
+        one: '{count} rejected:',
+        other: '{count} rejected:'
+      },
+      readFailed: 'Could not read the file.',
+      nothingExported: 'None of the questions in "{name}" can be written as {format}.',
+      exportedSkipping: {
+        one: 'Exported {fileName}, leaving out {count} question:',
+        other: 'Exported {fileName}, leaving out {count} questions:'
+      }
+    }
+  },
+
+  editor: {
+    title: 'Question Editor',
+    subtitle: 'Build your own question packs and play them as a question source',
+    packs: 'Packs',
+    noPacks: 'No packs yet. Create one to start adding questions.',
+    newPackName: 'New pack name',
+    create: 'Create',
+    selectPack: 'Select or create a pack on the left.',
+    editQuestion: 'Edit Question',
+    newQuestion: 'New Question',
+    saveQuestion: 'Save Question',
+    preview: 'Preview',
+    showAnswer: 'Show answer',
+    hideAnswer: 'Hide answer',
+    previewIncomplete: 'The preview appears once the question is complete.',
+    packName: 'Pack name',
+    play: 'Play',
+    deletePack: 'Delete pack',
+    confirmDelete: 'Confirm delete',
+    noQuestions: 'This pack has no questions yet.',
+    edit: 'Edit',
+    duplicate: 'Duplicate',
+    deleteQuestion: 'Delete question',
+    confirm: 'Confirm',
+    addQuestion: 'Add Question',
+    form: {
+      type: 'Type',
+      category: 'Category',
+      difficulty: 'Difficulty',
+      question: 'Question',
+      formattingHint: 'Question, options and explanation can use **bold**, *italic*, `code`, ``` code blocks ```, x^2^, H~2~O and $\\frac{a}{b}$ math.',
+      itemsInOrder: 'Items, in the correct order',
+      optionsTickAll: 'Options (tick every correct one)',
+      optionsPickOne: 'Options (pick the correct one)',
+      markCorrect: 'Mark option {number} as correct',
+      option: 'Option {number}',
+      moveItemUp: 'Move item {number} up',
+      moveItemDown: 'Move item {number} down',
+      removeOption: 'Remove option {number}',
+      addOption: 'Add option',
+      acceptedAnswers: 'Accepted answers',
+      mainAnswer: 'Main answer',
+      alsoAccept: 'Also accept',
+      removeAcceptedAnswer: 'Remove accepted answer {number}',
+      addAcceptedAnswer: 'Add accepted answer',
+      typosAllowed: 'Typos allowed (letters that may differ)',
+      media: 'Image or audio (optional)',
+      addFile: 'Add a file',
+      replaceFile: 'Replace file',
+      embeddedImage: 'Embedded image',
+      embeddedAudio: 'Embedded audio clip',
+      mediaAddress: 'or a web address',
+      mediaAddressLabel: 'Image or audio address',
+      removeMedia: 'Remove',
+      mediaType: 'Type',
+      image: 'Image',
+      audio: 'Audio clip',
+      altText: 'Alt text',
+      audioDescription: 'Description (optional)',
+      imagePlaceholder: 'What the image shows',
+      audioPlaceholder: 'What the clip sounds like',
+      maxPlays: 'Plays allowed (blank for any)',
+      partialCredit: 'Award partial credit for partly correct answers',
+      explanation: 'Explanation (optional)',
+      translatedInto: 'Also translated into {languages}. Translations are kept as they are and match options by position, so edit them in an exported JSON file and import it again.'
+    }
+  },
+
+  validation: {
+    location: {
+      file: 'File',
+      row: 'Row {number}',
+      line: 'Line {number}',
+      question: 'Question {number}',
+      translation: 'Translation'
+    },
+    object: 'question must be an object',
+    id: 'missing id',
+    questionText: 'missing question text',
+    type: 'unknown type "{type}"',
+    difficulty: 'difficulty must be one of {difficulties} (got "{difficulty}")',
+    explanation: 'explanation must be text',
+    optionsList: 'options must be a list',
+    optionText: 'options must be non-empty text',
+    optionCount: 'needs at least 2 options',
+    booleanOptions: 'true/false questions need exactly 2 options',
+    uniqueOptions: 'options must be unique',
+    partialCredit: 'partialCredit must be true or false',
+    correctAnswer: 'correct answer is not one of the options',
+    answerKey: 'answer key does not match the correct option',
+    correctAnswersOptions: 'correct answers must all be options',
+    correctAnswersRepeat: 'correct answers must not repeat',
+    multiSelectAnswer: 'select-all questions need at least one correct option',
+    orderingAnswer: 'ordering questions must place every option',
+    answerKeys: 'answer key does not match the correct options',
+    textOptions: 'free-text questions must not have options',
+    acceptedAnswersRequired: 'free-text questions need at least one accepted answer',
+    acceptedAnswers: 'accepted answers must contain letters or digits',
+    textAnswerKey: 'answer key does not match the accepted answers',
+    maxDistance: 'maxDistance must be a whole number of 0 or more',
+    duplicateId: 'duplicate id "{id}"',
+    language: 'language must be a language code such as "en" or "pt-br" (got "{language}")',
+    translationsObject: 'translations must be an object keyed by language code',
+    media: {
+      object: 'media must be an object',
+      type: 'media type must be one of {types}',
+      source: 'media needs a source',
+      scheme: 'media source must be a web address, a data: URL or a file path',
+      notAudio: 'media data is not audio',
+      notImage: 'media data is not an image',
+      altText: 'media alt text must be text',
+      altRequired: 'images need alt text',
+      maxPlays: 'maxPlays must be a whole number of 1 or more'
+    },
+    translation: {
+      code: 'translation "{language}" is not a language code',
+      ownLanguage: 'translation "{language}" repeats the question\'s own language',
+      object: 'translation "{language}" must be an object',
+      questionText: 'translation "{language}" is missing the question text',
+      explanation: 'translation "{language}" explanation must be text',
+      acceptedAnswers: 'translation "{language}" accepted answers must contain letters or digits',
+      optionCount: 'translation "{language}" must list the same number of options as the question',
+      optionText: 'translation "{language}" options must be non-empty text',
+      uniqueOptions: 'translation "{language}" options must be unique',
+      type: 'translation "{language}" must have the same type as the question',
+      order: 'translation "{language}" must list its options in the same order as the question',
+      twice: 'translation "{language}" is given twice'
+    }
+  },
+
+  api: {
+    errors: {
+      rateLimit: 'Rate limit exceeded. Please wait a few seconds and try again, or switch to offline mode.',
+      noResults: 'No questions found for the selected criteria. Try different settings or use offline mode.',
+      invalidSettings: 'Invalid quiz settings. Please check your configuration.',
+      network: 'Network error. Please check your internet connection or try offline mode.',
+      notEnough: 'Not enough questions available for these settings. Try fewer questions or a different category.',
+      http: 'The question server answered with an error (HTTP {status}). Please try again later.'
+    },
+    notices: {
+      tokenReset: 'You\'ve seen every question in this category, resetting so questions can repeat.',
+      partialLoad: 'Only {loaded} of {total} questions could be loaded. {reason}'
+    },
+    explanation: 'The correct answer is: {answer}',
+    performance: {
+      outstanding: {
+        title: 'Outstanding! 🏆',
+        message: 'You\'re a true QuizMaster!'
+      },
+      excellent: {
+        title: 'Excellent! 🌟',
+        message: 'Great job! You really know your stuff.'
+      },
+      good: {
+        title: 'Good Work! 👍',
+        message: 'Nice performance! Keep it up.'
+      },
+      notBad: {
+        title: 'Not Bad! 📚',
+        message: 'Room for improvement, but you\'re getting there.'
+      },
+      keepLearning: {
+        title: 'Keep Learning! 💪',
+        message: 'Don\'t give up! Practice makes perfect.'
+      }
+    }
+  }
+};
@@ -0,0 +1,655 @@
+/**
+ * Spanish interface text
+ */
+export default {
+  common: {
+    appName: 'QuizMaster',
+    tagline: 'Pon a prueba tus conocimientos',
+    loading: 'Cargando...',
+    timeLeft: 'Tiempo restante',
+    cancel: 'Cancelar',
+    backToHome: 'Volver al inicio',
+    notAvailable: 'N/D',
+    any: 'Cualquiera',
+    language: 'Idioma'
+  },
+
+  challenge: {
+    copy: 'Copiar enlace de reto',
+    copied: 'Enlace copiado',
+    copyManually: 'Copia este enlace para retar a alguien con el mismo cuestionario:',
+    unavailable: 'Los quizzes de Open Trivia DB, de preguntas guardadas o de tus paquetes de preguntas no se pueden compartir como enlace de reto: sus preguntas solo están guardadas en este navegador, así que el de otra persona no puede encontrarlas.'
+  },
+
+  difficulty: {
+    mixed: 'Mixta',
+    easy: 'Fácil',
+    medium: 'Media',
+    hard: 'Difícil'
+  },
+
+  questionTypes: {
+    mixed: 'Mixto',
+    multiple: 'Opción múltiple',
+    boolean: 'Verdadero / Falso',
+    'multi-select': 'Seleccionar todas',
+    ordering: 'Ordenar',
+    text: 'Escribir la respuesta'
+  },
+
+  sources: {
+    label: 'Fuente de preguntas',
+    opentdb: {
+      name: 'Open Trivia DB',
+      shortName: 'API',
+      description: 'Preguntas nuevas de Open Trivia DB'
+    },
+    cache: {
+      name: 'Preguntas guardadas',
+      shortName: 'Guardadas',
+      description: 'Preguntas guardadas de cuestionarios en línea anteriores'
+    },
+    local: {
+      name: 'Preguntas locales',
+      shortName: 'Locales',
+      description: 'Preguntas seleccionadas sin conexión'
+    },
+    pack: {
+      description: {
+        one: 'Tu paquete · {count} pregunta',
+        other: 'Tu paquete · {count} preguntas'
+      }
+    },
+    errors: {
+      noValidQuestions: '{source} no devolvió ninguna pregunta válida.',
+      cacheEmpty: 'Aún no hay preguntas guardadas. Juega primero un quiz en línea para reunir tu colección sin conexión.',
+      packEmpty: 'El paquete «{name}» no tiene preguntas para esta configuración.'
+    }
+  },
+
+  layout: {
+    footer: '© 2024 QuizMaster. Ponte a prueba y amplía tus conocimientos.',
+    about: 'Acerca de',
+    contact: 'Contacto',
+    github: 'GitHub'
+  },
+
+  home: {
+    source: {
+      title: 'Fuente de preguntas',
+      using: 'Usando {name}',
+      online: '{icon} Preguntas en vivo, requiere conexión a internet',
+      offline: '{icon} Preguntas sin conexión para practicar con fiabilidad'
+    },
+    hero: {
+      onlineSubtitle: 'Pon a prueba tus conocimientos con preguntas nuevas de nuestra base de datos global',
+      offlineSubtitle: 'Practica con nuestra colección seleccionada de preguntas sin conexión',
+      description: 'Elige tu nivel de dificultad, compite contra el reloj y sigue tu progreso hasta convertirte en un verdadero QuizMaster.',
+      startOnline: 'Empezar cuestionario nuevo 🌐',
+      startOffline: 'Empezar cuestionario rápido 💾',
+      custom: 'Cuestionario personalizado ⚙️'
+    },
+    resume: {
+      title: 'Retoma tu cuestionario sin terminar',
+      progress: 'Pregunta {number} de {total}',
+      savedAt: 'Guardado el {date}',
+      resume: 'Continuar',
+      discard: 'Descartar'
+    },
+    liveMode: {
+      title: 'Modo API en vivo:',
+      text: 'Las preguntas se obtienen de {name} para la máxima variedad.'
+    },
+    progress: {
+      title: 'Tu progreso',
+      quizzesTaken: 'Cuestionarios hechos',
+      averageScore: 'Puntuación media',
+      bestStreak: 'Mejor racha',
+      timePlayed: 'Tiempo jugado',
+      bestScore: '🏆 Tu mejor puntuación: {percentage} ({score}/{total})'
+    },
+    modes: {
+      title: 'Elige tu desafío',
+      subtitle: 'Selecciona el modo de cuestionario ideal para tu nivel',
+      questions: {
+        one: '{count} pregunta',
+        other: '{count} preguntas'
+      },
+      perQuestion: '{time} por pregunta',
+      start: 'Empezar',
+      quick: {
+        title: 'Cuestionario rápido',
+        online: 'Preguntas nuevas de nuestra base de datos',
+        offline: '5 preguntas locales para practicar rápido'
+      },
+      standard: {
+        title: 'Cuestionario estándar',
+        online: 'El clásico desafío de 10 preguntas de la API',
+        offline: 'Cuestionario estándar con preguntas locales'
+      },
+      expert: {
+        title: 'Desafío experto',
+        online: 'Preguntas difíciles de la base de datos global',
+        offline: 'Preguntas locales difíciles para expertos'
+      },
+      lightning: {
+        title: 'Ronda relámpago',
+        online: '10 preguntas de la API, 15 segundos cada una',
+        offline: '10 preguntas locales a ritmo rápido'
+      }
+    },
+    packs: {
+      title: 'Tus paquetes de preguntas',
+      subtitle: 'Escribe tus propias preguntas o impórtalas desde archivos JSON, CSV, Moodle GIFT o Aiken y juégalas como fuente',
+      openEditor: '✏️ Abrir el editor de preguntas'
+    },
+    features: {
+      title: '¿Por qué QuizMaster?',
+      subtitle: 'La experiencia de cuestionarios más entretenida',
+      timed: {
+        title: 'Preguntas cronometradas',
+        description: 'Ponte a prueba con límites de tiempo'
+      },
+      progress: {
+        title: 'Sigue tu progreso',
+        description: 'Observa cómo mejoras con el tiempo'
+      },
+      design: {
+        title: 'Interfaz atractiva',
+        description: 'Animaciones fluidas y diseño adaptable'
+      }
+    },
+    custom: {
+      title: 'Ajustes del cuestionario personalizado',
+      questionCount: 'Número de preguntas',
+      noMatches: 'Ninguna pregunta coincide con estos ajustes. Prueba otra dificultad o categoría.',
+      onlySome: {
+        one: 'Solo {count} pregunta coincide con estos ajustes, así que el cuestionario la usará.',
+        other: 'Solo {count} preguntas coinciden con estos ajustes, así que el cuestionario las usará todas.'
+      },
+      largeQuiz: 'Los cuestionarios grandes cargan 50 preguntas cada pocos segundos. Puedes empezar en cuanto lleguen las primeras 50.',
+      questionType: 'Tipo de pregunta',
+      difficulty: 'Dificultad',
+      categories: 'Categorías',
+      anyCategory: 'Cualquier categoría',
+      pickMany: 'Elige tantas como quieras.',
+      all: 'Todas',
+      timeLimit: 'Tiempo por pregunta',
+      cooldown: 'Evitar preguntas vistas en los últimos',
+      cooldownOff: 'No',
+      cooldownHint: 'Las preguntas no vistas van primero. Las vistas recientemente solo se usan cuando no queda nada más.',
+      seed: 'Semilla del cuestionario (opcional)',
+      seedPlaceholder: 'p. ej. k3mq8zta',
+      seedHint: 'La misma semilla repite el mismo cuestionario con la misma fuente. Déjala vacía para uno nuevo.',
+      pauses: 'Pausas permitidas',
+      pausesUnlimited: 'Ilimitadas',
+      pausesNone: 'Ninguna (examen)',
+      pausesHint: 'El tiempo en pausa no cuenta y la pregunta se oculta mientras el cuestionario está en pausa.',
+      exam: 'Modo examen',
+      examHint: 'Sin pausas, y el cuestionario no se puede retomar tras salir o recargar la página.',
+      sessionExpiry: 'Guardar cuestionarios sin terminar durante:',
+      sessionExpiryHint: 'Un cuestionario interrumpido por una recarga o un fallo se puede retomar hasta entonces.',
+      historyCleared: 'Historial borrado',
+      forgetSeen: 'Olvidar preguntas vistas',
+      start: 'Empezar cuestionario personalizado'
+    },
+    cta: {
+      title: '¿Listo para ponerte a prueba?',
+      online: '¡Únete a miles de aficionados con preguntas nuevas de nuestra base de datos global!',
+      offline: '¡Practica con nuestra colección cuidadosamente seleccionada de preguntas sin conexión!',
+      startOnline: 'Empezar cuestionario nuevo 🌐',
+      startOffline: 'Empezar práctica 💾',
+      highScores: 'Ver mejores puntuaciones'
+    }
+  },
+
+  quiz: {
+    loading: {
+      title: 'Preparando tu cuestionario',
+      questions: {
+        one: 'Cargando {count} pregunta...',
+        other: 'Cargando {count} preguntas...'
+      },
+      queue: 'Posición {position} en la cola, ~{wait}',
+      ready: '{loaded} de {total} preguntas listas',
+      startNow: 'Empezar ya 🚀',
+      keepLoading: 'El resto se sigue cargando mientras juegas.'
+    },
+    error: {
+      rateLimit: '⏱️ Límite de solicitudes superado',
+      connection: '🌐 Problema de conexión',
+      generic: 'Error al cargar el cuestionario',
+      whatToDo: 'Qué puedes hacer:',
+      rateLimitTip1: 'Espera 10-15 segundos y vuelve a intentarlo',
+      rateLimitTip2: 'Cambia a la fuente Preguntas locales en la página de inicio',
+      rateLimitTip3: 'Prueba con menos preguntas',
+      suggestions: 'Sugerencias:',
+      networkTip1: 'Comprueba tu conexión a internet',
+      networkTip2: 'Prueba a recargar la página',
+      networkTip3: 'Cambia a la fuente Preguntas locales para jugar sin conexión',
+      tryAgain: 'Reintentar',
+      refresh: 'Recargar página',
+      tip: '💡 Consejo: ¡elige Preguntas locales como fuente en la página de inicio para cuestionarios al instante sin límites!'
+    },
+    start: {
+      title: '¿Listo para empezar?',
+      questions: 'Preguntas:',
+      timePerQuestion: 'Tiempo por pregunta:',
+      difficulty: 'Dificultad:',
+      categories: {
+        one: 'Categoría:',
+        other: 'Categorías:'
+      },
+      questionType: 'Tipo de pregunta:',
+      instructions: 'Instrucciones:',
+      instruction1: 'Lee cada pregunta con atención',
+      instruction2: 'Elige tu respuesta antes de que se acabe el tiempo',
+      instruction3: 'Puedes volver a las preguntas anteriores',
+      instruction4: 'Tu puntuación final se mostrará al terminar',
+      pauses: 'Pausas:',
+      pausesUnlimited: 'Ilimitadas',
+      pausesNone: 'Ninguna',
+      examNotice: 'Esto es un examen: no se puede pausar, y salir o recargar la página termina este intento.',
+      begin: 'Empezar 🚀'
+    },
+    completed: {
+      title: '¡Cuestionario completado!',
+      score: '{score} de {total} correctas',
+      outstanding: '¡Extraordinario! ¡Eres un verdadero QuizMaster! 🏆',
+      excellent: '¡Excelente trabajo! ¡Sabes mucho! 🌟',
+      good: '¡Buen trabajo! ¡Sigue así! 👍',
+      notBad: '¡Nada mal! ¡Aún puedes mejorar! 📈',
+      keepLearning: '¡Sigue aprendiendo! ¡La práctica hace al maestro! 💪',
+      redirecting: 'Redirigiendo a los resultados detallados...'
+    },
+    header: {
+      title: 'Desafío QuizMaster',
+      difficulty: 'Dificultad {difficulty}'
+    },
+    pause: '⏸️ Pausar',
+    pausesLeft: {
+      one: 'Te queda {count} pausa',
+      other: 'Te quedan {count} pausas'
+    },
+    paused: {
+      title: 'Cuestionario en pausa',
+      text: 'El temporizador está detenido y la pregunta oculta hasta que continúes.',
+      resume: '▶️ Continuar',
+      lastPause: 'Era tu última pausa.'
+    },
+    exit: 'Salir',
+    loadingMedia: 'Cargando contenido...',
+    loadingMore: '⏳ Cargando más preguntas ({progress})',
+    loadingMoreProgress: '{loaded} de {total}',
+    exitModal: {
+      title: '¿Salir del cuestionario?',
+      text: '¿Seguro que quieres salir del cuestionario? Perderás tu progreso.',
+      continue: 'Continuar',
+      confirm: 'Salir'
+    },
+    notices: {
+      resumeUnavailable: 'No se puede reanudar el quiz sin terminar porque algunas de sus preguntas ya no están disponibles aquí, así que este es un quiz nuevo.',
+      invalidQuestions: {
+        one: 'Se omitió {count} pregunta mal formada de {source}.',
+        other: 'Se omitieron {count} preguntas mal formadas de {source}.'
+      },
+      shortQuiz: {
+        one: 'Solo {count} pregunta distinta coincide con estos ajustes, así que este cuestionario tiene {count} en lugar de {amount}.',
+        other: 'Solo {count} preguntas distintas coinciden con estos ajustes, así que este cuestionario tiene {count} en lugar de {amount}.'
+      },
+      recentlySeenAll: 'Ya viste todas estas preguntas {period}. No hay suficientes preguntas nuevas para estos ajustes.',
+      recentlySeen: {
+        one: 'Ya viste {count} de estas preguntas {period}. No hay suficientes preguntas nuevas para estos ajustes.',
+        other: 'Ya viste {count} de estas preguntas {period}. No hay suficientes preguntas nuevas para estos ajustes.'
+      },
+      period: {
+        one: 'en el último día',
+        other: 'en los últimos {count} días'
+      },
+      linkedMissing: {
+        one: '{count} pregunta de este enlace no está disponible aquí, así que el cuestionario es más corto.',
+        other: '{count} preguntas de este enlace no están disponibles aquí, así que el cuestionario es más corto.'
+      },
+      linkedUnavailable: 'Las preguntas de este enlace no están disponibles aquí. Se prepara un cuestionario con la misma configuración.',
+      noQuestions: 'No se encontraron preguntas',
+      failedToLoad: 'No se pudieron cargar las preguntas',
+      couldNotReach: 'No se pudo contactar con el servidor de preguntas.',
+      offlineFallback: '{reason} Se usarán preguntas sin conexión.'
+    }
+  },
+
+  question: {
+    progress: 'Pregunta {number} de {total}',
+    explanation: 'Explicación',
+    option: 'Opción {number}: {text}',
+    previous: '← Anterior',
+    skip: 'Saltar pregunta',
+    next: 'Siguiente pregunta →',
+    finish: 'Terminar →',
+    typePrompt: 'Escribe una respuesta para continuar',
+    selectPrompt: 'Elige una respuesta para continuar'
+  },
+
+  answers: {
+    selectAll: 'Selecciona todas las respuestas correctas.',
+    options: 'Opciones de respuesta',
+    dragHint: 'Arrastra los elementos al orden correcto o usa las flechas (Alt + ↑/↓ en el teclado).',
+    itemsToOrder: 'Elementos para ordenar',
+    position: 'Posición {number}: {text}',
+    moveUp: 'Subir {text}',
+    moveDown: 'Bajar {text}',
+    typeHint: 'Escribe tu respuesta. La ortografía, los acentos y las mayúsculas no tienen que ser exactos.',
+    accepted: 'Aceptadas: {answers}'
+  },
+
+  review: {
+    yourAnswer: 'Tu respuesta:',
+    correctAnswer: 'Respuesta correcta:',
+    noAnswer: 'Sin respuesta',
+    missed: 'omitida',
+    yourOrder: 'Tu orden:',
+    correctOrder: 'Orden correcto:',
+    youTyped: 'Escribiste:',
+    acceptedAnswers: {
+      one: 'Respuesta aceptada:',
+      other: 'Respuestas aceptadas:'
+    }
+  },
+
+  media: {
+    playClip: '▶ Reproducir',
+    playClipLabel: 'Reproducir: {alt}',
+    playing: '🔊 Reproduciendo…',
+    playAgain: '↻ Volver a reproducir',
+    noPlaysLeft: 'No quedan reproducciones',
+    playsLeft: {
+      one: 'Queda {count} reproducción',
+      other: 'Quedan {count} reproducciones'
+    },
+    errors: {
+      type: '{fileName} no es un archivo de imagen ni de audio',
+      size: '{fileName} ocupa más de {size} MB',
+      read: 'No se pudo leer {fileName}'
+    }
+  },
+
+  results: {
+    score: '{score} de {total} preguntas correctas',
+    newHighScore: {
+      title: '🎉 ¡Nueva mejor puntuación! 🎉',
+      text: '¡Enhorabuena! ¡Es tu mejor puntuación hasta ahora!'
+    },
+    timeTaken: 'Tiempo empleado',
+    correctAnswers: 'Respuestas correctas',
+    incorrectAnswers: 'Respuestas incorrectas',
+    seed: 'Semilla del cuestionario:',
+    pauses: {
+      one: 'Una pausa, de {duration}',
+      other: '{count} pausas, de {duration} en total'
+    },
+    retry: '🔄 Repetir',
+    newQuiz: '🏠 Nuevo cuestionario',
+    showReview: '📝 Revisar respuestas',
+    hideReview: '👁️ Ocultar respuestas',
+    highScores: '🏆 Mejores puntuaciones',
+    review: {
+      title: 'Revisión de respuestas',
+      correctCount: '{correct}/{total} correctas',
+      question: 'Pregunta {number}:',
+      correct: 'Correcta',
+      partial: 'Parcial ({percent})',
+      incorrect: 'Incorrecta'
+    },
+    scores: {
+      title: 'Mejores puntuaciones',
+      clear: 'Borrar puntuaciones',
+      entry: '{percentage} ({score}/{total})',
+      mixedCategories: 'Categorías variadas',
+      empty: 'Aún no hay puntuaciones. ¡Sigue jugando para crear tu récord!'
+    },
+    clearModal: {
+      title: '¿Borrar las mejores puntuaciones?',
+      text: '¿Seguro que quieres borrar todas las mejores puntuaciones? Esta acción no se puede deshacer.',
+      confirm: 'Borrar puntuaciones'
+    }
+  },
+
+  packs: {
+    fileFormat: 'Formato del archivo',
+    detectFormat: 'Detectar por el archivo',
+    importInto: 'Importar en',
+    newPack: 'Un paquete nuevo',
+    import: 'Importar preguntas',
+    mediaHint: 'Las preguntas pueden mostrar imágenes o reproducir audios nombrados en el archivo: elige esos archivos junto con él.',
+    empty: 'Aún no hay paquetes. Importa un archivo JSON, CSV, Moodle GIFT o Aiken para crear uno.',
+    questionCount: {
+      one: '{count} pregunta',
+      other: '{count} preguntas'
+    },
+    delete: 'Eliminar',
+    confirmDelete: 'Confirmar',
+    errors: {
+      needsName: 'Los paquetes de preguntas necesitan un nombre',
+      storageFull: 'No se pudo guardar el paquete. Puede que el almacenamiento del navegador esté lleno.',
+      unknownFormat: 'Formato de paquete de preguntas desconocido «{format}»'
+    },
+    parse: {
+      invalidJSON: 'no es JSON válido ({reason})',
+      notQuestionList: 'se esperaba una lista de preguntas o un objeto con «questions»',
+      empty: 'el archivo está vacío',
+      questionColumn: 'falta la columna «question»',
+      giftNoAnswerBlock: 'no hay bloque de respuestas entre llaves (las descripciones no son preguntas)',
+      giftNumeric: 'las preguntas numéricas no se admiten',
+      giftEmptyBlock: 'el bloque de respuestas está vacío (las preguntas de ensayo no se admiten)',
+      giftMatching: 'las preguntas de emparejamiento no se admiten',
+      giftNoCorrectAnswer: 'no se pudo saber qué respuesta es la correcta',
+      aikenAnswerFirst: 'línea ANSWER sin pregunta',
+      aikenNoOptions: 'la pregunta no tiene opciones',
+      aikenUnknownAnswer: 'ANSWER {letter} no es una de las opciones',
+      aikenExpectedOption: 'se esperaba la opción {letter} o una línea ANSWER',
+      aikenMissingAnswer: 'falta la línea ANSWER'
+    },
+    skip: {
+      csvSeparator: 'una opción o respuesta contiene «{separator}»',
+      giftOrdering: 'GIFT no tiene preguntas de ordenar',
+      aikenType: 'Aiken solo tiene preguntas de opción múltiple con una única respuesta',
+      media: 'los archivos {format} no pueden llevar imágenes ni audio'
+    },
+    report: {
+      pickQuestionFile: 'Elige el archivo de preguntas junto con sus imágenes y audios.',
+      missingMedia: '{id}: {fileName} no se eligió con el archivo de preguntas, así que no se mostrará',
+      unusedMedia: 'Ninguna pregunta usa {fileName}',
+      alreadyInPack: {
+        one: '{count} pregunta ya estaba en este paquete y se omitió',
+        other: '{count} preguntas ya estaban en este paquete y se omitieron'
+      },
+      nothingImported: 'No se pudo importar ninguna pregunta de {fileName} ({format}).',
+      imported: {
+        one: 'Se importó {count} pregunta en «{name}».',
+        other: 'Se importaron {count} preguntas en «{name}».'
+      },
+      translated: {
+        one: 'Se añadieron traducciones a {count} pregunta que ya estaba.',
+        other: 'Se añadieron traducciones a {count} preguntas que ya estaban.'
+      },
+      rejected: {
+        one: '{count} rechazada:',
+        other: '{count} rechazadas:'
+      },
+      readFailed: 'No se pudo leer el archivo.',
+      nothingExported: 'Ninguna pregunta de «{name}» se puede guardar como {format}.',
+      exportedSkipping: {
+        one: 'Se exportó {fileName} sin {count} pregunta:',
+        other: 'Se exportó {fileName} sin {count} preguntas:'
+      }
+    }
+  },
+
+  editor: {
+    title: 'Editor de preguntas',
+    subtitle: 'Crea tus propios paquetes de preguntas y juégalos como fuente de preguntas',
+    packs: 'Paquetes',
+    noPacks: 'Aún no hay paquetes. Crea uno para empezar a añadir preguntas.',
+    newPackName: 'Nombre del paquete nuevo',
+    create: 'Crear',
+    selectPack: 'Elige o crea un paquete a la izquierda.',
+    editQuestion: 'Editar pregunta',
+    newQuestion: 'Pregunta nueva',
+    saveQuestion: 'Guardar pregunta',
+    preview: 'Vista previa',
+    showAnswer: 'Mostrar respuesta',
+    hideAnswer: 'Ocultar respuesta',
+    previewIncomplete: 'La vista previa aparece cuando la pregunta está completa.',
+    packName: 'Nombre del paquete',
+    play: 'Jugar',
+    deletePack: 'Eliminar paquete',
+    confirmDelete: 'Confirmar',
+    noQuestions: 'Este paquete aún no tiene preguntas.',
+    edit: 'Editar',
+    duplicate: 'Duplicar',
+    deleteQuestion: 'Eliminar pregunta',
+    confirm: 'Confirmar',
+    addQuestion: 'Añadir pregunta',
+    form: {
+      type: 'Tipo',
+      category: 'Categoría',
+      difficulty: 'Dificultad',
+      question: 'Pregunta',
+      formattingHint: 'La pregunta, las opciones y la explicación admiten **negrita**, *cursiva*, `código`, ``` bloques de código ```, x^2^, H~2~O y fórmulas $\\frac{a}{b}$.',
+      itemsInOrder: 'Elementos, en el orden correcto',
+      optionsTickAll: 'Opciones (marca todas las correctas)',
+      optionsPickOne: 'Opciones (elige la correcta)',
+      markCorrect: 'Marcar la opción {number} como correcta',
+      option: 'Opción {number}',
+      moveItemUp: 'Subir el elemento {number}',
+      moveItemDown: 'Bajar el elemento {number}',
+      removeOption: 'Quitar la opción {number}',
+      addOption: 'Añadir opción',
+      acceptedAnswers: 'Respuestas aceptadas',
+      mainAnswer: 'Respuesta principal',
+      alsoAccept: 'Aceptar también',
+      removeAcceptedAnswer: 'Quitar la respuesta aceptada {number}',
+      addAcceptedAnswer: 'Añadir respuesta aceptada',
+      typosAllowed: 'Erratas permitidas (letras que pueden diferir)',
+      media: 'Imagen o audio (opcional)',
+      addFile: 'Añadir un archivo',
+      replaceFile: 'Reemplazar archivo',
+      embeddedImage: 'Imagen incrustada',
+      embeddedAudio: 'Audio incrustado',
+      mediaAddress: 'o una dirección web',
+      mediaAddressLabel: 'Dirección de la imagen o el audio',
+      removeMedia: 'Quitar',
+      mediaType: 'Tipo',
+      image: 'Imagen',
+      audio: 'Audio',
+      altText: 'Texto alternativo',
+      audioDescription: 'Descripción (opcional)',
+      imagePlaceholder: 'Qué muestra la imagen',
+      audioPlaceholder: 'Cómo suena el audio',
+      maxPlays: 'Reproducciones permitidas (vacío para ilimitadas)',
+      partialCredit: 'Dar puntos parciales a las respuestas en parte correctas',
+      explanation: 'Explicación (opcional)',
+      translatedInto: 'También traducida a {languages}. Las traducciones se guardan tal cual y emparejan las opciones por posición, así que edítalas en un archivo JSON exportado e impórtalo de nuevo.'
+    }
+  },
+
+  validation: {
+    location: {
+      file: 'Archivo',
+      row: 'Fila {number}',
+      line: 'Línea {number}',
+      question: 'Pregunta {number}',
+      translation: 'Traducción'
+    },
+    object: 'la pregunta debe ser un objeto',
+    id: 'falta el id',
+    questionText: 'falta el texto de la pregunta',
+    type: 'tipo desconocido «{type}»',
+    difficulty: 'la dificultad debe ser {difficulties} (se recibió «{difficulty}»)',
+    explanation: 'la explicación debe ser texto',
+    optionsList: 'las opciones deben ser una lista',
+    optionText: 'las opciones deben ser texto no vacío',
+    optionCount: 'se necesitan al menos 2 opciones',
+    booleanOptions: 'las preguntas de verdadero/falso necesitan exactamente 2 opciones',
+    uniqueOptions: 'las opciones no deben repetirse',
+    partialCredit: 'partialCredit debe ser true o false',
+    correctAnswer: 'la respuesta correcta no es una de las opciones',
+    answerKey: 'la clave de respuesta no coincide con la opción correcta',
+    correctAnswersOptions: 'todas las respuestas correctas deben ser opciones',
+    correctAnswersRepeat: 'las respuestas correctas no deben repetirse',
+    multiSelectAnswer: 'las preguntas de seleccionar todas necesitan al menos una opción correcta',
+    orderingAnswer: 'las preguntas de ordenar deben colocar todas las opciones',
+    answerKeys: 'la clave de respuesta no coincide con las opciones correctas',
+    textOptions: 'las preguntas de texto libre no deben tener opciones',
+    acceptedAnswersRequired: 'las preguntas de texto libre necesitan al menos una respuesta aceptada',
+    acceptedAnswers: 'las respuestas aceptadas deben contener letras o dígitos',
+    textAnswerKey: 'la clave de respuesta no coincide con las respuestas aceptadas',
+    maxDistance: 'maxDistance debe ser un número entero de 0 o más',
+    duplicateId: 'id duplicado «{id}»',
+    language: 'el idioma debe ser un código de idioma como «en» o «pt-br» (se recibió «{language}»)',
+    translationsObject: 'las traducciones deben ser un objeto con códigos de idioma como claves',
+    media: {
+      object: 'el contenido multimedia debe ser un objeto',
+      type: 'el tipo de contenido multimedia debe ser {types}',
+      source: 'el contenido multimedia necesita una fuente',
+      scheme: 'la fuente debe ser una dirección web, una URL data: o una ruta de archivo',
+      notAudio: 'los datos no son audio',
+      notImage: 'los datos no son una imagen',
+      altText: 'el texto alternativo debe ser texto',
+      altRequired: 'las imágenes necesitan texto alternativo',
+      maxPlays: 'maxPlays debe ser un número entero de 1 o más'
+    },
+    translation: {
+      code: 'la traducción «{language}» no es un código de idioma',
+      ownLanguage: 'la traducción «{language}» repite el idioma de la propia pregunta',
+      object: 'la traducción «{language}» debe ser un objeto',
+      questionText: 'a la traducción «{language}» le falta el texto de la pregunta',
+      explanation: 'la explicación de la traducción «{language}» debe ser texto',
+      acceptedAnswers: 'las respuestas aceptadas de la traducción «{language}» deben contener letras o dígitos',
+      optionCount: 'la traducción «{language}» debe tener el mismo número de opciones que la pregunta',
+      optionText: 'las opciones de la traducción «{language}» deben ser texto no vacío',
+      uniqueOptions: 'las opciones de la traducción «{language}» no deben repetirse',
+      type: 'la traducción «{language}» debe ser del mismo tipo que la pregunta',
+      order: 'la traducción «{language}» debe tener sus opciones en el mismo orden que la pregunta',
+      twice: 'la traducción «{language}» aparece dos veces'
+    }
+  },
+
+  api: {
+    errors: {
+      rateLimit: 'Límite de solicitudes superado. Espera unos segundos y vuelve a intentarlo, o cambia al modo sin conexión.',
+      noResults: 'No se encontraron preguntas con esos criterios. Prueba otros ajustes o usa el modo sin conexión.',
+      invalidSettings: 'Ajustes del cuestionario no válidos. Revisa la configuración.',
+      network: 'Error de red. Comprueba tu conexión a internet o prueba el modo sin conexión.',
+      notEnough: 'No hay suficientes preguntas para estos ajustes. Prueba con menos preguntas u otra categoría.',
+      http: 'El servidor de preguntas respondió con un error (HTTP {status}). Inténtalo más tarde.'
+    },
+    notices: {
+      tokenReset: 'Ya viste todas las preguntas de esta categoría; se reinicia para que puedan repetirse.',
+      partialLoad: 'Solo se pudieron cargar {loaded} de {total} preguntas. {reason}'
+    },
+    explanation: 'La respuesta correcta es: {answer}',
+    performance: {
+      outstanding: {
+        title: '¡Extraordinario! 🏆',
+        message: '¡Eres un verdadero QuizMaster!'
+      },
+      excellent: {
+        title: '¡Excelente! 🌟',
+        message: '¡Gran trabajo! Sabes mucho.'
+      },
+      good: {
+        title: '¡Buen trabajo! 👍',
+        message: 'Buen resultado. ¡Sigue así!'
+      },
+      notBad: {
+        title: '¡Nada mal! 📚',
+        message: 'Puedes mejorar, pero vas por buen camino.'
+      },
+      keepLearning: {
+        title: '¡Sigue aprendiendo! 💪',
+        message: '¡No te rindas! La práctica hace al maestro.'
+      }
+    }
+  }
+};
@@ -0,0 +1,660 @@
+/**
+ * Hebrew interface text (right-to-left)
+ */
+export default {
+  common: {
+    appName: 'QuizMaster',
+    tagline: 'אתגרו את הידע שלכם',
+    loading: 'טוען...',
+    timeLeft: 'זמן שנותר',
+    cancel: 'ביטול',
+    backToHome: 'חזרה לדף הבית',
+    notAvailable: 'לא זמין',
+    any: 'כלשהו',
+    language: 'שפה'
+  },
+
+  challenge: {
+    copy: 'העתקת קישור לאתגר',
+    copied: 'הקישור הועתק',
+    copyManually: 'העתיקו את הקישור הזה כדי לאתגר חברים באותו חידון:',
+    unavailable: 'אי אפשר לשתף חידונים מ-Open Trivia DB, משאלות שמורות או מחבילות השאלות שלך כקישור אתגר: השאלות שלהם שמורות רק בדפדפן הזה, ולדפדפן של חבר אין דרך למצוא אותן.'
+  },
+
+  difficulty: {
+    mixed: 'מעורב',
+    easy: 'קל',
+    medium: 'בינוני',
+    hard: 'קשה'
+  },
+
+  questionTypes: {
+    mixed: 'מעורב',
+    multiple: 'רב-ברירה',
+    boolean: 'נכון / לא נכון',
+    'multi-select': 'סמנו את כל הנכונות',
+    ordering: 'סידור',
+    text: 'הקלידו את התשובה'
+  },
+
+  sources: {
+    label: 'מקור השאלות',
+    opentdb: {
+      name: 'Open Trivia DB',
+      shortName: 'API',
+      description: 'שאלות חדשות מ-Open Trivia DB'
+    },
+    cache: {
+      name: 'שאלות שמורות',
+      shortName: 'שמורות',
+      description: 'שאלות שנשמרו מחידונים מקוונים קודמים'
+    },
+    local: {
+      name: 'שאלות מקומיות',
+      shortName: 'מקומיות',
+      description: 'שאלות נבחרות ללא חיבור'
+    },
+    pack: {
+      description: {
+        one: 'החבילה שלכם · שאלה אחת',
+        other: 'החבילה שלכם · {count} שאלות'
+      }
+    },
+    errors: {
+      noValidQuestions: '{source} לא החזיר אף שאלה תקינה.',
+      cacheEmpty: 'עדיין אין שאלות שמורות. שחקו קודם חידון מקוון כדי לבנות את האוסף הלא מקוון שלכם.',
+      packEmpty: 'בחבילה "{name}" אין שאלות להגדרות האלה.'
+    }
+  },
+
+  layout: {
+    footer: '© 2024 QuizMaster. אתגרו את עצמכם והרחיבו את הידע.',
+    about: 'אודות',
+    contact: 'צור קשר',
+    github: 'GitHub'
+  },
+
+  home: {
+    source: {
+      title: 'מקור השאלות',
+      using: 'משתמשים ב-{name}',
+      online: '{icon} שאלות חיות, נדרש חיבור לאינטרנט',
+      offline: '{icon} שאלות ללא חיבור לתרגול אמין'
+    },
+    hero: {
+      onlineSubtitle: 'בחנו את הידע שלכם עם שאלות חדשות ממאגר הנתונים העולמי שלנו',
+      offlineSubtitle: 'תרגלו עם האוסף הנבחר שלנו של שאלות ללא חיבור',
+      description: 'בחרו רמת קושי, התחרו מול השעון ועקבו אחר ההתקדמות שלכם עד שתהפכו ל-QuizMaster אמיתיים!',
+      startOnline: 'התחילו חידון חדש 🌐',
+      startOffline: 'התחילו חידון מהיר 💾',
+      custom: 'חידון מותאם ⚙️'
+    },
+    resume: {
+      title: 'המשיכו את החידון שלא הסתיים',
+      progress: 'שאלה {number} מתוך {total}',
+      savedAt: 'נשמר ב-{date}',
+      resume: 'המשך',
+      discard: 'מחק'
+    },
+    liveMode: {
+      title: 'מצב API חי:',
+      text: 'השאלות נטענות מ-{name} למגוון מרבי!'
+    },
+    progress: {
+      title: 'ההתקדמות שלכם',
+      quizzesTaken: 'חידונים שהושלמו',
+      averageScore: 'ציון ממוצע',
+      bestStreak: 'הרצף הטוב ביותר',
+      timePlayed: 'זמן משחק',
+      bestScore: '🏆 הציון הטוב ביותר שלכם: {percentage} ({score}/{total})'
+    },
+    modes: {
+      title: 'בחרו את האתגר',
+      subtitle: 'בחרו את מצב החידון המתאים לרמה שלכם',
+      questions: {
+        one: 'שאלה אחת',
+        two: 'שתי שאלות',
+        other: '{count} שאלות'
+      },
+      perQuestion: '{time} לכל שאלה',
+      start: 'התחילו חידון',
+      quick: {
+        title: 'חידון מהיר',
+        online: 'שאלות חדשות מהמאגר שלנו',
+        offline: '5 שאלות מקומיות לתרגול מהיר'
+      },
+      standard: {
+        title: 'חידון רגיל',
+        online: 'האתגר הקלאסי של 10 שאלות מה-API',
+        offline: 'חידון רגיל עם שאלות מקומיות'
+      },
+      expert: {
+        title: 'אתגר מומחים',
+        online: 'שאלות קשות מהמאגר העולמי',
+        offline: 'שאלות מקומיות קשות למומחים'
+      },
+      lightning: {
+        title: 'סבב בזק',
+        online: '10 שאלות API, 15 שניות לכל אחת',
+        offline: '10 שאלות מקומיות בקצב מהיר'
+      }
+    },
+    packs: {
+      title: 'חבילות השאלות שלכם',
+      subtitle: 'כתבו שאלות משלכם או ייבאו אותן מקובצי JSON‏, CSV‏, Moodle GIFT או Aiken, ושחקו בהן כמקור',
+      openEditor: '✏️ פתחו את עורך השאלות'
+    },
+    features: {
+      title: 'למה QuizMaster?',
+      subtitle: 'חוויית החידונים המהנה ביותר',
+      timed: {
+        title: 'שאלות עם זמן',
+        description: 'אתגרו את עצמכם עם מגבלות זמן'
+      },
+      progress: {
+        title: 'מעקב התקדמות',
+        description: 'ראו איך אתם משתפרים לאורך זמן'
+      },
+      design: {
+        title: 'ממשק יפה',
+        description: 'אנימציות חלקות ועיצוב רספונסיבי'
+      }
+    },
+    custom: {
+      title: 'הגדרות חידון מותאם',
+      questionCount: 'מספר שאלות',
+      noMatches: 'אין שאלות שמתאימות להגדרות האלה. נסו רמת קושי או קטגוריה אחרת.',
+      onlySome: {
+        one: 'רק שאלה אחת מתאימה להגדרות האלה, ולכן החידון ישתמש בה.',
+        other: 'רק {count} שאלות מתאימות להגדרות האלה, ולכן החידון ישתמש בכולן.'
+      },
+      largeQuiz: 'חידונים גדולים טוענים 50 שאלות כל כמה שניות. אפשר להתחיל ברגע שה-50 הראשונות מגיעות.',
+      questionType: 'סוג שאלה',
+      difficulty: 'רמת קושי',
+      categories: 'קטגוריות',
+      anyCategory: 'כל קטגוריה',
+      pickMany: 'בחרו כמה שתרצו.',
+      all: 'הכל',
+      timeLimit: 'זמן לכל שאלה',
+      cooldown: 'הימנעו משאלות שהופיעו ב',
+      cooldownOff: 'כבוי',
+      cooldownHint: 'שאלות שלא הופיעו באות קודם. שאלות שהופיעו לאחרונה משמשות רק כשלא נשאר דבר אחר.',
+      seed: 'זרע החידון (לא חובה)',
+      seedPlaceholder: 'למשל k3mq8zta',
+      seedHint: 'אותו זרע מחלק שוב את אותו חידון מאותו מקור. השאירו ריק לחידון חדש.',
+      pauses: 'השהיות מותרות',
+      pausesUnlimited: 'ללא הגבלה',
+      pausesNone: 'אין (מבחן)',
+      pausesHint: 'זמן ההשהיה לא נספר, והשאלה מוסתרת כל עוד החידון מושהה.',
+      exam: 'מצב מבחן',
+      examHint: 'ללא השהיות, ולא ניתן להמשיך את החידון אחרי יציאה מהדף או טעינה מחדש.',
+      sessionExpiry: 'לשמור חידונים שלא הסתיימו למשך:',
+      sessionExpiryHint: 'חידון שנקטע בגלל טעינה מחדש או קריסה אפשר להמשיך עד אז.',
+      historyCleared: 'ההיסטוריה נמחקה',
+      forgetSeen: 'שכחו שאלות שהופיעו',
+      start: 'התחילו חידון מותאם'
+    },
+    cta: {
+      title: 'מוכנים לאתגר?',
+      online: 'הצטרפו לאלפי חובבי חידונים עם שאלות חדשות מהמאגר העולמי שלנו!',
+      offline: 'תרגלו עם האוסף שנבחר בקפידה של שאלות ללא חיבור!',
+      startOnline: 'התחילו חידון חדש 🌐',
+      startOffline: 'התחילו חידון תרגול 💾',
+      highScores: 'צפו בשיאים'
+    }
+  },
+
+  quiz: {
+    loading: {
+      title: 'מכינים את החידון שלכם',
+      questions: {
+        one: 'טוען שאלה אחת...',
+        two: 'טוען שתי שאלות...',
+        other: 'טוען {count} שאלות...'
+      },
+      queue: 'מקום {position} בתור, ~{wait}',
+      ready: '{loaded} מתוך {total} שאלות מוכנות',
+      startNow: 'התחילו עכשיו 🚀',
+      keepLoading: 'השאר ממשיכות להיטען בזמן המשחק.'
+    },
+    error: {
+      rateLimit: '⏱️ חריגה ממגבלת הבקשות',
+      connection: '🌐 בעיית חיבור',
+      generic: 'שגיאה בטעינת החידון',
+      whatToDo: 'מה אפשר לעשות:',
+      rateLimitTip1: 'המתינו 10-15 שניות ונסו שוב',
+      rateLimitTip2: 'עברו למקור השאלות המקומיות בדף הבית',
+      rateLimitTip3: 'נסו מספר קטן יותר של שאלות',
+      suggestions: 'הצעות:',
+      networkTip1: 'בדקו את החיבור לאינטרנט',
+      networkTip2: 'נסו לרענן את הדף',
+      networkTip3: 'עברו למקור השאלות המקומיות למשחק ללא חיבור',
+      tryAgain: 'נסו שוב',
+      refresh: 'רענון הדף',
+      tip: '💡 טיפ: בחרו שאלות מקומיות כמקור בדף הבית לחידונים מיידיים ללא מגבלות!'
+    },
+    start: {
+      title: 'מוכנים להתחיל?',
+      questions: 'שאלות:',
+      timePerQuestion: 'זמן לכל שאלה:',
+      difficulty: 'רמת קושי:',
+      categories: {
+        one: 'קטגוריה:',
+        other: 'קטגוריות:'
+      },
+      questionType: 'סוג שאלה:',
+      instructions: 'הוראות:',
+      instruction1: 'קראו כל שאלה בעיון',
+      instruction2: 'בחרו תשובה לפני שהזמן נגמר',
+      instruction3: 'אפשר לחזור לשאלות קודמות',
+      instruction4: 'הציון הסופי יוצג בסוף',
+      pauses: 'השהיות:',
+      pausesUnlimited: 'ללא הגבלה',
+      pausesNone: 'אין',
+      examNotice: 'זהו מבחן: לא ניתן להשהות אותו, ויציאה מהדף או טעינה מחדש מסיימות את הניסיון הזה.',
+      begin: 'התחילו חידון 🚀'
+    },
+    completed: {
+      title: 'החידון הושלם!',
+      score: '{score} מתוך {total} נכונות',
+      outstanding: 'מדהים! אתם QuizMaster אמיתיים! 🏆',
+      excellent: 'עבודה מצוינת! אתם באמת יודעים את החומר! 🌟',
+      good: 'כל הכבוד! המשיכו כך! 👍',
+      notBad: 'לא רע! יש מקום לשיפור! 📈',
+      keepLearning: 'המשיכו ללמוד! תרגול מביא לשלמות! 💪',
+      redirecting: 'עוברים לתוצאות המפורטות...'
+    },
+    header: {
+      title: 'אתגר QuizMaster',
+      difficulty: 'רמת קושי: {difficulty}'
+    },
+    pause: '⏸️ השהיה',
+    pausesLeft: {
+      one: 'נותרה השהיה אחת',
+      other: 'נותרו {count} השהיות'
+    },
+    paused: {
+      title: 'החידון מושהה',
+      text: 'הטיימר עצור והשאלה מוסתרת עד שתמשיכו.',
+      resume: '▶️ המשך החידון',
+      lastPause: 'זו הייתה ההשהיה האחרונה שלכם.'
+    },
+    exit: 'יציאה מהחידון',
+    loadingMedia: 'טוען מדיה...',
+    loadingMore: '⏳ טוען שאלות נוספות ({progress})',
+    loadingMoreProgress: '{loaded} מתוך {total}',
+    exitModal: {
+      title: 'לצאת מהחידון?',
+      text: 'האם אתם בטוחים שברצונכם לצאת מהחידון? ההתקדמות שלכם תאבד.',
+      continue: 'המשך בחידון',
+      confirm: 'יציאה'
+    },
+    notices: {
+      resumeUnavailable: 'אי אפשר להמשיך את החידון שלא הסתיים כי חלק מהשאלות שלו כבר לא זמינות כאן, אז זה חידון חדש.',
+      invalidQuestions: {
+        one: 'דילגנו על שאלה פגומה אחת מ-{source}.',
+        other: 'דילגנו על {count} שאלות פגומות מ-{source}.'
+      },
+      shortQuiz: {
+        one: 'רק שאלה שונה אחת מתאימה להגדרות האלה, ולכן בחידון יש {count} במקום {amount}.',
+        other: 'רק {count} שאלות שונות מתאימות להגדרות האלה, ולכן בחידון יש {count} במקום {amount}.'
+      },
+      recentlySeenAll: 'כל השאלות האלה כבר הוצגו לכם {period}. אין מספיק שאלות חדשות להגדרות האלה.',
+      recentlySeen: {
+        one: 'שאלה אחת מהשאלות האלה כבר הוצגה לכם {period}. אין מספיק שאלות חדשות להגדרות האלה.',
+        other: '{count} מהשאלות האלה כבר הוצגו לכם {period}. אין מספיק שאלות חדשות להגדרות האלה.'
+      },
+      period: {
+        one: 'ביום האחרון',
+        two: 'ביומיים האחרונים',
+        other: 'ב-{count} הימים האחרונים'
+      },
+      linkedMissing: {
+        one: 'שאלה אחת מהקישור הזה אינה זמינה כאן, ולכן החידון קצר יותר.',
+        other: '{count} שאלות מהקישור הזה אינן זמינות כאן, ולכן החידון קצר יותר.'
+      },
+      linkedUnavailable: 'השאלות מהקישור הזה אינן זמינות כאן. נבנה חידון עם אותן הגדרות במקום.',
+      noQuestions: 'לא נמצאו שאלות',
+      failedToLoad: 'טעינת השאלות נכשלה',
+      couldNotReach: 'לא ניתן להגיע לשרת השאלות.',
+      offlineFallback: '{reason} משתמשים בשאלות ללא חיבור במקום.'
+    }
+  },
+
+  question: {
+    progress: 'שאלה {number} מתוך {total}',
+    explanation: 'הסבר',
+    option: 'אפשרות {number}: {text}',
+    previous: '→ הקודמת',
+    skip: 'דלגו על השאלה',
+    next: 'השאלה הבאה ←',
+    finish: 'סיום החידון ←',
+    typePrompt: 'הקלידו תשובה כדי להמשיך',
+    selectPrompt: 'בחרו תשובה כדי להמשיך'
+  },
+
+  answers: {
+    selectAll: 'סמנו את כל התשובות הנכונות.',
+    options: 'אפשרויות תשובה',
+    dragHint: 'גררו את הפריטים לסדר הנכון, או השתמשו בחצים (Alt + ↑/↓ במקלדת).',
+    itemsToOrder: 'פריטים לסידור',
+    position: 'מקום {number}: {text}',
+    moveUp: 'הזיזו את {text} למעלה',
+    moveDown: 'הזיזו את {text} למטה',
+    typeHint: 'הקלידו את התשובה. האיות, הניקוד והאותיות הגדולות לא חייבים להיות מדויקים.',
+    accepted: 'מתקבל: {answers}'
+  },
+
+  review: {
+    yourAnswer: 'התשובה שלכם:',
+    correctAnswer: 'התשובה הנכונה:',
+    noAnswer: 'אין תשובה',
+    missed: 'הוחמצה',
+    yourOrder: 'הסדר שלכם:',
+    correctOrder: 'הסדר הנכון:',
+    youTyped: 'הקלדתם:',
+    acceptedAnswers: {
+      one: 'תשובה מתקבלת:',
+      other: 'תשובות מתקבלות:'
+    }
+  },
+
+  media: {
+    playClip: '▶ הפעלת קטע',
+    playClipLabel: 'הפעלת קטע: {alt}',
+    playing: '🔊 מתנגן…',
+    playAgain: '↻ הפעלה חוזרת',
+    noPlaysLeft: 'לא נותרו השמעות',
+    playsLeft: {
+      one: 'נותרה השמעה אחת',
+      two: 'נותרו שתי השמעות',
+      other: 'נותרו {count} השמעות'
+    },
+    errors: {
+      type: '{fileName} אינו קובץ תמונה או שמע',
+      size: '{fileName} גדול מ-{size} MB',
+      read: 'לא ניתן לקרוא את {fileName}'
+    }
+  },
+
+  results: {
+    score: '{score} מתוך {total} שאלות נכונות',
+    newHighScore: {
+      title: '🎉 שיא חדש! 🎉',
+      text: 'ברכות! זה הציון הטוב ביותר שלכם עד כה!'
+    },
+    timeTaken: 'זמן שנדרש',
+    correctAnswers: 'תשובות נכונות',
+    incorrectAnswers: 'תשובות שגויות',
+    seed: 'זרע החידון:',
+    pauses: {
+      one: 'הושהה פעם אחת, למשך {duration}',
+      two: 'הושהה פעמיים, למשך {duration} בסך הכול',
+      other: 'הושהה {count} פעמים, למשך {duration} בסך הכול'
+    },
+    retry: '🔄 נסו שוב',
+    newQuiz: '🏠 חידון חדש',
+    showReview: '📝 סקירת תשובות',
+    hideReview: '👁️ הסתרת תשובות',
+    highScores: '🏆 שיאים',
+    review: {
+      title: 'סקירת תשובות',
+      correctCount: '{correct}/{total} נכונות',
+      question: 'שאלה {number}:',
+      correct: 'נכון',
+      partial: 'חלקי ({percent})',
+      incorrect: 'שגוי'
+    },
+    scores: {
+      title: 'שיאים',
+      clear: 'מחיקת שיאים',
+      entry: '{percentage} ({score}/{total})',
+      mixedCategories: 'קטגוריות מעורבות',
+      empty: 'אין עדיין שיאים. המשיכו לשחק כדי לבנות את הרקורד שלכם!'
+    },
+    clearModal: {
+      title: 'למחוק את השיאים?',
+      text: 'האם אתם בטוחים שברצונכם למחוק את כל השיאים? לא ניתן לבטל פעולה זו.',
+      confirm: 'מחיקת שיאים'
+    }
+  },
+
+  packs: {
+    fileFormat: 'פורמט הקובץ',
+    detectFormat: 'זיהוי לפי הקובץ',
+    importInto: 'ייבוא אל',
+    newPack: 'חבילה חדשה',
+    import: 'ייבוא שאלות',
+    mediaHint: 'שאלות יכולות להציג תמונות או לנגן קטעי שמע שמופיעים בקובץ: בחרו את הקבצים האלה יחד איתו.',
+    empty: 'אין עדיין חבילות. ייבאו קובץ JSON, ‏CSV, ‏Moodle GIFT או Aiken כדי ליצור חבילה.',
+    questionCount: {
+      one: 'שאלה אחת',
+      other: '{count} שאלות'
+    },
+    delete: 'מחיקה',
+    confirmDelete: 'אישור מחיקה',
+    errors: {
+      needsName: 'לחבילות שאלות צריך שם',
+      storageFull: 'לא ניתן לשמור את החבילה. ייתכן שאחסון הדפדפן מלא.',
+      unknownFormat: 'פורמט חבילת שאלות לא מוכר "{format}"'
+    },
+    parse: {
+      invalidJSON: 'זה אינו JSON תקין ({reason})',
+      notQuestionList: 'ציפינו לרשימת שאלות או לאובייקט עם "questions"',
+      empty: 'הקובץ ריק',
+      questionColumn: 'חסרה עמודת "question"',
+      giftNoAnswerBlock: 'אין גוש תשובות בסוגריים מסולסלים (תיאורים אינם שאלות)',
+      giftNumeric: 'שאלות מספריות אינן נתמכות',
+      giftEmptyBlock: 'גוש התשובות ריק (שאלות חיבור אינן נתמכות)',
+      giftMatching: 'שאלות התאמה אינן נתמכות',
+      giftNoCorrectAnswer: 'לא ניתן לדעת איזו תשובה נכונה',
+      aikenAnswerFirst: 'שורת ANSWER בלי שאלה',
+      aikenNoOptions: 'לשאלה אין אפשרויות',
+      aikenUnknownAnswer: 'ANSWER {letter} אינו אחת האפשרויות',
+      aikenExpectedOption: 'ציפינו לאפשרות {letter} או לשורת ANSWER',
+      aikenMissingAnswer: 'חסרה שורת ANSWER'
+    },
+    skip: {
+      csvSeparator: 'אפשרות או תשובה מכילה "{separator}"',
+      giftOrdering: 'ב-GIFT אין שאלות סידור',
+      aikenType: 'ב-Aiken יש רק שאלות רב-ברירה עם תשובה אחת',
+      media: 'קובצי {format} לא יכולים להכיל תמונות או שמע'
+    },
+    report: {
+      pickQuestionFile: 'בחרו את קובץ השאלות יחד עם התמונות וקטעי השמע שלו.',
+      missingMedia: '{id}: הקובץ {fileName} לא נבחר יחד עם קובץ השאלות, ולכן לא יוצג',
+      unusedMedia: 'אף שאלה לא משתמשת בקובץ {fileName}',
+      alreadyInPack: {
+        one: 'שאלה אחת כבר הייתה בחבילה ודולגה',
+        other: '{count} שאלות כבר היו בחבילה ודולגו'
+      },
+      nothingImported: 'לא ניתן היה לייבא אף שאלה מהקובץ {fileName} ({format}).',
+      imported: {
+        one: 'יובאה שאלה אחת אל "{name}".',
+        other: 'יובאו {count} שאלות אל "{name}".'
+      },
+      translated: {
+        one: 'נוספו תרגומים לשאלה אחת שכבר הייתה בחבילה.',
+        other: 'נוספו תרגומים ל-{count} שאלות שכבר היו בחבילה.'
+      },
+      rejected: {
+        one: 'שאלה אחת נדחתה:',
+        other: '{count} נדחו:'
+      },
+      readFailed: 'לא ניתן היה לקרוא את הקובץ.',
+      nothingExported: 'אף שאלה ב-"{name}" לא ניתנת לכתיבה בפורמט {format}.',
+      exportedSkipping: {
+        one: 'הקובץ {fileName} יוצא בלי שאלה אחת:',
+        other: 'הקובץ {fileName} יוצא בלי {count} שאלות:'
+      }
+    }
+  },
+
+  editor: {
+    title: 'עורך השאלות',
+    subtitle: 'בנו חבילות שאלות משלכם ושחקו בהן כמקור שאלות',
+    packs: 'חבילות',
+    noPacks: 'אין עדיין חבילות. צרו חבילה כדי להתחיל להוסיף שאלות.',
+    newPackName: 'שם החבילה החדשה',
+    create: 'יצירה',
+    selectPack: 'בחרו או צרו חבילה ברשימה שבצד.',
+    editQuestion: 'עריכת שאלה',
+    newQuestion: 'שאלה חדשה',
+    saveQuestion: 'שמירת השאלה',
+    preview: 'תצוגה מקדימה',
+    showAnswer: 'הצגת התשובה',
+    hideAnswer: 'הסתרת התשובה',
+    previewIncomplete: 'התצוגה המקדימה תופיע כשהשאלה תהיה שלמה.',
+    packName: 'שם החבילה',
+    play: 'שחקו',
+    deletePack: 'מחיקת החבילה',
+    confirmDelete: 'אישור מחיקה',
+    noQuestions: 'אין עדיין שאלות בחבילה הזו.',
+    edit: 'עריכה',
+    duplicate: 'שכפול',
+    deleteQuestion: 'מחיקת השאלה',
+    confirm: 'אישור',
+    addQuestion: 'הוספת שאלה',
+    form: {
+      type: 'סוג',
+      category: 'קטגוריה',
+      difficulty: 'רמת קושי',
+      question: 'שאלה',
+      formattingHint: 'השאלה, האפשרויות וההסבר יכולים להשתמש ב-**מודגש**, *נטוי*, `קוד`, ``` בלוקי קוד ```, x^2^, ‏H~2~O ונוסחאות $\\frac{a}{b}$.',
+      itemsInOrder: 'פריטים, בסדר הנכון',
+      optionsTickAll: 'אפשרויות (סמנו כל אפשרות נכונה)',
+      optionsPickOne: 'אפשרויות (בחרו את הנכונה)',
+      markCorrect: 'סימון אפשרות {number} כנכונה',
+      option: 'אפשרות {number}',
+      moveItemUp: 'הזזת פריט {number} למעלה',
+      moveItemDown: 'הזזת פריט {number} למטה',
+      removeOption: 'הסרת אפשרות {number}',
+      addOption: 'הוספת אפשרות',
+      acceptedAnswers: 'תשובות מתקבלות',
+      mainAnswer: 'תשובה ראשית',
+      alsoAccept: 'לקבל גם',
+      removeAcceptedAnswer: 'הסרת תשובה מתקבלת {number}',
+      addAcceptedAnswer: 'הוספת תשובה מתקבלת',
+      typosAllowed: 'שגיאות הקלדה מותרות (אותיות שיכולות להיות שונות)',
+      media: 'תמונה או שמע (לא חובה)',
+      addFile: 'הוספת קובץ',
+      replaceFile: 'החלפת הקובץ',
+      embeddedImage: 'תמונה מוטמעת',
+      embeddedAudio: 'קטע שמע מוטמע',
+      mediaAddress: 'או כתובת אינטרנט',
+      mediaAddressLabel: 'כתובת התמונה או השמע',
+      removeMedia: 'הסרה',
+      mediaType: 'סוג',
+      image: 'תמונה',
+      audio: 'קטע שמע',
+      altText: 'טקסט חלופי',
+      audioDescription: 'תיאור (לא חובה)',
+      imagePlaceholder: 'מה רואים בתמונה',
+      audioPlaceholder: 'מה שומעים בקטע',
+      maxPlays: 'מספר השמעות מותר (ריק ללא הגבלה)',
+      partialCredit: 'ניקוד חלקי לתשובות נכונות בחלקן',
+      explanation: 'הסבר (לא חובה)',
+      translatedInto: 'מתורגמת גם ל-{languages}. התרגומים נשמרים כפי שהם ומתאימים אפשרויות לפי מיקום, לכן ערכו אותם בקובץ JSON מיוצא וייבאו אותו מחדש.'
+    }
+  },
+
+  validation: {
+    location: {
+      file: 'קובץ',
+      row: 'שורה {number}',
+      line: 'שורה {number}',
+      question: 'שאלה {number}',
+      translation: 'תרגום'
+    },
+    object: 'השאלה חייבת להיות אובייקט',
+    id: 'חסר מזהה',
+    questionText: 'חסר טקסט השאלה',
+    type: 'סוג לא מוכר "{type}"',
+    difficulty: 'רמת הקושי חייבת להיות אחת מ-{difficulties} (התקבל "{difficulty}")',
+    explanation: 'ההסבר חייב להיות טקסט',
+    optionsList: 'האפשרויות חייבות להיות רשימה',
+    optionText: 'האפשרויות חייבות להיות טקסט לא ריק',
+    optionCount: 'צריך לפחות 2 אפשרויות',
+    booleanOptions: 'לשאלות נכון/לא נכון צריך בדיוק 2 אפשרויות',
+    uniqueOptions: 'האפשרויות לא יכולות לחזור על עצמן',
+    partialCredit: 'partialCredit חייב להיות true או false',
+    correctAnswer: 'התשובה הנכונה אינה אחת האפשרויות',
+    answerKey: 'מפתח התשובה אינו תואם את האפשרות הנכונה',
+    correctAnswersOptions: 'כל התשובות הנכונות חייבות להיות אפשרויות',
+    correctAnswersRepeat: 'התשובות הנכונות לא יכולות לחזור על עצמן',
+    multiSelectAnswer: 'לשאלות "בחרו את כל הנכונות" צריך לפחות אפשרות נכונה אחת',
+    orderingAnswer: 'שאלות סידור חייבות למקם כל אפשרות',
+    answerKeys: 'מפתח התשובה אינו תואם את האפשרויות הנכונות',
+    textOptions: 'לשאלות טקסט חופשי לא יכולות להיות אפשרויות',
+    acceptedAnswersRequired: 'לשאלות טקסט חופשי צריך לפחות תשובה מקובלת אחת',
+    acceptedAnswers: 'תשובות מקובלות חייבות להכיל אותיות או ספרות',
+    textAnswerKey: 'מפתח התשובה אינו תואם את התשובות המקובלות',
+    maxDistance: 'maxDistance חייב להיות מספר שלם של 0 ומעלה',
+    duplicateId: 'מזהה כפול "{id}"',
+    language: 'השפה חייבת להיות קוד שפה כמו "en" או "pt-br" (התקבל "{language}")',
+    translationsObject: 'התרגומים חייבים להיות אובייקט שמפתחותיו קודי שפה',
+    media: {
+      object: 'המדיה חייבת להיות אובייקט',
+      type: 'סוג המדיה חייב להיות אחד מ-{types}',
+      source: 'למדיה צריך מקור',
+      scheme: 'מקור המדיה חייב להיות כתובת אינטרנט, כתובת data: או נתיב קובץ',
+      notAudio: 'נתוני המדיה אינם שמע',
+      notImage: 'נתוני המדיה אינם תמונה',
+      altText: 'הטקסט החלופי חייב להיות טקסט',
+      altRequired: 'לתמונות צריך טקסט חלופי',
+      maxPlays: 'maxPlays חייב להיות מספר שלם של 1 ומעלה'
+    },
+    translation: {
+      code: 'התרגום "{language}" אינו קוד שפה',
+      ownLanguage: 'התרגום "{language}" חוזר על שפת השאלה עצמה',
+      object: 'התרגום "{language}" חייב להיות אובייקט',
+      questionText: 'בתרגום "{language}" חסר טקסט השאלה',
+      explanation: 'ההסבר בתרגום "{language}" חייב להיות טקסט',
+      acceptedAnswers: 'התשובות המקובלות בתרגום "{language}" חייבות להכיל אותיות או ספרות',
+      optionCount: 'בתרגום "{language}" חייב להיות אותו מספר אפשרויות כמו בשאלה',
+      optionText: 'האפשרויות בתרגום "{language}" חייבות להיות טקסט לא ריק',
+      uniqueOptions: 'האפשרויות בתרגום "{language}" לא יכולות לחזור על עצמן',
+      type: 'התרגום "{language}" חייב להיות מאותו סוג כמו השאלה',
+      order: 'התרגום "{language}" חייב לסדר את האפשרויות באותו סדר כמו השאלה',
+      twice: 'התרגום "{language}" מופיע פעמיים'
+    }
+  },
+
+  api: {
+    errors: {
+      rateLimit: 'חריגה ממגבלת הבקשות. המתינו כמה שניות ונסו שוב, או עברו למצב ללא חיבור.',
+      noResults: 'לא נמצאו שאלות לפי הקריטריונים שנבחרו. נסו הגדרות אחרות או מצב ללא חיבור.',
+      invalidSettings: 'הגדרות חידון לא תקינות. בדקו את התצורה.',
+      network: 'שגיאת רשת. בדקו את החיבור לאינטרנט או נסו מצב ללא חיבור.',
+      notEnough: 'אין מספיק שאלות להגדרות האלה. נסו פחות שאלות או קטגוריה אחרת.',
+      http: 'שרת השאלות החזיר שגיאה (HTTP {status}). נסו שוב מאוחר יותר.'
+    },
+    notices: {
+      tokenReset: 'ראיתם את כל השאלות בקטגוריה הזו, מאפסים כדי שהשאלות יוכלו לחזור.',
+      partialLoad: 'רק {loaded} מתוך {total} שאלות נטענו. {reason}'
+    },
+    explanation: 'התשובה הנכונה היא: {answer}',
+    performance: {
+      outstanding: {
+        title: 'מדהים! 🏆',
+        message: 'אתם QuizMaster אמיתיים!'
+      },
+      excellent: {
+        title: 'מצוין! 🌟',
+        message: 'עבודה נהדרת! אתם באמת יודעים את החומר.'
+      },
+      good: {
+        title: 'עבודה טובה! 👍',
+        message: 'ביצוע יפה! המשיכו כך.'
+      },
+      notBad: {
+        title: 'לא רע! 📚',
+        message: 'יש מקום לשיפור, אבל אתם בדרך.'
+      },
+      keepLearning: {
+        title: 'המשיכו ללמוד! 💪',
+        message: 'אל תוותרו! תרגול מביא לשלמות.'
+      }
+    }
+  }
+};
@@ -0,0 +1,356 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { Layout } from '../components/Layout';
+import Question from '../components/Question';
+import QuestionForm from '../components/QuestionForm';
+import { Button, Card, Badge, Alert } from '../components/common';
+import { useTranslation } from '../hooks/useTranslation';
+import { pageTransition } from '../utils/animations';
+import { getPacks, savePack, deletePack, getPackSourceId, subscribeToPacks } from '../utils/questionPacks';
+import { createDraft, toDraft, fromDraft, duplicateDraft } from '../utils/questionDrafts';
+import { getQuizPath } from '../utils/quizOptions';
+import { QUESTION_TYPE_LABELS } from '../utils/questionSchema';
+import { toPlainText } from '../utils/richText';
+import questionsData from '../data/questions.json';
+
+const inputClasses = 'w-full p-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-transparent';
+
+/**
+ * Editor Page Component
+ * Creates, edits, duplicates and deletes questions in named local packs
+ */
+const Editor = () => {
+  const navigate = useNavigate();
+  const containerRef = useRef(null);
+  const { t, translateMessage } = useTranslation();
+
+  const [packs, setPacks] = useState(getPacks);
+  const [selectedPackId, setSelectedPackId] = useState(() => (getPacks()[0] || {}).id || null);
+  const [newPackName, setNewPackName] = useState('');
+  const [draft, setDraft] = useState(null);
+  const [previewAnswer, setPreviewAnswer] = useState(undefined);
+  const [showPreviewResult, setShowPreviewResult] = useState(false);
+  const [pendingDelete, setPendingDelete] = useState(null);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    if (containerRef.current) {
+      pageTransition.enter(containerRef.current);
+    }
+  }, []);
+
+  useEffect(() => subscribeToPacks(setPacks), []);
+
+  const selectedPack = packs.find(pack => pack.id === selectedPackId) || null;
+  const source = selectedPack ? getPackSourceId(selectedPack.id) : null;
+  const preview = draft && source ? fromDraft(draft, source) : null;
+
+  // Suggest categories already in use, plus those of the bundled questions
+  const categories = Array.from(new Set([
+    ...questionsData.questions.map(question => question.category),
+    ...packs.flatMap(pack => pack.questions.map(question => question.category))
+  ])).filter(Boolean).sort();
+
+  const handleSave = (action) => {
+    try {
+      action();
+      setError(null);
+    } catch (saveError) {
+      setError(translateMessage(saveError));
+    }
+  };
+
+  const handleCreatePack = (e) => {
+    e.preventDefault();
+    handleSave(() => {
+      const pack = savePack({ name: newPackName, questions: [] });
+      setSelectedPackId(pack.id);
+      setNewPackName('');
+      setDraft(null);
+    });
+  };
+
+  const handleRenamePack = (name) => {
+    if (!name.trim() || name.trim() === selectedPack.name) return;
+    handleSave(() => savePack({ ...selectedPack, name }));
+  };
+
+  const handleDeletePack = () => {
+    if (pendingDelete !== selectedPack.id) {
+      setPendingDelete(selectedPack.id);
+      return;
+    }
+    deletePack(selectedPack.id);
+    setPendingDelete(null);
+    setDraft(null);
+    setSelectedPackId((packs.find(pack => pack.id !== selectedPack.id) || {}).id || null);
+  };
+
+  const openDraft = (nextDraft) => {
+    setDraft(nextDraft);
+    setPreviewAnswer(undefined);
+    setShowPreviewResult(false);
+  };
+
+  const handleDraftChange = (nextDraft) => {
+    // Answers given in the preview no longer fit once the question type changes
+    if (nextDraft.type !== draft.type) {
+      setPreviewAnswer(undefined);
+    }
+    setDraft(nextDraft);
+  };
+
+  const handleSaveQuestion = () => {
+    if (!preview || preview.errors.length > 0) return;
+
+    handleSave(() => {
+      const exists = selectedPack.questions.some(question => question.id === preview.question.id);
+      savePack({
+        ...selectedPack,
+        questions: exists
+          ? selectedPack.questions.map(question => (question.id === preview.question.id ? preview.question : question))
+          : [...selectedPack.questions, preview.question]
+      });
+      setDraft(null);
+    });
+  };
+
+  const handleDuplicateQuestion = (question) => {
+    const copy = fromDraft(duplicateDraft(toDraft(question)), source).question;
+    const index = selectedPack.questions.findIndex(item => item.id === question.id);
+    const questions = [...selectedPack.questions];
+    questions.splice(index + 1, 0, copy);
+    handleSave(() => savePack({ ...selectedPack, questions }));
+  };
+
+  const handleDeleteQuestion = (question) => {
+    if (pendingDelete !== question.id) {
+      setPendingDelete(question.id);
+      return;
+    }
+    setPendingDelete(null);
+    if (draft && preview && preview.question.id === question.id) {
+      setDraft(null);
+    }
+    handleSave(() => savePack({
+      ...selectedPack,
+      questions: selectedPack.questions.filter(item => item.id !== question.id)
+    }));
+  };
+
+  const handlePlayPack = () => {
+    const quizOptions = {
+      source,
+      difficulty: 'mixed',
+      questionType: 'mixed',
+      questionCount: Math.min(10, selectedPack.questions.length),
+      timeLimit: 30
+    };
+    navigate(getQuizPath(quizOptions), { state: quizOptions });
+  };
+
+  return (
+    <Layout title={t('editor.title')} subtitle={t('editor.subtitle')}>
+      <div ref={containerRef} className="w-full grid lg:grid-cols-3 gap-6">
+        {/* Packs */}
+        <div className="space-y-4">
+          <Card>
+            <h3 className="text-lg font-semibold text-gray-900 mb-3">{t('editor.packs')}</h3>
+
+            {packs.length > 0 ? (
+              <ul className="space-y-1 mb-4">
+                {packs.map(pack => (
+                  <li key={pack.id}>
+                    <button
+                      type="button"
+                      onClick={() => {
+                        setSelectedPackId(pack.id);
+                        setDraft(null);
+                      }}
+                      className={`w-full flex items-center justify-between p-2 rounded-lg text-left transition-colors ${
+                        pack.id === selectedPackId ? 'bg-primary-50 text-primary-800' : 'hover:bg-gray-50'
+                      }`}
+                    >
+                      <span className="font-medium truncate">📦 {pack.name}</span>
+                      <Badge size="sm">{pack.questions.length}</Badge>
+                    </button>
+                  </li>
+                ))}
+              </ul>
+            ) : (
+              <p className="text-sm text-gray-600 mb-4">{t('editor.noPacks')}</p>
+            )}
+
+            <form onSubmit={handleCreatePack} className="flex space-x-2">
+              <input
+                type="text"
+                value={newPackName}
+                onChange={(e) => setNewPackName(e.target.value)}
+                placeholder={t('editor.newPackName')}
+                className={inputClasses}
+              />
+              <Button type="submit" size="sm" disabled={!newPackName.trim()}>
+                {t('editor.create')}
+              </Button>
+            </form>
+          </Card>
+
+          <Button variant="ghost" onClick={() => navigate('/')} className="w-full">
+            ← {t('common.backToHome')}
+          </Button>
+        </div>
+
+        {/* Questions and editing */}
+        <div className="lg:col-span-2 space-y-6">
+          {error && (
+            <Alert variant="error" onClose={() => setError(null)}>{error}</Alert>
+          )}
+
+          {!selectedPack ? (
+            <Card className="text-center text-gray-600">
+              {t('editor.selectPack')}
+            </Card>
+          ) : draft ? (
+            <>
+              <Card>
+                <div className="flex items-center justify-between mb-4">
+                  <h3 className="text-lg font-semibold text-gray-900">
+                    {selectedPack.questions.some(question => question.id === preview.question.id) ? t('editor.editQuestion') : t('editor.newQuestion')}
+                  </h3>
+                  <Badge variant="primary" size="sm">{selectedPack.name}</Badge>
+                </div>
+
+                <QuestionForm
+                  draft={draft}
+                  onChange={handleDraftChange}
+                  categories={categories}
+                  errors={preview.errors}
+                />
+
+                <div className="flex gap-3 justify-end mt-6">
+                  <Button variant="secondary" onClick={() => setDraft(null)}>
+                    {t('common.cancel')}
+                  </Button>
+                  <Button onClick={handleSaveQuestion} disabled={preview.errors.length > 0}>
+                    {t('editor.saveQuestion')}
+                  </Button>
+                </div>
+              </Card>
+
+              {/* Live preview */}
+              <div className="space-y-3">
+                <div className="flex items-center justify-between">
+                  <h3 className="text-lg font-semibold text-gray-900">{t('editor.preview')}</h3>
+                  <Button
+                    variant="ghost"
+                    size="sm"
+                    onClick={() => setShowPreviewResult(!showPreviewResult)}
+                    disabled={preview.errors.length > 0}
+                  >
+                    {showPreviewResult ? t('editor.hideAnswer') : t('editor.showAnswer')}
+                  </Button>
+                </div>
+
+                {preview.errors.length > 0 ? (
+                  <Card className="text-center text-gray-600">
+                    {t('editor.previewIncomplete')}
+                  </Card>
+                ) : (
+                  <Question
+                    question={preview.question}
+                    selectedAnswer={previewAnswer}
+                    onAnswerSelect={setPreviewAnswer}
+                    onNext={() => {}}
+                    showResult={showPreviewResult}
+                    showNavigation={false}
+                  />
+                )}
+              </div>
+            </>
+          ) : (
+            <Card>
+              <div className="flex flex-col sm:flex-row sm:items-center gap-3 mb-4">
+                <input
+                  key={selectedPack.id}
+                  type="text"
+                  defaultValue={selectedPack.name}
+                  onBlur={(e) => handleRenamePack(e.target.value)}
+                  aria-label={t('editor.packName')}
+                  className={`${inputClasses} text-lg font-semibold flex-1`}
+                />
+                <div className="flex gap-2">
+                  <Button size="sm" onClick={handlePlayPack} disabled={selectedPack.questions.length === 0}>
+                    ▶ {t('editor.play')}
+                  </Button>
+                  <Button
+                    variant={pendingDelete === selectedPack.id ? 'error' : 'ghost'}
+                    size="sm"
+                    onClick={handleDeletePack}
+                  >
+                    {pendingDelete === selectedPack.id ? t('editor.confirmDelete') : `🗑 ${t('editor.deletePack')}`}
+                  </Button>
+                </div>
+              </div>
+
+              {selectedPack.questions.length === 0 ? (
+                <p className="text-center text-gray-600 py-6">{t('editor.noQuestions')}</p>
+              ) : (
+                <ol className="divide-y divide-gray-200 mb-4">
+                  {selectedPack.questions.map((question, index) => (
+                    <li key={question.id} className="py-3 flex flex-col sm:flex-row sm:items-center gap-2">
+                      <div className="flex-1 min-w-0">
+                        <div className="text-gray-900 truncate">
+                          {index + 1}. {toPlainText(question.question)}
+                        </div>
+                        <div className="flex gap-2 mt-1">
+                          <Badge size="sm">
+                            {t(`questionTypes.${question.type}`, { defaultValue: QUESTION_TYPE_LABELS[question.type] })}
+                          </Badge>
+                          <Badge variant="primary" size="sm">{question.category}</Badge>
+                          <Badge
+                            variant={question.difficulty === 'easy' ? 'success' : question.difficulty === 'hard' ? 'error' : 'warning'}
+                            size="sm"
+                          >
+                            {t(`difficulty.${question.difficulty}`, { defaultValue: question.difficulty })}
+                          </Badge>
+                        </div>
+                      </div>
+                      <div className="flex gap-1">
+                        <Button variant="ghost" size="sm" onClick={() => openDraft(toDraft(question))}>
+                          ✏️ {t('editor.edit')}
+                        </Button>
+                        <Button variant="ghost" size="sm" onClick={() => handleDuplicateQuestion(question)}>
+                          ⧉ {t('editor.duplicate')}
+                        </Button>
+                        <Button
+                          variant={pendingDelete === question.id ? 'error' : 'ghost'}
+                          size="sm"
+                          onClick={() => handleDeleteQuestion(question)}
+                          aria-label={pendingDelete === question.id ? undefined : t('editor.deleteQuestion')}
+                        >
+                          {pendingDelete === question.id ? t('editor.confirm') : '🗑'}
+                        </Button>
+                      </div>
+                    </li>
+                  ))}
+                </ol>
+              )}
+
+              <Button
+                variant="outline"
+                onClick={() => openDraft(createDraft({
+                  category: (selectedPack.questions[selectedPack.questions.length - 1] || {}).category || 'General Knowledge'
+                }))}
+                className="w-full"
+              >
+                + {t('editor.addQuestion')}
+              </Button>
+            </Card>
+          )}
+        </div>
+      </div>
+    </Layout>
+  );
+};
+
+export default Editor;
@@ -2,8 +2,101 @@ import React, { useEffect, useRef, useState } from 'react';
 import { useNavigate } from 'react-router-dom';
 import { Button, Card, Badge, Alert, Modal } from '../components/common';
 import { QuizMasterIcon } from '../components/Layout';
+import PackManager from '../components/PackManager';
+import LanguagePicker from '../components/LanguagePicker';
 import { useHighScores, useQuizStats } from '../hooks/useLocalStorage';
+import { useTranslation } from '../hooks/useTranslation';
 import { pageTransition, textAnimations, cardAnimations } from '../utils/animations';
+import { listProviders, resolveProvider, DEFAULT_PROVIDER_ID } from '../utils/providers';
+import { QUESTION_TYPE_LABELS } from '../utils/questionSchema';
+import { subscribeToPacks } from '../utils/questionPacks';
+import { getQuizPath, PAUSE_LIMIT_OPTIONS } from '../utils/quizOptions';
+import { COOLDOWN_OPTIONS, getSeenCooldown, setSeenCooldown, clearSeenLog } from '../utils/seenQuestions';
+import { REQUEST_PRIORITIES } from '../utils/api';
+import {
+  SESSION_EXPIRY_OPTIONS,
+  getQuizSession,
+  clearQuizSession,
+  getSessionExpiry,
+  setSessionExpiry
+} from '../utils/quizSession';
+import { translate, translateMessage, formatNumber } from '../utils/i18n';
+
+/**
+ * Gets a source's name and description in the interface language.
+ * Packs keep the name their author gave them.
+ * @param {object} provider - Registered question provider
+ * @returns {object} { name, shortName, description }
+ */
+const describeSource = (provider) => {
+  if (provider.isPack) {
+    return {
+      name: provider.name,
+      shortName: provider.shortName,
+      description: translateMessage(provider.description)
+    };
+  }
+
+  return {
+    name: translate(`sources.${provider.id}.name`, { defaultValue: provider.name }),
+    shortName: translate(`sources.${provider.id}.shortName`, { defaultValue: provider.shortName || provider.name }),
+    description: translate(`sources.${provider.id}.description`, { defaultValue: provider.description })
+  };
+};
+
+/**
+ * Formats a repeat cooldown option, in weeks when it is a whole number of them
+ * @param {number} days - Cooldown in days, 0 for off
+ * @returns {string} Label
+ */
+const formatCooldown = (days) => {
+  if (days === 0) return translate('home.custom.cooldownOff');
+  return days % 7 === 0
+    ? formatNumber(days / 7, { style: 'unit', unit: 'week', unitDisplay: 'long' })
+    : formatNumber(days, { style: 'unit', unit: 'day', unitDisplay: 'long' });
+};
+
+/**
+ * Formats an unfinished quiz expiry option, in days or weeks when it is a whole number of them
+ * @param {number} hours - Expiry in hours
+ * @returns {string} Label
+ */
+const formatSessionExpiry = (hours) => {
+  if (hours % 168 === 0) return formatNumber(hours / 168, { style: 'unit', unit: 'week', unitDisplay: 'long' });
+  if (hours % 24 === 0) return formatNumber(hours / 24, { style: 'unit', unit: 'day', unitDisplay: 'long' });
+  return formatNumber(hours, { style: 'unit', unit: 'hour', unitDisplay: 'long' });
+};
+
+/**
+ * Source Picker Component
+ * Lists every registered question provider
+ */
+const SourcePicker = ({ value, onChange, className = '' }) => {
+  return (
+    <div className={`grid gap-2 ${className}`} role="radiogroup" aria-label={translate('sources.label')}>
+      {listProviders().map(provider => [provider, describeSource(provider)]).map(([provider, text]) => (
+        <button
+          key={provider.id}
+          type="button"
+          role="radio"
+          aria-checked={value === provider.id}
+          onClick={() => onChange(provider.id)}
+          className={`flex items-center gap-3 p-3 rounded-lg border text-start transition-colors ${
+            value === provider.id
+              ? 'border-primary-500 bg-primary-50'
+              : 'border-gray-200 bg-white hover:bg-gray-50'
+          }`}
+        >
+          <span className="text-xl">{provider.icon}</span>
+          <div className="flex-1">
+            <div className="font-medium text-gray-900">{text.name}</div>
+            <div className="text-sm text-gray-600">{text.description}</div>
+          </div>
+        </button>
+      ))}
+    </div>
+  );
+};
 
 /**
  * Home Page Component
@@ -13,18 +106,30 @@ const Home = () => {
   const navigate = useNavigate();
   const containerRef = useRef(null);
   const cardsRef = useRef([]);
+  const { t, formatPercent, formatDuration, formatDate } = useTranslation();
   
   const { highScores, getBestScore } = useHighScores();
   const { stats, formatTimeSpent } = useQuizStats();
 
   // State for settings modal
   const [showSettings, setShowSettings] = useState(false);
-  const [useAPI, setUseAPI] = useState(true); // DEFAULT TO TRUE for API questions
+  const [source, setSource] = useState(DEFAULT_PROVIDER_ID);
+  const [categoryOptions, setCategoryOptions] = useState([]);
+  const [questionCounts, setQuestionCounts] = useState(null);
+  const [packsVersion, setPacksVersion] = useState(0);
+  const [seenCooldown, setSeenCooldownState] = useState(getSeenCooldown);
+  const [seenCleared, setSeenCleared] = useState(false);
+  const [savedSession, setSavedSession] = useState(getQuizSession);
+  const [sessionExpiry, setSessionExpiryState] = useState(getSessionExpiry);
   const [customSettings, setCustomSettings] = useState({
     difficulty: 'mixed',
     questionCount: 10,
     timeLimit: 30,
-    category: null
+    categories: [],
+    questionType: 'multiple',
+    pauseLimit: null,
+    exam: false,
+    seed: ''
   });
 
   useEffect(() => {
@@ -44,35 +149,139 @@ const Home = () => {
       });
     }, 500);
 
-    // Load saved preferences
+    // Load saved preferences (older versions stored an on/off API toggle)
+    const savedSource = localStorage.getItem('quizmaster_source');
     const savedUseAPI = localStorage.getItem('quizmaster_useAPI');
-    if (savedUseAPI !== null) {
-      setUseAPI(JSON.parse(savedUseAPI));
+    if (savedSource !== null) {
+      setSource(JSON.parse(savedSource));
+    } else if (savedUseAPI !== null) {
+      setSource(JSON.parse(savedUseAPI) ? 'opentdb' : 'local');
+      localStorage.removeItem('quizmaster_useAPI');
     }
   }, []);
 
+  // Pack sources come and go as packs are imported or deleted
+  useEffect(() => subscribeToPacks(() => setPacksVersion(version => version + 1)), []);
+
   // Save preferences when changed
   useEffect(() => {
-    localStorage.setItem('quizmaster_useAPI', JSON.stringify(useAPI));
-  }, [useAPI]);
+    localStorage.setItem('quizmaster_source', JSON.stringify(source));
+  }, [source]);
+
+  const activeProvider = resolveProvider(source);
+  const activeSource = describeSource(activeProvider);
+  const isOnline = !!activeProvider.capabilities.online;
+
+  // Load categories for the selected source
+  useEffect(() => {
+    const controller = new AbortController();
+    const provider = resolveProvider(source);
+
+    setCustomSettings(prev => ({ ...prev, categories: [] }));
+
+    if (!provider.capabilities.categories) {
+      setCategoryOptions([]);
+      return;
+    }
+
+    provider.listCategories({ signal: controller.signal })
+      .then(categories => {
+        if (controller.signal.aborted) return;
+        setCategoryOptions(categories.map(category => ({ value: category.id, label: category.name })));
+      })
+      .catch(error => {
+        if (!controller.signal.aborted) console.error('Error loading categories:', error);
+      });
+
+    return () => controller.abort();
+  }, [source, packsVersion]);
+
+  // Load how many questions the selected categories hold per difficulty
+  useEffect(() => {
+    const controller = new AbortController();
+    const provider = resolveProvider(source);
+    const categories = customSettings.categories;
+    const type = customSettings.questionType === 'mixed' ? null : customSettings.questionType;
+    // Counts only guide the question amount, so they wait behind quiz loads
+    const requestOptions = { signal: controller.signal, priority: REQUEST_PRIORITIES.background };
+
+    Promise.all(
+      [null, 'easy', 'medium', 'hard'].map(difficulty => (
+        provider.countAvailable({ categories, difficulty, type, ...requestOptions })
+      ))
+    )
+      .then(([total, easy, medium, hard]) => {
+        if (controller.signal.aborted) return;
+        setQuestionCounts(total === null ? null : { total, easy, medium, hard });
+      })
+      .catch(error => {
+        if (controller.signal.aborted) return;
+        console.error('Error loading question counts:', error);
+        setQuestionCounts(null);
+      });
+
+    return () => controller.abort();
+  }, [source, customSettings.categories, customSettings.questionType, packsVersion]);
+
+  const availableCount = questionCounts
+    ? questionCounts[customSettings.difficulty === 'mixed' ? 'total' : customSettings.difficulty]
+    : null;
+  // Online quizzes above 50 questions load in chunks, see fetchQuestionsWithRetry
+  const questionCountOptions = [5, 10, 15, 20, 50, 100, 200];
+  if (availableCount !== null && availableCount > 0 && availableCount < 200 && !questionCountOptions.includes(availableCount)) {
+    questionCountOptions.push(availableCount);
+    questionCountOptions.sort((a, b) => a - b);
+  }
 
   const handleStartQuiz = (options = {}) => {
     const quizOptions = {
       ...options,
-      useAPI, // Use the current API setting
+      source: activeProvider.id, // Use the currently selected source
     };
-    navigate('/quiz', { state: quizOptions });
+    navigate(getQuizPath(quizOptions), { state: quizOptions });
   };
 
   const handleCustomQuiz = () => {
     const options = {
       ...customSettings,
-      useAPI,
+      questionCount: availableCount !== null
+        ? Math.min(customSettings.questionCount, availableCount)
+        : customSettings.questionCount,
+      source: activeProvider.id,
     };
-    navigate('/quiz', { state: options });
+    navigate(getQuizPath(options), { state: options });
     setShowSettings(false);
   };
 
+  const handleResumeQuiz = () => {
+    // The session id in the history entry tells the quiz page to pick up the saved quiz
+    navigate(getQuizPath(savedSession.options), {
+      state: { ...savedSession.options, sessionId: savedSession.id }
+    });
+  };
+
+  const handleDiscardQuiz = () => {
+    clearQuizSession();
+    setSavedSession(null);
+  };
+
+  const handleSessionExpiryChange = (hours) => {
+    setSessionExpiry(hours);
+    setSessionExpiryState(hours);
+    // A shorter expiry may already rule the saved quiz out
+    setSavedSession(getQuizSession());
+  };
+
+  const handleCooldownChange = (days) => {
+    setSeenCooldown(days);
+    setSeenCooldownState(days);
+  };
+
+  const handleClearSeen = () => {
+    clearSeenLog();
+    setSeenCleared(true);
+  };
+
   const handleViewResults = () => {
     navigate('/results');
   };
@@ -81,8 +290,7 @@ const Home = () => {
 
   const quizOptions = [
     {
-      title: 'Quick Quiz',
-      description: useAPI ? 'Fresh questions from our database' : '5 local questions for quick testing',
+      id: 'quick',
       icon: '⚡',
       difficulty: 'mixed',
       questionCount: 5,
@@ -90,8 +298,7 @@ const Home = () => {
       color: 'bg-gradient-to-br from-blue-500 to-blue-600'
     },
     {
-      title: 'Standard Quiz',
-      description: useAPI ? 'Classic 10-question challenge from API' : 'Standard quiz with local questions',
+      id: 'standard',
       icon: '🎯',
       difficulty: 'mixed',
       questionCount: 10,
@@ -99,8 +306,7 @@ const Home = () => {
       color: 'bg-gradient-to-br from-green-500 to-green-600'
     },
     {
-      title: 'Expert Challenge',
-      description: useAPI ? 'Hard questions from global database' : 'Hard local questions for experts',
+      id: 'expert',
       icon: '🏆',
       difficulty: 'hard',
       questionCount: 10,
@@ -108,57 +314,57 @@ const Home = () => {
       color: 'bg-gradient-to-br from-purple-500 to-purple-600'
     },
     {
-      title: 'Lightning Round',
-      description: useAPI ? '10 API questions, 15 seconds each' : '10 local questions, fast-paced',
+      id: 'lightning',
       icon: '⚡',
       difficulty: 'easy',
       questionCount: 10,
       timeLimit: 15,
       color: 'bg-gradient-to-br from-yellow-500 to-orange-500'
     }
-  ];
+  ].map(option => ({
+    ...option,
+    title: t(`home.modes.${option.id}.title`),
+    description: t(`home.modes.${option.id}.${isOnline ? 'online' : 'offline'}`)
+  }));
 
   const features = [
     {
-      icon: useAPI ? '🌐' : '💾',
-      title: useAPI ? 'Fresh API Questions' : 'Local Questions',
-      description: useAPI ? 'Thousands of questions from Open Trivia DB' : 'Curated set of offline questions'
+      icon: activeProvider.icon,
+      title: activeSource.name,
+      description: activeSource.description
     },
     {
       icon: '⏱️',
-      title: 'Timed Questions',
-      description: 'Challenge yourself with time limits'
+      title: t('home.features.timed.title'),
+      description: t('home.features.timed.description')
     },
     {
       icon: '📊',
-      title: 'Track Progress',
-      description: 'See your improvement over time'
+      title: t('home.features.progress.title'),
+      description: t('home.features.progress.description')
     },
     {
       icon: '🎨',
-      title: 'Beautiful Interface',
-      description: 'Smooth animations and responsive design'
+      title: t('home.features.design.title'),
+      description: t('home.features.design.description')
     }
   ];
 
-  const difficultyOptions = [
-    { value: 'mixed', label: 'Mixed' },
-    { value: 'easy', label: 'Easy' },
-    { value: 'medium', label: 'Medium' },
-    { value: 'hard', label: 'Hard' }
-  ];
-
-  const categoryOptions = [
-    { value: null, label: 'Any Category' },
-    { value: 9, label: 'General Knowledge' },
-    { value: 17, label: 'Science & Nature' },
-    { value: 18, label: 'Computers' },
-    { value: 19, label: 'Mathematics' },
-    { value: 20, label: 'Mythology' },
-    { value: 21, label: 'Sports' },
-    { value: 22, label: 'Geography' },
-    { value: 23, label: 'History' }
-  ];
+  const supportedTypes = activeProvider.capabilities.types || ['multiple'];
+  const questionTypeOptions = [
+    ...Object.entries(QUESTION_TYPE_LABELS).map(([value, label]) => ({
+      value,
+      label: t(`questionTypes.${value}`, { defaultValue: label })
+    })),
+    { value: 'mixed', label: t('questionTypes.mixed') }
+  ].filter(option => option.value === 'mixed'
+    ? supportedTypes.length > 1
+    : supportedTypes.includes(option.value));
+
+  const difficultyOptions = ['mixed', 'easy', 'medium', 'hard'].map(value => ({
+    value,
+    label: t(`difficulty.${value}`)
+  }));
 
   return (
     <div className="min-h-screen bg-gradient-to-br from-primary-50 via-white to-secondary-50">
@@ -167,50 +373,36 @@ const Home = () => {
         <div className="absolute inset-0 bg-gradient-to-r from-primary-600/10 to-secondary-600/10" />
         
         <div ref={containerRef} className="relative max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-20">
+          <LanguagePicker className="absolute top-4 end-4 sm:end-6 lg:end-8" />
+
           <div className="text-center space-y-8">
             {/* Logo and Title */}
             <div className="flex justify-center">
-              <div className="flex items-center space-x-4 p-6 bg-white rounded-2xl shadow-lg">
+              <div className="flex items-center gap-4 p-6 bg-white rounded-2xl shadow-lg">
                 <div className="flex items-center justify-center w-16 h-16 bg-gradient-to-r from-primary-600 to-secondary-600 rounded-xl">
                   <QuizMasterIcon className="w-8 h-8 text-white" />
                 </div>
-                <div className="text-left">
+                <div className="text-start">
                   <h1 className="text-3xl md:text-4xl font-bold bg-gradient-to-r from-primary-600 to-secondary-600 bg-clip-text text-transparent">
-                    QuizMaster
+                    {t('common.appName')}
                   </h1>
-                  <p className="text-gray-600">Challenge Your Knowledge</p>
+                  <p className="text-gray-600">{t('common.tagline')}</p>
                 </div>
               </div>
             </div>
 
-            {/* Question Source Toggle */}
+            {/* Question Source Picker */}
             <div className="max-w-md mx-auto">
               <Card className="p-4">
-                <div className="flex items-center justify-between">
-                  <div>
-                    <div className="font-semibold text-gray-900">Question Source</div>
-                    <div className="text-sm text-gray-600">
-                      {useAPI ? 'Using Fresh API Questions' : 'Using Local Questions'}
-                    </div>
+                <div className="mb-3">
+                  <div className="font-semibold text-gray-900">{t('home.source.title')}</div>
+                  <div className="text-sm text-gray-600">
+                    {t('home.source.using', { name: activeSource.name })}
                   </div>
-                  <button
-                    onClick={() => setUseAPI(!useAPI)}
-                    className={`relative inline-flex h-6 w-11 items-center rounded-full transition-colors duration-200 focus:outline-none focus:ring-2 focus:ring-primary-500 focus:ring-offset-2 ${
-                      useAPI ? 'bg-primary-600' : 'bg-gray-200'
-                    }`}
-                  >
-                    <span
-                      className={`inline-block h-4 w-4 transform rounded-full bg-white transition-transform duration-200 ${
-                        useAPI ? 'translate-x-6' : 'translate-x-1'
-                      }`}
-                    />
-                  </button>
                 </div>
+                <SourcePicker value={activeProvider.id} onChange={setSource} />
                 <div className="mt-2 text-xs text-gray-500">
-                  {useAPI 
-                    ? '🌐 Live questions from Open Trivia Database' 
-                    : '💾 Offline questions for reliable testing'
-                  }
+                  {t(isOnline ? 'home.source.online' : 'home.source.offline', { icon: activeProvider.icon })}
                 </div>
               </Card>
             </div>
@@ -218,13 +410,10 @@ const Home = () => {
             {/* Subtitle */}
             <div className="max-w-3xl mx-auto">
               <h2 className="text-xl md:text-2xl text-gray-700 mb-4">
-                {useAPI 
-                  ? 'Test your knowledge with fresh questions from our global database'
-                  : 'Practice with our curated collection of offline questions'
-                }
+                {t(isOnline ? 'home.hero.onlineSubtitle' : 'home.hero.offlineSubtitle')}
               </h2>
               <p className="text-gray-600">
-                Choose your difficulty level, race against time, and track your progress as you become a true QuizMaster!
+                {t('home.hero.description')}
               </p>
             </div>
 
@@ -235,7 +424,7 @@ const Home = () => {
                 onClick={() => handleStartQuiz()}
                 className="bg-gradient-to-r from-primary-600 to-secondary-600 hover:from-primary-700 hover:to-secondary-700 text-white px-12 py-4 text-lg shadow-lg hover:shadow-xl transform hover:scale-105 transition-all duration-300"
               >
-                {useAPI ? 'Start Fresh Quiz 🌐' : 'Start Quick Quiz 💾'}
+                {t(isOnline ? 'home.hero.startOnline' : 'home.hero.startOffline')}
               </Button>
               
               <Button
@@ -244,22 +433,56 @@ const Home = () => {
                 onClick={() => setShowSettings(true)}
                 className="px-8 py-4 text-lg border-2"
               >
-                Custom Quiz ⚙️
+                {t('home.hero.custom')}
               </Button>
             </div>
           </div>
         </div>
       </section>
 
+      {/* Unfinished Quiz */}
+      {savedSession && (
+        <section className="pb-8">
+          <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8">
+            <Card className="max-w-2xl mx-auto">
+              <div className="flex flex-col sm:flex-row sm:items-center gap-4">
+                <div className="flex-1 text-start">
+                  <h3 className="font-semibold text-gray-900">⏯️ {t('home.resume.title')}</h3>
+                  <p className="text-sm text-gray-600">
+                    {t('home.resume.progress', {
+                      number: savedSession.quiz.currentIndex + 1,
+                      total: savedSession.quiz.questions.length
+                    })}
+                  </p>
+                  <p className="text-xs text-gray-500">
+                    {t('home.resume.savedAt', {
+                      date: formatDate(savedSession.savedAt, { dateStyle: 'medium', timeStyle: 'short' })
+                    })}
+                  </p>
+                </div>
+                <div className="flex gap-2">
+                  <Button onClick={handleResumeQuiz}>
+                    {t('home.resume.resume')}
+                  </Button>
+                  <Button variant="secondary" onClick={handleDiscardQuiz}>
+                    {t('home.resume.discard')}
+                  </Button>
+                </div>
+              </div>
+            </Card>
+          </div>
+        </section>
+      )}
+
       {/* API Status Alert */}
-      {useAPI && (
+      {isOnline && (
         <section className="pb-8">
           <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8">
             <Alert variant="info" className="max-w-2xl mx-auto">
-              <div className="flex items-center space-x-2">
+              <div className="flex items-center gap-2">
                 <span className="text-lg">🌐</span>
                 <div>
-                  <strong>Live API Mode:</strong> Questions are fetched from Open Trivia Database for maximum variety and freshness!
+                  <strong>{t('home.liveMode.title')}</strong> {t('home.liveMode.text', { name: activeSource.name })}
                 </div>
               </div>
             </Alert>
@@ -272,31 +495,35 @@ const Home = () => {
         <section className="py-12 bg-white/50 backdrop-blur-sm">
           <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8">
             <h3 className="text-2xl font-bold text-center text-gray-900 mb-8">
-              Your Progress
+              {t('home.progress.title')}
             </h3>
             <div className="grid grid-cols-2 md:grid-cols-4 gap-6">
               <Card className="text-center">
-                <div className="text-3xl font-bold text-primary-600">{stats.totalQuizzes}</div>
-                <div className="text-gray-600">Quizzes Taken</div>
+                <div className="text-3xl font-bold text-primary-600">{formatNumber(stats.totalQuizzes)}</div>
+                <div className="text-gray-600">{t('home.progress.quizzesTaken')}</div>
               </Card>
               <Card className="text-center">
-                <div className="text-3xl font-bold text-green-600">{stats.averageScore}%</div>
-                <div className="text-gray-600">Average Score</div>
+                <div className="text-3xl font-bold text-green-600">{formatPercent(stats.averageScore)}</div>
+                <div className="text-gray-600">{t('home.progress.averageScore')}</div>
               </Card>
               <Card className="text-center">
-                <div className="text-3xl font-bold text-yellow-600">{stats.bestStreak}</div>
-                <div className="text-gray-600">Best Streak</div>
+                <div className="text-3xl font-bold text-yellow-600">{formatNumber(stats.bestStreak)}</div>
+                <div className="text-gray-600">{t('home.progress.bestStreak')}</div>
               </Card>
               <Card className="text-center">
                 <div className="text-3xl font-bold text-purple-600">{formatTimeSpent()}</div>
-                <div className="text-gray-600">Time Played</div>
+                <div className="text-gray-600">{t('home.progress.timePlayed')}</div>
               </Card>
             </div>
             
             {bestScore && (
               <div className="mt-6 text-center">
                 <Alert variant="success" className="max-w-md mx-auto">
-                  🏆 Your best score: {bestScore.percentage}% ({bestScore.score}/{bestScore.total})
+                  {t('home.progress.bestScore', {
+                    percentage: formatPercent(bestScore.percentage),
+                    score: bestScore.score,
+                    total: bestScore.total
+                  })}
                 </Alert>
               </div>
             )}
@@ -309,17 +536,17 @@ const Home = () => {
         <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8">
           <div className="text-center mb-12">
             <h3 className="text-3xl font-bold text-gray-900 mb-4">
-              Choose Your Challenge
+              {t('home.modes.title')}
             </h3>
             <p className="text-xl text-gray-600">
-              Select the perfect quiz mode for your skill level
+              {t('home.modes.subtitle')}
             </p>
           </div>
 
           <div className="grid md:grid-cols-2 lg:grid-cols-4 gap-6">
             {quizOptions.map((option, index) => (
               <Card
-                key={option.title}
+                key={option.id}
                 ref={el => cardsRef.current[index] = el}
                 className="relative overflow-hidden cursor-pointer group hover:shadow-2xl transition-all duration-300"
                 onClick={() => handleStartQuiz({
@@ -338,24 +565,24 @@ const Home = () => {
                   
                   <div className="flex flex-wrap gap-2 mb-4">
                     <Badge variant="primary" size="sm">
-                      {option.questionCount} questions
+                      {t('home.modes.questions', { count: option.questionCount })}
                     </Badge>
                     <Badge variant="secondary" size="sm">
-                      {option.timeLimit}s per question
+                      {t('home.modes.perQuestion', { time: formatDuration(option.timeLimit * 1000) })}
                     </Badge>
                     {option.difficulty !== 'mixed' && (
                       <Badge 
                         variant={option.difficulty === 'easy' ? 'success' : option.difficulty === 'hard' ? 'error' : 'warning'} 
                         size="sm"
                       >
-                        {option.difficulty}
+                        {t(`difficulty.${option.difficulty}`)}
                       </Badge>
                     )}
                     <Badge 
-                      variant={useAPI ? 'info' : 'secondary'} 
+                      variant={isOnline ? 'info' : 'secondary'} 
                       size="sm"
                     >
-                      {useAPI ? '🌐 API' : '💾 Local'}
+                      {activeProvider.icon} {activeSource.shortName}
                     </Badge>
                   </div>
 
@@ -363,7 +590,7 @@ const Home = () => {
                     variant="outline" 
                     className="w-full group-hover:bg-primary-600 group-hover:text-white group-hover:border-primary-600 transition-all duration-300"
                   >
-                    Start Quiz
+                    {t('home.modes.start')}
                   </Button>
                 </div>
               </Card>
@@ -372,15 +599,37 @@ const Home = () => {
         </div>
       </section>
 
+      {/* Question Packs */}
+      <section className="py-16 bg-white/50">
+        <div className="max-w-4xl mx-auto px-4 sm:px-6 lg:px-8">
+          <div className="text-center mb-8">
+            <h3 className="text-3xl font-bold text-gray-900 mb-4">
+              {t('home.packs.title')}
+            </h3>
+            <p className="text-xl text-gray-600">
+              {t('home.packs.subtitle')}
+            </p>
+          </div>
+
+          <PackManager />
+
+          <div className="text-center mt-6">
+            <Button variant="outline" onClick={() => navigate('/editor')}>
+              {t('home.packs.openEditor')}
+            </Button>
+          </div>
+        </div>
+      </section>
+
       {/* Features Section */}
       <section className="py-16 bg-gray-50">
         <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8">
           <div className="text-center mb-12">
             <h3 className="text-3xl font-bold text-gray-900 mb-4">
-              Why Choose QuizMaster?
+              {t('home.features.title')}
             </h3>
             <p className="text-xl text-gray-600">
-              The most engaging quiz experience you'll ever have
+              {t('home.features.subtitle')}
             </p>
           </div>
 
@@ -407,63 +656,81 @@ const Home = () => {
       <Modal
         isOpen={showSettings}
         onClose={() => setShowSettings(false)}
-        title="Custom Quiz Settings"
+        title={t('home.custom.title')}
         size="lg"
       >
         <div className="space-y-6">
           {/* Question Source */}
           <div>
             <label className="block text-sm font-medium text-gray-700 mb-2">
-              Question Source
+              {t('home.source.title')}
             </label>
-            <div className="flex items-center justify-between p-3 bg-gray-50 rounded-lg">
-              <div>
-                <div className="font-medium">{useAPI ? 'API Questions' : 'Local Questions'}</div>
-                <div className="text-sm text-gray-600">
-                  {useAPI ? 'Fresh questions from Open Trivia DB' : 'Offline curated questions'}
-                </div>
-              </div>
-              <button
-                onClick={() => setUseAPI(!useAPI)}
-                className={`relative inline-flex h-6 w-11 items-center rounded-full transition-colors duration-200 focus:outline-none focus:ring-2 focus:ring-primary-500 focus:ring-offset-2 ${
-                  useAPI ? 'bg-primary-600' : 'bg-gray-200'
-                }`}
-              >
-                <span
-                  className={`inline-block h-4 w-4 transform rounded-full bg-white transition-transform duration-200 ${
-                    useAPI ? 'translate-x-6' : 'translate-x-1'
-                  }`}
-                />
-              </button>
-            </div>
+            <SourcePicker value={activeProvider.id} onChange={setSource} />
           </div>
 
           {/* Number of Questions */}
           <div>
             <label className="block text-sm font-medium text-gray-700 mb-2">
-              Number of Questions
+              {t('home.custom.questionCount')}
             </label>
-            <div className="flex space-x-2">
-              {[5, 10, 15, 20].map(count => (
+            <div className="flex flex-wrap gap-2">
+              {questionCountOptions.map(count => (
                 <button
                   key={count}
                   onClick={() => setCustomSettings({ ...customSettings, questionCount: count })}
-                  className={`flex-1 py-2 px-3 rounded-lg text-sm font-medium transition-colors ${
+                  disabled={availableCount !== null && count > availableCount}
+                  className={`flex-1 py-2 px-3 rounded-lg text-sm font-medium transition-colors disabled:opacity-40 disabled:cursor-not-allowed ${
                     customSettings.questionCount === count
                       ? 'bg-primary-600 text-white'
                       : 'bg-gray-100 text-gray-700 hover:bg-gray-200'
                   }`}
                 >
-                  {count}
+                  {formatNumber(count)}
                 </button>
               ))}
             </div>
+            {availableCount !== null && customSettings.questionCount > availableCount && (
+              <p className="mt-2 text-sm text-yellow-700">
+                {availableCount === 0
+                  ? t('home.custom.noMatches')
+                  : t('home.custom.onlySome', { count: availableCount })}
+              </p>
+            )}
+            {isOnline && customSettings.questionCount > 50 && (
+              <p className="mt-2 text-sm text-gray-600">
+                {t('home.custom.largeQuiz')}
+              </p>
+            )}
           </div>
 
+          {/* Question Type */}
+          {questionTypeOptions.length > 1 && (
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-2">
+                {t('home.custom.questionType')}
+              </label>
+              <div className="flex gap-2">
+                {questionTypeOptions.map(option => (
+                  <button
+                    key={option.value}
+                    onClick={() => setCustomSettings({ ...customSettings, questionType: option.value })}
+                    className={`flex-1 py-2 px-3 rounded-lg text-sm font-medium transition-colors ${
+                      customSettings.questionType === option.value
+                        ? 'bg-primary-600 text-white'
+                        : 'bg-gray-100 text-gray-700 hover:bg-gray-200'
+                    }`}
+                  >
+                    {option.label}
+                  </button>
+                ))}
+              </div>
+            </div>
+          )}
+
           {/* Difficulty */}
           <div>
             <label className="block text-sm font-medium text-gray-700 mb-2">
-              Difficulty
+              {t('home.custom.difficulty')}
             </label>
             <select
               value={customSettings.difficulty}
@@ -478,35 +745,74 @@ const Home = () => {
             </select>
           </div>
 
-          {/* Category (only show for API) */}
-          {useAPI && (
+          {/* Categories (only show for sources that support them) */}
+          {activeProvider.capabilities.categories && categoryOptions.length > 0 && (
             <div>
               <label className="block text-sm font-medium text-gray-700 mb-2">
-                Category
+                {t('home.custom.categories')}
               </label>
-              <select
-                value={customSettings.category || ''}
-                onChange={(e) => setCustomSettings({ 
-                  ...customSettings, 
-                  category: e.target.value ? parseInt(e.target.value) : null 
+              <div className="flex flex-wrap gap-2 max-h-40 overflow-y-auto" role="group" aria-label={t('home.custom.categories')}>
+                <button
+                  type="button"
+                  onClick={() => setCustomSettings({ ...customSettings, categories: [] })}
+                  aria-pressed={customSettings.categories.length === 0}
+                  className={`py-1 px-3 rounded-full text-sm font-medium transition-colors ${
+                    customSettings.categories.length === 0
+                      ? 'bg-primary-600 text-white'
+                      : 'bg-gray-100 text-gray-700 hover:bg-gray-200'
+                  }`}
+                >
+                  {t('home.custom.anyCategory')}
+                </button>
+                {categoryOptions.map(option => {
+                  const isSelected = customSettings.categories.includes(option.value);
+
+                  return (
+                    <button
+                      key={option.value}
+                      type="button"
+                      onClick={() => setCustomSettings({
+                        ...customSettings,
+                        categories: isSelected
+                          ? customSettings.categories.filter(value => value !== option.value)
+                          : [...customSettings.categories, option.value]
+                      })}
+                      aria-pressed={isSelected}
+                      className={`py-1 px-3 rounded-full text-sm font-medium transition-colors ${
+                        isSelected
+                          ? 'bg-primary-600 text-white'
+                          : 'bg-gray-100 text-gray-700 hover:bg-gray-200'
+                      }`}
+                    >
+                      {option.label}
+                    </button>
+                  );
                 })}
-                className="w-full p-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-primary-500"
-              >
-                {categoryOptions.map(option => (
-                  <option key={option.value || 'any'} value={option.value || ''}>
-                    {option.label}
-                  </option>
-                ))}
-              </select>
+              </div>
+              <p className="text-xs text-gray-500 mt-1">{t('home.custom.pickMany')}</p>
+            </div>
+          )}
+
+          {/* Available questions per difficulty */}
+          {questionCounts && (
+            <div className="grid grid-cols-4 gap-2 text-center text-sm">
+              {['total', 'easy', 'medium', 'hard'].map(level => (
+                <div key={level} className="p-2 bg-gray-50 rounded-lg">
+                  <div className="font-semibold text-gray-900">
+                    {questionCounts[level] !== null && questionCounts[level] !== undefined ? formatNumber(questionCounts[level]) : '–'}
+                  </div>
+                  <div className="text-gray-600">{level === 'total' ? t('home.custom.all') : t(`difficulty.${level}`)}</div>
+                </div>
+              ))}
             </div>
           )}
 
           {/* Time Limit */}
           <div>
             <label className="block text-sm font-medium text-gray-700 mb-2">
-              Time per Question (seconds)
+              {t('home.custom.timeLimit')}
             </label>
-            <div className="flex space-x-2">
+            <div className="flex gap-2">
               {[15, 30, 45, 60].map(time => (
                 <button
                   key={time}
@@ -517,10 +823,128 @@ const Home = () => {
                       : 'bg-gray-100 text-gray-700 hover:bg-gray-200'
                   }`}
                 >
-                  {time}s
+                  {formatDuration(time * 1000)}
+                </button>
+              ))}
+            </div>
+          </div>
+
+          {/* Pause Allowance */}
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-2">
+              {t('home.custom.pauses')}
+            </label>
+            <div className="flex gap-2">
+              {PAUSE_LIMIT_OPTIONS.map(limit => (
+                <button
+                  key={String(limit)}
+                  onClick={() => setCustomSettings({ ...customSettings, pauseLimit: limit })}
+                  disabled={customSettings.exam}
+                  className={`flex-1 py-2 px-3 rounded-lg text-sm font-medium transition-colors disabled:opacity-50 disabled:cursor-not-allowed ${
+                    customSettings.pauseLimit === limit
+                      ? 'bg-primary-600 text-white'
+                      : 'bg-gray-100 text-gray-700 hover:bg-gray-200'
+                  }`}
+                >
+                  {limit === null ? t('home.custom.pausesUnlimited') :
+                   limit === 0 ? t('home.custom.pausesNone') :
+                   formatNumber(limit)}
+                </button>
+              ))}
+            </div>
+            <p className="text-xs text-gray-500 mt-1">{t('home.custom.pausesHint')}</p>
+          </div>
+
+          {/* Exam Mode */}
+          <div>
+            <label className="flex items-center gap-2 text-sm font-medium text-gray-700">
+              <input
+                type="checkbox"
+                checked={customSettings.exam}
+                onChange={(e) => setCustomSettings({ ...customSettings, exam: e.target.checked })}
+                className="w-4 h-4"
+              />
+              <span>{t('home.custom.exam')}</span>
+            </label>
+            <p className="text-xs text-gray-500 mt-1">{t('home.custom.examHint')}</p>
+          </div>
+
+          {/* Seed */}
+          <div>
+            <label htmlFor="quiz-seed" className="block text-sm font-medium text-gray-700 mb-2">
+              {t('home.custom.seed')}
+            </label>
+            <input
+              id="quiz-seed"
+              type="text"
+              value={customSettings.seed}
+              onChange={(e) => setCustomSettings({ ...customSettings, seed: e.target.value })}
+              placeholder={t('home.custom.seedPlaceholder')}
+              maxLength={64}
+              autoComplete="off"
+              spellCheck={false}
+              dir="ltr"
+              className="w-full p-3 border border-gray-300 rounded-lg font-mono focus:ring-2 focus:ring-primary-500 focus:border-primary-500"
+            />
+            <p className="text-xs text-gray-500 mt-1">{t('home.custom.seedHint')}</p>
+          </div>
+
+          {/* Repeat Cooldown */}
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-2">
+              {t('home.custom.cooldown')}
+            </label>
+            <div className="flex gap-2">
+              {COOLDOWN_OPTIONS.map(option => (
+                <button
+                  key={option.days}
+                  onClick={() => handleCooldownChange(option.days)}
+                  className={`flex-1 py-2 px-3 rounded-lg text-sm font-medium transition-colors ${
+                    seenCooldown === option.days
+                      ? 'bg-primary-600 text-white'
+                      : 'bg-gray-100 text-gray-700 hover:bg-gray-200'
+                  }`}
+                >
+                  {formatCooldown(option.days)}
+                </button>
+              ))}
+            </div>
+            <div className="flex items-center justify-between mt-1">
+              <p className="text-xs text-gray-500">
+                {t('home.custom.cooldownHint')}
+              </p>
+              <button
+                type="button"
+                onClick={handleClearSeen}
+                disabled={seenCleared}
+                className="text-xs text-primary-600 hover:underline disabled:text-gray-400 disabled:no-underline whitespace-nowrap ms-2"
+              >
+                {seenCleared ? t('home.custom.historyCleared') : t('home.custom.forgetSeen')}
+              </button>
+            </div>
+          </div>
+
+          {/* Unfinished Quiz Expiry */}
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-2">
+              {t('home.custom.sessionExpiry')}
+            </label>
+            <div className="flex gap-2">
+              {SESSION_EXPIRY_OPTIONS.map(hours => (
+                <button
+                  key={hours}
+                  onClick={() => handleSessionExpiryChange(hours)}
+                  className={`flex-1 py-2 px-3 rounded-lg text-sm font-medium transition-colors ${
+                    sessionExpiry === hours
+                      ? 'bg-primary-600 text-white'
+                      : 'bg-gray-100 text-gray-700 hover:bg-gray-200'
+                  }`}
+                >
+                  {formatSessionExpiry(hours)}
                 </button>
               ))}
             </div>
+            <p className="text-xs text-gray-500 mt-1">{t('home.custom.sessionExpiryHint')}</p>
           </div>
 
           {/* Action Buttons */}
@@ -530,13 +954,14 @@ const Home = () => {
               onClick={() => setShowSettings(false)}
               className="flex-1"
             >
-              Cancel
+              {t('common.cancel')}
             </Button>
             <Button
               onClick={handleCustomQuiz}
+              disabled={availableCount === 0}
               className="flex-1"
             >
-              Start Custom Quiz
+              {t('home.custom.start')}
             </Button>
           </div>
         </div>
@@ -546,13 +971,10 @@ const Home = () => {
       <section className="py-20 bg-gradient-to-r from-primary-600 to-secondary-600 text-white">
         <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 text-center">
           <h3 className="text-4xl font-bold mb-4">
-            Ready to Challenge Yourself?
+            {t('home.cta.title')}
           </h3>
           <p className="text-xl mb-8 opacity-90">
-            {useAPI 
-              ? 'Join thousands of quiz enthusiasts with fresh questions from our global database!'
-              : 'Practice with our carefully curated collection of offline questions!'
-            }
+            {t(isOnline ? 'home.cta.online' : 'home.cta.offline')}
           </p>
           
           <div className="flex flex-col sm:flex-row gap-4 justify-center">
@@ -562,7 +984,7 @@ const Home = () => {
               onClick={() => handleStartQuiz()}
               className="bg-white text-primary-600 hover:bg-gray-100 px-8"
             >
-              {useAPI ? 'Start Fresh Quiz 🌐' : 'Start Practice Quiz 💾'}
+              {t(isOnline ? 'home.cta.startOnline' : 'home.cta.startOffline')}
             </Button>
             
             {highScores.length > 0 && (
@@ -572,7 +994,7 @@ const Home = () => {
                 onClick={handleViewResults}
                 className="border-white text-white hover:bg-white hover:text-primary-600 px-8"
               >
-                View High Scores
+                {t('home.cta.highScores')}
               </Button>
             )}
           </div>
@@ -1,11 +1,26 @@
-import React, { useEffect, useRef, useState } from 'react';
+import React, { useEffect, useMemo, useRef, useState } from 'react';
 import { useNavigate, useLocation } from 'react-router-dom';
 import { Layout } from '../components/Layout';
 import Question from '../components/Question';
+import ChallengeLinkButton from '../components/ChallengeLinkButton';
 import { Button, LoadingSpinner, Alert, Modal } from '../components/common';
 import { useQuiz } from '../hooks/useQuiz';
 import { useHighScores, useQuizStats } from '../hooks/useLocalStorage';
+import { useTranslation } from '../hooks/useTranslation';
 import { pageTransition, particleEffects } from '../utils/animations';
+import {
+  DEFAULT_QUIZ_OPTIONS,
+  getQuizCategories,
+  toLoadOptions,
+  fromQuizSearch,
+  canShareQuiz,
+  getChallengeLink
+} from '../utils/quizOptions';
+import { createSessionId, clearQuizSession } from '../utils/quizSession';
+import { QUESTION_TYPE_LABELS } from '../utils/questionSchema';
+
+// Notices about repeated questions deserve more attention than the rest
+const WARNING_NOTICES = ['short-quiz', 'recently-seen'];
 
 /**
  * Quiz Page Component
@@ -15,14 +30,36 @@ const Quiz = () => {
   const navigate = useNavigate();
   const location = useLocation();
   const containerRef = useRef(null);
+  const { t, translateMessage, formatNumber, formatPercent, formatDuration } = useTranslation();
   
-  // Quiz options from navigation state
-  const quizOptions = location.state || {
-    difficulty: 'mixed',
-    questionCount: 10,
-    timeLimit: 30,
-    useAPI: true  // FIXED: Default to API questions
-  };
+  // Quiz options from navigation state (quick starts only pass a source), overridden
+  // by the URL so a refreshed page or a shared link deals the same quiz
+  const sessionId = (location.state && location.state.sessionId) || null;
+  const quizOptions = useMemo(() => {
+    const navigationOptions = { ...location.state };
+    delete navigationOptions.sessionId;
+
+    return { ...DEFAULT_QUIZ_OPTIONS, ...navigationOptions, ...fromQuizSearch(location.search) };
+  }, [location.state, location.search]);
+  const quizCategories = getQuizCategories(quizOptions);
+
+  // Exams can't be paused
+  const pauseLimit = quizOptions.exam ? 0 : quizOptions.pauseLimit ?? null;
+
+  // Each visit to the quiz page gets a session id, kept in its history entry so a
+  // reload finds the quiz saved under it. Exams are never saved, so they can't be resumed.
+  const session = useMemo(() => (
+    sessionId && !quizOptions.exam ? { id: sessionId, options: quizOptions } : null
+  ), [sessionId, quizOptions]);
+
+  useEffect(() => {
+    if (!sessionId && !quizOptions.exam) {
+      navigate(`${location.pathname}${location.search}`, {
+        replace: true,
+        state: { ...location.state, sessionId: createSessionId() }
+      });
+    }
+  }, [sessionId, quizOptions.exam, navigate, location.pathname, location.search, location.state]);
 
   // Quiz hook
   const {
@@ -32,27 +69,43 @@ const Quiz = () => {
     selectedAnswers,
     isLoading,
     error,
+    errorCode,
+    notices,
+    queueStatus,
+    loadProgress,
     quizCompleted,
     timeRemaining,
     timerActive,
+    totalQuestions,
+    waitingForQuestions,
+    mediaReady,
+    mediaPlays,
     progress,
     hasSelectedAnswer,
     canGoNext,
     canGoPrevious,
     isLastQuestion,
     quizResults,
+    seed,
+    startTime,
+    isPaused,
+    pausesLeft,
+    canPause,
     startQuiz,
     selectAnswer,
+    recordMediaPlay,
     nextQuestion,
     previousQuestion,
     skipQuestion,
+    pauseQuiz,
+    resumeQuiz,
     finishQuiz,
     restartQuiz
   } = useQuiz({
-    amount: quizOptions.questionCount,
-    difficulty: quizOptions.difficulty === 'mixed' ? null : quizOptions.difficulty,
+    ...toLoadOptions(quizOptions),
     timeLimit: quizOptions.timeLimit,
-    useAPI: quizOptions.useAPI
+    pauseLimit,
+    session
   });
 
   // Local storage hooks
@@ -61,7 +114,12 @@ const Quiz = () => {
 
   // Local state
   const [showExitModal, setShowExitModal] = useState(false);
-  const [quizStarted, setQuizStarted] = useState(false);
+  const quizStarted = Boolean(startTime); // a resumed quiz skips the start screen
+  const completionHandledRef = useRef(false); // the score is saved once per quiz
+
+  // Category names as the loaded questions spell them; null for a mix, named where scores are shown
+  const categoryNames = Array.from(new Set(questions.map(question => question.category)));
+  const scoreCategory = categoryNames.length === 1 ? categoryNames[0] : null;
 
   // Page entrance animation
   useEffect(() => {
@@ -72,7 +130,16 @@ const Quiz = () => {
 
   // Handle quiz completion
   useEffect(() => {
-    if (quizCompleted && quizResults) {
+    if (!quizCompleted) {
+      completionHandledRef.current = false;
+      return;
+    }
+
+    // addScore and updateStats change identity on every render, so this effect
+    // runs again after the score is saved; only the first run may save it
+    if (quizResults && !completionHandledRef.current) {
+      completionHandledRef.current = true;
+
       // Save score and update stats
       const scoreData = {
         score: quizResults.score,
@@ -80,7 +147,9 @@ const Quiz = () => {
         percentage: quizResults.percentage,
         difficulty: quizOptions.difficulty,
         timeTaken: quizResults.timeTaken,
-        category: 'Mixed'
+        seed: quizResults.seed,
+        pauses: quizResults.pauses.length,
+        category: scoreCategory
       };
 
       addScore(scoreData);
@@ -103,10 +172,9 @@ const Quiz = () => {
         });
       }, 2000);
     }
-  }, [quizCompleted, quizResults, navigate, addScore, updateStats, quizOptions]);
+  }, [quizCompleted, quizResults, navigate, addScore, updateStats, quizOptions, scoreCategory]);
 
   const handleStartQuiz = () => {
-    setQuizStarted(true);
     startQuiz();
   };
 
@@ -135,19 +203,13 @@ const Quiz = () => {
   };
 
   const confirmExit = () => {
+    // Leaving on purpose gives the quiz up; only a reload or a crash can be resumed
+    if (session) clearQuizSession(session.id);
     navigate('/');
   };
 
-  const handleTimeUp = () => {
-    if (isLastQuestion) {
-      finishQuiz();
-    } else {
-      nextQuestion();
-    }
-  };
-
-  // Loading state
-  if (isLoading) {
+  // Loading state (large quizzes can be started once their first questions arrive)
+  if (isLoading && !quizStarted) {
     return (
       <Layout>
         <div className="flex items-center justify-center min-h-[400px]">
@@ -155,12 +217,46 @@ const Quiz = () => {
             <LoadingSpinner size="lg" />
             <div>
               <h3 className="text-lg font-semibold text-gray-900 mb-2">
-                Preparing Your Quiz
+                {t('quiz.loading.title')}
               </h3>
               <p className="text-gray-600">
-                Loading {quizOptions.questionCount} questions...
+                {t('quiz.loading.questions', { count: quizOptions.questionCount })}
               </p>
+              {queueStatus && queueStatus.wait > 0 && (
+                <p className="text-sm text-gray-500 mt-1" aria-live="polite">
+                  {t('quiz.loading.queue', {
+                    position: queueStatus.position,
+                    wait: formatDuration(Math.ceil(queueStatus.wait / 1000) * 1000)
+                  })}
+                </p>
+              )}
             </div>
+
+            {loadProgress && (
+              <div className="w-64 mx-auto space-y-3">
+                <div
+                  className="w-full bg-gray-200 rounded-full h-2"
+                  role="progressbar"
+                  aria-valuemin={0}
+                  aria-valuemax={loadProgress.total}
+                  aria-valuenow={loadProgress.loaded}
+                >
+                  <div
+                    className="bg-primary-600 h-2 rounded-full transition-all duration-300"
+                    style={{ width: `${(loadProgress.loaded / loadProgress.total) * 100}%` }}
+                  />
+                </div>
+                <p className="text-sm text-gray-600">
+                  {t('quiz.loading.ready', { loaded: loadProgress.loaded, total: loadProgress.total })}
+                </p>
+                <Button onClick={handleStartQuiz} size="sm">
+                  {t('quiz.loading.startNow')}
+                </Button>
+                <p className="text-xs text-gray-500">
+                  {t('quiz.loading.keepLoading')}
+                </p>
+              </div>
+            )}
           </div>
         </div>
       </Layout>
@@ -169,8 +265,8 @@ const Quiz = () => {
 
   // Error state
   if (error) {
-    const isRateLimitError = error.includes('Rate limit') || error.includes('429');
-    const isNetworkError = error.includes('Network') || error.includes('connection');
+    const isRateLimitError = errorCode === 'RATE_LIMIT' || (errorCode === 'HTTP' && error.params.status === '429');
+    const isNetworkError = errorCode === 'NETWORK';
     
     return (
       <Layout>
@@ -178,30 +274,30 @@ const Quiz = () => {
           <Alert variant="error" className="mb-6">
             <div>
               <h3 className="font-semibold mb-2">
-                {isRateLimitError ? '⏱️ Rate Limit Exceeded' : 
-                 isNetworkError ? '🌐 Connection Issue' : 
-                 'Error Loading Quiz'}
+                {isRateLimitError ? t('quiz.error.rateLimit') :
+                 isNetworkError ? t('quiz.error.connection') :
+                 t('quiz.error.generic')}
               </h3>
-              <p className="mb-3">{error}</p>
+              <p className="mb-3">{translateMessage(error)}</p>
               
               {isRateLimitError && (
                 <div className="mt-3 p-3 bg-yellow-50 border border-yellow-200 rounded text-sm">
-                  <p className="font-medium text-yellow-800 mb-2">What you can do:</p>
+                  <p className="font-medium text-yellow-800 mb-2">{t('quiz.error.whatToDo')}</p>
                   <ul className="text-yellow-700 space-y-1 list-disc list-inside">
-                    <li>Wait 10-15 seconds and try again</li>
-                    <li>Switch to offline mode using the toggle on home page</li>
-                    <li>Try a smaller number of questions</li>
+                    <li>{t('quiz.error.rateLimitTip1')}</li>
+                    <li>{t('quiz.error.rateLimitTip2')}</li>
+                    <li>{t('quiz.error.rateLimitTip3')}</li>
                   </ul>
                 </div>
               )}
               
               {isNetworkError && (
                 <div className="mt-3 p-3 bg-blue-50 border border-blue-200 rounded text-sm">
-                  <p className="font-medium text-blue-800 mb-2">Suggestions:</p>
+                  <p className="font-medium text-blue-800 mb-2">{t('quiz.error.suggestions')}</p>
                   <ul className="text-blue-700 space-y-1 list-disc list-inside">
-                    <li>Check your internet connection</li>
-                    <li>Try refreshing the page</li>
-                    <li>Switch to offline mode for local questions</li>
+                    <li>{t('quiz.error.networkTip1')}</li>
+                    <li>{t('quiz.error.networkTip2')}</li>
+                    <li>{t('quiz.error.networkTip3')}</li>
                   </ul>
                 </div>
               )}
@@ -214,20 +310,20 @@ const Quiz = () => {
                 onClick={() => window.location.reload()}
                 variant="primary"
               >
-                {isRateLimitError ? 'Try Again' : 'Refresh Page'}
+                {isRateLimitError ? t('quiz.error.tryAgain') : t('quiz.error.refresh')}
               </Button>
               
               <Button
                 onClick={() => navigate('/')}
                 variant="secondary"
               >
-                Back to Home
+                {t('common.backToHome')}
               </Button>
             </div>
             
             {isRateLimitError && (
               <p className="text-sm text-gray-600">
-                💡 Tip: Toggle to offline mode on the home page for instant quizzes without rate limits!
+                {t('quiz.error.tip')}
               </p>
             )}
           </div>
@@ -245,33 +341,76 @@ const Quiz = () => {
             <div className="text-6xl mb-4">🧠</div>
             
             <h2 className="text-3xl font-bold text-gray-900">
-              Ready to Start?
+              {t('quiz.start.title')}
             </h2>
+
+            {notices.map((notice, index) => (
+              <Alert
+                key={`${notice.type}-${index}`}
+                variant={WARNING_NOTICES.includes(notice.type) ? 'warning' : 'info'}
+                className="text-start"
+              >
+                {translateMessage(notice)}
+              </Alert>
+            ))}
+
+            {quizOptions.exam && (
+              <Alert variant="warning" className="text-start">
+                {t('quiz.start.examNotice')}
+              </Alert>
+            )}
             
-            <div className="space-y-4 text-left">
+            <div className="space-y-4 text-start">
               <div className="flex items-center justify-between p-3 bg-gray-50 rounded-lg">
-                <span className="font-medium">Questions:</span>
-                <span>{questions.length}</span>
+                <span className="font-medium">{t('quiz.start.questions')}</span>
+                <span>{formatNumber(questions.length)}</span>
               </div>
               
               <div className="flex items-center justify-between p-3 bg-gray-50 rounded-lg">
-                <span className="font-medium">Time per question:</span>
-                <span>{quizOptions.timeLimit} seconds</span>
+                <span className="font-medium">{t('quiz.start.timePerQuestion')}</span>
+                <span>{formatDuration(quizOptions.timeLimit * 1000, { unitDisplay: 'long' })}</span>
               </div>
               
               <div className="flex items-center justify-between p-3 bg-gray-50 rounded-lg">
-                <span className="font-medium">Difficulty:</span>
-                <span className="capitalize">{quizOptions.difficulty}</span>
+                <span className="font-medium">{t('quiz.start.difficulty')}</span>
+                <span>{t(`difficulty.${quizOptions.difficulty}`, { defaultValue: quizOptions.difficulty })}</span>
+              </div>
+
+              <div className="flex items-center justify-between gap-4 p-3 bg-gray-50 rounded-lg">
+                <span className="font-medium">{t('quiz.start.categories', { count: Math.max(quizCategories.length, 1) })}</span>
+                <span className="text-end">
+                  {quizCategories.length > 0 ? categoryNames.join(', ') : t('common.any')}
+                </span>
+              </div>
+
+              <div className="flex items-center justify-between p-3 bg-gray-50 rounded-lg">
+                <span className="font-medium">{t('quiz.start.pauses')}</span>
+                <span>
+                  {pausesLeft === null ? t('quiz.start.pausesUnlimited') :
+                   pausesLeft === 0 ? t('quiz.start.pausesNone') :
+                   formatNumber(pausesLeft)}
+                </span>
+              </div>
+
+              <div className="flex items-center justify-between p-3 bg-gray-50 rounded-lg">
+                <span className="font-medium">{t('quiz.start.questionType')}</span>
+                <span>
+                  {quizOptions.questionType === 'mixed'
+                    ? t('questionTypes.mixed')
+                    : t(`questionTypes.${quizOptions.questionType || 'multiple'}`, {
+                      defaultValue: QUESTION_TYPE_LABELS[quizOptions.questionType || 'multiple']
+                    })}
+                </span>
               </div>
             </div>
 
             <div className="bg-blue-50 border border-blue-200 rounded-lg p-4">
-              <h4 className="font-semibold text-blue-900 mb-2">Instructions:</h4>
+              <h4 className="font-semibold text-blue-900 mb-2">{t('quiz.start.instructions')}</h4>
               <ul className="text-sm text-blue-800 space-y-1 list-disc list-inside">
-                <li>Read each question carefully</li>
-                <li>Select your answer before the timer runs out</li>
-                <li>You can navigate back to previous questions</li>
-                <li>Your final score will be shown at the end</li>
+                <li>{t('quiz.start.instruction1')}</li>
+                <li>{t('quiz.start.instruction2')}</li>
+                <li>{t('quiz.start.instruction3')}</li>
+                <li>{t('quiz.start.instruction4')}</li>
               </ul>
             </div>
 
@@ -281,7 +420,7 @@ const Quiz = () => {
                 size="lg"
                 className="flex-1"
               >
-                Start Quiz 🚀
+                {t('quiz.start.begin')}
               </Button>
               
               <Button
@@ -290,9 +429,15 @@ const Quiz = () => {
                 size="lg"
                 className="flex-1"
               >
-                Back to Home
+                {t('common.backToHome')}
               </Button>
             </div>
+
+            <ChallengeLinkButton
+              getLink={() => getChallengeLink(quizOptions, { seed, questions })}
+              available={canShareQuiz(quizOptions)}
+              variant="ghost"
+            />
           </div>
         </div>
       </Layout>
@@ -312,30 +457,30 @@ const Quiz = () => {
             </div>
             
             <h2 className="text-3xl font-bold text-gray-900">
-              Quiz Completed!
+              {t('quiz.completed.title')}
             </h2>
             
             <div className="text-center space-y-2">
               <div className="text-5xl font-bold text-primary-600">
-                {quizResults.percentage}%
+                {formatPercent(quizResults.percentage)}
               </div>
               <div className="text-lg text-gray-600">
-                {quizResults.score} out of {quizResults.total} correct
+                {t('quiz.completed.score', { score: quizResults.score, total: quizResults.total })}
               </div>
             </div>
 
             <div className="bg-gray-50 rounded-lg p-4">
               <p className="text-gray-700">
-                {quizResults.percentage >= 90 ? 'Outstanding! You\'re a true QuizMaster! 🏆' :
-                 quizResults.percentage >= 80 ? 'Excellent work! You really know your stuff! 🌟' :
-                 quizResults.percentage >= 70 ? 'Good job! Keep up the great work! 👍' :
-                 quizResults.percentage >= 60 ? 'Not bad! There\'s room for improvement! 📈' :
-                 'Keep learning! Practice makes perfect! 💪'}
+                {quizResults.percentage >= 90 ? t('quiz.completed.outstanding') :
+                 quizResults.percentage >= 80 ? t('quiz.completed.excellent') :
+                 quizResults.percentage >= 70 ? t('quiz.completed.good') :
+                 quizResults.percentage >= 60 ? t('quiz.completed.notBad') :
+                 t('quiz.completed.keepLearning')}
               </p>
             </div>
 
             <p className="text-gray-600">
-              Redirecting to detailed results...
+              {t('quiz.completed.redirecting')}
             </p>
 
             <div className="animate-pulse">
@@ -350,36 +495,74 @@ const Quiz = () => {
   // Main quiz interface
   return (
     <Layout
-      showTimer={timerActive}
+      showTimer={timerActive || isPaused}
       timeRemaining={timeRemaining}
       totalTime={quizOptions.timeLimit}
-      onTimeUp={handleTimeUp}
       showProgress={true}
       progress={progress}
-      progressLabel={`Question ${currentQuestionIndex + 1} of ${questions.length}`}
+      progressLabel={t('question.progress', { number: currentQuestionIndex + 1, total: totalQuestions })}
     >
       <div ref={containerRef} className="w-full max-w-4xl mx-auto">
         {/* Quiz Header */}
         <div className="flex items-center justify-between mb-6">
           <div>
-            <h1 className="text-2xl font-bold text-gray-900">QuizMaster Challenge</h1>
+            <h1 className="text-2xl font-bold text-gray-900">{t('quiz.header.title')}</h1>
             <p className="text-gray-600">
-              {quizOptions?.difficulty?.charAt(0)?.toUpperCase() + quizOptions?.difficulty?.slice(1)} Difficulty
+              {t('quiz.header.difficulty', {
+                difficulty: t(`difficulty.${quizOptions.difficulty}`, { defaultValue: quizOptions.difficulty })
+              })}
             </p>
           </div>
           
-          <Button
-            onClick={handleExitQuiz}
-            variant="outline"
-            size="sm"
-            className="text-gray-600 hover:text-red-600"
-          >
-            Exit Quiz
-          </Button>
+          <div className="flex items-center gap-2">
+            {/* Quizzes without pauses (exams) don't offer the button at all */}
+            {pauseLimit !== 0 && !isPaused && (
+              <Button
+                onClick={pauseQuiz}
+                disabled={!canPause}
+                variant="outline"
+                size="sm"
+                title={pausesLeft !== null ? t('quiz.pausesLeft', { count: pausesLeft }) : undefined}
+              >
+                {t('quiz.pause')}
+              </Button>
+            )}
+            <Button
+              onClick={handleExitQuiz}
+              variant="outline"
+              size="sm"
+              className="text-gray-600 hover:text-red-600"
+            >
+              {t('quiz.exit')}
+            </Button>
+          </div>
         </div>
 
-        {/* Current Question */}
-        {currentQuestion && (
+        {/* The question stays hidden while paused, so a pause can't buy thinking time */}
+        {isPaused && (
+          <div className="card text-center space-y-4 py-12" role="status">
+            <div className="text-6xl" aria-hidden="true">⏸️</div>
+            <h2 className="text-2xl font-bold text-gray-900">{t('quiz.paused.title')}</h2>
+            <p className="text-gray-600">{t('quiz.paused.text')}</p>
+            {pausesLeft !== null && (
+              <p className="text-sm text-gray-500">
+                {pausesLeft === 0 ? t('quiz.paused.lastPause') : t('quiz.pausesLeft', { count: pausesLeft })}
+              </p>
+            )}
+            <Button onClick={resumeQuiz} size="lg">
+              {t('quiz.paused.resume')}
+            </Button>
+          </div>
+        )}
+
+        {/* Current Question, once its image or audio clip has loaded */}
+        {currentQuestion && !isPaused && !mediaReady && (
+          <div className="flex justify-center py-16">
+            <LoadingSpinner text={t('quiz.loadingMedia')} />
+          </div>
+        )}
+
+        {currentQuestion && !isPaused && mediaReady && (
           <Question
             question={currentQuestion}
             selectedAnswer={selectedAnswers[currentQuestion.id]}
@@ -387,23 +570,36 @@ const Quiz = () => {
             onNext={handleNext}
             onPrevious={handlePrevious}
             onSkip={handleSkip}
+            mediaPlayCount={mediaPlays[currentQuestion.id] || 0}
+            onMediaPlay={recordMediaPlay}
             canGoNext={canGoNext}
             canGoPrevious={canGoPrevious}
             isLastQuestion={isLastQuestion}
             questionNumber={currentQuestionIndex + 1}
-            totalQuestions={questions.length}
+            totalQuestions={totalQuestions}
+            seed={seed}
           />
         )}
 
+        {waitingForQuestions && (
+          <p className="mt-4 text-center text-sm text-gray-600" aria-live="polite">
+            {t('quiz.loadingMore', {
+              progress: loadProgress
+                ? t('quiz.loadingMoreProgress', { loaded: loadProgress.loaded, total: loadProgress.total })
+                : '…'
+            })}
+          </p>
+        )}
+
         {/* Exit Confirmation Modal */}
         <Modal
           isOpen={showExitModal}
           onClose={() => setShowExitModal(false)}
-          title="Exit Quiz?"
+          title={t('quiz.exitModal.title')}
         >
           <div className="space-y-4">
             <p className="text-gray-600">
-              Are you sure you want to exit the quiz? Your progress will be lost.
+              {t('quiz.exitModal.text')}
             </p>
             
             <div className="flex gap-3 justify-end">
@@ -411,14 +607,14 @@ const Quiz = () => {
                 variant="secondary"
                 onClick={() => setShowExitModal(false)}
               >
-                Continue Quiz
+                {t('quiz.exitModal.continue')}
               </Button>
               
               <Button
                 variant="error"
                 onClick={confirmExit}
               >
-                Exit Quiz
+                {t('quiz.exitModal.confirm')}
               </Button>
             </div>
           </div>
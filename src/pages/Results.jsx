@@ -2,8 +2,16 @@ import React, { useEffect, useRef, useState } from 'react';
 import { useNavigate, useLocation } from 'react-router-dom';
 import { Layout } from '../components/Layout';
 import { Button, Card, Badge, Alert, Modal } from '../components/common';
+import AnswerReview from '../components/AnswerReview';
+import QuestionMedia from '../components/QuestionMedia';
+import RichText from '../components/RichText';
+import ChallengeLinkButton from '../components/ChallengeLinkButton';
 import { useHighScores } from '../hooks/useLocalStorage';
+import { useTranslation } from '../hooks/useTranslation';
 import { pageTransition, scoreAnimations, textAnimations } from '../utils/animations';
+import { getPerformanceMessage } from '../utils/api';
+import { toLoadOptions, getQuizPath, canShareQuiz, getChallengeLink } from '../utils/quizOptions';
+import { prefetchQuiz } from '../utils/quizPrefetch';
 
 /**
  * Results Page Component
@@ -14,6 +22,7 @@ const Results = () => {
   const location = useLocation();
   const containerRef = useRef(null);
   const scoreRef = useRef(null);
+  const { t, translateMessage, formatNumber, formatPercent, formatDate, formatDuration } = useTranslation();
   
   const { highScores, clearScores } = useHighScores();
   
@@ -48,68 +57,25 @@ const Results = () => {
     }, 500);
   }, [results, navigate]);
 
+  // Get a fresh set of questions ready in case the player retries (a seeded quiz is dealt again instead)
+  useEffect(() => {
+    if (results && options && !options.seed) {
+      prefetchQuiz(toLoadOptions(options));
+    }
+  }, [results, options]);
+
   if (!results) {
     return null; // Will redirect
   }
 
   const handleRestartQuiz = () => {
-    navigate('/quiz', { state: options });
+    navigate(getQuizPath(options), { state: options });
   };
 
   const handleNewQuiz = () => {
     navigate('/');
   };
 
-  const getPerformanceMessage = (percentage) => {
-    if (percentage >= 90) {
-      return {
-        title: 'Outstanding! 🏆',
-        message: 'You\'re a true QuizMaster!',
-        color: 'text-yellow-600',
-        bgColor: 'bg-yellow-50'
-      };
-    } else if (percentage >= 80) {
-      return {
-        title: 'Excellent! 🌟',
-        message: 'Great job! You really know your stuff.',
-        color: 'text-green-600',
-        bgColor: 'bg-green-50'
-      };
-    } else if (percentage >= 70) {
-      return {
-        title: 'Good Work! 👍',
-        message: 'Nice performance! Keep it up.',
-        color: 'text-blue-600',
-        bgColor: 'bg-blue-50'
-      };
-    } else if (percentage >= 60) {
-      return {
-        title: 'Not Bad! 📚',
-        message: 'Room for improvement, but you\'re getting there.',
-        color: 'text-orange-600',
-        bgColor: 'bg-orange-50'
-      };
-    } else {
-      return {
-        title: 'Keep Learning! 💪',
-        message: 'Don\'t give up! Practice makes perfect.',
-        color: 'text-red-600',
-        bgColor: 'bg-red-50'
-      };
-    }
-  };
-
-  const formatTime = (milliseconds) => {
-    const seconds = Math.floor(milliseconds / 1000);
-    const minutes = Math.floor(seconds / 60);
-    const remainingSeconds = seconds % 60;
-    
-    if (minutes > 0) {
-      return `${minutes}m ${remainingSeconds}s`;
-    }
-    return `${remainingSeconds}s`;
-  };
-
   const performance = getPerformanceMessage(results.percentage);
   const isNewHighScore = highScores.length === 0 || results.percentage > highScores[0].percentage;
 
@@ -129,7 +95,7 @@ const Results = () => {
           {/* Score Display */}
           <div ref={scoreRef} className="space-y-4">
             <h1 className="text-4xl font-bold text-gray-900">
-              Quiz Completed!
+              {t('quiz.completed.title')}
             </h1>
             
             <div className="space-y-2">
@@ -137,7 +103,7 @@ const Results = () => {
                 <span className="score-number">0</span>%
               </div>
               <div className="text-xl text-gray-600">
-                {results.score} out of {results.total} questions correct
+                {t('results.score', { score: results.score, total: results.total })}
               </div>
             </div>
           </div>
@@ -157,10 +123,10 @@ const Results = () => {
             <Alert variant="success" className="bg-gradient-to-r from-yellow-50 to-orange-50 border-yellow-200">
               <div className="text-center">
                 <h3 className="font-bold text-yellow-800 text-lg">
-                  🎉 New High Score! 🎉
+                  {t('results.newHighScore.title')}
                 </h3>
                 <p className="text-yellow-700">
-                  Congratulations! You've achieved your best score yet!
+                  {t('results.newHighScore.text')}
                 </p>
               </div>
             </Alert>
@@ -172,28 +138,51 @@ const Results = () => {
           <Card className="text-center">
             <div className="text-3xl mb-2">⏱️</div>
             <div className="text-2xl font-bold text-gray-900">
-              {results.timeTaken ? formatTime(results.timeTaken) : 'N/A'}
+              {results.timeTaken ? formatDuration(results.timeTaken) : t('common.notAvailable')}
             </div>
-            <div className="text-gray-600">Time Taken</div>
+            <div className="text-gray-600">{t('results.timeTaken')}</div>
           </Card>
 
           <Card className="text-center">
             <div className="text-3xl mb-2">🎯</div>
             <div className="text-2xl font-bold text-green-600">
-              {results.score}
+              {formatNumber(results.correctCount ?? results.score)}
             </div>
-            <div className="text-gray-600">Correct Answers</div>
+            <div className="text-gray-600">{t('results.correctAnswers')}</div>
           </Card>
 
           <Card className="text-center">
             <div className="text-3xl mb-2">❌</div>
             <div className="text-2xl font-bold text-red-600">
-              {results.total - results.score}
+              {formatNumber(results.total - (results.correctCount ?? results.score))}
             </div>
-            <div className="text-gray-600">Incorrect Answers</div>
+            <div className="text-gray-600">{t('results.incorrectAnswers')}</div>
           </Card>
         </div>
 
+        {results.pauses && results.pauses.length > 0 && (
+          <p className="text-center text-sm text-gray-500">
+            {t('results.pauses', { count: results.pauses.length, duration: formatDuration(results.pausedTime) })}
+          </p>
+        )}
+
+        {results.seed && (
+          <p className="text-center text-sm text-gray-500">
+            {t('results.seed')} <code className="font-mono text-gray-700 select-all" dir="ltr">{results.seed}</code>
+          </p>
+        )}
+
+        {options && (
+          <ChallengeLinkButton
+            getLink={() => getChallengeLink(options, {
+              seed: results.seed,
+              questions: results.results.map(result => result.question)
+            })}
+            available={canShareQuiz(options)}
+            className="max-w-sm mx-auto"
+          />
+        )}
+
         {/* Action Buttons */}
         <div className="grid md:grid-cols-2 lg:grid-cols-4 gap-4">
           <Button
@@ -201,7 +190,7 @@ const Results = () => {
             variant="primary"
             className="w-full"
           >
-            🔄 Retry Quiz
+            {t('results.retry')}
           </Button>
 
           <Button
@@ -209,7 +198,7 @@ const Results = () => {
             variant="secondary"
             className="w-full"
           >
-            🏠 New Quiz
+            {t('results.newQuiz')}
           </Button>
 
           <Button
@@ -217,7 +206,7 @@ const Results = () => {
             variant="outline"
             className="w-full"
           >
-            {showAnswers ? '👁️ Hide' : '📝 Review'} Answers
+            {showAnswers ? t('results.hideReview') : t('results.showReview')}
           </Button>
 
           <Button
@@ -225,7 +214,7 @@ const Results = () => {
             variant="outline"
             className="w-full"
           >
-            🏆 High Scores
+            {t('results.highScores')}
           </Button>
         </div>
 
@@ -233,9 +222,12 @@ const Results = () => {
         {showAnswers && (
           <Card className="space-y-6">
             <div className="flex items-center justify-between">
-              <h3 className="text-2xl font-bold text-gray-900">Answer Review</h3>
+              <h3 className="text-2xl font-bold text-gray-900">{t('results.review.title')}</h3>
               <Badge variant="primary">
-                {results.results.filter(r => r.isCorrect).length}/{results.results.length} Correct
+                {t('results.review.correctCount', {
+                  correct: results.results.filter(r => r.isCorrect).length,
+                  total: results.results.length
+                })}
               </Badge>
             </div>
 
@@ -245,61 +237,37 @@ const Results = () => {
                   <div className="flex items-start justify-between mb-3">
                     <div className="flex-1">
                       <h4 className="font-semibold text-gray-900 mb-2">
-                        Question {index + 1}: {result.question.question}
+                        {t('results.review.question', { number: index + 1 })} <RichText text={result.question.question} inline />
                       </h4>
-                      
-                      <div className="space-y-2">
-                        {/* User's Answer */}
-                        <div className="flex items-center space-x-2">
-                          <span className="text-sm font-medium text-gray-600">Your answer:</span>
-                          <span className={`px-2 py-1 rounded text-sm ${
-                            result.isCorrect 
-                              ? 'bg-green-100 text-green-800' 
-                              : 'bg-red-100 text-red-800'
-                          }`}>
-                            {result.userAnswer !== undefined 
-                              ? result.question.options[result.userAnswer] || 'No answer'
-                              : 'No answer'
-                            }
-                          </span>
-                          {result.isCorrect ? (
-                            <span className="text-green-600">✓</span>
-                          ) : (
-                            <span className="text-red-600">✗</span>
-                          )}
-                        </div>
 
-                        {/* Correct Answer (if wrong) */}
-                        {!result.isCorrect && (
-                          <div className="flex items-center space-x-2">
-                            <span className="text-sm font-medium text-gray-600">Correct answer:</span>
-                            <span className="px-2 py-1 rounded text-sm bg-green-100 text-green-800">
-                              {result.question.options[result.correctAnswer]}
-                            </span>
-                          </div>
-                        )}
-                      </div>
+                      <QuestionMedia media={result.question.media} unlimited compact className="mb-3" />
+                      
+                      <AnswerReview result={result} />
 
                       {/* Explanation */}
                       {result.question.explanation && (
                         <div className="mt-3 p-3 bg-blue-50 rounded-lg">
-                          <div className="flex items-start space-x-2">
+                          <div className="flex items-start gap-2">
                             <span className="text-blue-600 mt-0.5">💡</span>
                             <div>
-                              <h5 className="font-medium text-blue-900 text-sm">Explanation</h5>
-                              <p className="text-blue-800 text-sm">{result.question.explanation}</p>
+                              <h5 className="font-medium text-blue-900 text-sm">{t('question.explanation')}</h5>
+                              <RichText text={translateMessage(result.question.explanation)} className="text-blue-800 text-sm" />
                             </div>
                           </div>
                         </div>
                       )}
                     </div>
 
-                    <div className="ml-4">
+                    <div className="ms-4">
                       <Badge 
-                        variant={result.isCorrect ? 'success' : 'error'}
+                        variant={result.isCorrect ? 'success' : result.credit > 0 ? 'warning' : 'error'}
                         size="sm"
                       >
-                        {result.isCorrect ? 'Correct' : 'Incorrect'}
+                        {result.isCorrect
+                          ? t('results.review.correct')
+                          : result.credit > 0
+                            ? t('results.review.partial', { percent: formatPercent(Math.round(result.credit * 100)) })
+                            : t('results.review.incorrect')}
                       </Badge>
                       {result.question.difficulty && (
                         <Badge 
@@ -308,9 +276,9 @@ const Results = () => {
                             result.question.difficulty === 'hard' ? 'error' : 'warning'
                           }
                           size="sm"
-                          className="ml-2"
+                          className="ms-2"
                         >
-                          {result.question.difficulty}
+                          {t(`difficulty.${result.question.difficulty}`, { defaultValue: result.question.difficulty })}
                         </Badge>
                       )}
                     </div>
@@ -325,7 +293,7 @@ const Results = () => {
         {showHighScores && (
           <Card className="space-y-6">
             <div className="flex items-center justify-between">
-              <h3 className="text-2xl font-bold text-gray-900">High Scores</h3>
+              <h3 className="text-2xl font-bold text-gray-900">{t('results.scores.title')}</h3>
               {highScores.length > 0 && (
                 <Button
                   onClick={() => setShowClearModal(true)}
@@ -333,7 +301,7 @@ const Results = () => {
                   size="sm"
                   className="text-red-600 border-red-300 hover:bg-red-50"
                 >
-                  Clear Scores
+                  {t('results.scores.clear')}
                 </Button>
               )}
             </div>
@@ -350,23 +318,30 @@ const Results = () => {
                       'bg-gray-50'
                     }`}
                   >
-                    <div className="flex items-center space-x-4">
+                    <div className="flex items-center gap-4">
                       <div className="text-2xl">
-                        {index === 0 ? '🥇' : index === 1 ? '🥈' : index === 2 ? '🥉' : `${index + 1}.`}
+                        {index === 0 ? '🥇' : index === 1 ? '🥈' : index === 2 ? '🥉' : `${formatNumber(index + 1)}.`}
                       </div>
                       <div>
                         <div className="font-semibold text-gray-900">
-                          {score.percentage}% ({score.score}/{score.total})
+                          {t('results.scores.entry', {
+                            percentage: formatPercent(score.percentage),
+                            score: score.score,
+                            total: score.total
+                          })}
                         </div>
                         <div className="text-sm text-gray-600">
-                          {new Date(score.timestamp).toLocaleDateString()}
+                          {formatDate(score.timestamp)}
+                          {' · '}
+                          {/* Older scores spell a mix out in English */}
+                          {score.category && score.category !== 'Mixed' ? score.category : t('results.scores.mixedCategories')}
                         </div>
                       </div>
                     </div>
                     
-                    <div className="text-right">
+                    <div className="text-end">
                       <Badge variant="primary" size="sm">
-                        {score.difficulty || 'Mixed'}
+                        {t(`difficulty.${score.difficulty || 'mixed'}`, { defaultValue: score.difficulty })}
                       </Badge>
                     </div>
                   </div>
@@ -375,7 +350,7 @@ const Results = () => {
             ) : (
               <div className="text-center py-8 text-gray-500">
                 <div className="text-4xl mb-4">🏆</div>
-                <p>No high scores yet. Keep playing to build your record!</p>
+                <p>{t('results.scores.empty')}</p>
               </div>
             )}
           </Card>
@@ -385,11 +360,11 @@ const Results = () => {
         <Modal
           isOpen={showClearModal}
           onClose={() => setShowClearModal(false)}
-          title="Clear High Scores?"
+          title={t('results.clearModal.title')}
         >
           <div className="space-y-4">
             <p className="text-gray-600">
-              Are you sure you want to clear all high scores? This action cannot be undone.
+              {t('results.clearModal.text')}
             </p>
             
             <div className="flex gap-3 justify-end">
@@ -397,7 +372,7 @@ const Results = () => {
                 variant="secondary"
                 onClick={() => setShowClearModal(false)}
               >
-                Cancel
+                {t('common.cancel')}
               </Button>
               
               <Button
@@ -408,7 +383,7 @@ const Results = () => {
                   setShowHighScores(false);
                 }}
               >
-                Clear Scores
+                {t('results.clearModal.confirm')}
               </Button>
             </div>
           </div>
@@ -1,5 +1,16 @@
+import { decodeHTMLEntities } from './htmlEntities.js';
+import { translate as t, formatClock, createMessage, createMessageError } from './i18n.js';
+import { createRandom } from './random.js';
+
 // API utility functions for Open Trivia DB
-const API_BASE_URL = 'https://opentdb.com/api.php';
+
+// Set VITE_OPENTDB_BASE_URL to use another compatible server, e.g. scripts/opentdb-server.js
+const OPENTDB_BASE_URL = ((import.meta.env && import.meta.env.VITE_OPENTDB_BASE_URL) || 'https://opentdb.com')
+  .replace(/\/+$/, '');
+const API_BASE_URL = `${OPENTDB_BASE_URL}/api.php`;
+const TOKEN_API_URL = `${OPENTDB_BASE_URL}/api_token.php`;
+const CATEGORY_API_URL = `${OPENTDB_BASE_URL}/api_category.php`;
+const COUNT_API_URL = `${OPENTDB_BASE_URL}/api_count.php`;
 
 export const DIFFICULTY_LEVELS = {
   easy: 'easy',
@@ -7,8 +18,11 @@ export const DIFFICULTY_LEVELS = {
   hard: 'hard'
 };
 
+// Fallback list, used when the live category list can't be fetched
 export const CATEGORIES = {
   9: 'General Knowledge',
+  10: 'Books',
+  11: 'Film',
   17: 'Science & Nature',
   18: 'Computers',
   19: 'Mathematics',
@@ -18,50 +32,501 @@ export const CATEGORIES = {
   23: 'History'
 };
 
+// Other names the same categories go by, e.g. in the local question bank and imported packs
+const CATEGORY_ALIASES = {
+  literature: 10,
+  'entertainment: books': 10,
+  movies: 11,
+  'entertainment: film': 11,
+  science: 17,
+  technology: 18,
+  'science: computers': 18,
+  math: 19,
+  maths: 19,
+  'science: mathematics': 19
+};
+
+/**
+ * Maps a category name onto the matching entry of CATEGORIES
+ * @param {string} name - Category name, e.g. 'Science' or 'Science & Nature'
+ * @returns {object} { id, name }, with id null and the name unchanged when there is no match
+ */
+export const resolveCategory = (name) => {
+  const key = String(name || '').trim().toLowerCase();
+  const id = Number(Object.keys(CATEGORIES).find(categoryId => CATEGORIES[categoryId].toLowerCase() === key))
+    || CATEGORY_ALIASES[key]
+    || null;
+
+  return id ? { id, name: CATEGORIES[id] } : { id: null, name };
+};
+
 // Rate limiting variables
 let lastRequestTime = 0;
 const MIN_REQUEST_INTERVAL = 5000; // 5 seconds between requests
+const MAX_QUESTIONS_PER_REQUEST = 50; // Larger amounts are fetched in chunks
+const QUEUE_UPDATE_INTERVAL = 1000; // How often waiting requests report their countdown
 let requestQueue = [];
 let isProcessingQueue = false;
+let nextRequestId = 1;
+const queueListeners = new Set();
+
+// Lower numbers go first; requests of equal priority keep their order
+export const REQUEST_PRIORITIES = {
+  interactive: 0, // the player is waiting for it
+  background: 1,  // wanted soon, e.g. the next quiz
+  idle: 2         // nice to have
+};
+
+// Session tokens stop the API from serving the same question twice. There are no
+// player profiles, so the browser keeps one token for everyone who plays on it.
+const TOKEN_STORAGE_KEY = 'quizmaster_opentdb_token';
+const TOKEN_MAX_AGE = 6 * 60 * 60 * 1000; // Open Trivia DB drops tokens after 6 hours of inactivity
+
+// Category metadata changes rarely, so it is cached for a day
+const CATEGORY_STORAGE_KEY = 'quizmaster_categories';
+const COUNT_STORAGE_KEY = 'quizmaster_category_counts';
+const METADATA_MAX_AGE = 24 * 60 * 60 * 1000;
+const pendingCountRequests = new Map(); // category id -> count request still in the queue
 
 /**
  * Shuffles an array using Fisher-Yates algorithm
  * @param {Array} array - Array to shuffle
+ * @param {Function} random - Random number source (see utils/random), Math.random by default
  * @returns {Array} Shuffled array
  */
-export const shuffleArray = (array) => {
+export const shuffleArray = (array, random = Math.random) => {
   const shuffled = [...array];
   for (let i = shuffled.length - 1; i > 0; i--) {
-    const j = Math.floor(Math.random() * (i + 1));
+    const j = Math.floor(random() * (i + 1));
     [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
   }
   return shuffled;
 };
 
+/**
+ * Sorts questions by their text, so a seeded shuffle doesn't depend on the order they arrived in
+ * @param {Array} questions - Questions
+ * @returns {Array} Sorted copy
+ */
+export const sortByQuestionText = (questions) => {
+  return [...questions].sort((a, b) => (a.question < b.question ? -1 : a.question > b.question ? 1 : 0));
+};
+
+/**
+ * Creates the error a cancelled request rejects with
+ * @returns {Error} Error named AbortError, like the one fetch throws
+ */
+const createAbortError = () => {
+  const error = new Error('REQUEST_CANCELLED');
+  error.name = 'AbortError';
+  return error;
+};
+
+/**
+ * Creates an error whose message is meant for the player, tagged with a
+ * code so callers can react to it whatever the interface language
+ * @param {string} code - 'RATE_LIMIT', 'NO_RESULTS', 'INVALID_SETTINGS', 'NETWORK', 'NOT_ENOUGH' or 'HTTP'
+ * @param {string} key - Message key, translated where the error is shown
+ * @param {object} params - Values for the message's placeholders
+ * @returns {Error} Error with code, key and params properties
+ */
+const createQuizError = (code, key, params) => Object.assign(createMessageError(key, params), { code });
+
+/**
+ * Checks whether an error comes from a cancelled request
+ * @param {Error} error - Error to check
+ * @returns {boolean} True when the request was aborted
+ */
+export const isAbortError = (error) => !!error && error.name === 'AbortError';
+
 /**
  * Delays execution for the specified time
  * @param {number} ms - Milliseconds to delay
+ * @param {AbortSignal} signal - Cuts the delay short by rejecting (optional)
  * @returns {Promise} Promise that resolves after delay
  */
-const delay = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+const delay = (ms, signal = null) => new Promise((resolve, reject) => {
+  if (signal && signal.aborted) {
+    reject(createAbortError());
+    return;
+  }
+
+  const onAbort = () => {
+    clearTimeout(timer);
+    reject(createAbortError());
+  };
+  const timer = setTimeout(() => {
+    if (signal) signal.removeEventListener('abort', onAbort);
+    resolve();
+  }, ms);
+
+  if (signal) signal.addEventListener('abort', onAbort, { once: true });
+});
+
+/**
+ * Orders the queue by priority, oldest first within a priority
+ */
+const sortRequestQueue = () => {
+  requestQueue.sort((a, b) => a.priority - b.priority || a.id - b.id);
+};
 
 /**
- * Rate-limited API request function
+ * Describes the queue as seen from outside
+ * @returns {object} { requests: [{ id, label, priority, signal, position, wait }] }
+ *                   where position counts from 1 and wait is in milliseconds
+ */
+export const getRequestQueueState = () => {
+  const nextSlot = Math.max(0, lastRequestTime + MIN_REQUEST_INTERVAL - Date.now());
+
+  return {
+    requests: requestQueue.map((request, index) => ({
+      id: request.id,
+      label: request.label,
+      priority: request.priority,
+      signal: request.signal,
+      position: index + 1,
+      wait: nextSlot + index * MIN_REQUEST_INTERVAL
+    }))
+  };
+};
+
+/**
+ * Tells every listener what the queue looks like now
+ */
+const notifyQueueListeners = () => {
+  const state = getRequestQueueState();
+  queueListeners.forEach(listener => listener(state));
+};
+
+/**
+ * Subscribes to changes in the request queue. Listeners are called whenever a
+ * request joins, leaves or starts, and every second while requests wait.
+ * @param {Function} listener - Called with the queue state, see getRequestQueueState
+ * @returns {Function} Unsubscribe function
+ */
+export const subscribeToRequestQueue = (listener) => {
+  queueListeners.add(listener);
+  return () => queueListeners.delete(listener);
+};
+
+/**
+ * Works through the queue, starting one request per rate limit interval
+ */
+const processRequestQueue = async () => {
+  if (isProcessingQueue) return;
+  isProcessingQueue = true;
+
+  while (requestQueue.length > 0) {
+    const waitTime = lastRequestTime + MIN_REQUEST_INTERVAL - Date.now();
+
+    if (waitTime > 0) {
+      notifyQueueListeners();
+      await delay(Math.min(waitTime, QUEUE_UPDATE_INTERVAL));
+      continue;
+    }
+
+    // Priorities may have changed while waiting, so pick the request only now
+    const request = requestQueue.shift();
+    if (request.signal) request.signal.removeEventListener('abort', request.onAbort);
+
+    lastRequestTime = Date.now();
+    notifyQueueListeners();
+    fetch(request.url, { signal: request.signal }).then(request.resolve, request.reject);
+  }
+
+  isProcessingQueue = false;
+};
+
+/**
+ * Changes the priority of queued requests, e.g. when the player starts
+ * waiting for something that was loading in the background
+ * @param {AbortSignal} signal - Signal the requests were queued with
+ * @param {number} priority - New priority, one of REQUEST_PRIORITIES
+ */
+export const reprioritizeRequests = (signal, priority) => {
+  requestQueue
+    .filter(request => request.signal === signal)
+    .forEach(request => {
+      request.priority = priority;
+    });
+  sortRequestQueue();
+  notifyQueueListeners();
+};
+
+/**
+ * Queues a rate-limited API request
  * @param {string} url - API URL to fetch
+ * @param {object} options - { priority, signal, label }
+ *   priority: one of REQUEST_PRIORITIES, interactive by default
+ *   signal: AbortSignal that drops the request from the queue or cancels it in flight
+ *   label: short description for queue displays
  * @returns {Promise} Fetch response
  */
-const rateLimitedFetch = async (url) => {
-  const now = Date.now();
-  const timeSinceLastRequest = now - lastRequestTime;
-  
-  if (timeSinceLastRequest < MIN_REQUEST_INTERVAL) {
-    const waitTime = MIN_REQUEST_INTERVAL - timeSinceLastRequest;
-    console.log(`Rate limiting: waiting ${waitTime}ms before next request`);
-    await delay(waitTime);
+const rateLimitedFetch = (url, { priority = REQUEST_PRIORITIES.interactive, signal = null, label = '' } = {}) => {
+  if (signal && signal.aborted) {
+    return Promise.reject(createAbortError());
+  }
+
+  return new Promise((resolve, reject) => {
+    const request = { id: nextRequestId++, url, priority, signal, label, resolve, reject };
+
+    request.onAbort = () => {
+      requestQueue = requestQueue.filter(item => item !== request);
+      reject(createAbortError());
+      notifyQueueListeners();
+    };
+    if (signal) signal.addEventListener('abort', request.onAbort, { once: true });
+
+    requestQueue.push(request);
+    sortRequestQueue();
+    notifyQueueListeners();
+    processRequestQueue();
+  });
+};
+
+/**
+ * Gets the id of the active player profile
+ * @returns {string} Profile id
+ */
+export const getActiveProfileId = () => {
+  try {
+    return localStorage.getItem('quizmaster_profile') || 'default';
+  } catch (error) {
+    return 'default';
+  }
+};
+
+/**
+ * Reads the stored session token
+ * @returns {object|null} { token, lastUsed }, null when there is none
+ */
+const readStoredToken = () => {
+  try {
+    const stored = localStorage.getItem(TOKEN_STORAGE_KEY);
+    return stored ? JSON.parse(stored) : null;
+  } catch (error) {
+    console.error('Error loading the session token:', error);
+    return null;
+  }
+};
+
+/**
+ * Stores the session token
+ * @param {string|null} token - Session token, or null to forget it
+ */
+const storeSessionToken = (token) => {
+  try {
+    if (token) {
+      localStorage.setItem(TOKEN_STORAGE_KEY, JSON.stringify({ token, lastUsed: Date.now() }));
+    } else {
+      localStorage.removeItem(TOKEN_STORAGE_KEY);
+    }
+  } catch (error) {
+    console.error('Error saving the session token:', error);
+  }
+};
+
+/**
+ * Requests a new session token from Open Trivia DB
+ * @param {object} queueOptions - { priority, signal } for the request queue (optional)
+ * @returns {Promise<string>} Session token
+ */
+export const requestSessionToken = async (queueOptions = {}) => {
+  const response = await rateLimitedFetch(`${TOKEN_API_URL}?command=request`, { label: 'session token', ...queueOptions });
+
+  if (!response.ok) {
+    throw new Error(`HTTP error! status: ${response.status}`);
+  }
+
+  const data = await response.json();
+
+  if (data.response_code !== 0 || !data.token) {
+    throw new Error(`API_ERROR_${data.response_code}`);
+  }
+
+  storeSessionToken(data.token);
+  return data.token;
+};
+
+/**
+ * Resets a session token so its questions can be served again
+ * @param {string} token - Session token to reset
+ * @param {object} queueOptions - { priority, signal } for the request queue (optional)
+ * @returns {Promise<string>} The reset token
+ */
+export const resetSessionToken = async (token, queueOptions = {}) => {
+  const url = `${TOKEN_API_URL}?command=reset&token=${encodeURIComponent(token)}`;
+  const response = await rateLimitedFetch(url, { label: 'session token reset', ...queueOptions });
+
+  if (!response.ok) {
+    throw new Error(`HTTP error! status: ${response.status}`);
+  }
+
+  const data = await response.json();
+
+  if (data.response_code !== 0) {
+    throw new Error(data.response_code === 3 ? 'TOKEN_NOT_FOUND' : `API_ERROR_${data.response_code}`);
+  }
+
+  storeSessionToken(data.token || token);
+  return data.token || token;
+};
+
+/**
+ * Gets the browser's session token, requesting one if needed
+ * @param {object} queueOptions - { priority, signal } for the request queue (optional)
+ * @returns {Promise<string|null>} Session token, or null if none could be obtained
+ */
+export const getSessionToken = async (queueOptions = {}) => {
+  const stored = readStoredToken();
+
+  if (stored && Date.now() - stored.lastUsed < TOKEN_MAX_AGE) {
+    return stored.token;
+  }
+
+  try {
+    return await requestSessionToken(queueOptions);
+  } catch (error) {
+    if (isAbortError(error)) throw error;
+    // Questions can still be fetched without a token, they just may repeat
+    console.warn('Could not get a session token:', error.message);
+    return null;
+  }
+};
+
+/**
+ * Forgets the session token
+ */
+export const clearSessionToken = () => {
+  storeSessionToken(null);
+};
+
+/**
+ * Reads a cached metadata entry from localStorage
+ * @param {string} key - Storage key
+ * @returns {object|null} Cached entry ({ fetchedAt, data }) or null when missing or stale
+ */
+const readMetadataCache = (key) => {
+  try {
+    const cached = localStorage.getItem(key);
+    if (!cached) return null;
+
+    const entry = JSON.parse(cached);
+    return Date.now() - entry.fetchedAt < METADATA_MAX_AGE ? entry : null;
+  } catch (error) {
+    console.error(`Error reading cache "${key}":`, error);
+    return null;
+  }
+};
+
+/**
+ * Writes a metadata entry to localStorage
+ * @param {string} key - Storage key
+ * @param {*} data - Data to cache
+ */
+const writeMetadataCache = (key, data) => {
+  try {
+    localStorage.setItem(key, JSON.stringify({ fetchedAt: Date.now(), data }));
+  } catch (error) {
+    console.error(`Error writing cache "${key}":`, error);
+  }
+};
+
+/**
+ * Fetches the live category list from Open Trivia DB, cached for a day
+ * @param {object} queueOptions - { priority, signal } for the request queue (optional)
+ * @returns {Promise<Array>} Categories as { id, name }, sorted by name
+ */
+export const fetchCategories = async (queueOptions = {}) => {
+  const cached = readMetadataCache(CATEGORY_STORAGE_KEY);
+  if (cached) {
+    return cached.data;
+  }
+
+  try {
+    const response = await rateLimitedFetch(CATEGORY_API_URL, { label: 'categories', ...queueOptions });
+
+    if (!response.ok) {
+      throw new Error(`HTTP error! status: ${response.status}`);
+    }
+
+    const data = await response.json();
+    const categories = data.trivia_categories
+      .map(category => ({ id: category.id, name: category.name }))
+      .sort((a, b) => a.name.localeCompare(b.name));
+
+    writeMetadataCache(CATEGORY_STORAGE_KEY, categories);
+    return categories;
+  } catch (error) {
+    if (isAbortError(error)) throw error;
+    console.warn('Could not load categories, using built-in list:', error.message);
+    return Object.entries(CATEGORIES).map(([id, name]) => ({ id: Number(id), name }));
+  }
+};
+
+/**
+ * Fetches how many questions a category has per difficulty, cached for a day
+ * @param {number} categoryId - Category ID
+ * @param {object} queueOptions - { priority, signal } for the request queue (optional)
+ * @returns {Promise<object|null>} Counts as { total, easy, medium, hard }, or null if unknown
+ */
+export const fetchCategoryCounts = (categoryId, queueOptions = {}) => {
+  const cached = readMetadataCache(COUNT_STORAGE_KEY);
+  if (cached && cached.data[categoryId]) {
+    return Promise.resolve(cached.data[categoryId]);
+  }
+
+  // Callers asking for each difficulty at once share one request (and the first caller's signal)
+  if (!pendingCountRequests.has(categoryId)) {
+    const request = requestCategoryCounts(categoryId, queueOptions)
+      .finally(() => pendingCountRequests.delete(categoryId));
+    pendingCountRequests.set(categoryId, request);
+  }
+
+  return pendingCountRequests.get(categoryId);
+};
+
+/**
+ * Requests a category's question counts and adds them to the cache
+ * @param {number} categoryId - Category ID
+ * @param {object} queueOptions - { priority, signal } for the request queue
+ * @returns {Promise<object|null>} Counts as { total, easy, medium, hard }, or null if unknown
+ */
+const requestCategoryCounts = async (categoryId, queueOptions) => {
+  try {
+    const label = `question counts for category ${categoryId}`;
+    const response = await rateLimitedFetch(`${COUNT_API_URL}?category=${categoryId}`, { label, ...queueOptions });
+
+    if (!response.ok) {
+      throw new Error(`HTTP error! status: ${response.status}`);
+    }
+
+    const data = await response.json();
+    const questionCount = data.category_question_count;
+
+    // Re-read the cache, other categories may have been added while this one waited
+    const cached = readMetadataCache(COUNT_STORAGE_KEY);
+    const counts = cached ? cached.data : {};
+    counts[categoryId] = {
+      total: questionCount.total_question_count,
+      easy: questionCount.total_easy_question_count,
+      medium: questionCount.total_medium_question_count,
+      hard: questionCount.total_hard_question_count
+    };
+
+    // Keep the original fetch time so the whole map expires together
+    if (cached) {
+      localStorage.setItem(COUNT_STORAGE_KEY, JSON.stringify({ ...cached, data: counts }));
+    } else {
+      writeMetadataCache(COUNT_STORAGE_KEY, counts);
+    }
+
+    return counts[categoryId];
+  } catch (error) {
+    if (isAbortError(error)) throw error;
+    console.warn(`Could not load question counts for category ${categoryId}:`, error.message);
+    return null;
   }
-  
-  lastRequestTime = Date.now();
-  return fetch(url);
 };
 
 /**
@@ -69,17 +534,28 @@ const rateLimitedFetch = async (url) => {
  * @param {number} amount - Number of questions (1-50)
  * @param {number} category - Category ID (optional)
  * @param {string} difficulty - Difficulty level (optional)
- * @param {string} type - Question type (multiple/boolean, default: multiple)
+ * @param {string} type - Question type (multiple/boolean, default: multiple, null for both)
+ * @param {string} token - Session token (optional)
+ * @param {object} requestOptions - { priority, signal } for the request queue, and
+ *   { seed } to put options and questions in a repeatable order (optional)
  * @returns {Promise<Array>} Array of formatted questions
  */
 export const fetchQuestionsFromAPI = async (
   amount = 10,
   category = null,
   difficulty = null,
-  type = 'multiple'
+  type = 'multiple',
+  token = null,
+  requestOptions = {}
 ) => {
+  const { seed = null, ...queueOptions } = requestOptions;
+
   try {
-    let url = `${API_BASE_URL}?amount=${amount}&type=${type}`;
+    let url = `${API_BASE_URL}?amount=${amount}`;
+
+    if (type) {
+      url += `&type=${type}`;
+    }
     
     if (category) {
       url += `&category=${category}`;
@@ -89,10 +565,14 @@ export const fetchQuestionsFromAPI = async (
       url += `&difficulty=${difficulty}`;
     }
 
+    if (token) {
+      url += `&token=${encodeURIComponent(token)}`;
+    }
+
     console.log(`Fetching questions from: ${url}`);
 
     // Use rate-limited fetch
-    const response = await rateLimitedFetch(url);
+    const response = await rateLimitedFetch(url, { label: `${amount} questions`, ...queueOptions });
     
     if (!response.ok) {
       if (response.status === 429) {
@@ -103,6 +583,10 @@ export const fetchQuestionsFromAPI = async (
 
     const data = await response.json();
 
+    if (token) {
+      storeSessionToken(token); // Keep the token alive
+    }
+
     if (data.response_code !== 0) {
       // Handle different API error codes
       switch (data.response_code) {
@@ -121,34 +605,49 @@ export const fetchQuestionsFromAPI = async (
       }
     }
 
-    const formattedQuestions = data.results.map((question, index) => ({
-      id: index + 1,
-      category: question.category,
-      difficulty: question.difficulty,
-      question: decodeHTMLEntities(question.question),
-      options: shuffleArray([
-        ...question.incorrect_answers.map(decodeHTMLEntities),
-        decodeHTMLEntities(question.correct_answer)
-      ]),
-      correctAnswer: question.correct_answer,
-      explanation: `The correct answer is: ${decodeHTMLEntities(question.correct_answer)}`
-    }));
+    // Ids are derived from the question text by the question normalizer
+    const formattedQuestions = data.results.map((question) => {
+      const correctAnswer = decodeHTMLEntities(question.correct_answer);
+      const text = decodeHTMLEntities(question.question);
+
+      return {
+        type: question.type,
+        category: decodeHTMLEntities(question.category),
+        difficulty: question.difficulty,
+        question: text,
+        // Seeded per question, so its options come out the same whichever request brought it
+        options: shuffleArray([
+          ...question.incorrect_answers.map(decodeHTMLEntities),
+          correctAnswer
+        ], createRandom(seed && `${seed}:${text}`)),
+        correctAnswer,
+        // Kept as a message so cached questions follow the interface language
+        explanation: createMessage('api.explanation', { answer: correctAnswer })
+      };
+    });
 
     // ENHANCEMENT: Shuffle questions for better randomization
-    return shuffleArray(formattedQuestions);
+    return shuffleArray(seed ? sortByQuestionText(formattedQuestions) : formattedQuestions, createRandom(seed));
 
   } catch (error) {
+    if (isAbortError(error)) {
+      throw error;
+    }
+
     console.error('Error fetching questions from API:', error);
     
     // Handle specific error types
+    const httpStatus = /^HTTP error! status: (\d+)/.exec(error.message);
     if (error.message === 'RATE_LIMIT_EXCEEDED' || error.message === 'RATE_LIMIT') {
-      throw new Error('Rate limit exceeded. Please wait a few seconds and try again, or switch to offline mode.');
+      throw createQuizError('RATE_LIMIT', 'api.errors.rateLimit');
     } else if (error.message === 'NO_RESULTS') {
-      throw new Error('No questions found for the selected criteria. Try different settings or use offline mode.');
+      throw createQuizError('NO_RESULTS', 'api.errors.noResults');
     } else if (error.message === 'INVALID_PARAMETER') {
-      throw new Error('Invalid quiz settings. Please check your configuration.');
+      throw createQuizError('INVALID_SETTINGS', 'api.errors.invalidSettings');
     } else if (error.message.includes('Failed to fetch') || error.message.includes('NetworkError')) {
-      throw new Error('Network error. Please check your internet connection or try offline mode.');
+      throw createQuizError('NETWORK', 'api.errors.network');
+    } else if (httpStatus) {
+      throw createQuizError('HTTP', 'api.errors.http', { status: httpStatus[1] });
     }
     
     throw error;
@@ -156,20 +655,67 @@ export const fetchQuestionsFromAPI = async (
 };
 
 /**
- * Enhanced version that handles rate limiting better
+ * Fetches questions using the browser's session token,
+ * renewing or resetting the token when the API reports a problem
  * @param {number} amount - Number of questions needed
- * @param {number} category - Category ID (optional) 
+ * @param {number} category - Category ID (optional)
  * @param {string} difficulty - Difficulty level (optional)
  * @param {string} type - Question type
- * @returns {Promise<Array>} Array of varied questions
+ * @param {Function} onNotice - Called with { type, message } for events worth telling the player
+ * @param {object} requestOptions - { priority, signal } for the request queue, { seed } (optional)
+ * @returns {Promise<Array>} Array of formatted questions
  */
-export const fetchQuestionsWithRetry = async (
-  amount = 10,
-  category = null,
-  difficulty = null,
-  type = 'multiple',
-  maxRetries = 2
-) => {
+const fetchQuestionsWithToken = async (amount, category, difficulty, type, onNotice, requestOptions = {}) => {
+  const queueOptions = { priority: requestOptions.priority, signal: requestOptions.signal };
+  const token = await getSessionToken(queueOptions);
+
+  try {
+    return await fetchQuestionsFromAPI(amount, category, difficulty, type, token, requestOptions);
+  } catch (error) {
+    if (error.message === 'TOKEN_NOT_FOUND') {
+      // Token expired on the server, start a new one
+      clearSessionToken();
+      const newToken = await getSessionToken(queueOptions);
+      return fetchQuestionsFromAPI(amount, category, difficulty, type, newToken, requestOptions);
+    }
+
+    if (error.message === 'TOKEN_EMPTY') {
+      // Every question for these settings has been served, start over
+      if (onNotice) {
+        onNotice({ type: 'token-reset', ...createMessage('api.notices.tokenReset') });
+      }
+      const resetToken = await resetSessionToken(token, queueOptions).catch(error => {
+        if (isAbortError(error)) throw error;
+        clearSessionToken();
+        return getSessionToken(queueOptions);
+      });
+      try {
+        return await fetchQuestionsFromAPI(amount, category, difficulty, type, resetToken, requestOptions);
+      } catch (retryError) {
+        if (retryError.message === 'TOKEN_EMPTY') {
+          // Even a fresh token can't cover the request, the category is too small
+          throw createQuizError('NOT_ENOUGH', 'api.errors.notEnough');
+        }
+        throw retryError;
+      }
+    }
+
+    throw error;
+  }
+};
+
+/**
+ * Fetches one request's worth of questions, retrying when rate limited
+ * @param {number} amount - Number of questions needed (at most MAX_QUESTIONS_PER_REQUEST)
+ * @param {number} category - Category ID (optional)
+ * @param {string} difficulty - Difficulty level (optional)
+ * @param {string} type - Question type (null for both)
+ * @param {number} maxRetries - Maximum number of attempts
+ * @param {Function} onNotice - Called with { type, message } for events worth telling the player (optional)
+ * @param {object} requestOptions - { priority, signal } for the request queue, { seed } (optional)
+ * @returns {Promise<Array>} Array of formatted questions
+ */
+const fetchChunkWithRetry = async (amount, category, difficulty, type, maxRetries, onNotice, requestOptions) => {
   let lastError;
   
   for (let attempt = 1; attempt <= maxRetries; attempt++) {
@@ -180,10 +726,10 @@ export const fetchQuestionsWithRetry = async (
       if (attempt > 1) {
         const waitTime = attempt * 3000; // 3s, 6s, etc.
         console.log(`Waiting ${waitTime}ms before retry...`);
-        await delay(waitTime);
+        await delay(waitTime, requestOptions.signal);
       }
       
-      const questions = await fetchQuestionsFromAPI(amount, category, difficulty, type);
+      const questions = await fetchQuestionsWithToken(amount, category, difficulty, type, onNotice, requestOptions);
       console.log(`Successfully fetched ${questions.length} questions on attempt ${attempt}`);
       return questions;
       
@@ -192,11 +738,11 @@ export const fetchQuestionsWithRetry = async (
       console.warn(`Attempt ${attempt} failed:`, error.message);
       
       // If it's a rate limit error, wait longer before retry
-      if (error.message.includes('Rate limit') || error.message.includes('429')) {
+      if (error.code === 'RATE_LIMIT' || error.message.includes('status: 429')) {
         if (attempt < maxRetries) {
           const waitTime = 10000; // 10 seconds for rate limit
           console.log(`Rate limited, waiting ${waitTime}ms before retry...`);
-          await delay(waitTime);
+          await delay(waitTime, requestOptions.signal);
         }
       } else {
         // For other errors, don't retry
@@ -210,26 +756,84 @@ export const fetchQuestionsWithRetry = async (
 };
 
 /**
- * Decodes HTML entities in strings
- * @param {string} text - Text with HTML entities
- * @returns {string} Decoded text
+ * Enhanced version that handles rate limiting better. Amounts above what the
+ * API serves per request are fetched in chunks, one queued request each.
+ * @param {number} amount - Number of questions needed
+ * @param {number} category - Category ID (optional) 
+ * @param {string} difficulty - Difficulty level (optional)
+ * @param {string} type - Question type (null for both)
+ * @param {number} maxRetries - Maximum number of attempts per chunk
+ * @param {Function} onNotice - Called with { type, message } for events worth telling the player (optional)
+ * @param {object} requestOptions - { priority, signal, seed, onChunk } (optional)
+ *   priority, signal: passed to the request queue
+ *   seed: puts each chunk's options and questions in a repeatable order (see utils/random)
+ *   onChunk(questions, { loaded, total }): called with each chunk's new questions as it arrives
+ * @returns {Promise<Array>} Array of varied questions, fewer than asked for when the API runs out
  */
-export const decodeHTMLEntities = (text) => {
-  const textArea = document.createElement('textarea');
-  textArea.innerHTML = text;
-  return textArea.value;
+export const fetchQuestionsWithRetry = async (
+  amount = 10,
+  category = null,
+  difficulty = null,
+  type = 'multiple',
+  maxRetries = 2,
+  onNotice = null,
+  requestOptions = {}
+) => {
+  const { onChunk, ...queueOptions } = requestOptions;
+  const questions = [];
+  const seenQuestions = new Set();
+
+  while (questions.length < amount) {
+    const chunkSize = Math.min(MAX_QUESTIONS_PER_REQUEST, amount - questions.length);
+    let chunk;
+
+    try {
+      chunk = await fetchChunkWithRetry(chunkSize, category, difficulty, type, maxRetries, onNotice, queueOptions);
+    } catch (error) {
+      // Keep the chunks that already arrived
+      if (questions.length === 0 || isAbortError(error)) {
+        throw error;
+      }
+      if (onNotice) {
+        onNotice({
+          type: 'partial-load',
+          ...createMessage('api.notices.partialLoad', { loaded: questions.length, total: amount, reason: error })
+        });
+      }
+      break;
+    }
+
+    // Session tokens already prevent repeats, unless a token had to be reset
+    const fresh = chunk.filter(question => !seenQuestions.has(question.question));
+    fresh.forEach(question => seenQuestions.add(question.question));
+
+    if (fresh.length === 0) {
+      break; // Nothing new left for these settings
+    }
+
+    questions.push(...fresh);
+
+    if (onChunk) {
+      onChunk(fresh, { loaded: questions.length, total: amount });
+    }
+
+    if (chunk.length < chunkSize) {
+      break; // A short chunk means the API has no more to give
+    }
+  }
+
+  return questions;
 };
 
+// Kept here for existing imports, see utils/htmlEntities
+export { decodeHTMLEntities };
+
 /**
- * Formats time in MM:SS format
+ * Formats time in MM:SS format, in the digits of the interface language
  * @param {number} seconds - Time in seconds
  * @returns {string} Formatted time string
  */
-export const formatTime = (seconds) => {
-  const minutes = Math.floor(seconds / 60);
-  const remainingSeconds = seconds % 60;
-  return `${minutes.toString().padStart(2, '0')}:${remainingSeconds.toString().padStart(2, '0')}`;
-};
+export const formatTime = (seconds) => formatClock(seconds);
 
 /**
  * Calculates percentage score
@@ -242,48 +846,31 @@ export const calculatePercentage = (correct, total) => {
   return Math.round((correct / total) * 100);
 };
 
+const PERFORMANCE_COLORS = {
+  outstanding: { color: 'text-yellow-600', bgColor: 'bg-yellow-50' },
+  excellent: { color: 'text-green-600', bgColor: 'bg-green-50' },
+  good: { color: 'text-blue-600', bgColor: 'bg-blue-50' },
+  notBad: { color: 'text-orange-600', bgColor: 'bg-orange-50' },
+  keepLearning: { color: 'text-red-600', bgColor: 'bg-red-50' }
+};
+
 /**
- * Gets performance message based on score percentage
+ * Gets performance message based on score percentage, in the interface language
  * @param {number} percentage - Score percentage
  * @returns {object} Performance data with message and color
  */
 export const getPerformanceMessage = (percentage) => {
-  if (percentage >= 90) {
-    return {
-      title: 'Outstanding! 🏆',
-      message: 'You\'re a true QuizMaster!',
-      color: 'text-yellow-600',
-      bgColor: 'bg-yellow-50'
-    };
-  } else if (percentage >= 80) {
-    return {
-      title: 'Excellent! 🌟',
-      message: 'Great job! You really know your stuff.',
-      color: 'text-green-600',
-      bgColor: 'bg-green-50'
-    };
-  } else if (percentage >= 70) {
-    return {
-      title: 'Good Work! 👍',
-      message: 'Nice performance! Keep it up.',
-      color: 'text-blue-600',
-      bgColor: 'bg-blue-50'
-    };
-  } else if (percentage >= 60) {
-    return {
-      title: 'Not Bad! 📚',
-      message: 'Room for improvement, but you\'re getting there.',
-      color: 'text-orange-600',
-      bgColor: 'bg-orange-50'
-    };
-  } else {
-    return {
-      title: 'Keep Learning! 💪',
-      message: 'Don\'t give up! Practice makes perfect.',
-      color: 'text-red-600',
-      bgColor: 'bg-red-50'
-    };
-  }
+  const level = percentage >= 90 ? 'outstanding'
+    : percentage >= 80 ? 'excellent'
+      : percentage >= 70 ? 'good'
+        : percentage >= 60 ? 'notBad'
+          : 'keepLearning';
+
+  return {
+    title: t(`api.performance.${level}.title`),
+    message: t(`api.performance.${level}.message`),
+    ...PERFORMANCE_COLORS[level]
+  };
 };
 
 /**
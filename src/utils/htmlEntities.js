@@ -0,0 +1,81 @@
+/**
+ * Decoding of HTML character references, as found in Open Trivia DB text.
+ * Works on plain strings, so nothing from the API is ever parsed as HTML.
+ */
+
+// Latin-1 names, in code point order from U+00A0
+const LATIN1_NAMES = (
+  'nbsp iexcl cent pound curren yen brvbar sect uml copy ordf laquo not shy reg macr ' +
+  'deg plusmn sup2 sup3 acute micro para middot cedil sup1 ordm raquo frac14 frac12 frac34 iquest ' +
+  'Agrave Aacute Acirc Atilde Auml Aring AElig Ccedil Egrave Eacute Ecirc Euml Igrave Iacute Icirc Iuml ' +
+  'ETH Ntilde Ograve Oacute Ocirc Otilde Ouml times Oslash Ugrave Uacute Ucirc Uuml Yacute THORN szlig ' +
+  'agrave aacute acirc atilde auml aring aelig ccedil egrave eacute ecirc euml igrave iacute icirc iuml ' +
+  'eth ntilde ograve oacute ocirc otilde ouml divide oslash ugrave uacute ucirc uuml yacute thorn yuml'
+).split(' ');
+
+// Greek names, in code point order from U+0391 and U+03B1 (U+03A2 is unassigned)
+const GREEK_NAMES = 'Alpha Beta Gamma Delta Epsilon Zeta Eta Theta Iota Kappa Lambda Mu Nu Xi Omicron Pi Rho - ' +
+  'Sigma Tau Upsilon Phi Chi Psi Omega';
+const GREEK_LOWER_NAMES = 'alpha beta gamma delta epsilon zeta eta theta iota kappa lambda mu nu xi omicron pi rho sigmaf ' +
+  'sigma tau upsilon phi chi psi omega';
+
+const OTHER_ENTITIES = {
+  quot: 34, amp: 38, apos: 39, lt: 60, gt: 62,
+  OElig: 338, oelig: 339, Scaron: 352, scaron: 353, Yuml: 376, fnof: 402, circ: 710, tilde: 732,
+  ensp: 8194, emsp: 8195, thinsp: 8201, zwnj: 8204, zwj: 8205, lrm: 8206, rlm: 8207,
+  ndash: 8211, mdash: 8212, lsquo: 8216, rsquo: 8217, sbquo: 8218, ldquo: 8220, rdquo: 8221, bdquo: 8222,
+  dagger: 8224, Dagger: 8225, bull: 8226, hellip: 8230, permil: 8240, prime: 8242, Prime: 8243,
+  lsaquo: 8249, rsaquo: 8250, oline: 8254, frasl: 8260, euro: 8364, trade: 8482,
+  larr: 8592, uarr: 8593, rarr: 8594, darr: 8595, harr: 8596, lArr: 8656, rArr: 8658, hArr: 8660,
+  forall: 8704, part: 8706, exist: 8707, empty: 8709, nabla: 8711, isin: 8712, notin: 8713, ni: 8715,
+  prod: 8719, sum: 8721, minus: 8722, radic: 8730, prop: 8733, infin: 8734, ang: 8736,
+  and: 8743, or: 8744, cap: 8745, cup: 8746, int: 8747, there4: 8756, sim: 8764, cong: 8773, asymp: 8776,
+  ne: 8800, equiv: 8801, le: 8804, ge: 8805, sub: 8834, sup: 8835, sube: 8838, supe: 8839,
+  oplus: 8853, otimes: 8855, perp: 8869, sdot: 8901, loz: 9674, spades: 9824, clubs: 9827, hearts: 9829, diams: 9830
+};
+
+const NAMED_ENTITIES = {
+  ...Object.fromEntries(LATIN1_NAMES.map((name, index) => [name, 0xA0 + index])),
+  ...Object.fromEntries(GREEK_NAMES.split(' ').map((name, index) => [name, 0x391 + index])),
+  ...Object.fromEntries(GREEK_LOWER_NAMES.split(' ').map((name, index) => [name, 0x3B1 + index])),
+  ...OTHER_ENTITIES
+};
+delete NAMED_ENTITIES['-'];
+
+const REPLACEMENT_CHARACTER = '�';
+
+/**
+ * Converts a numeric character reference to its character, following the
+ * HTML rules for code points that aren't allowed
+ * @param {number} codePoint - Code point
+ * @returns {string} Character
+ */
+const fromCodePoint = (codePoint) => {
+  if (codePoint === 0 || codePoint > 0x10FFFF || (codePoint >= 0xD800 && codePoint <= 0xDFFF)) {
+    return REPLACEMENT_CHARACTER;
+  }
+  return String.fromCodePoint(codePoint);
+};
+
+/**
+ * Decodes HTML character references (&amp;, &eacute;, &#039;, &#x27; ...).
+ * Unknown references are left as they are, and the result is never decoded
+ * twice, so "&amp;lt;" becomes "&lt;".
+ * @param {string} text - Text with HTML character references
+ * @returns {string} Decoded text
+ */
+export const decodeHTMLEntities = (text) => {
+  return String(text).replace(/&(#[0-9]+|#[xX][0-9a-fA-F]+|[a-zA-Z][a-zA-Z0-9]*);/g, (reference, body) => {
+    if (body[0] === '#') {
+      const isHex = body[1] === 'x' || body[1] === 'X';
+      return fromCodePoint(parseInt(body.slice(isHex ? 2 : 1), isHex ? 16 : 10));
+    }
+    return Object.prototype.hasOwnProperty.call(NAMED_ENTITIES, body)
+      ? String.fromCodePoint(NAMED_ENTITIES[body])
+      : reference;
+  });
+};
+
+export default {
+  decodeHTMLEntities
+};
@@ -0,0 +1,290 @@
+import en from '../locales/en.js';
+import es from '../locales/es.js';
+import ar from '../locales/ar.js';
+import he from '../locales/he.js';
+
+/**
+ * Interface translations and locale-aware formatting
+ *
+ * Messages live in src/locales, one module per language, as nested objects
+ * looked up with dotted keys ('quiz.start.title'). A message can hold
+ * {placeholders}, and a message that depends on a count is an object keyed
+ * by plural category ({ one, other } in English, more in Arabic). Anything
+ * missing from a locale falls back to English.
+ */
+
+export const LOCALES = {
+  en: { name: 'English', dir: 'ltr', messages: en },
+  es: { name: 'Español', dir: 'ltr', messages: es },
+  ar: { name: 'العربية', dir: 'rtl', messages: ar },
+  he: { name: 'עברית', dir: 'rtl', messages: he }
+};
+
+export const DEFAULT_LOCALE = 'en';
+
+const LOCALE_STORAGE_KEY = 'quizmaster_locale';
+
+const listeners = new Set();
+const formatters = new Map();
+
+/**
+ * Picks the locale to start with: the saved choice, else the browser's
+ * preferred languages, else English
+ * @returns {string} Locale code
+ */
+const detectLocale = () => {
+  try {
+    const saved = localStorage.getItem(LOCALE_STORAGE_KEY);
+    if (saved && LOCALES[saved]) return saved;
+  } catch (error) {
+    // Storage can be unavailable (private mode, Node), carry on without it
+  }
+
+  const preferred = typeof navigator !== 'undefined' ? navigator.languages || [navigator.language] : [];
+  const match = preferred
+    .map(language => String(language || '').toLowerCase().split('-')[0])
+    .find(language => LOCALES[language]);
+
+  return match || DEFAULT_LOCALE;
+};
+
+/**
+ * Sets the document language and text direction
+ * @param {string} locale - Locale code
+ */
+const applyToDocument = (locale) => {
+  if (typeof document === 'undefined') return;
+  document.documentElement.lang = locale;
+  document.documentElement.dir = LOCALES[locale].dir;
+};
+
+let currentLocale = detectLocale();
+applyToDocument(currentLocale);
+
+/**
+ * Gets the active locale
+ * @returns {string} Locale code
+ */
+export const getLocale = () => currentLocale;
+
+/**
+ * Lists the available locales, for the language picker
+ * @returns {Array} [{ code, name, dir }]
+ */
+export const listLocales = () => Object.entries(LOCALES).map(([code, { name, dir }]) => ({ code, name, dir }));
+
+/**
+ * Gets the text direction of a locale
+ * @param {string} locale - Locale code (defaults to the active one)
+ * @returns {string} 'ltr' or 'rtl'
+ */
+export const getDirection = (locale = currentLocale) => (LOCALES[locale] || LOCALES[DEFAULT_LOCALE]).dir;
+
+/**
+ * Switches the interface language, remembers it and tells subscribers
+ * @param {string} locale - Locale code
+ */
+export const setLocale = (locale) => {
+  if (!LOCALES[locale]) {
+    throw new Error(`Unknown locale: ${locale}`);
+  }
+  if (locale === currentLocale) return;
+
+  currentLocale = locale;
+  try {
+    localStorage.setItem(LOCALE_STORAGE_KEY, locale);
+  } catch (error) {
+    console.error('Error saving language:', error);
+  }
+  applyToDocument(locale);
+  listeners.forEach(listener => listener(locale));
+};
+
+/**
+ * Subscribes to language changes
+ * @param {Function} listener - Called with the new locale code
+ * @returns {Function} Unsubscribe function
+ */
+export const subscribeToLocale = (listener) => {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+};
+
+/**
+ * Gets a cached Intl formatter for the active locale
+ * @param {Function} Formatter - Intl constructor
+ * @param {object} options - Formatter options
+ * @returns {object} Formatter instance
+ */
+const getFormatter = (Formatter, options = {}) => {
+  const key = `${Formatter.name}|${currentLocale}|${JSON.stringify(options)}`;
+  if (!formatters.has(key)) {
+    formatters.set(key, new Formatter(currentLocale, options));
+  }
+  return formatters.get(key);
+};
+
+/**
+ * Formats a number for the active locale
+ * @param {number} value - Number
+ * @param {object} options - Intl.NumberFormat options
+ * @returns {string} Formatted number
+ */
+export const formatNumber = (value, options) => getFormatter(Intl.NumberFormat, options).format(value);
+
+/**
+ * Formats a whole-number percentage (75 for 75%)
+ * @param {number} value - Percentage from 0 to 100
+ * @returns {string} Formatted percentage
+ */
+export const formatPercent = (value) => formatNumber(value / 100, { style: 'percent', maximumFractionDigits: 0 });
+
+/**
+ * Formats a date for the active locale
+ * @param {Date|string|number} date - Date or timestamp
+ * @param {object} options - Intl.DateTimeFormat options
+ * @returns {string} Formatted date
+ */
+export const formatDate = (date, options = { dateStyle: 'medium' }) => (
+  getFormatter(Intl.DateTimeFormat, options).format(new Date(date))
+);
+
+const DURATION_UNITS = [
+  { unit: 'hour', milliseconds: 60 * 60 * 1000 },
+  { unit: 'minute', milliseconds: 60 * 1000 },
+  { unit: 'second', milliseconds: 1000 }
+];
+
+/**
+ * Formats a duration with locale unit names, e.g. "1h 5m" or "2 min, 5 sec"
+ * @param {number} milliseconds - Duration
+ * @param {object} options - { smallestUnit } 'second' (default) or 'minute',
+ *   { unitDisplay } 'narrow' (default), 'short' or 'long'
+ * @returns {string} Formatted duration, leaving out units that are zero
+ */
+export const formatDuration = (milliseconds, { smallestUnit = 'second', unitDisplay = 'narrow' } = {}) => {
+  const lastIndex = DURATION_UNITS.findIndex(({ unit }) => unit === smallestUnit);
+  let remaining = Math.max(0, milliseconds);
+
+  const parts = DURATION_UNITS.slice(0, lastIndex + 1)
+    .map(({ unit, milliseconds: size }) => {
+      const amount = Math.floor(remaining / size);
+      remaining -= amount * size;
+      return { unit, amount };
+    })
+    .filter(({ amount }, index, all) => amount > 0 || (index === all.length - 1 && all.every(part => part.amount === 0)))
+    .map(({ unit, amount }) => formatNumber(amount, { style: 'unit', unit, unitDisplay }));
+
+  return typeof Intl.ListFormat === 'function'
+    ? getFormatter(Intl.ListFormat, { type: 'unit', style: 'narrow' }).format(parts)
+    : parts.join(' ');
+};
+
+/**
+ * Formats seconds as a MM:SS clock in the locale's digits
+ * @param {number} seconds - Time in seconds
+ * @returns {string} Formatted clock
+ */
+export const formatClock = (seconds) => {
+  const twoDigits = { minimumIntegerDigits: 2, useGrouping: false };
+  return `${formatNumber(Math.floor(seconds / 60), twoDigits)}:${formatNumber(seconds % 60, twoDigits)}`;
+};
+
+/**
+ * Looks up a dotted key in a messages object
+ * @param {object} messages - Messages of one locale
+ * @param {string} key - Dotted key
+ * @returns {string|object|undefined} Message
+ */
+const lookup = (messages, key) => key.split('.').reduce(
+  (node, part) => (node && typeof node === 'object' ? node[part] : undefined),
+  messages
+);
+
+/**
+ * Translates a message key into the active language
+ * @param {string} key - Dotted message key, e.g. 'home.hero.tagline'
+ * @param {object} params - Values for {placeholders} (numbers are formatted
+ *   for the locale), { count } to pick a plural form, and { defaultValue }
+ *   returned when no locale has the key
+ * @returns {string} Translated text
+ */
+export const translate = (key, params = {}) => {
+  let message = lookup(LOCALES[currentLocale].messages, key);
+  if (message === undefined) {
+    message = lookup(LOCALES[DEFAULT_LOCALE].messages, key);
+  }
+  if (message === undefined) {
+    return params.defaultValue ?? key;
+  }
+
+  if (typeof message === 'object') {
+    const category = getFormatter(Intl.PluralRules).select(params.count ?? 0);
+    message = message[category] ?? message.other;
+  }
+
+  return message.replace(/\{(\w+)\}/g, (placeholder, name) => {
+    if (!(name in params)) return placeholder;
+    return typeof params[name] === 'number' ? formatNumber(params[name]) : String(params[name]);
+  });
+};
+
+/**
+ * Describes a message for the player without translating it yet, so code
+ * outside the UI can report problems that are shown in whichever language
+ * is active when they are rendered
+ * @param {string} key - Dotted message key
+ * @param {object} params - Values for the message's placeholders
+ * @returns {object} { key, params }
+ */
+export const createMessage = (key, params = {}) => ({ key, params });
+
+/**
+ * Creates an Error carrying a message key; its message is the text in the
+ * language active when it was thrown, for logs
+ * @param {string} key - Dotted message key
+ * @param {object} params - Values for the message's placeholders
+ * @returns {Error} Error with key and params
+ */
+export const createMessageError = (key, params = {}) => Object.assign(
+  new Error(translate(key, params)),
+  createMessage(key, params)
+);
+
+/**
+ * Renders a message from createMessage or createMessageError in the active
+ * language; plain strings and other errors are returned as they are.
+ * Parameters that are messages or errors themselves are rendered too.
+ * @param {string|object} message - Message, error or text
+ * @returns {string} Text to show
+ */
+export const translateMessage = (message) => {
+  if (message == null || typeof message === 'string') return message || '';
+  if (message.key) {
+    const params = Object.fromEntries(Object.entries(message.params || {}).map(([name, value]) => [
+      name,
+      value !== null && typeof value === 'object' ? translateMessage(value) : value
+    ]));
+    return translate(message.key, params);
+  }
+  return message.message || '';
+};
+
+export default {
+  LOCALES,
+  DEFAULT_LOCALE,
+  getLocale,
+  listLocales,
+  getDirection,
+  setLocale,
+  subscribeToLocale,
+  formatNumber,
+  formatPercent,
+  formatDate,
+  formatDuration,
+  formatClock,
+  translate,
+  createMessage,
+  createMessageError,
+  translateMessage
+};
@@ -0,0 +1,145 @@
+import { MEDIA_TYPES, inferMediaType } from './questionSchema';
+import { createMessageError } from './i18n';
+
+/**
+ * Loading of question media (see the media field in questionSchema):
+ * resolving sources, preloading before a question is shown, and turning
+ * media files picked alongside an imported pack into data: URLs
+ */
+
+const PRELOAD_TIMEOUT = 10000; // Give up waiting after this long and show the question anyway
+export const MAX_MEDIA_FILE_SIZE = 1024 * 1024; // Packs live in localStorage, so files stay small
+
+const preloads = new Map(); // resolved src -> Promise<boolean>
+const settled = new Set(); // resolved srcs that finished loading or were given up on
+
+/**
+ * Resolves a media source to a URL the browser can load. Paths are
+ * relative to the app, so bundled files go under public/ (e.g. media/flag.svg).
+ * @param {string} src - Media source
+ * @returns {string} URL
+ */
+export const resolveMediaSrc = (src) => {
+  if (/^[a-z][a-z0-9+.-]*:/i.test(src) || src.startsWith('/')) return src;
+
+  return `${import.meta.env.BASE_URL}${src.replace(/^\.\//, '')}`;
+};
+
+/**
+ * Loads a question's media so it can be shown at once. Loads are shared,
+ * so calling this again for the same source is cheap.
+ * @param {object|null} media - Canonical media
+ * @returns {Promise<boolean>} Resolves to true once loaded, false when it
+ *   failed or took too long (never rejects)
+ */
+export const preloadMedia = (media) => {
+  if (!media) return Promise.resolve(true);
+
+  const url = resolveMediaSrc(media.src);
+  if (preloads.has(url)) return preloads.get(url);
+
+  const promise = new Promise(resolve => {
+    const element = media.type === MEDIA_TYPES.audio ? new Audio() : new Image();
+    let timeout = null;
+
+    const finish = (loaded) => {
+      clearTimeout(timeout);
+      element.onload = element.oncanplaythrough = element.onerror = null;
+      if (!loaded) preloads.delete(url); // Try again next time
+      settled.add(url);
+      resolve(loaded);
+    };
+
+    timeout = setTimeout(() => finish(false), PRELOAD_TIMEOUT);
+    element.onerror = () => finish(false);
+    if (media.type === MEDIA_TYPES.audio) {
+      element.oncanplaythrough = () => finish(true);
+      element.preload = 'auto';
+    } else {
+      element.onload = () => finish(true);
+    }
+    element.src = url;
+  });
+
+  preloads.set(url, promise);
+  return promise;
+};
+
+/**
+ * Checks whether a question's media is done preloading, so the question can be shown
+ * @param {object|null} media - Canonical media
+ * @returns {boolean} True when there is no media, or it loaded or was given up on
+ */
+export const isMediaReady = (media) => !media || settled.has(resolveMediaSrc(media.src));
+
+/**
+ * Checks whether a media source is a bare file name, as written in pack
+ * files that ship their media next to them
+ * @param {string} src - Media source
+ * @returns {boolean} True for names like 'flag.png'
+ */
+const isBareFileName = (src) => typeof src === 'string' && !/[/\\:]/.test(src);
+
+/**
+ * Reads a media file into a data: URL
+ * @param {File} file - Image or audio file
+ * @returns {Promise<string>} Data URL
+ */
+export const readMediaFile = (file) => {
+  if (!inferMediaType(file.name) && !/^(image|audio)\//.test(file.type)) {
+    return Promise.reject(createMessageError('media.errors.type', { fileName: file.name }));
+  }
+  if (file.size > MAX_MEDIA_FILE_SIZE) {
+    const size = MAX_MEDIA_FILE_SIZE / 1024 / 1024;
+    return Promise.reject(createMessageError('media.errors.size', { fileName: file.name, size }));
+  }
+
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result);
+    reader.onerror = () => reject(createMessageError('media.errors.read', { fileName: file.name }));
+    reader.readAsDataURL(file);
+  });
+};
+
+/**
+ * Embeds media files picked with a pack into its questions: questions whose
+ * media source is a bare file name get the matching file as a data: URL
+ * @param {Array} questions - Canonical questions
+ * @param {object} files - Map of file name to data: URL
+ * @returns {object} { questions, missing, unused } where missing lists
+ *   { id, fileName } for files that weren't picked and unused lists the
+ *   names of picked files no question refers to
+ */
+export const attachMediaFiles = (questions, files) => {
+  const missing = [];
+  const used = new Set();
+
+  const attached = questions.map(question => {
+    if (!question.media || !isBareFileName(question.media.src)) return question;
+
+    const fileName = question.media.src;
+    if (!files[fileName]) {
+      missing.push({ id: question.id, fileName });
+      return question;
+    }
+
+    used.add(fileName);
+    return { ...question, media: { ...question.media, src: files[fileName] } };
+  });
+
+  return {
+    questions: attached,
+    missing,
+    unused: Object.keys(files).filter(fileName => !used.has(fileName))
+  };
+};
+
+export default {
+  MAX_MEDIA_FILE_SIZE,
+  resolveMediaSrc,
+  preloadMedia,
+  isMediaReady,
+  readMediaFile,
+  attachMediaFiles
+};
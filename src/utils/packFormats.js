@@ -0,0 +1,917 @@
+import { QUESTION_TYPES, DEFAULT_QUESTION_LANGUAGE, createAnswerKey, normalizeQuestions } from './questionSchema.js';
+import { localizeQuestion } from './questionTranslations.js';
+import { createMessage, createMessageError } from './i18n.js';
+
+/**
+ * Import and export of question packs in JSON, CSV, Moodle GIFT and Aiken
+ *
+ * Parsers turn a file into raw questions tagged with where they came from
+ * ({ raw, line, location }); importQuestions then runs them through the
+ * normalizer so every format is validated the same way. Serializers write
+ * canonical questions back out and list the ones a format can't express.
+ */
+
+export const PACK_FORMATS = {
+  json: { label: 'JSON', extension: 'json', mimeType: 'application/json' },
+  csv: { label: 'CSV', extension: 'csv', mimeType: 'text/csv' },
+  gift: { label: 'Moodle GIFT', extension: 'gift', mimeType: 'text/plain' },
+  aiken: { label: 'Aiken', extension: 'txt', mimeType: 'text/plain' }
+};
+
+// Separates options and answers inside a single CSV cell
+const CSV_LIST_SEPARATOR = '|';
+const CSV_COLUMNS = [
+  'id', 'type', 'category', 'difficulty', 'question', 'options', 'answer', 'explanation', 'partialCredit', 'maxDistance',
+  'media', 'mediaType', 'mediaAlt', 'maxPlays', 'language'
+];
+
+/**
+ * Guesses the format of an imported file
+ * @param {string} fileName - File name
+ * @param {string} text - File contents
+ * @returns {string} Format id (see PACK_FORMATS)
+ */
+export const detectFormat = (fileName = '', text = '') => {
+  const extension = fileName.split('.').pop().toLowerCase();
+
+  if (extension === 'json') return 'json';
+  if (extension === 'csv') return 'csv';
+  if (extension === 'gift') return 'gift';
+
+  const trimmed = text.trim();
+  if (trimmed.startsWith('{') || trimmed.startsWith('[')) return 'json';
+  if (/^ANSWER:\s*[A-Z]\s*$/im.test(text)) return 'aiken';
+  if (/\{[^}]*\}/.test(text)) return 'gift';
+  return 'csv';
+};
+
+/**
+ * Builds an import error for a part of the file that couldn't be read
+ * @param {number|null} line - Line number, null when not tied to a line
+ * @param {object} location - Where in the file, as a message, e.g. 'Line 12'
+ * @param {object} message - What went wrong, as a message
+ * @returns {object} Rejected item
+ */
+const parseError = (line, location, message) => ({ index: null, id: null, line, location, errors: [message] });
+
+const FILE = createMessage('validation.location.file');
+const atLine = number => createMessage('validation.location.line', { number });
+const atRow = number => createMessage('validation.location.row', { number });
+
+/**
+ * Splits a list cell or line into trimmed, non-empty items
+ * @param {string} value - Joined list
+ * @param {string} separator - Item separator
+ * @returns {Array<string>} Items
+ */
+const splitList = (value, separator) => {
+  return String(value || '')
+    .split(separator)
+    .map(item => item.trim())
+    .filter(Boolean);
+};
+
+/**
+ * Strips the source prefix from a canonical id so exported ids stay portable
+ * @param {object} question - Canonical question
+ * @returns {string} Id without the source prefix
+ */
+const portableId = (question) => {
+  const prefix = `${question.source}-`;
+  return question.id.startsWith(prefix) ? question.id.slice(prefix.length) : question.id;
+};
+
+/**
+ * Converts a canonical question to the shape used in questions.json
+ * @param {object} question - Canonical question
+ * @returns {object} Portable question
+ */
+export const toPortableQuestion = (question) => {
+  const portable = {
+    id: portableId(question),
+    type: question.type,
+    category: question.category,
+    difficulty: question.difficulty,
+    question: question.question
+  };
+
+  if (question.type === QUESTION_TYPES.text) {
+    portable.acceptedAnswers = question.correctAnswer;
+    portable.maxDistance = question.maxDistance;
+  } else {
+    portable.options = question.options;
+    portable.correctAnswer = question.correctAnswer;
+  }
+
+  if (question.partialCredit) {
+    portable.partialCredit = true;
+  }
+  if (question.explanation) {
+    portable.explanation = question.explanation;
+  }
+  if (question.media) {
+    const { type, src, alt, maxPlays } = question.media;
+    portable.media = { type, src, ...(alt ? { alt } : {}), ...(maxPlays ? { maxPlays } : {}) };
+  }
+  if (question.language && question.language !== DEFAULT_QUESTION_LANGUAGE) {
+    portable.language = question.language;
+  }
+  if (question.translations && Object.keys(question.translations).length > 0) {
+    portable.translations = question.translations;
+  }
+
+  return portable;
+};
+
+/* ---------------------------------------------------------------- JSON */
+
+/**
+ * Reads a JSON pack: a list of questions, or an object with `questions`
+ * (the questions.json layout) and an optional `name`
+ * @param {string} text - File contents
+ * @returns {object} { name, items, errors }
+ */
+const parseJSON = (text) => {
+  let data;
+
+  try {
+    data = JSON.parse(text);
+  } catch (error) {
+    const message = createMessage('packs.parse.invalidJSON', { reason: error.message });
+    return { name: null, items: [], errors: [parseError(null, FILE, message)] };
+  }
+
+  const questions = Array.isArray(data) ? data : data && data.questions;
+  if (!Array.isArray(questions)) {
+    return { name: null, items: [], errors: [parseError(null, FILE, createMessage('packs.parse.notQuestionList'))] };
+  }
+
+  return {
+    name: !Array.isArray(data) && typeof data.name === 'string' ? data.name : null,
+    items: questions.map((raw, index) => ({ raw, line: null, location: createMessage('validation.location.question', { number: index + 1 }) })),
+    errors: []
+  };
+};
+
+/**
+ * Writes a pack as JSON
+ * @param {object} pack - { name, questions }
+ * @returns {object} { content, skipped }
+ */
+const serializeJSON = (pack) => ({
+  content: `${JSON.stringify({ name: pack.name, questions: pack.questions.map(toPortableQuestion) }, null, 2)}\n`,
+  skipped: []
+});
+
+/* ----------------------------------------------------------------- CSV */
+
+/**
+ * Splits CSV text into records, honouring quoted fields with commas,
+ * doubled quotes and line breaks
+ * @param {string} text - CSV text
+ * @param {string} delimiter - Field delimiter
+ * @returns {Array} Records as { fields, line }
+ */
+const readCSVRecords = (text, delimiter) => {
+  const records = [];
+  let fields = [];
+  let field = '';
+  let inQuotes = false;
+  let line = 1;
+  let recordLine = 1;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        if (char === '\n') line++;
+        field += char;
+      }
+      continue;
+    }
+
+    if (char === '"') {
+      inQuotes = true;
+    } else if (char === delimiter) {
+      fields.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      fields.push(field);
+      records.push({ fields, line: recordLine });
+      fields = [];
+      field = '';
+      line++;
+      recordLine = line;
+    } else {
+      field += char;
+    }
+  }
+
+  if (field || fields.length) {
+    fields.push(field);
+    records.push({ fields, line: recordLine });
+  }
+
+  return records.filter(record => record.fields.some(value => value.trim()));
+};
+
+/**
+ * Reads a CSV pack. The first row names the columns (see CSV_COLUMNS);
+ * `question` is required. Options and answers are given as text, with
+ * several values in one cell separated by "|". `media` takes an image or
+ * audio source, with its type guessed from the file extension unless
+ * `mediaType` is given. A row with the id of an earlier row and another
+ * `language` is a translation of it.
+ * @param {string} text - File contents
+ * @returns {object} { name, items, errors }
+ */
+const parseCSV = (text) => {
+  const firstLine = text.split(/\r?\n/, 1)[0];
+  const delimiter = !firstLine.includes(',') && firstLine.includes(';') ? ';' : ',';
+  const [header, ...rows] = readCSVRecords(text, delimiter);
+
+  if (!header) {
+    return { name: null, items: [], errors: [parseError(null, FILE, createMessage('packs.parse.empty'))] };
+  }
+
+  const columns = header.fields.map(name => name.trim().toLowerCase().replace(/\s+/g, ''));
+  const columnIndex = name => columns.indexOf(name.toLowerCase());
+  const answerColumn = columnIndex('answer') !== -1 ? columnIndex('answer') : columnIndex('correctanswer');
+
+  if (columnIndex('question') === -1) {
+    return { name: null, items: [], errors: [parseError(header.line, atRow(1), createMessage('packs.parse.questionColumn'))] };
+  }
+
+  const items = rows.map(({ fields, line }) => {
+    const cell = name => {
+      const index = name === 'answer' ? answerColumn : columnIndex(name);
+      return index === -1 ? '' : (fields[index] || '').trim();
+    };
+
+    const options = splitList(cell('options'), CSV_LIST_SEPARATOR);
+    const answers = splitList(cell('answer'), CSV_LIST_SEPARATOR);
+    let type = cell('type').toLowerCase() || undefined;
+
+    if (!type && options.length === 0) {
+      type = QUESTION_TYPES.text;
+    } else if (!type && answers.length > 1) {
+      type = QUESTION_TYPES.multiSelect;
+    }
+
+    const raw = {
+      id: cell('id') || undefined,
+      type,
+      category: cell('category') || undefined,
+      difficulty: cell('difficulty') || undefined,
+      question: cell('question'),
+      explanation: cell('explanation') || undefined,
+      partialCredit: ['true', 'yes', '1'].includes(cell('partialcredit').toLowerCase()) || undefined,
+      maxDistance: cell('maxdistance') ? Number(cell('maxdistance')) : undefined,
+      media: cell('media') ? {
+        src: cell('media'),
+        type: cell('mediatype') || undefined,
+        alt: cell('mediaalt'),
+        maxPlays: cell('maxplays') ? Number(cell('maxplays')) : undefined
+      } : undefined,
+      language: cell('language') || undefined
+    };
+
+    if (type === QUESTION_TYPES.text) {
+      raw.acceptedAnswers = answers;
+    } else {
+      raw.options = options;
+      raw.correctAnswer = type === QUESTION_TYPES.multiSelect || type === QUESTION_TYPES.ordering
+        ? answers
+        : answers[0];
+    }
+
+    return { raw, line, location: atRow(line) };
+  });
+
+  return { name: null, items, errors: [] };
+};
+
+/**
+ * Quotes a CSV field when it needs it
+ * @param {*} value - Field value
+ * @returns {string} CSV field
+ */
+const csvField = (value) => {
+  const text = value === undefined || value === null ? '' : String(value);
+  return /[",\r\n]|^\s|\s$/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Writes one question as a CSV row
+ * @param {object} question - Canonical question, possibly localized
+ * @returns {object} { row, reason } where reason is a message saying why the question can't be written
+ */
+const toCSVRow = (question) => {
+  const isText = question.type === QUESTION_TYPES.text;
+  const answers = isText
+    ? question.correctAnswer
+    : [].concat(question.correctAnswer).map(index => question.options[index]);
+  const values = [...question.options, ...answers];
+
+  if (values.some(value => value.includes(CSV_LIST_SEPARATOR))) {
+    return { row: null, reason: createMessage('packs.skip.csvSeparator', { separator: CSV_LIST_SEPARATOR }) };
+  }
+
+  return {
+    row: [
+      portableId(question),
+      question.type,
+      question.category,
+      question.difficulty,
+      question.question,
+      question.options.join(` ${CSV_LIST_SEPARATOR} `),
+      answers.join(` ${CSV_LIST_SEPARATOR} `),
+      question.explanation,
+      question.partialCredit ? 'true' : '',
+      isText ? question.maxDistance : '',
+      ...(question.media
+        ? [question.media.src, question.media.type, question.media.alt, question.media.maxPlays]
+        : ['', '', '', '']),
+      question.language
+    ].map(csvField).join(','),
+    reason: null
+  };
+};
+
+/**
+ * Writes a pack as CSV, each translation on its own row after the question
+ * @param {object} pack - { name, questions }
+ * @returns {object} { content, skipped }
+ */
+const serializeCSV = (pack) => {
+  const skipped = [];
+  const rows = [CSV_COLUMNS.join(',')];
+
+  pack.questions.forEach(question => {
+    // An untranslated explanation stays empty, so it doesn't come back as a translation on import,
+    // and each row keeps its own language's accepted answers rather than the merged list players see
+    const translations = Object.entries(question.translations || {}).map(([language, translation]) => ({
+      ...localizeQuestion(question, language),
+      ...(question.type === QUESTION_TYPES.text && { correctAnswer: translation.acceptedAnswers || question.correctAnswer }),
+      explanation: translation.explanation || ''
+    }));
+    const written = [question, ...translations].map(toCSVRow);
+    const failed = written.find(({ row }) => !row);
+
+    if (failed) {
+      skipped.push({ id: question.id, reason: failed.reason });
+      return;
+    }
+
+    rows.push(...written.map(({ row }) => row));
+  });
+
+  return { content: `${rows.join('\n')}\n`, skipped };
+};
+
+/* ---------------------------------------------------------- Moodle GIFT */
+
+const GIFT_SPECIAL_CHARACTERS = /[~=#{}:\\]/g;
+
+/**
+ * Escapes GIFT control characters in a piece of text
+ * @param {string} text - Plain text
+ * @returns {string} GIFT text
+ */
+const escapeGIFT = (text) => String(text).replace(GIFT_SPECIAL_CHARACTERS, '\\$&').replace(/\n/g, '\\n');
+
+/**
+ * Removes GIFT escapes from a piece of text
+ * @param {string} text - GIFT text
+ * @returns {string} Plain text
+ */
+const unescapeGIFT = (text) => {
+  return text
+    .replace(/\\n/g, '\n')
+    .replace(/\\([~=#{}:\\])/g, '$1')
+    .trim();
+};
+
+/**
+ * Finds the first unescaped occurrence of a string
+ * @param {string} text - Text to search
+ * @param {string} target - String to find
+ * @param {number} from - Index to start at
+ * @returns {number} Index, or -1
+ */
+const findUnescaped = (text, target, from = 0) => {
+  for (let i = from; i < text.length; i++) {
+    if (text[i] === '\\') {
+      i++;
+    } else if (text.startsWith(target, i)) {
+      return i;
+    }
+  }
+  return -1;
+};
+
+/**
+ * Splits a GIFT answer block into its answers (=right, ~wrong, ~%50%partial)
+ * @param {string} body - Text between the braces
+ * @returns {Array} Answers as { correct, weight, text }
+ */
+const readGIFTAnswers = (body) => {
+  const answers = [];
+  let current = null;
+
+  for (let i = 0; i < body.length; i++) {
+    const char = body[i];
+
+    if (char === '\\') {
+      if (current) current.text += body.slice(i, i + 2);
+      i++;
+    } else if (char === '=' || char === '~') {
+      current = { marker: char, text: '' };
+      answers.push(current);
+    } else if (current) {
+      current.text += char;
+    }
+  }
+
+  return answers.map(({ marker, text }) => {
+    let answerText = text;
+    let weight = marker === '=' ? 100 : 0;
+
+    const weightMatch = answerText.match(/^\s*%(-?\d+(?:\.\d+)?)%/);
+    if (weightMatch) {
+      weight = Number(weightMatch[1]);
+      answerText = answerText.slice(weightMatch[0].length);
+    }
+
+    // Per-answer feedback isn't part of the schema
+    const feedbackIndex = findUnescaped(answerText, '#');
+    if (feedbackIndex !== -1) {
+      answerText = answerText.slice(0, feedbackIndex);
+    }
+
+    return {
+      marker,
+      weight,
+      isMatching: findUnescaped(answerText, '->') !== -1,
+      text: unescapeGIFT(answerText)
+    };
+  });
+};
+
+/**
+ * Converts one GIFT question into a raw question
+ * @param {string} block - Question text including its answer block
+ * @param {object} context - { category, difficulty } from comments and $CATEGORY
+ * @returns {object} { raw } or { error }
+ */
+const readGIFTQuestion = (block, context) => {
+  let text = block.trim();
+  let id;
+
+  if (text.startsWith('::')) {
+    const titleEnd = findUnescaped(text, '::', 2);
+    if (titleEnd !== -1) {
+      id = unescapeGIFT(text.slice(2, titleEnd)) || undefined;
+      text = text.slice(titleEnd + 2);
+    }
+  }
+
+  text = text.replace(/^\s*\[(html|moodle|plain|markdown)\]/i, '');
+
+  const open = findUnescaped(text, '{');
+  const close = open === -1 ? -1 : findUnescaped(text, '}', open);
+  if (open === -1 || close === -1) {
+    return { error: createMessage('packs.parse.giftNoAnswerBlock') };
+  }
+
+  const before = unescapeGIFT(text.slice(0, open));
+  const after = unescapeGIFT(text.slice(close + 1));
+  let body = text.slice(open + 1, close).trim();
+  let explanation;
+
+  const generalFeedback = findUnescaped(body, '####');
+  if (generalFeedback !== -1) {
+    explanation = unescapeGIFT(body.slice(generalFeedback + 4));
+    body = body.slice(0, generalFeedback).trim();
+  }
+
+  const base = {
+    id,
+    category: context.category,
+    difficulty: context.difficulty,
+    // "Missing word" questions put the blank where the answer block was
+    question: after ? `${before} _____ ${after}` : before,
+    explanation
+  };
+
+  const booleanMatch = body.match(/^(T|TRUE|F|FALSE)\b/i);
+  if (booleanMatch) {
+    return {
+      raw: {
+        ...base,
+        type: QUESTION_TYPES.boolean,
+        options: ['True', 'False'],
+        correctAnswer: booleanMatch[1].toUpperCase().startsWith('T') ? 'True' : 'False'
+      }
+    };
+  }
+
+  if (body.startsWith('#')) {
+    return { error: createMessage('packs.parse.giftNumeric') };
+  }
+
+  const answers = readGIFTAnswers(body);
+  if (answers.length === 0) {
+    return { error: createMessage('packs.parse.giftEmptyBlock') };
+  }
+  if (answers.some(answer => answer.isMatching)) {
+    return { error: createMessage('packs.parse.giftMatching') };
+  }
+
+  // Only "=" answers: a short-answer question, answered by typing
+  if (answers.every(answer => answer.marker === '=')) {
+    return {
+      raw: {
+        ...base,
+        type: QUESTION_TYPES.text,
+        acceptedAnswers: answers.filter(answer => answer.weight === 100).map(answer => answer.text),
+        maxDistance: context.maxDistance
+      }
+    };
+  }
+
+  const options = answers.map(answer => answer.text);
+  const rightAnswers = answers.filter(answer => answer.marker === '=');
+
+  if (rightAnswers.length === 1) {
+    return {
+      raw: { ...base, type: QUESTION_TYPES.multiple, options, correctAnswer: rightAnswers[0].text }
+    };
+  }
+
+  // "~%50%" style weights: several options count towards the answer
+  const weighted = answers.filter(answer => answer.marker === '~' && answer.weight > 0);
+  if (rightAnswers.length === 0 && weighted.length > 0) {
+    return {
+      raw: {
+        ...base,
+        type: QUESTION_TYPES.multiSelect,
+        options,
+        correctAnswer: weighted.map(answer => answer.text),
+        partialCredit: true
+      }
+    };
+  }
+
+  return { error: createMessage('packs.parse.giftNoCorrectAnswer') };
+};
+
+/**
+ * Reads a Moodle GIFT file. Supports multiple choice, multiple answers
+ * (weighted "~%n%"), true/false and short answer questions, $CATEGORY
+ * lines, and the "// difficulty: hard" and "// maxDistance: 1" comments
+ * written by serializeGIFT. Questions are separated by blank lines.
+ * @param {string} text - File contents
+ * @returns {object} { name, items, errors }
+ */
+const parseGIFT = (text) => {
+  const items = [];
+  const errors = [];
+  const context = { category: undefined, difficulty: undefined, maxDistance: undefined };
+  let block = [];
+  let blockLine = null;
+
+  const flush = () => {
+    if (block.length === 0) return;
+
+    const result = readGIFTQuestion(block.join('\n'), context);
+    const location = atLine(blockLine);
+
+    if (result.error) {
+      errors.push(parseError(blockLine, location, result.error));
+    } else {
+      items.push({ raw: result.raw, line: blockLine, location });
+    }
+
+    block = [];
+    blockLine = null;
+    context.difficulty = undefined;
+    context.maxDistance = undefined;
+  };
+
+  text.split(/\r?\n/).forEach((line, index) => {
+    const trimmed = line.trim();
+
+    if (!trimmed) {
+      flush();
+      return;
+    }
+
+    if (trimmed.startsWith('//')) {
+      const setting = trimmed.match(/^\/\/\s*(difficulty|maxDistance):\s*(\S+)/i);
+      if (setting && block.length === 0) {
+        const [, key, value] = setting;
+        if (key.toLowerCase() === 'difficulty') {
+          context.difficulty = value.toLowerCase();
+        } else {
+          context.maxDistance = Number(value);
+        }
+      }
+      return;
+    }
+
+    if (block.length === 0 && trimmed.startsWith('$CATEGORY:')) {
+      const path = trimmed.slice('$CATEGORY:'.length).trim();
+      context.category = path.split('/').filter(Boolean).pop() || undefined;
+      return;
+    }
+
+    if (block.length === 0) {
+      blockLine = index + 1;
+    }
+    block.push(line);
+  });
+
+  flush();
+
+  return { name: null, items, errors };
+};
+
+/**
+ * Formats a GIFT answer weight (Moodle accepts up to five decimals)
+ * @param {number} weight - Weight in percent
+ * @returns {string} Weight
+ */
+const formatGIFTWeight = (weight) => String(Number(weight.toFixed(5)));
+
+/**
+ * Writes the answer block for one question
+ * @param {object} question - Canonical question
+ * @returns {Array<string>|null} Answer lines, null when GIFT can't express the type
+ */
+const writeGIFTAnswers = (question) => {
+  const { type, options, correctAnswer } = question;
+
+  switch (type) {
+    case QUESTION_TYPES.text:
+      return correctAnswer.map(answer => `=${escapeGIFT(answer)}`);
+    case QUESTION_TYPES.multiSelect: {
+      const rightWeight = formatGIFTWeight(100 / correctAnswer.length);
+      return options.map((option, index) => (correctAnswer.includes(index)
+        ? `~%${rightWeight}%${escapeGIFT(option)}`
+        : `~%-100%${escapeGIFT(option)}`));
+    }
+    case QUESTION_TYPES.ordering:
+      return null;
+    default: {
+      const keys = options.map(createAnswerKey);
+      if (type === QUESTION_TYPES.boolean && keys.includes('true') && keys.includes('false')) {
+        return [keys[correctAnswer] === 'true' ? 'TRUE' : 'FALSE'];
+      }
+      return options.map((option, index) => `${index === correctAnswer ? '=' : '~'}${escapeGIFT(option)}`);
+    }
+  }
+};
+
+/**
+ * Writes a pack as Moodle GIFT
+ * @param {object} pack - { name, questions }
+ * @returns {object} { content, skipped }
+ */
+const serializeGIFT = (pack) => {
+  const skipped = [];
+  const blocks = [`// ${pack.name}`];
+  let category = null;
+
+  pack.questions.forEach(question => {
+    const answers = writeGIFTAnswers(question);
+
+    if (!answers) {
+      skipped.push({ id: question.id, reason: createMessage('packs.skip.giftOrdering') });
+      return;
+    }
+    if (question.media) {
+      skipped.push({ id: question.id, reason: createMessage('packs.skip.media', { format: 'GIFT' }) });
+      return;
+    }
+
+    const lines = [];
+    if (question.category !== category) {
+      category = question.category;
+      lines.push(`$CATEGORY: ${category}`, '');
+    }
+
+    if (question.explanation) {
+      answers.push(`####${escapeGIFT(question.explanation)}`);
+    }
+
+    lines.push(`// difficulty: ${question.difficulty}`);
+    if (question.type === QUESTION_TYPES.text && question.maxDistance) {
+      lines.push(`// maxDistance: ${question.maxDistance}`);
+    }
+
+    lines.push(
+      `::${escapeGIFT(portableId(question))}:: ${escapeGIFT(question.question)} {`,
+      ...answers.map(answer => `  ${answer}`),
+      '}'
+    );
+
+    blocks.push(lines.join('\n'));
+  });
+
+  return { content: `${blocks.join('\n\n')}\n`, skipped };
+};
+
+/* --------------------------------------------------------------- Aiken */
+
+const AIKEN_OPTION = /^([A-Z])[.)]\s+(.*)$/;
+const AIKEN_ANSWER = /^ANSWER:\s*([A-Z])\s*$/i;
+
+/**
+ * Reads an Aiken file: a question line, options "A." / "A)" on their own
+ * lines, then "ANSWER: X". Aiken only has single-answer questions.
+ * @param {string} text - File contents
+ * @returns {object} { name, items, errors }
+ */
+const parseAiken = (text) => {
+  const items = [];
+  const errors = [];
+  let current = null;
+  // After a broken question, skip to its ANSWER line (or a blank line)
+  let skipping = false;
+
+  const fail = (message) => {
+    errors.push(parseError(current.line, atLine(current.line), message));
+    current = null;
+    skipping = true;
+  };
+
+  text.split(/\r?\n/).forEach((rawLine, index) => {
+    const line = rawLine.trim();
+    const answerMatch = line.match(AIKEN_ANSWER);
+    const optionMatch = line.match(AIKEN_OPTION);
+
+    if (skipping) {
+      skipping = Boolean(line) && !answerMatch;
+      return;
+    }
+    if (!line) return;
+
+    if (!current) {
+      if (answerMatch) {
+        errors.push(parseError(index + 1, atLine(index + 1), createMessage('packs.parse.aikenAnswerFirst')));
+        return;
+      }
+      current = { line: index + 1, question: [line], options: [] };
+      return;
+    }
+
+    if (answerMatch) {
+      const answerIndex = answerMatch[1].toUpperCase().charCodeAt(0) - 65;
+
+      if (current.options.length === 0 || answerIndex >= current.options.length) {
+        errors.push(parseError(current.line, atLine(current.line), current.options.length === 0
+          ? createMessage('packs.parse.aikenNoOptions')
+          : createMessage('packs.parse.aikenUnknownAnswer', { letter: answerMatch[1].toUpperCase() })));
+        current = null;
+      } else {
+        items.push({
+          raw: {
+            question: current.question.join(' '),
+            options: current.options,
+            correctAnswer: answerIndex
+          },
+          line: current.line,
+          location: atLine(current.line)
+        });
+        current = null;
+      }
+      return;
+    }
+
+    if (optionMatch && optionMatch[1] === String.fromCharCode(65 + current.options.length)) {
+      current.options.push(optionMatch[2].trim());
+    } else if (current.options.length === 0) {
+      // Question text can run over several lines
+      current.question.push(line);
+    } else {
+      fail(createMessage('packs.parse.aikenExpectedOption', { letter: String.fromCharCode(65 + current.options.length) }));
+    }
+  });
+
+  if (current) {
+    fail(createMessage('packs.parse.aikenMissingAnswer'));
+  }
+
+  return { name: null, items, errors };
+};
+
+/**
+ * Writes a pack as Aiken
+ * @param {object} pack - { name, questions }
+ * @returns {object} { content, skipped }
+ */
+const serializeAiken = (pack) => {
+  const skipped = [];
+  const blocks = [];
+
+  pack.questions.forEach(question => {
+    const isSingleAnswer = question.type === QUESTION_TYPES.multiple || question.type === QUESTION_TYPES.boolean;
+
+    if (!isSingleAnswer || question.options.length > 26) {
+      skipped.push({ id: question.id, reason: createMessage('packs.skip.aikenType') });
+      return;
+    }
+    if (question.media) {
+      skipped.push({ id: question.id, reason: createMessage('packs.skip.media', { format: 'Aiken' }) });
+      return;
+    }
+
+    const flatten = text => text.replace(/\s*\n\s*/g, ' ');
+    blocks.push([
+      flatten(question.question),
+      ...question.options.map((option, index) => `${String.fromCharCode(65 + index)}. ${flatten(option)}`),
+      `ANSWER: ${String.fromCharCode(65 + question.correctAnswer)}`
+    ].join('\n'));
+  });
+
+  return { content: `${blocks.join('\n\n')}\n`, skipped };
+};
+
+/* ------------------------------------------------------------- Public */
+
+const PARSERS = { json: parseJSON, csv: parseCSV, gift: parseGIFT, aiken: parseAiken };
+const SERIALIZERS = { json: serializeJSON, csv: serializeCSV, gift: serializeGIFT, aiken: serializeAiken };
+
+/**
+ * Converts an imported file into canonical questions
+ * @param {string} text - File contents
+ * @param {object} options - { format, source } format id and provider id for the ids
+ * @returns {object} { name, questions, rejected } where rejected items carry
+ *   { location, line, id, errors } in file order
+ */
+export const importQuestions = (text, { format, source }) => {
+  const parse = PARSERS[format];
+  if (!parse) {
+    throw createMessageError('packs.errors.unknownFormat', { format });
+  }
+
+  const { name, items, errors } = parse(text.replace(/^\uFEFF/, ''));
+  const { questions, rejected } = normalizeQuestions(items.map(item => item.raw), { source });
+
+  // Report ids as written in the file, not the generated canonical ones
+  const located = rejected.map(issue => ({
+    ...issue,
+    id: items[issue.index].raw && items[issue.index].raw.id ? String(items[issue.index].raw.id) : null,
+    line: items[issue.index].line,
+    location: items[issue.index].location
+  }));
+
+  const order = issue => (issue.line ?? issue.index ?? 0);
+
+  return {
+    name,
+    questions,
+    rejected: [...errors, ...located].sort((a, b) => order(a) - order(b))
+  };
+};
+
+/**
+ * Converts a pack into a file in the given format
+ * @param {object} pack - { name, questions } with canonical questions
+ * @param {string} format - Format id (see PACK_FORMATS)
+ * @returns {object} { content, skipped, fileName, mimeType } where skipped
+ *   lists { id, reason } for questions the format can't express, reason being
+ *   a message (see createMessage in i18n)
+ */
+export const exportQuestions = (pack, format) => {
+  const serialize = SERIALIZERS[format];
+  if (!serialize) {
+    throw createMessageError('packs.errors.unknownFormat', { format });
+  }
+
+  const { content, skipped } = serialize(pack);
+  const baseName = pack.name.trim().toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'questions';
+
+  return {
+    content,
+    skipped,
+    fileName: `${baseName}.${PACK_FORMATS[format].extension}`,
+    mimeType: PACK_FORMATS[format].mimeType
+  };
+};
+
+export default {
+  PACK_FORMATS,
+  detectFormat,
+  toPortableQuestion,
+  importQuestions,
+  exportQuestions
+};
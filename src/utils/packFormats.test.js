@@ -0,0 +1,187 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { detectFormat, importQuestions, exportQuestions } from './packFormats.js';
+
+const SOURCE = 'pack-k3mq8zta';
+
+/**
+ * Imports a file and keeps the parts the tests look at
+ * @param {string} text - File contents
+ * @param {string} format - Format id
+ * @returns {object} { questions, rejected }, rejected items with their messages as keys
+ */
+const importFile = (text, format) => {
+  const { questions, rejected } = importQuestions(text, { format, source: SOURCE });
+  return {
+    questions,
+    rejected: rejected.map(({ line, location, id, errors }) => ({
+      line,
+      location: location.key,
+      id,
+      errors: errors.map(error => error.key)
+    }))
+  };
+};
+
+describe('detectFormat', () => {
+  it('goes by the extension, then by the contents', () => {
+    assert.equal(detectFormat('capitals.csv', '{}'), 'csv');
+    assert.equal(detectFormat('capitals.gift', ''), 'gift');
+    assert.equal(detectFormat('capitals.txt', '[{"question": "?"}]'), 'json');
+    assert.equal(detectFormat('capitals.txt', 'Capital of France?\nA. Paris\nANSWER: A'), 'aiken');
+    assert.equal(detectFormat('capitals.txt', 'Capital of France? {=Paris ~London}'), 'gift');
+    assert.equal(detectFormat('capitals.txt', 'question,answer\nCapital of France?,Paris'), 'csv');
+  });
+});
+
+describe('importQuestions', () => {
+  it('reads CSV rows, telling the question type from the options and answers', () => {
+    const { questions, rejected } = importFile([
+      'id,question,options,answer',
+      'capital,"Capital of France, the country?",London|Paris,Paris',
+      'sodium,Symbol for sodium?,,Na|Sodium',
+      'primes,Pick the primes,2|3|4,2|3'
+    ].join('\n'), 'csv');
+
+    assert.deepEqual(rejected, []);
+    assert.deepEqual(questions.map(({ id, type, question, correctAnswer }) => ({ id, type, question, correctAnswer })), [
+      { id: `${SOURCE}-capital`, type: 'multiple', question: 'Capital of France, the country?', correctAnswer: 1 },
+      { id: `${SOURCE}-sodium`, type: 'text', question: 'Symbol for sodium?', correctAnswer: ['Na', 'Sodium'] },
+      { id: `${SOURCE}-primes`, type: 'multi-select', question: 'Pick the primes', correctAnswer: [0, 1] }
+    ]);
+  });
+
+  it('reads semicolon-separated CSV and quoted line breaks', () => {
+    const { questions } = importFile('question;options;answer\n"Capital of\nFrance?";London|Paris;Paris\n', 'csv');
+
+    assert.equal(questions.length, 1);
+    assert.equal(questions[0].question, 'Capital of\nFrance?');
+  });
+
+  it('reports each CSV row that fails validation, by row and id', () => {
+    const { questions, rejected } = importFile([
+      'id,question,options,answer',
+      'capital,Capital of France?,London|Paris,Paris',
+      'broken,Capital of Spain?,London|Paris,Madrid',
+      ',,London|Paris,Paris'
+    ].join('\n'), 'csv');
+
+    assert.equal(questions.length, 1);
+    assert.deepEqual(rejected.map(({ line, location, id }) => ({ line, location, id })), [
+      { line: 3, location: 'validation.location.row', id: 'broken' },
+      { line: 4, location: 'validation.location.row', id: null }
+    ]);
+    assert.ok(rejected.every(issue => issue.errors.length > 0));
+  });
+
+  it('rejects a CSV file without a question column', () => {
+    const { questions, rejected } = importFile('prompt,answer\nCapital of France?,Paris\n', 'csv');
+
+    assert.deepEqual(questions, []);
+    assert.deepEqual(rejected, [{ line: 1, location: 'validation.location.row', id: null, errors: ['packs.parse.questionColumn'] }]);
+  });
+
+  it('reads GIFT multiple choice, true/false and short answers with their category and difficulty', () => {
+    const { questions, rejected } = importFile([
+      '$CATEGORY: $course$/Geography',
+      '',
+      '// difficulty: hard',
+      '::capital::Capital of France? {=Paris ~London ~Berlin}',
+      '',
+      'Paris is in France. {T}',
+      '',
+      'Symbol for sodium? {=Na =Sodium}'
+    ].join('\n'), 'gift');
+
+    assert.deepEqual(rejected, []);
+    assert.deepEqual(questions.map(({ type, category, difficulty, options, correctAnswer }) => ({ type, category, difficulty, options, correctAnswer })), [
+      { type: 'multiple', category: 'Geography', difficulty: 'hard', options: ['Paris', 'London', 'Berlin'], correctAnswer: 0 },
+      { type: 'boolean', category: 'Geography', difficulty: 'medium', options: ['True', 'False'], correctAnswer: 0 },
+      { type: 'text', category: 'Geography', difficulty: 'medium', options: [], correctAnswer: ['Na', 'Sodium'] }
+    ]);
+    assert.equal(questions[0].id, `${SOURCE}-capital`);
+  });
+
+  it('reports GIFT questions it can\'t read by line', () => {
+    const { questions, rejected } = importFile('Capital of France? {=Paris ~London}\n\nNo answers here\n', 'gift');
+
+    assert.equal(questions.length, 1);
+    assert.deepEqual(rejected, [{ line: 3, location: 'validation.location.line', id: null, errors: ['packs.parse.giftNoAnswerBlock'] }]);
+  });
+
+  it('reads Aiken questions and reports broken ones by line', () => {
+    const { questions, rejected } = importFile([
+      'Capital of France?',
+      'A. London',
+      'B) Paris',
+      'ANSWER: B',
+      '',
+      'Capital of Spain?',
+      'A. Madrid',
+      'C. Lisbon',
+      'ANSWER: A',
+      '',
+      'ANSWER: A',
+      '',
+      'Capital of Italy?',
+      'A. Rome',
+      'ANSWER: D',
+      '',
+      'Capital of Peru?',
+      'A. Lima'
+    ].join('\n'), 'aiken');
+
+    assert.deepEqual(questions.map(({ question, options, correctAnswer }) => ({ question, options, correctAnswer })), [
+      { question: 'Capital of France?', options: ['London', 'Paris'], correctAnswer: 1 }
+    ]);
+    assert.deepEqual(rejected.map(({ line, errors }) => ({ line, errors })), [
+      { line: 6, errors: ['packs.parse.aikenExpectedOption'] },
+      { line: 11, errors: ['packs.parse.aikenAnswerFirst'] },
+      { line: 13, errors: ['packs.parse.aikenUnknownAnswer'] },
+      { line: 17, errors: ['packs.parse.aikenMissingAnswer'] }
+    ]);
+  });
+
+  it('reports JSON that isn\'t a question list', () => {
+    assert.deepEqual(importFile('{ "questions": ', 'json').rejected.map(issue => issue.errors), [['packs.parse.invalidJSON']]);
+    assert.deepEqual(importFile('{ "name": "Capitals" }', 'json').rejected.map(issue => issue.errors), [['packs.parse.notQuestionList']]);
+  });
+
+  it('throws on an unknown format', () => {
+    assert.throws(() => importQuestions('', { format: 'xml', source: SOURCE }), { key: 'packs.errors.unknownFormat' });
+  });
+});
+
+describe('exportQuestions', () => {
+  const { questions } = importFile([
+    'id,type,question,options,answer,explanation',
+    'capital,multiple,Capital of France?,London|Paris|Berlin,Paris,Paris has been the capital since 987.',
+    'sky,boolean,The sky is green.,True|False,False,',
+    'sodium,text,Symbol for sodium?,,Na|Sodium,'
+  ].join('\n'), 'csv');
+  const pack = { name: 'Capitals & Symbols', questions };
+
+  ['json', 'csv', 'gift'].forEach(format => {
+    it(`reads back what it writes as ${format}`, () => {
+      const { content, skipped, fileName } = exportQuestions(pack, format);
+      const reimported = importFile(content, format);
+
+      assert.deepEqual(skipped, []);
+      assert.match(fileName, /^capitals-symbols\./);
+      assert.deepEqual(reimported.rejected, []);
+      assert.deepEqual(
+        reimported.questions.map(({ type, question, options, correctAnswer }) => ({ type, question, options, correctAnswer })),
+        questions.map(({ type, question, options, correctAnswer }) => ({ type, question, options, correctAnswer }))
+      );
+    });
+  });
+
+  it('skips questions Aiken can\'t express', () => {
+    const { content, skipped } = exportQuestions(pack, 'aiken');
+
+    assert.deepEqual(skipped.map(({ id, reason }) => ({ id, reason: reason.key })), [
+      { id: `${SOURCE}-sodium`, reason: 'packs.skip.aikenType' }
+    ]);
+    assert.equal(importFile(content, 'aiken').questions.length, 2);
+  });
+});
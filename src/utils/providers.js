@@ -0,0 +1,535 @@
+import {
+  fetchQuestionsWithRetry,
+  fetchCategories,
+  fetchCategoryCounts,
+  resolveCategory,
+  shuffleArray,
+  sortByQuestionText
+} from './api.js';
+import { normalizeQuestions, describeIssue, QuestionValidationError, QUESTION_TYPES } from './questionSchema.js';
+import { cacheQuestions, getCachedQuestions, getCachedQuestionsById, countCachedQuestions } from './questionCache.js';
+import { getPacks, getPackSourceId, subscribeToPacks } from './questionPacks.js';
+import { pickFreshQuestions } from './seenQuestions.js';
+import { createRandom } from './random.js';
+import { createMessage, createMessageError } from './i18n.js';
+import questionsData from '../data/questions.json';
+
+/**
+ * Question provider registry
+ *
+ * A provider is a plain object describing one source of questions.
+ * Whatever loadQuestions returns is normalized and validated against
+ * the canonical model in questionSchema.js before it reaches the quiz.
+ *
+ * {
+ *   id: 'opentdb',                 // unique key, stored in preferences
+ *   name: 'Open Trivia DB',        // label for the source picker
+ *   description: '...',            // one-line summary for the UI, or { key, params } from createMessage
+ *   icon: '🌐',
+ *   capabilities: {
+ *     online: true,                // needs a network connection
+ *     categories: true,            // honours the categories option
+ *     difficulty: true,            // honours the difficulty option
+ *     types: ['multiple', 'boolean'], // question types it can serve, see QUESTION_TYPES
+ *     maxAmount: null,             // largest amount a single load can return, null for no limit
+ *     offlineCache: true,          // save loaded questions for offline replay
+ *     privateQuestions: true       // only this browser can look its questions up by id,
+ *                                  // so challenge links can't deal them to anyone else
+ *   },
+ *   fallback: 'cache',             // provider to use when loading fails (optional)
+ *   loadQuestions: async ({ amount, categories, difficulty, type, seed, avoidSeen, onNotice, signal, priority, onChunk }) => [],
+ *                                  // categories lists category ids, empty for any category
+ *                                  // type is null for a mix of every type
+ *                                  // seed (see utils/random) makes the pick and its order repeatable:
+ *                                  // the same seed and settings give the same quiz from the same pool
+ *                                  // avoidSeen false lets recently seen questions in, as the seed requires
+ *                                  // onNotice({ type, message }) reports events worth showing the player;
+ *                                  // a notice may carry { key, params } from createMessage instead
+ *                                  // signal (AbortSignal) cancels the load, e.g. when the quiz page closes
+ *                                  // priority is one of REQUEST_PRIORITIES in api.js
+ *                                  // onChunk(questions, { loaded, total }) streams large loads as they
+ *                                  // arrive (optional), the return value still holds every question
+ *   loadQuestionsById: async (ids) => [], // the questions with these ids, for challenge links
+ *                                  // (optional); extra questions are fine, only the listed ids are kept
+ *   listCategories: async ({ signal, priority }) => [{ id, name }],
+ *   countAvailable: async ({ categories, difficulty, type, signal, priority }) => number // null when unknown or unlimited
+ *                                  // signal and priority work as for loadQuestions, both optional
+ * }
+ *
+ * Category ids are Open Trivia DB ids wherever a category maps onto one
+ * (see resolveCategory), so the same selection works for every source.
+ * Categories with no Open Trivia DB equivalent use their name as id.
+ */
+
+const providers = new Map();
+
+export const DEFAULT_PROVIDER_ID = 'opentdb';
+
+/**
+ * Registers a question provider, replacing any provider with the same id
+ * @param {object} provider - Provider definition
+ * @returns {object} The registered provider
+ */
+export const registerProvider = (provider) => {
+  if (!provider || !provider.id) {
+    throw new Error('Question providers need an id');
+  }
+  if (typeof provider.loadQuestions !== 'function') {
+    throw new Error(`Provider "${provider.id}" must implement loadQuestions`);
+  }
+
+  providers.set(provider.id, {
+    capabilities: {},
+    listCategories: async () => [],
+    countAvailable: async () => null,
+    ...provider,
+    // Questions come back in the order the ids were given, missing ones left out
+    loadQuestionsById: async (ids = []) => {
+      const found = provider.loadQuestionsById ? await provider.loadQuestionsById(ids) : [];
+      const { questions } = normalizeQuestions(found, { source: provider.id });
+      const byId = new Map(questions.map(question => [question.id, question]));
+      return ids.map(id => byId.get(String(id))).filter(Boolean);
+    },
+    // Every source passes through the normalizer before it reaches the quiz
+    loadQuestions: async (options = {}) => {
+      const { onChunk, onNotice } = options;
+      let streamed = false;
+
+      const rawQuestions = await provider.loadQuestions(onChunk
+        ? {
+          ...options,
+          onChunk: (chunk, progress) => {
+            streamed = true;
+            onChunk(toCanonicalQuestions(chunk, provider, onNotice), progress);
+          }
+        }
+        : options);
+
+      // Streamed chunks have already reported their rejected questions
+      const questions = toCanonicalQuestions(rawQuestions, provider, streamed ? null : onNotice);
+
+      if (provider.capabilities && provider.capabilities.offlineCache) {
+        cacheQuestions(questions); // Fire and forget, the quiz doesn't wait for the cache
+      }
+
+      return questions;
+    }
+  });
+  return providers.get(provider.id);
+};
+
+/**
+ * Loads questions from a provider's fallback chain (e.g. cache, then local
+ * questions), topping up from each fallback until enough questions are found
+ * @param {string} id - Id of the provider that failed
+ * @param {object} options - Load options, as passed to loadQuestions
+ * @returns {Promise<Array>} Fallback questions, empty when the chain has none
+ */
+export const loadFallbackQuestions = async (id, options = {}) => {
+  const { amount = 10 } = options;
+  const visited = new Set([id]);
+  let questions = [];
+  let provider = providers.get(providers.get(id)?.fallback);
+
+  while (provider && !visited.has(provider.id) && questions.length < amount) {
+    visited.add(provider.id);
+
+    try {
+      const seenIds = new Set(questions.map(question => question.id));
+      const more = await provider.loadQuestions({ ...options, amount: amount - questions.length });
+      questions = [...questions, ...more.filter(question => !seenIds.has(question.id))];
+    } catch (error) {
+      console.warn(`Fallback source "${provider.id}" failed:`, error.message);
+    }
+
+    provider = providers.get(provider.fallback);
+  }
+
+  return questions;
+};
+
+/**
+ * Normalizes a provider's questions, dropping and reporting malformed items
+ * @param {Array} rawQuestions - Questions as returned by the provider
+ * @param {object} provider - Provider definition
+ * @param {Function} onNotice - Notice callback (optional)
+ * @returns {Array} Canonical questions
+ */
+const toCanonicalQuestions = (rawQuestions, provider, onNotice) => {
+  const { questions, rejected } = normalizeQuestions(rawQuestions, { source: provider.id });
+
+  if (rejected.length === 0) {
+    return questions;
+  }
+
+  rejected.forEach(issue => {
+    console.error(`Rejected malformed question from ${provider.name || provider.id}: ${describeIssue(issue)}`);
+  });
+
+  if (questions.length === 0) {
+    throw new QuestionValidationError(
+      createMessage('sources.errors.noValidQuestions', { source: provider.name || provider.id }),
+      rejected
+    );
+  }
+
+  if (onNotice) {
+    onNotice({
+      type: 'invalid-questions',
+      ...createMessage('quiz.notices.invalidQuestions', { count: rejected.length, source: provider.name || provider.id })
+    });
+  }
+
+  return questions;
+};
+
+/**
+ * Removes a provider from the registry
+ * @param {string} id - Provider id
+ */
+export const unregisterProvider = (id) => {
+  providers.delete(id);
+};
+
+/**
+ * Gets a provider by id
+ * @param {string} id - Provider id
+ * @returns {object|undefined} Provider definition
+ */
+export const getProvider = (id) => providers.get(id);
+
+/**
+ * Lists all registered providers in registration order
+ * @returns {Array} Provider definitions
+ */
+export const listProviders = () => Array.from(providers.values());
+
+/**
+ * Resolves a provider id, falling back to the default provider when unknown
+ * @param {string} id - Provider id
+ * @returns {object} Provider definition
+ */
+export const resolveProvider = (id) => {
+  return providers.get(id) || providers.get(DEFAULT_PROVIDER_ID);
+};
+
+/**
+ * Gives a question the category id and name it has in CATEGORIES, when it maps onto one
+ * @param {object} question - Raw or canonical question
+ * @returns {object} Question with category and categoryId set
+ */
+const withCategory = (question) => {
+  if (question.categoryId) return question;
+
+  const { id, name } = resolveCategory(question.category);
+  return id ? { ...question, category: name, categoryId: id } : question;
+};
+
+/**
+ * Gets the id a question's category is selected by
+ * @param {object} question - Question with category mapped by withCategory
+ * @returns {number|string|null} Category id
+ */
+const getCategoryKey = (question) => question.categoryId ?? question.category ?? null;
+
+/**
+ * Checks whether a question matches the quiz filters
+ * @param {object} question - Question with category mapped by withCategory
+ * @param {object} filters - { categories, difficulty, type }
+ * @returns {boolean} True when the question matches
+ */
+const matchesFilters = (question, { categories = [], difficulty = null, type = null } = {}) => {
+  if (categories.length > 0 && !categories.includes(getCategoryKey(question))) return false;
+  if (difficulty && question.difficulty !== difficulty) return false;
+  if (type && (question.type || QUESTION_TYPES.multiple) !== type) return false;
+  return true;
+};
+
+/**
+ * Lists the categories found in a set of questions
+ * @param {Array} questions - Questions with categories mapped by withCategory
+ * @returns {Array} Categories as { id, name }, sorted by name
+ */
+const listQuestionCategories = (questions) => {
+  const categories = new Map();
+  questions.forEach(question => {
+    const id = getCategoryKey(question);
+    if (id !== null && !categories.has(id)) {
+      categories.set(id, { id, name: question.category });
+    }
+  });
+  return Array.from(categories.values()).sort((a, b) => a.name.localeCompare(b.name));
+};
+
+/**
+ * Gets the bundled question bank with categories mapped onto CATEGORIES
+ * @returns {Array} Questions
+ */
+const getLocalQuestions = () => {
+  return questionsData.questions.map((question, index) => withCategory({
+    ...question,
+    id: question.id || index + 1
+  }));
+};
+
+/**
+ * Filters the bundled question bank
+ * @param {object} options - Filter options
+ * @returns {Array} Matching questions
+ */
+const filterLocalQuestions = (filters = {}) => {
+  return getLocalQuestions().filter(question => matchesFilters(question, filters));
+};
+
+/**
+ * Counts the Open Trivia DB questions for a category and difficulty
+ * @param {number} category - Category id
+ * @param {string} difficulty - Difficulty, null for any
+ * @param {object} queueOptions - { priority, signal } for the request queue (optional)
+ * @returns {Promise<number|null>} Question count, or null when unknown
+ */
+const countOpenTriviaCategory = async (category, difficulty = null, queueOptions = {}) => {
+  const counts = await fetchCategoryCounts(category, queueOptions);
+  if (!counts) return null;
+
+  return difficulty ? counts[difficulty] : counts.total;
+};
+
+/**
+ * Counts the Open Trivia DB questions for a set of categories and a difficulty
+ * @param {object} options - Count options
+ * @returns {Promise<number|null>} Question count, or null when unknown or unlimited
+ */
+const countOpenTriviaQuestions = async ({ categories = [], difficulty = null, signal, priority } = {}) => {
+  if (categories.length === 0) return null;
+
+  const counts = await Promise.all(
+    categories.map(category => countOpenTriviaCategory(category, difficulty, { signal, priority }))
+  );
+  return counts.includes(null) ? null : counts.reduce((sum, count) => sum + count, 0);
+};
+
+/**
+ * Splits a quiz across categories, never asking a category for more than it holds
+ * @param {number} amount - Total number of questions
+ * @param {Array<number>} categories - Category ids
+ * @param {string} difficulty - Difficulty, null for any
+ * @param {object} queueOptions - { priority, signal } for the request queue
+ * @returns {Promise<Array>} Shares as { category, amount }
+ */
+const splitAcrossCategories = async (amount, categories, difficulty, queueOptions) => {
+  const capacities = await Promise.all(
+    categories.map(category => countOpenTriviaCategory(category, difficulty, queueOptions))
+  );
+  const shares = categories.map((category, index) => ({
+    category,
+    amount: 0,
+    capacity: capacities[index] ?? Infinity
+  }));
+
+  // Deal questions out one at a time so the mix stays even
+  let remaining = amount;
+  while (remaining > 0 && shares.some(share => share.amount < share.capacity)) {
+    shares.forEach(share => {
+      if (remaining > 0 && share.amount < share.capacity) {
+        share.amount++;
+        remaining--;
+      }
+    });
+  }
+
+  return shares.filter(share => share.amount > 0);
+};
+
+/**
+ * Loads Open Trivia DB questions for one category (or any, when null)
+ * @param {object} options - { amount, category, difficulty, type, seed, onNotice, signal, priority, onChunk }
+ * @returns {Promise<Array>} Questions
+ */
+const loadOpenTriviaCategory = async ({ amount, category, difficulty, type, seed, onNotice, signal, priority, onChunk }) => {
+  // Never ask for more than the category holds, the API answers that with NO_RESULTS
+  const available = category ? await countOpenTriviaCategory(category, difficulty, { signal, priority }) : null;
+  const safeAmount = available ? Math.min(amount, available) : amount;
+
+  // Record category ids so cached questions can be filtered offline
+  const categories = category ? [] : await fetchCategories({ signal, priority });
+  const categoryIds = new Map(categories.map(item => [item.name, item.id]));
+  const withCategoryId = questions => questions.map(question => ({
+    ...question,
+    categoryId: category || categoryIds.get(question.category) || null
+  }));
+
+  const questions = await fetchQuestionsWithRetry(safeAmount, category, difficulty, type, undefined, onNotice, {
+    signal,
+    priority,
+    seed,
+    onChunk: onChunk && ((chunk, progress) => onChunk(withCategoryId(chunk), progress))
+  });
+
+  return withCategoryId(questions);
+};
+
+// Built-in provider: Open Trivia DB
+registerProvider({
+  id: 'opentdb',
+  name: 'Open Trivia DB',
+  shortName: 'API',
+  description: 'Fresh questions from Open Trivia DB',
+  icon: '🌐',
+  capabilities: {
+    online: true,
+    categories: true,
+    difficulty: true,
+    types: [QUESTION_TYPES.multiple, QUESTION_TYPES.boolean],
+    maxAmount: null,
+    offlineCache: true,
+    privateQuestions: true
+  },
+  fallback: 'cache',
+  // Open Trivia DB picks the questions itself, so a seed only fixes their order and their options' order
+  loadQuestions: async ({ amount, categories = [], difficulty, type, seed, onNotice, signal, priority, onChunk }) => {
+    if (categories.length <= 1) {
+      return loadOpenTriviaCategory({ amount, category: categories[0] || null, difficulty, type, seed, onNotice, signal, priority, onChunk });
+    }
+
+    // The API takes one category per request, so several categories mean several requests
+    const shares = await splitAcrossCategories(amount, categories, difficulty, { signal, priority });
+    const questions = [];
+
+    // Report progress across all categories rather than per category
+    let loaded = 0;
+    const onShareChunk = onChunk && ((chunk) => {
+      loaded += chunk.length;
+      onChunk(chunk, { loaded, total: amount });
+    });
+
+    for (const share of shares) {
+      questions.push(...await loadOpenTriviaCategory({ ...share, difficulty, type, seed, onNotice, signal, priority, onChunk: onShareChunk }));
+    }
+
+    return shuffleArray(seed ? sortByQuestionText(questions) : questions, createRandom(seed));
+  },
+  // The API can't look questions up, so linked questions come from the offline cache
+  loadQuestionsById: getCachedQuestionsById,
+  listCategories: fetchCategories,
+  countAvailable: countOpenTriviaQuestions
+});
+
+// Built-in provider: questions saved from earlier online quizzes
+registerProvider({
+  id: 'cache',
+  name: 'Saved Questions',
+  shortName: 'Saved',
+  description: 'Questions saved from earlier online quizzes',
+  icon: '📥',
+  capabilities: {
+    online: false,
+    categories: true,
+    difficulty: true,
+    types: [QUESTION_TYPES.multiple, QUESTION_TYPES.boolean],
+    maxAmount: null,
+    privateQuestions: true
+  },
+  fallback: 'local',
+  loadQuestions: async ({ amount, categories, difficulty, type, seed, avoidSeen }) => {
+    const questions = await getCachedQuestions({ amount, categories, difficulty, type, seed, avoidSeen });
+
+    if (questions.length === 0) {
+      throw createMessageError('sources.errors.cacheEmpty');
+    }
+
+    return questions;
+  },
+  loadQuestionsById: getCachedQuestionsById,
+  listCategories: fetchCategories,
+  countAvailable: ({ categories, difficulty, type } = {}) => countCachedQuestions({ categories, difficulty, type })
+});
+
+// Built-in provider: bundled question bank
+registerProvider({
+  id: 'local',
+  name: 'Local Questions',
+  shortName: 'Local',
+  description: 'Offline curated questions',
+  icon: '💾',
+  capabilities: {
+    online: false,
+    categories: true,
+    difficulty: true,
+    types: Object.values(QUESTION_TYPES),
+    maxAmount: null
+  },
+  loadQuestions: async ({ amount, categories, difficulty, type, seed, avoidSeen }) => {
+    return pickFreshQuestions(filterLocalQuestions({ categories, difficulty, type }), amount, { seed, avoidSeen });
+  },
+  loadQuestionsById: async () => getLocalQuestions(),
+  listCategories: async () => listQuestionCategories(getLocalQuestions()),
+  countAvailable: async ({ categories, difficulty, type } = {}) => filterLocalQuestions({ categories, difficulty, type }).length
+});
+
+/**
+ * Filters a pack's questions
+ * @param {object} pack - Question pack
+ * @param {object} filters - Filter options
+ * @returns {Array} Matching questions
+ */
+const filterPackQuestions = (pack, filters = {}) => {
+  return pack.questions.map(withCategory).filter(question => matchesFilters(question, filters));
+};
+
+/**
+ * Registers a provider for every saved question pack and drops
+ * providers for packs that were deleted
+ */
+const syncPackProviders = () => {
+  const packs = getPacks();
+  const packSourceIds = new Set(packs.map(pack => getPackSourceId(pack.id)));
+
+  listProviders()
+    .filter(provider => provider.isPack && !packSourceIds.has(provider.id))
+    .forEach(provider => unregisterProvider(provider.id));
+
+  packs.forEach(pack => {
+    registerProvider({
+      id: getPackSourceId(pack.id),
+      name: pack.name,
+      shortName: pack.name,
+      description: createMessage('sources.pack.description', { count: pack.questions.length }),
+      icon: '📦',
+      isPack: true,
+      packId: pack.id,
+      capabilities: {
+        online: false,
+        categories: true,
+        difficulty: true,
+        types: Object.values(QUESTION_TYPES),
+        maxAmount: null,
+        // Packs are kept in this browser's storage only
+        privateQuestions: true
+      },
+      loadQuestions: async ({ amount, categories, difficulty, type, seed, avoidSeen }) => {
+        const questions = filterPackQuestions(pack, { categories, difficulty, type });
+
+        if (questions.length === 0) {
+          throw createMessageError('sources.errors.packEmpty', { name: pack.name });
+        }
+
+        return pickFreshQuestions(questions, amount, { seed, avoidSeen });
+      },
+      loadQuestionsById: async () => pack.questions.map(withCategory),
+      listCategories: async () => listQuestionCategories(pack.questions.map(withCategory)),
+      countAvailable: async ({ categories, difficulty, type } = {}) => filterPackQuestions(pack, { categories, difficulty, type }).length
+    });
+  });
+};
+
+syncPackProviders();
+subscribeToPacks(syncPackProviders);
+
+export default {
+  registerProvider,
+  unregisterProvider,
+  getProvider,
+  listProviders,
+  resolveProvider
+};
@@ -0,0 +1,230 @@
+import { pickFreshQuestions } from './seenQuestions.js';
+
+/**
+ * IndexedDB cache of questions fetched online, used for offline replay
+ */
+
+const DB_NAME = 'quizmaster';
+const DB_VERSION = 1;
+const STORE_NAME = 'questions';
+
+let dbPromise = null;
+
+/**
+ * Checks whether IndexedDB can be used in this browser
+ * @returns {boolean} True when IndexedDB is available
+ */
+export const isCacheAvailable = () => {
+  try {
+    return typeof indexedDB !== 'undefined' && indexedDB !== null;
+  } catch (error) {
+    return false;
+  }
+};
+
+/**
+ * Opens (and if needed creates) the question database
+ * @returns {Promise<IDBDatabase>} Database handle
+ */
+const openDatabase = () => {
+  if (dbPromise) return dbPromise;
+
+  dbPromise = new Promise((resolve, reject) => {
+    const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+    request.onupgradeneeded = () => {
+      const db = request.result;
+      if (!db.objectStoreNames.contains(STORE_NAME)) {
+        const store = db.createObjectStore(STORE_NAME, { keyPath: 'id' });
+        store.createIndex('categoryId', 'categoryId', { unique: false });
+        store.createIndex('difficulty', 'difficulty', { unique: false });
+        store.createIndex('categoryId_difficulty', ['categoryId', 'difficulty'], { unique: false });
+      }
+    };
+
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+
+  // Allow a later retry if opening failed
+  dbPromise.catch(() => {
+    dbPromise = null;
+  });
+
+  return dbPromise;
+};
+
+/**
+ * Wraps an IDBRequest in a promise
+ * @param {IDBRequest} request - Request to wait for
+ * @returns {Promise} Request result
+ */
+const promisifyRequest = (request) => new Promise((resolve, reject) => {
+  request.onsuccess = () => resolve(request.result);
+  request.onerror = () => reject(request.error);
+});
+
+/**
+ * Reads every cached question matching the filters for one category
+ * @param {IDBObjectStore} store - Question store
+ * @param {object} filters - { category, difficulty }
+ * @returns {Promise<Array>} Matching questions
+ */
+const readCategoryQuestions = (store, { category = null, difficulty = null } = {}) => {
+  if (category && difficulty) {
+    return promisifyRequest(store.index('categoryId_difficulty').getAll([category, difficulty]));
+  }
+  if (category) {
+    return promisifyRequest(store.index('categoryId').getAll(category));
+  }
+  if (difficulty) {
+    return promisifyRequest(store.index('difficulty').getAll(difficulty));
+  }
+  return promisifyRequest(store.getAll());
+};
+
+/**
+ * Reads every cached question matching the filters
+ * @param {object} filters - { categories, difficulty }, no categories means any
+ * @returns {Promise<Array>} Matching questions
+ */
+const readMatchingQuestions = async ({ categories = [], difficulty = null } = {}) => {
+  const db = await openDatabase();
+  const store = db.transaction(STORE_NAME, 'readonly').objectStore(STORE_NAME);
+
+  if (categories.length === 0) {
+    return readCategoryQuestions(store, { difficulty });
+  }
+
+  const perCategory = await Promise.all(
+    categories.map(category => readCategoryQuestions(store, { category, difficulty }))
+  );
+  return perCategory.flat();
+};
+
+/**
+ * Reads cached questions matching the filters, including question type
+ * @param {object} filters - { categories, difficulty, type }
+ * @returns {Promise<Array>} Matching questions
+ */
+const readFilteredQuestions = async ({ categories = [], difficulty = null, type = null } = {}) => {
+  const questions = await readMatchingQuestions({ categories, difficulty });
+  return type ? questions.filter(question => question.type === type) : questions;
+};
+
+/**
+ * Saves questions to the cache, replacing copies with the same id
+ * @param {Array} questions - Canonical questions
+ * @returns {Promise<number>} Number of questions saved
+ */
+export const cacheQuestions = async (questions) => {
+  if (!isCacheAvailable() || !questions || questions.length === 0) return 0;
+
+  try {
+    const db = await openDatabase();
+    const transaction = db.transaction(STORE_NAME, 'readwrite');
+    const store = transaction.objectStore(STORE_NAME);
+    const cachedAt = Date.now();
+
+    questions.forEach(question => {
+      store.put({ ...question, cachedAt });
+    });
+
+    await new Promise((resolve, reject) => {
+      transaction.oncomplete = resolve;
+      transaction.onerror = () => reject(transaction.error);
+      transaction.onabort = () => reject(transaction.error);
+    });
+
+    return questions.length;
+  } catch (error) {
+    console.error('Error caching questions:', error);
+    return 0;
+  }
+};
+
+/**
+ * Gets a random selection of cached questions, preferring ones not seen recently
+ * @param {object} options - { amount, categories, difficulty, type, seed, avoidSeen },
+ *   see pickFreshQuestions for seed and avoidSeen
+ * @returns {Promise<Array>} Cached questions (may be fewer than requested)
+ */
+export const getCachedQuestions = async ({
+  amount = 10,
+  categories = [],
+  difficulty = null,
+  type = null,
+  seed = null,
+  avoidSeen = true
+} = {}) => {
+  if (!isCacheAvailable()) return [];
+
+  try {
+    const questions = await readFilteredQuestions({ categories, difficulty, type });
+    return pickFreshQuestions(questions, amount, { seed, avoidSeen });
+  } catch (error) {
+    console.error('Error reading cached questions:', error);
+    return [];
+  }
+};
+
+/**
+ * Gets cached questions by id
+ * @param {Array<string>} ids - Question ids
+ * @returns {Promise<Array>} The questions found, in no particular order
+ */
+export const getCachedQuestionsById = async (ids) => {
+  if (!isCacheAvailable() || !ids || ids.length === 0) return [];
+
+  try {
+    const db = await openDatabase();
+    const store = db.transaction(STORE_NAME, 'readonly').objectStore(STORE_NAME);
+    const questions = await Promise.all(ids.map(id => promisifyRequest(store.get(String(id)))));
+    return questions.filter(Boolean);
+  } catch (error) {
+    console.error('Error reading cached questions:', error);
+    return [];
+  }
+};
+
+/**
+ * Counts cached questions matching the filters
+ * @param {object} filters - { categories, difficulty, type }
+ * @returns {Promise<number>} Number of cached questions
+ */
+export const countCachedQuestions = async ({ categories = [], difficulty = null, type = null } = {}) => {
+  if (!isCacheAvailable()) return 0;
+
+  try {
+    const questions = await readFilteredQuestions({ categories, difficulty, type });
+    return questions.length;
+  } catch (error) {
+    console.error('Error counting cached questions:', error);
+    return 0;
+  }
+};
+
+/**
+ * Removes every cached question
+ * @returns {Promise<void>}
+ */
+export const clearQuestionCache = async () => {
+  if (!isCacheAvailable()) return;
+
+  try {
+    const db = await openDatabase();
+    const store = db.transaction(STORE_NAME, 'readwrite').objectStore(STORE_NAME);
+    await promisifyRequest(store.clear());
+  } catch (error) {
+    console.error('Error clearing question cache:', error);
+  }
+};
+
+export default {
+  isCacheAvailable,
+  cacheQuestions,
+  getCachedQuestions,
+  getCachedQuestionsById,
+  countCachedQuestions,
+  clearQuestionCache
+};
@@ -0,0 +1,217 @@
+import { QUESTION_TYPES, DEFAULT_QUESTION_LANGUAGE, normalizeQuestion, validateQuestion } from './questionSchema';
+import { createPackId } from './questionPacks';
+import { shuffleArray } from './api';
+
+/**
+ * Editable drafts of pack questions, as used by the question editor
+ *
+ * {
+ *   id: 'k3x9a1',                  // id within the pack, without the source prefix
+ *   type: 'multiple',
+ *   category: 'Science',
+ *   difficulty: 'medium',
+ *   question: '...',
+ *   options: ['...'],              // ordering: listed in the correct order
+ *   correct: 0,                    // option index; list of indices for multi-select
+ *   acceptedAnswers: ['...'],      // text questions only
+ *   maxDistance: 0,                // text questions only
+ *   partialCredit: false,
+ *   explanation: '',
+ *   media: null,                   // canonical media (see questionSchema), null for none
+ *   scramble: [2, 0, 1],           // ordering: order the options are shown in when played
+ *   language: 'en',
+ *   translations: {}               // kept as imported, the editor doesn't change them
+ * }
+ */
+
+const BOOLEAN_OPTIONS = ['True', 'False'];
+
+/**
+ * Builds a shuffled display order that never matches the solved order
+ * @param {number} length - Number of options
+ * @returns {Array<number>} Option indices
+ */
+const createScramble = (length) => {
+  const identity = Array.from({ length }, (value, index) => index);
+  if (length < 2) return identity;
+
+  let scramble = shuffleArray(identity);
+  while (scramble.every((value, index) => value === index)) {
+    scramble = shuffleArray(identity);
+  }
+  return scramble;
+};
+
+/**
+ * Creates an empty draft
+ * @param {object} defaults - Field values to start from (e.g. category)
+ * @returns {object} Draft
+ */
+export const createDraft = (defaults = {}) => ({
+  id: createPackId(),
+  type: QUESTION_TYPES.multiple,
+  category: 'General Knowledge',
+  difficulty: 'medium',
+  question: '',
+  options: ['', '', '', ''],
+  correct: 0,
+  acceptedAnswers: [''],
+  maxDistance: 1,
+  partialCredit: false,
+  explanation: '',
+  media: null,
+  scramble: [],
+  language: DEFAULT_QUESTION_LANGUAGE,
+  translations: {},
+  ...defaults
+});
+
+/**
+ * Switches a draft to another question type, keeping what still applies
+ * @param {object} draft - Draft
+ * @param {string} type - New question type
+ * @returns {object} Updated draft
+ */
+export const changeDraftType = (draft, type) => {
+  let options = draft.options;
+  if (type === QUESTION_TYPES.boolean) {
+    options = BOOLEAN_OPTIONS;
+  } else if (draft.type === QUESTION_TYPES.boolean || options.length < 2) {
+    options = ['', '', '', ''];
+  }
+
+  let correct;
+  if (type === QUESTION_TYPES.multiSelect) {
+    correct = Array.isArray(draft.correct) ? draft.correct : [draft.correct].filter(index => index < options.length);
+  } else {
+    correct = Array.isArray(draft.correct) ? draft.correct[0] ?? 0 : draft.correct;
+    correct = Math.min(correct, options.length - 1);
+  }
+
+  return {
+    ...draft,
+    type,
+    options,
+    correct,
+    scramble: type === QUESTION_TYPES.ordering ? createScramble(options.length) : []
+  };
+};
+
+/**
+ * Updates a draft's option list, keeping the correct answer pointing at the same options
+ * @param {object} draft - Draft
+ * @param {Array<string>} options - New option texts
+ * @param {number} removedIndex - Index of a removed option, if one was removed
+ * @returns {object} Updated draft
+ */
+export const changeDraftOptions = (draft, options, removedIndex = null) => {
+  const shift = index => (removedIndex !== null && index > removedIndex ? index - 1 : index);
+  let correct = draft.correct;
+
+  if (Array.isArray(correct)) {
+    correct = correct.filter(index => index !== removedIndex).map(shift);
+  } else if (removedIndex !== null) {
+    correct = correct === removedIndex ? 0 : shift(correct);
+  }
+
+  return {
+    ...draft,
+    options,
+    correct,
+    scramble: draft.type === QUESTION_TYPES.ordering && options.length !== draft.options.length
+      ? createScramble(options.length)
+      : draft.scramble
+  };
+};
+
+/**
+ * Converts a canonical pack question into a draft
+ * @param {object} question - Canonical question
+ * @returns {object} Draft
+ */
+export const toDraft = (question) => {
+  const prefix = `${question.source}-`;
+  const draft = createDraft({
+    id: question.id.startsWith(prefix) ? question.id.slice(prefix.length) : question.id,
+    type: question.type,
+    category: question.category,
+    difficulty: question.difficulty,
+    question: question.question,
+    partialCredit: question.partialCredit,
+    explanation: question.explanation,
+    media: question.media || null,
+    language: question.language || DEFAULT_QUESTION_LANGUAGE,
+    translations: question.translations || {}
+  });
+
+  switch (question.type) {
+    case QUESTION_TYPES.text:
+      return { ...draft, options: [], acceptedAnswers: question.correctAnswer, maxDistance: question.maxDistance };
+    case QUESTION_TYPES.ordering:
+      return {
+        ...draft,
+        options: question.correctAnswer.map(index => question.options[index]),
+        scramble: question.options.map((option, index) => question.correctAnswer.indexOf(index))
+      };
+    default:
+      return { ...draft, options: question.options, correct: question.correctAnswer };
+  }
+};
+
+/**
+ * Converts a draft into a canonical question for a pack
+ * @param {object} draft - Draft
+ * @param {string} source - Provider id of the pack
+ * @returns {object} { question, errors } where errors is empty when the question is valid
+ */
+export const fromDraft = (draft, source) => {
+  const raw = {
+    id: draft.id,
+    type: draft.type,
+    category: draft.category.trim() || undefined,
+    difficulty: draft.difficulty,
+    question: draft.question,
+    partialCredit: draft.partialCredit,
+    explanation: draft.explanation.trim(),
+    media: draft.media,
+    language: draft.language,
+    translations: draft.translations
+  };
+
+  if (draft.type === QUESTION_TYPES.text) {
+    raw.acceptedAnswers = draft.acceptedAnswers.map(answer => answer.trim()).filter(Boolean);
+    raw.maxDistance = draft.maxDistance;
+  } else if (draft.type === QUESTION_TYPES.ordering) {
+    const scramble = draft.scramble.length === draft.options.length
+      ? draft.scramble
+      : draft.options.map((option, index) => index);
+    raw.options = scramble.map(index => draft.options[index]);
+    raw.correctAnswer = draft.options.map((option, index) => scramble.indexOf(index));
+  } else {
+    raw.options = draft.options;
+    raw.correctAnswer = draft.correct;
+  }
+
+  const question = normalizeQuestion(raw, { source });
+  return { question, errors: validateQuestion(question) };
+};
+
+/**
+ * Copies a draft under a new id
+ * @param {object} draft - Draft to copy
+ * @returns {object} New draft
+ */
+export const duplicateDraft = (draft) => ({
+  ...draft,
+  id: createPackId(),
+  question: draft.question ? `${draft.question} (copy)` : ''
+});
+
+export default {
+  createDraft,
+  changeDraftType,
+  changeDraftOptions,
+  toDraft,
+  fromDraft,
+  duplicateDraft
+};
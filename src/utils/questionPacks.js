@@ -0,0 +1,131 @@
+import { createMessageError } from './i18n.js';
+
+/**
+ * Named question packs stored in the browser
+ *
+ * {
+ *   id: 'k3x9a1',
+ *   name: 'Chemistry revision',
+ *   questions: [...],              // canonical questions, see questionSchema.js
+ *   createdAt: 1700000000000,
+ *   updatedAt: 1700000000000
+ * }
+ *
+ * Each pack is also registered as a question source (see providers.js).
+ */
+
+const PACKS_STORAGE_KEY = 'quizmaster_question_packs';
+
+const listeners = new Set();
+
+/**
+ * Creates a short random id for a pack or question
+ * @returns {string} Id
+ */
+export const createPackId = () => {
+  return `${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`;
+};
+
+/**
+ * Gets the provider id a pack is served under
+ * @param {string} packId - Pack id
+ * @returns {string} Provider id
+ */
+export const getPackSourceId = (packId) => `pack-${packId}`;
+
+/**
+ * Gets every saved pack
+ * @returns {Array} Packs, oldest first
+ */
+export const getPacks = () => {
+  try {
+    const packs = localStorage.getItem(PACKS_STORAGE_KEY);
+    return packs ? JSON.parse(packs) : [];
+  } catch (error) {
+    console.error('Error loading question packs:', error);
+    return [];
+  }
+};
+
+/**
+ * Gets a saved pack by id
+ * @param {string} packId - Pack id
+ * @returns {object|undefined} Pack
+ */
+export const getPack = (packId) => getPacks().find(pack => pack.id === packId);
+
+/**
+ * Writes the pack list and tells subscribers
+ * @param {Array} packs - Packs to store
+ */
+const writePacks = (packs) => {
+  localStorage.setItem(PACKS_STORAGE_KEY, JSON.stringify(packs));
+  listeners.forEach(listener => listener(packs));
+};
+
+/**
+ * Saves a pack, creating it when it has no id yet
+ * @param {object} pack - { id?, name, questions }
+ * @returns {object} The saved pack
+ */
+export const savePack = (pack) => {
+  const name = String(pack.name || '').trim();
+  if (!name) {
+    throw createMessageError('packs.errors.needsName');
+  }
+
+  const packs = getPacks();
+  const now = Date.now();
+  const existing = pack.id ? packs.find(item => item.id === pack.id) : null;
+
+  const saved = {
+    id: pack.id || createPackId(),
+    name,
+    questions: pack.questions || [],
+    createdAt: existing ? existing.createdAt : now,
+    updatedAt: now
+  };
+
+  try {
+    writePacks(existing
+      ? packs.map(item => (item.id === saved.id ? saved : item))
+      : [...packs, saved]);
+  } catch (error) {
+    console.error('Error saving question pack:', error);
+    throw createMessageError('packs.errors.storageFull');
+  }
+
+  return saved;
+};
+
+/**
+ * Deletes a pack
+ * @param {string} packId - Pack id
+ */
+export const deletePack = (packId) => {
+  try {
+    writePacks(getPacks().filter(pack => pack.id !== packId));
+  } catch (error) {
+    console.error('Error deleting question pack:', error);
+  }
+};
+
+/**
+ * Subscribes to pack changes
+ * @param {Function} listener - Called with the new pack list
+ * @returns {Function} Unsubscribe function
+ */
+export const subscribeToPacks = (listener) => {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+};
+
+export default {
+  createPackId,
+  getPackSourceId,
+  getPacks,
+  getPack,
+  savePack,
+  deletePack,
+  subscribeToPacks
+};
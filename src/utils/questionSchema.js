@@ -0,0 +1,793 @@
+/**
+ * Canonical question model shared by every question source
+ *
+ * {
+ *   id: 'local-1',                 // unique, stable across sessions
+ *   source: 'local',               // provider id the question came from
+ *   type: 'multiple',              // see QUESTION_TYPES
+ *   category: 'Geography',
+ *   categoryId: 22,                // Open Trivia DB category id, null when unknown
+ *   difficulty: 'easy',            // see DIFFICULTIES
+ *   question: 'What is the capital of France?',
+ *   options: ['London', 'Berlin', 'Paris', 'Madrid'],
+ *   correctAnswer: 2,              // index into options, as displayed
+ *   answerKey: 'paris',            // stable key of the correct option, survives reordering
+ *   partialCredit: false,          // award partial points (multi-select and ordering)
+ *   maxDistance: 0,                // typos tolerated in free-text answers (edit distance)
+ *   explanation: 'Paris is the capital of France.', // or { key, params } from createMessage
+ *   media: null,                   // or an image / audio clip shown with the question, see below
+ *   language: 'en',                // language the question is written in
+ *   translations: {}               // the same question in other languages, see below
+ * }
+ *
+ * The shape of correctAnswer and answerKey depends on the type:
+ * - multiple, boolean: one option index / one key
+ * - multi-select: sorted list of the correct option indices / their keys
+ * - ordering: option indices in the correct sequence / their keys in that sequence
+ * - text: no options; the accepted answers as typed / their match keys
+ *   (see createTextAnswerKey)
+ *
+ * media, when present:
+ * {
+ *   type: 'image',                 // see MEDIA_TYPES
+ *   src: 'media/flag-japan.svg',   // web address, data: URL, or a path under public/
+ *   alt: 'A red disc on white',    // required for images; describes the clip for audio
+ *   maxPlays: 2                    // audio only: times the clip may be played, null for no limit
+ * }
+ *
+ * translations, keyed by language code:
+ * {
+ *   es: {
+ *     question: '¿Cuál es la capital de Francia?',
+ *     options: ['Londres', 'Berlín', 'París', 'Madrid'], // same order as options, may be left out
+ *     explanation: 'París es la capital de Francia.',    // may be left out
+ *     acceptedAnswers: ['...']     // text questions only, may be left out
+ *   }
+ * }
+ * A translation shares the question's id, answer and media, so every
+ * language counts as the same question (see questionTranslations.js).
+ * Raw sources may also list a translated copy as a separate item with the
+ * same id and its own `language`; normalizeQuestions folds it in.
+ */
+import { createMessage, translate, translateMessage } from './i18n.js';
+
+export const QUESTION_TYPES = {
+  multiple: 'multiple',
+  boolean: 'boolean',
+  multiSelect: 'multi-select',
+  ordering: 'ordering',
+  text: 'text'
+};
+
+export const QUESTION_TYPE_LABELS = {
+  [QUESTION_TYPES.multiple]: 'Multiple Choice',
+  [QUESTION_TYPES.boolean]: 'True / False',
+  [QUESTION_TYPES.multiSelect]: 'Select All',
+  [QUESTION_TYPES.ordering]: 'Ordering',
+  [QUESTION_TYPES.text]: 'Type the Answer'
+};
+
+export const DIFFICULTIES = ['easy', 'medium', 'hard'];
+
+export const MEDIA_TYPES = {
+  image: 'image',
+  audio: 'audio'
+};
+
+const MEDIA_EXTENSIONS = {
+  [MEDIA_TYPES.image]: ['png', 'jpg', 'jpeg', 'gif', 'svg', 'webp', 'avif'],
+  [MEDIA_TYPES.audio]: ['mp3', 'ogg', 'oga', 'opus', 'wav', 'm4a', 'aac', 'flac']
+};
+
+const DEFAULT_DIFFICULTY = 'medium';
+const DEFAULT_CATEGORY = 'General Knowledge';
+export const DEFAULT_QUESTION_LANGUAGE = 'en';
+
+const LANGUAGE_CODE = /^[a-z]{2,3}(-[a-z0-9]{2,8})*$/;
+
+/**
+ * Error thrown when a set of questions contains no valid items
+ */
+export class QuestionValidationError extends Error {
+  /**
+   * @param {string|object} message - Summary message, or one from createMessage
+   * @param {Array} issues - Rejected items as { index, id, errors }
+   */
+  constructor(message, issues = []) {
+    super(translateMessage(message));
+    this.name = 'QuestionValidationError';
+    this.issues = issues;
+    if (typeof message === 'object') {
+      Object.assign(this, message);
+    }
+  }
+}
+
+/**
+ * Builds a stable key for an answer text
+ * @param {string} text - Answer text
+ * @returns {string} Lower-cased, whitespace-collapsed key
+ */
+export const createAnswerKey = (text) => {
+  return String(text).trim().replace(/\s+/g, ' ').toLowerCase();
+};
+
+/**
+ * Builds the key a typed answer is matched on: case, accents and
+ * punctuation are ignored ("São Paulo!" and "sao paulo" share a key)
+ * @param {string} text - Typed or accepted answer
+ * @returns {string} Match key
+ */
+export const createTextAnswerKey = (text) => {
+  return String(text)
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}\s]/gu, '')
+    .trim()
+    .replace(/\s+/g, ' ');
+};
+
+/**
+ * Lists the answers a free-text question accepts in any of its languages,
+ * so a typed answer counts whichever language the question was shown in.
+ * Answers sharing a match key are listed once.
+ * @param {object} question - Canonical (or localized) free-text question
+ * @param {string} language - Language whose answers come first, the question's own by default
+ * @returns {Array<string>} Accepted answers
+ */
+export const listAcceptedAnswers = (question, language = question.language) => {
+  const translations = question.translations || {};
+  const first = language === question.language
+    ? question.correctAnswer
+    : (translations[language] || {}).acceptedAnswers;
+  const keys = new Set();
+
+  return [first, question.correctAnswer, ...Object.values(translations).map(translation => translation.acceptedAnswers)]
+    .flatMap(answers => answers || [])
+    .filter(answer => {
+      const key = createTextAnswerKey(answer);
+      if (keys.has(key)) return false;
+      keys.add(key);
+      return true;
+    });
+};
+
+/**
+ * Hashes a string into a short base-36 id (djb2)
+ * @param {string} text - Text to hash
+ * @returns {string} Hash
+ */
+export const hashString = (text) => {
+  let hash = 5381;
+  for (let i = 0; i < text.length; i++) {
+    hash = ((hash << 5) + hash + text.charCodeAt(i)) >>> 0;
+  }
+  return hash.toString(36);
+};
+
+/**
+ * Finds the option matching an answer key
+ * @param {object} question - Question with options
+ * @param {string} answerKey - Answer key to look for
+ * @returns {number} Option index, or -1 when missing
+ */
+export const findAnswerIndex = (question, answerKey) => {
+  return question.options.findIndex(option => createAnswerKey(option) === answerKey);
+};
+
+/**
+ * Resolves a raw correct answer (index or option text) to an option index
+ * @param {Array} options - Option texts
+ * @param {number|string} correctAnswer - Raw correct answer
+ * @returns {number} Option index, or -1 when it can't be resolved
+ */
+const resolveCorrectIndex = (options, correctAnswer) => {
+  if (typeof correctAnswer === 'number') {
+    return Number.isInteger(correctAnswer) && correctAnswer >= 0 && correctAnswer < options.length
+      ? correctAnswer
+      : -1;
+  }
+  if (typeof correctAnswer === 'string') {
+    const key = createAnswerKey(correctAnswer);
+    return options.findIndex(option => createAnswerKey(option) === key);
+  }
+  return -1;
+};
+
+/**
+ * Resolves a raw list of correct answers (indices or option texts) to option indices
+ * @param {Array} options - Option texts
+ * @param {Array} correctAnswers - Raw correct answers
+ * @returns {Array<number>|null} Option indices, or null when any can't be resolved
+ */
+const resolveCorrectIndices = (options, correctAnswers) => {
+  if (!Array.isArray(correctAnswers)) return null;
+
+  const indices = correctAnswers.map(answer => resolveCorrectIndex(options, answer));
+  return indices.includes(-1) ? null : indices;
+};
+
+/**
+ * Resolves a raw correct answer into its canonical form for the question type
+ * @param {string} type - Question type
+ * @param {Array} options - Option texts
+ * @param {*} correctAnswer - Raw correct answer
+ * @returns {object} { correctAnswer, answerKey }, answerKey is null when unresolved
+ */
+const resolveAnswer = (type, options, correctAnswer) => {
+  const keyOf = index => createAnswerKey(options[index]);
+
+  if (type === QUESTION_TYPES.text) {
+    const accepted = (Array.isArray(correctAnswer) ? correctAnswer : [correctAnswer])
+      .filter(answer => answer !== undefined && answer !== null)
+      .map(answer => String(answer).trim());
+    return { correctAnswer: accepted, answerKey: accepted.map(createTextAnswerKey) };
+  }
+
+  if (type === QUESTION_TYPES.multiSelect) {
+    const indices = resolveCorrectIndices(options, correctAnswer);
+    if (!indices) return { correctAnswer, answerKey: null };
+
+    const sorted = [...indices].sort((a, b) => a - b);
+    return { correctAnswer: sorted, answerKey: sorted.map(keyOf) };
+  }
+
+  if (type === QUESTION_TYPES.ordering) {
+    // Without an explicit answer the options are taken to be listed in the correct order
+    const indices = correctAnswer === undefined
+      ? options.map((option, index) => index)
+      : resolveCorrectIndices(options, correctAnswer);
+    if (!indices) return { correctAnswer, answerKey: null };
+
+    return { correctAnswer: indices, answerKey: indices.map(keyOf) };
+  }
+
+  const index = resolveCorrectIndex(options, correctAnswer);
+  return index === -1
+    ? { correctAnswer, answerKey: null }
+    : { correctAnswer: index, answerKey: keyOf(index) };
+};
+
+/**
+ * Guesses the question type when a source doesn't say
+ * @param {Array} options - Option texts
+ * @returns {string} Question type
+ */
+const inferType = (options, correctAnswer) => {
+  if (Array.isArray(correctAnswer)) {
+    return QUESTION_TYPES.multiSelect;
+  }
+
+  const keys = options.map(createAnswerKey).sort();
+  return keys.length === 2 && keys[0] === 'false' && keys[1] === 'true'
+    ? QUESTION_TYPES.boolean
+    : QUESTION_TYPES.multiple;
+};
+
+/**
+ * Guesses the media type from a data: URL's MIME type or a file extension
+ * @param {string} src - Media source
+ * @returns {string|null} Media type, null when it can't be told
+ */
+export const inferMediaType = (src) => {
+  if (typeof src !== 'string') return null;
+
+  const dataType = /^data:(image|audio)\//i.exec(src);
+  if (dataType) return dataType[1].toLowerCase();
+
+  const extension = (/\.([a-z0-9]+)(?:[?#].*)?$/i.exec(src) || [])[1];
+  if (!extension) return null;
+
+  const match = Object.entries(MEDIA_EXTENSIONS)
+    .find(([, extensions]) => extensions.includes(extension.toLowerCase()));
+  return match ? match[0] : null;
+};
+
+/**
+ * Converts raw media (an object, or just its source) into the canonical form
+ * @param {*} raw - Raw media
+ * @returns {object|null} Canonical media, null when the question has none
+ */
+const normalizeMedia = (raw) => {
+  if (raw === undefined || raw === null || raw === '') return null;
+
+  const media = typeof raw === 'string' ? { src: raw } : raw;
+  if (typeof media !== 'object') return raw;
+
+  const src = typeof media.src === 'string' ? media.src.trim() : media.src;
+  return {
+    type: media.type ? String(media.type).toLowerCase() : inferMediaType(src),
+    src,
+    alt: typeof media.alt === 'string' ? media.alt.trim() : media.alt ?? '',
+    maxPlays: media.maxPlays ?? null
+  };
+};
+
+/**
+ * Reads a language code, lower-cased
+ * @param {*} language - Raw language code
+ * @returns {string|null} Language code, null when missing
+ */
+const normalizeLanguage = (language) => {
+  return typeof language === 'string' && language.trim() ? language.trim().toLowerCase() : null;
+};
+
+/**
+ * Converts raw translations into the canonical form
+ * @param {*} raw - Raw translations, keyed by language code
+ * @param {string} type - Question type
+ * @returns {object} Canonical translations
+ */
+const normalizeTranslations = (raw, type) => {
+  if (raw === undefined || raw === null) return {};
+  if (typeof raw !== 'object' || Array.isArray(raw)) return raw;
+
+  const trim = value => (typeof value === 'string' ? value.trim() : value);
+
+  return Object.fromEntries(Object.entries(raw).map(([language, translation]) => {
+    const code = normalizeLanguage(language) || language;
+    if (!translation || typeof translation !== 'object') return [code, translation];
+
+    const normalized = { question: trim(translation.question) };
+    if (type === QUESTION_TYPES.text) {
+      const accepted = translation.acceptedAnswers ?? translation.correctAnswer;
+      if (accepted !== undefined) {
+        normalized.acceptedAnswers = (Array.isArray(accepted) ? accepted : [accepted]).map(trim);
+      }
+    } else if (translation.options !== undefined) {
+      normalized.options = Array.isArray(translation.options) ? translation.options.map(trim) : translation.options;
+    }
+    if (translation.explanation) {
+      normalized.explanation = trim(translation.explanation);
+    }
+
+    return [code, normalized];
+  }));
+};
+
+/**
+ * Checks a question's translations against the question itself
+ * @param {object} question - Canonical question
+ * @returns {Array<object>} Problems found
+ */
+const validateTranslations = (question) => {
+  const { translations, language } = question;
+
+  if (typeof language !== 'string' || !LANGUAGE_CODE.test(language)) {
+    return [createMessage('validation.language', { language })];
+  }
+  if (!translations || typeof translations !== 'object' || Array.isArray(translations)) {
+    return [createMessage('validation.translationsObject')];
+  }
+
+  const errors = [];
+
+  Object.entries(translations).forEach(([code, translation]) => {
+    if (!LANGUAGE_CODE.test(code)) {
+      errors.push(createMessage('validation.translation.code', { language: code }));
+      return;
+    }
+    if (code === language) {
+      errors.push(createMessage('validation.translation.ownLanguage', { language: code }));
+      return;
+    }
+    if (!translation || typeof translation !== 'object') {
+      errors.push(createMessage('validation.translation.object', { language: code }));
+      return;
+    }
+
+    if (typeof translation.question !== 'string' || !translation.question) {
+      errors.push(createMessage('validation.translation.questionText', { language: code }));
+    }
+    if (translation.explanation !== undefined && typeof translation.explanation !== 'string') {
+      errors.push(createMessage('validation.translation.explanation', { language: code }));
+    }
+
+    if (question.type === QUESTION_TYPES.text) {
+      const { acceptedAnswers } = translation;
+      if (acceptedAnswers !== undefined && (
+        !Array.isArray(acceptedAnswers) || acceptedAnswers.length === 0
+        || acceptedAnswers.some(answer => typeof answer !== 'string' || !createTextAnswerKey(answer))
+      )) {
+        errors.push(createMessage('validation.translation.acceptedAnswers', { language: code }));
+      }
+      return;
+    }
+
+    const { options } = translation;
+    if (options === undefined) return;
+
+    if (!Array.isArray(options) || options.length !== (question.options || []).length) {
+      errors.push(createMessage('validation.translation.optionCount', { language: code }));
+    } else if (options.some(option => typeof option !== 'string' || !option)) {
+      errors.push(createMessage('validation.translation.optionText', { language: code }));
+    } else if (new Set(options.map(createAnswerKey)).size !== options.length) {
+      errors.push(createMessage('validation.translation.uniqueOptions', { language: code }));
+    }
+  });
+
+  return errors;
+};
+
+/**
+ * Checks a question's media
+ * @param {object|null} media - Canonical media
+ * @returns {Array<object>} Problems found
+ */
+const validateMedia = (media) => {
+  if (media === null || media === undefined) return [];
+  if (typeof media !== 'object') return [createMessage('validation.media.object')];
+
+  const errors = [];
+  const { type, src, alt, maxPlays } = media;
+
+  if (!Object.values(MEDIA_TYPES).includes(type)) {
+    errors.push(createMessage('validation.media.type', { types: Object.values(MEDIA_TYPES).join(', ') }));
+  }
+
+  if (typeof src !== 'string' || !src) {
+    errors.push(createMessage('validation.media.source'));
+  } else if (/^[a-z][a-z0-9+.-]*:/i.test(src) && !/^(https?:|data:(image|audio)\/|blob:)/i.test(src)) {
+    // Other schemes (javascript: and friends) are never loaded
+    errors.push(createMessage('validation.media.scheme'));
+  } else if (/^data:/i.test(src) && inferMediaType(src) !== type) {
+    errors.push(createMessage(type === MEDIA_TYPES.audio ? 'validation.media.notAudio' : 'validation.media.notImage'));
+  }
+
+  if (typeof alt !== 'string') {
+    errors.push(createMessage('validation.media.altText'));
+  } else if (type === MEDIA_TYPES.image && !alt) {
+    errors.push(createMessage('validation.media.altRequired'));
+  }
+
+  if (maxPlays !== null && (!Number.isInteger(maxPlays) || maxPlays < 1)) {
+    errors.push(createMessage('validation.media.maxPlays'));
+  }
+
+  return errors;
+};
+
+/**
+ * Checks the accepted answers and typo threshold of a free-text question
+ * @param {object} question - Canonical question
+ * @returns {Array<object>} Problems found
+ */
+const validateTextAnswer = (question) => {
+  const errors = [];
+  const { correctAnswer, maxDistance } = question;
+
+  if (!Array.isArray(question.options) || question.options.length > 0) {
+    errors.push(createMessage('validation.textOptions'));
+  }
+
+  if (!Array.isArray(correctAnswer) || correctAnswer.length === 0) {
+    errors.push(createMessage('validation.acceptedAnswersRequired'));
+  } else {
+    const keys = correctAnswer.map(answer => (typeof answer === 'string' ? createTextAnswerKey(answer) : ''));
+    if (keys.some(key => !key)) {
+      errors.push(createMessage('validation.acceptedAnswers'));
+    } else if (!Array.isArray(question.answerKey) || question.answerKey.join('\u0000') !== keys.join('\u0000')) {
+      errors.push(createMessage('validation.textAnswerKey'));
+    }
+  }
+
+  if (!Number.isInteger(maxDistance) || maxDistance < 0) {
+    errors.push(createMessage('validation.maxDistance'));
+  }
+
+  return errors;
+};
+
+/**
+ * Checks the correct answer against the rules for the question type
+ * @param {object} question - Canonical question
+ * @param {Array<string>} keys - Answer keys of the options
+ * @returns {Array<object>} Problems found
+ */
+const validateAnswer = (question, keys) => {
+  const { type, correctAnswer, options } = question;
+  const isIndex = value => Number.isInteger(value) && value >= 0 && value < options.length;
+
+  if (type === QUESTION_TYPES.multiSelect || type === QUESTION_TYPES.ordering) {
+    if (!Array.isArray(correctAnswer) || !correctAnswer.every(isIndex)) {
+      return [createMessage('validation.correctAnswersOptions')];
+    }
+    if (new Set(correctAnswer).size !== correctAnswer.length) {
+      return [createMessage('validation.correctAnswersRepeat')];
+    }
+    if (type === QUESTION_TYPES.multiSelect && correctAnswer.length === 0) {
+      return [createMessage('validation.multiSelectAnswer')];
+    }
+    if (type === QUESTION_TYPES.ordering && correctAnswer.length !== options.length) {
+      return [createMessage('validation.orderingAnswer')];
+    }
+    const expectedKey = correctAnswer.map(index => keys[index]);
+    if (!Array.isArray(question.answerKey) || question.answerKey.join('\u0000') !== expectedKey.join('\u0000')) {
+      return [createMessage('validation.answerKeys')];
+    }
+    return [];
+  }
+
+  if (!isIndex(correctAnswer)) {
+    return [createMessage('validation.correctAnswer')];
+  }
+  if (question.answerKey !== keys[correctAnswer]) {
+    return [createMessage('validation.answerKey')];
+  }
+  return [];
+};
+
+/**
+ * Checks a canonical question
+ * @param {object} question - Question to check
+ * @returns {Array<object>} Problems found as messages (see createMessage in
+ *   i18n), empty when valid
+ */
+export const validateQuestion = (question) => {
+  const errors = [];
+
+  if (!question || typeof question !== 'object') {
+    return [createMessage('validation.object')];
+  }
+
+  if (!question.id) {
+    errors.push(createMessage('validation.id'));
+  }
+
+  if (typeof question.question !== 'string' || !question.question.trim()) {
+    errors.push(createMessage('validation.questionText'));
+  }
+
+  if (!Object.values(QUESTION_TYPES).includes(question.type)) {
+    errors.push(createMessage('validation.type', { type: question.type }));
+  }
+
+  if (!DIFFICULTIES.includes(question.difficulty)) {
+    errors.push(createMessage('validation.difficulty', { difficulties: DIFFICULTIES.join(', '), difficulty: question.difficulty }));
+  }
+
+  // Sources may explain with a message key, e.g. Open Trivia DB's "The correct answer is"
+  const isMessage = !!question.explanation && typeof question.explanation.key === 'string';
+  if (question.explanation !== undefined && typeof question.explanation !== 'string' && !isMessage) {
+    errors.push(createMessage('validation.explanation'));
+  }
+
+  errors.push(...validateMedia(question.media));
+  errors.push(...validateTranslations(question));
+
+  if (question.type === QUESTION_TYPES.text) {
+    errors.push(...validateTextAnswer(question));
+    return errors;
+  }
+
+  if (!Array.isArray(question.options)) {
+    errors.push(createMessage('validation.optionsList'));
+    return errors;
+  }
+
+  if (question.options.some(option => typeof option !== 'string' || !option.trim())) {
+    errors.push(createMessage('validation.optionText'));
+  }
+
+  if (question.options.length < 2) {
+    errors.push(createMessage('validation.optionCount'));
+  }
+
+  if (question.type === QUESTION_TYPES.boolean && question.options.length !== 2) {
+    errors.push(createMessage('validation.booleanOptions'));
+  }
+
+  const keys = question.options.map(createAnswerKey);
+  if (new Set(keys).size !== keys.length) {
+    errors.push(createMessage('validation.uniqueOptions'));
+  }
+
+  errors.push(...validateAnswer(question, keys));
+
+  if (question.partialCredit !== undefined && typeof question.partialCredit !== 'boolean') {
+    errors.push(createMessage('validation.partialCredit'));
+  }
+
+  return errors;
+};
+
+/**
+ * Converts a raw question from any source into the canonical model.
+ * Accepts correct answers as option indices or as option texts, and
+ * free-text answers as `acceptedAnswers` (or a `correctAnswer` text or list).
+ * Questions without a `language` are taken to be in English.
+ * @param {object} raw - Raw question
+ * @param {object} options - { source } provider id used to namespace ids
+ * @returns {object} Canonical question (not yet validated)
+ */
+export const normalizeQuestion = (raw, { source: defaultSource = 'unknown' } = {}) => {
+  // Questions re-served from a cache or pack keep the source they came from
+  const source = raw.source || defaultSource;
+  // Free-text questions have no options, so raw items may leave them out
+  const isText = raw.type === QUESTION_TYPES.text || (!raw.type && raw.acceptedAnswers !== undefined);
+  const rawOptions = isText ? raw.options ?? [] : raw.options;
+  const options = Array.isArray(rawOptions)
+    ? rawOptions.map(option => (typeof option === 'string' ? option.trim() : option))
+    : rawOptions;
+  const optionList = Array.isArray(options) ? options : [];
+  const type = raw.type || (isText ? QUESTION_TYPES.text : inferType(optionList, raw.correctAnswer));
+  const rawAnswer = isText ? raw.acceptedAnswers ?? raw.correctAnswer : raw.correctAnswer;
+  const { correctAnswer, answerKey } = resolveAnswer(type, optionList, rawAnswer);
+  const questionText = typeof raw.question === 'string' ? raw.question.trim() : raw.question;
+
+  // Sources without ids get one derived from the question text, so it stays stable
+  const rawId = raw.id !== undefined && raw.id !== null && raw.id !== ''
+    ? String(raw.id)
+    : hashString(String(questionText || ''));
+  const id = rawId.startsWith(`${source}-`) ? rawId : `${source}-${rawId}`;
+
+  return {
+    id,
+    source,
+    type,
+    category: raw.category || DEFAULT_CATEGORY,
+    categoryId: raw.categoryId ?? null,
+    difficulty: raw.difficulty ? String(raw.difficulty).toLowerCase() : DEFAULT_DIFFICULTY,
+    question: questionText,
+    options,
+    correctAnswer,
+    answerKey,
+    partialCredit: raw.partialCredit ?? false,
+    maxDistance: raw.maxDistance ?? 0,
+    explanation: raw.explanation || '',
+    media: normalizeMedia(raw.media),
+    language: normalizeLanguage(raw.language) || DEFAULT_QUESTION_LANGUAGE,
+    translations: normalizeTranslations(raw.translations, type)
+  };
+};
+
+/**
+ * Turns a translated copy of a question (same id, another language) into
+ * a translation of the original
+ * @param {object} original - Canonical question the copy belongs to
+ * @param {object} copy - Canonical translated copy
+ * @returns {object} { translation, errors }
+ */
+const toTranslation = (original, copy) => {
+  if (copy.type !== original.type) {
+    return { translation: null, errors: [createMessage('validation.translation.type', { language: copy.language })] };
+  }
+
+  const translation = { question: copy.question };
+  if (copy.type === QUESTION_TYPES.text) {
+    translation.acceptedAnswers = copy.correctAnswer;
+  } else {
+    // Options are matched by position, so the answer has to sit in the same place
+    if (JSON.stringify(copy.correctAnswer) !== JSON.stringify(original.correctAnswer)) {
+      return { translation: null, errors: [createMessage('validation.translation.order', { language: copy.language })] };
+    }
+    translation.options = copy.options;
+  }
+  if (copy.explanation) {
+    translation.explanation = copy.explanation;
+  }
+
+  return { translation, errors: [] };
+};
+
+/**
+ * Adds the languages of another copy of a question to it: the copy's own
+ * language and any translations it carries. Languages the question already
+ * has a translation for are replaced, its own language is left alone.
+ * @param {object} original - Canonical question
+ * @param {object} copy - Canonical question with the same id
+ * @returns {object} { question, languages, errors } where languages lists
+ *   the languages added or changed; question is unchanged when errors is not empty
+ */
+export const mergeTranslations = (original, copy) => {
+  const incoming = { ...copy.translations };
+
+  if (copy.language !== original.language) {
+    const { translation, errors } = toTranslation(original, copy);
+    if (!translation) {
+      return { question: original, languages: [], errors };
+    }
+    incoming[copy.language] = translation;
+  }
+  delete incoming[original.language];
+  Object.keys(incoming).forEach(language => {
+    if (JSON.stringify(incoming[language]) === JSON.stringify(original.translations[language])) {
+      delete incoming[language];
+    }
+  });
+
+  const merged = { ...original, translations: { ...original.translations, ...incoming } };
+  const errors = validateTranslations(merged);
+
+  return errors.length > 0
+    ? { question: original, languages: [], errors }
+    : { question: merged, languages: Object.keys(incoming), errors: [] };
+};
+
+/**
+ * Normalizes and validates a list of raw questions, dropping malformed items
+ * @param {Array} rawQuestions - Raw questions
+ * @param {object} options - { source } provider id
+ * @returns {object} { questions, rejected } where rejected holds { index, id, errors }
+ */
+export const normalizeQuestions = (rawQuestions, { source = 'unknown' } = {}) => {
+  const questions = [];
+  const rejected = [];
+  const positions = new Map(); // question id -> index in questions
+
+  (rawQuestions || []).forEach((raw, index) => {
+    if (!raw || typeof raw !== 'object') {
+      rejected.push({ index, id: null, errors: [createMessage('validation.object')] });
+      return;
+    }
+
+    const question = normalizeQuestion(raw, { source });
+    const errors = validateQuestion(question);
+
+    if (errors.length > 0) {
+      rejected.push({ index, id: question.id, errors });
+      return;
+    }
+
+    if (positions.has(question.id)) {
+      // Another item with this id is a translated copy, unless it is in the same language
+      const original = questions[positions.get(question.id)];
+
+      if (question.language === original.language) {
+        rejected.push({ index, id: question.id, errors: [createMessage('validation.duplicateId', { id: question.id })] });
+        return;
+      }
+      if (original.translations[question.language]) {
+        rejected.push({ index, id: question.id, errors: [createMessage('validation.translation.twice', { language: question.language })] });
+        return;
+      }
+
+      const merged = mergeTranslations(original, question);
+      if (merged.errors.length > 0) {
+        rejected.push({ index, id: question.id, errors: merged.errors });
+        return;
+      }
+
+      questions[positions.get(question.id)] = merged.question;
+      return;
+    }
+
+    positions.set(question.id, questions.length);
+    questions.push(question);
+  });
+
+  return { questions, rejected };
+};
+
+/**
+ * Formats a rejected item for logs and UI messages
+ * @param {object} issue - Rejected item ({ index, id, errors }, plus location for imported files)
+ * @returns {string} Description in the active language
+ */
+export const describeIssue = (issue) => {
+  const position = issue.location
+    ? translateMessage(issue.location)
+    : translate('validation.location.question', { number: issue.index + 1 });
+  const label = issue.id ? `${position} (${issue.id})` : position;
+  return `${label}: ${issue.errors.map(translateMessage).join('; ')}`;
+};
+
+export default {
+  QUESTION_TYPES,
+  QUESTION_TYPE_LABELS,
+  DIFFICULTIES,
+  MEDIA_TYPES,
+  DEFAULT_QUESTION_LANGUAGE,
+  QuestionValidationError,
+  createAnswerKey,
+  createTextAnswerKey,
+  listAcceptedAnswers,
+  findAnswerIndex,
+  inferMediaType,
+  validateQuestion,
+  normalizeQuestion,
+  normalizeQuestions,
+  mergeTranslations,
+  describeIssue
+};
@@ -0,0 +1,101 @@
+import {
+  QUESTION_TYPES,
+  DEFAULT_QUESTION_LANGUAGE,
+  createAnswerKey,
+  createTextAnswerKey,
+  listAcceptedAnswers
+} from './questionSchema.js';
+
+/**
+ * Serving questions in the player's language
+ *
+ * A question holds its translations under one id (see questionSchema.js),
+ * so scoring, the seen log and stats treat every language as the same
+ * question. localizeQuestion swaps in the translated text just before the
+ * question is shown; options keep their positions, so answers stay valid
+ * when the language changes mid-quiz. Typed answers are accepted in every
+ * language the question has.
+ */
+
+/**
+ * Lists the languages a question can be shown in
+ * @param {object} question - Canonical question
+ * @returns {Array<string>} Language codes, the question's own language first
+ */
+export const listQuestionLanguages = (question) => {
+  return [question.language || DEFAULT_QUESTION_LANGUAGE, ...Object.keys(question.translations || {})];
+};
+
+/**
+ * Picks the language to show a question in: the requested language (or
+ * another variant of it, "pt-br" for "pt"), else English, else the
+ * language the question was written in
+ * @param {object} question - Canonical question
+ * @param {string} locale - Requested language code
+ * @returns {string} Language code
+ */
+export const pickQuestionLanguage = (question, locale) => {
+  const languages = listQuestionLanguages(question);
+  const baseOf = code => String(code).toLowerCase().split('-')[0];
+
+  const find = (code) => {
+    const wanted = String(code).toLowerCase();
+    return languages.find(language => language === wanted)
+      || languages.find(language => baseOf(language) === baseOf(wanted));
+  };
+
+  return find(locale) || find(DEFAULT_QUESTION_LANGUAGE) || languages[0];
+};
+
+/**
+ * Gives a question the text of the best available language
+ * @param {object} question - Canonical question
+ * @param {string} locale - Requested language code
+ * @returns {object} Question in that language, the same object when no translation is needed
+ */
+export const localizeQuestion = (question, locale) => {
+  const language = pickQuestionLanguage(question, locale);
+  const isText = question.type === QUESTION_TYPES.text;
+  const isOwnLanguage = language === (question.language || DEFAULT_QUESTION_LANGUAGE);
+  if (isOwnLanguage && !(isText && Object.keys(question.translations || {}).length > 0)) return question;
+
+  const translation = question.translations[language];
+  const localized = isOwnLanguage ? { ...question } : {
+    ...question,
+    language,
+    question: translation.question,
+    explanation: translation.explanation || question.explanation
+  };
+
+  if (isText) {
+    // The shown language's answers come first, then those of the others
+    localized.correctAnswer = listAcceptedAnswers(question, language);
+    localized.answerKey = localized.correctAnswer.map(createTextAnswerKey);
+    return localized;
+  }
+
+  if (translation.options) {
+    localized.options = translation.options;
+    localized.answerKey = Array.isArray(question.correctAnswer)
+      ? question.correctAnswer.map(index => createAnswerKey(translation.options[index]))
+      : createAnswerKey(translation.options[question.correctAnswer]);
+  }
+  return localized;
+};
+
+/**
+ * Localizes a list of questions
+ * @param {Array} questions - Canonical questions
+ * @param {string} locale - Requested language code
+ * @returns {Array} Questions in the best available language
+ */
+export const localizeQuestions = (questions, locale) => {
+  return questions.map(question => localizeQuestion(question, locale));
+};
+
+export default {
+  listQuestionLanguages,
+  pickQuestionLanguage,
+  localizeQuestion,
+  localizeQuestions
+};
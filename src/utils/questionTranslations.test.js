@@ -0,0 +1,75 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { localizeQuestion, pickQuestionLanguage } from './questionTranslations.js';
+import { matchTextAnswer, scoreAnswer } from './scoring.js';
+
+const capital = {
+  id: 'local-capital-germany',
+  type: 'text',
+  language: 'en',
+  question: 'What is the capital of Germany?',
+  correctAnswer: ['Berlin'],
+  answerKey: ['berlin'],
+  maxDistance: 1,
+  explanation: 'Berlin has been the capital since 1990.',
+  translations: {
+    es: { question: '¿Cuál es la capital de Alemania?', acceptedAnswers: ['Berlín'] },
+    de: { question: 'Was ist die Hauptstadt von Deutschland?', acceptedAnswers: ['Hauptstadt Berlin'] }
+  }
+};
+
+const france = {
+  id: 'local-capital-france',
+  type: 'multiple',
+  language: 'en',
+  question: 'What is the capital of France?',
+  options: ['London', 'Paris'],
+  correctAnswer: 1,
+  answerKey: 'paris',
+  translations: {
+    es: { question: '¿Cuál es la capital de Francia?', options: ['Londres', 'París'] }
+  }
+};
+
+describe('pickQuestionLanguage', () => {
+  it('falls back from a regional variant, then to English', () => {
+    assert.equal(pickQuestionLanguage(capital, 'es-MX'), 'es');
+    assert.equal(pickQuestionLanguage(capital, 'he'), 'en');
+  });
+});
+
+describe('localizeQuestion', () => {
+  it('shows a translation with its own answers first and every other language\'s after', () => {
+    const spanish = localizeQuestion(capital, 'es');
+
+    assert.equal(spanish.language, 'es');
+    assert.equal(spanish.question, '¿Cuál es la capital de Alemania?');
+    assert.equal(spanish.explanation, capital.explanation);
+    assert.deepEqual(spanish.correctAnswer, ['Berlín', 'Hauptstadt Berlin']);
+    assert.deepEqual(spanish.answerKey, ['berlin', 'hauptstadt berlin']);
+  });
+
+  it('merges the translations\' answers in the question\'s own language too', () => {
+    const english = localizeQuestion(capital, 'en');
+
+    assert.equal(english.question, capital.question);
+    assert.deepEqual(english.correctAnswer, ['Berlin', 'Hauptstadt Berlin']);
+  });
+
+  it('agrees with the score on which typed answers are right', () => {
+    ['en', 'es', 'de'].forEach(locale => {
+      const shown = localizeQuestion(capital, locale);
+      ['Berlin', 'berlín', 'Berlim', 'hauptstadt berlin', 'Bonn'].forEach(answer => {
+        assert.equal(matchTextAnswer(shown, answer) !== -1, scoreAnswer(capital, answer).isCorrect, `${locale}: ${answer}`);
+      });
+    });
+  });
+
+  it('translates options in place and leaves untranslated questions alone', () => {
+    const spanish = localizeQuestion(france, 'es');
+
+    assert.deepEqual(spanish.options, ['Londres', 'París']);
+    assert.equal(spanish.correctAnswer, 1);
+    assert.equal(localizeQuestion(france, 'en'), france);
+  });
+});
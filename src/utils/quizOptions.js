@@ -0,0 +1,202 @@
+import { DEFAULT_PROVIDER_ID, resolveProvider } from './providers.js';
+import { QUESTION_TYPES } from './questionSchema.js';
+import { normalizeSeed } from './random.js';
+
+/**
+ * Quiz options as passed between pages in navigation state
+ *
+ * {
+ *   source: 'opentdb',             // question provider id
+ *   questionCount: 10,
+ *   difficulty: 'mixed',           // or 'easy', 'medium', 'hard'
+ *   questionType: 'multiple',      // a QUESTION_TYPES value, or 'mixed'
+ *   categories: [9, 22],           // category ids, empty for any category
+ *   timeLimit: 30,                 // seconds per question
+ *   pauseLimit: 3,                 // pauses allowed, null for no limit, 0 for none
+ *   exam: true,                    // no pauses, and the quiz can't be resumed after a reload (optional)
+ *   seed: 'k3mq8zta',              // deals a repeatable quiz (optional), see utils/random
+ *   questionIds: ['12', '40']      // plays exactly these questions, in order (optional)
+ * }
+ *
+ * The same options can travel in the /quiz URL (see toQuizSearch), so a quiz
+ * survives a refresh and can be shared as a challenge link:
+ *
+ *   /quiz?source=local&count=10&difficulty=easy&type=multiple&category=9&category=22&time=30&pauses=3&exam=1&seed=k3mq8zta&q=12&q=40
+ */
+
+const DIFFICULTIES = ['easy', 'medium', 'hard', 'mixed'];
+const MAX_QUESTION_COUNT = 500;
+const MAX_TIME_LIMIT = 600; // seconds
+const MAX_PAUSE_LIMIT = 99;
+const MAX_LINKED_QUESTIONS = 200; // keeps challenge links a sane length
+
+export const DEFAULT_QUIZ_OPTIONS = {
+  difficulty: 'mixed',
+  questionCount: 10,
+  timeLimit: 30,
+  pauseLimit: null,
+  source: DEFAULT_PROVIDER_ID
+};
+
+// Pause allowances offered in Custom Quiz settings
+export const PAUSE_LIMIT_OPTIONS = [null, 3, 1, 0];
+
+/**
+ * Gets the categories of a set of quiz options
+ * @param {object} quizOptions - Quiz options
+ * @returns {Array} Category ids, empty for any category
+ */
+export const getQuizCategories = (quizOptions) => {
+  // Older links pass a single category
+  return quizOptions.categories || (quizOptions.category ? [quizOptions.category] : []);
+};
+
+/**
+ * Converts quiz options into the load options providers and useQuiz take
+ * @param {object} quizOptions - Quiz options
+ * @returns {object} { source, amount, categories, difficulty, type, seed, questionIds }
+ */
+export const toLoadOptions = (quizOptions) => ({
+  source: quizOptions.source || DEFAULT_PROVIDER_ID,
+  amount: quizOptions.questionCount || DEFAULT_QUIZ_OPTIONS.questionCount,
+  categories: getQuizCategories(quizOptions),
+  difficulty: !quizOptions.difficulty || quizOptions.difficulty === 'mixed' ? null : quizOptions.difficulty,
+  type: quizOptions.questionType === 'mixed' ? null : (quizOptions.questionType || 'multiple'),
+  seed: normalizeSeed(quizOptions.seed),
+  questionIds: quizOptions.questionIds && quizOptions.questionIds.length > 0 ? quizOptions.questionIds : null
+});
+
+/**
+ * Parses a whole number URL parameter
+ * @param {string|null} value - Parameter value
+ * @param {number} max - Largest value accepted
+ * @returns {number|null} Number, null when missing or out of range
+ */
+const parseCount = (value, max) => {
+  if (value === null || !/^\d+$/.test(value.trim())) return null;
+  const number = Number(value);
+  return number >= 1 && number <= max ? number : null;
+};
+
+/**
+ * Encodes quiz options as URL query parameters
+ * @param {object} quizOptions - Quiz options
+ * @returns {string} Query string without the leading "?"
+ */
+export const toQuizSearch = (quizOptions) => {
+  const params = new URLSearchParams();
+  const { source, questionCount, difficulty, questionType, timeLimit, pauseLimit, exam, seed, questionIds } = quizOptions;
+
+  if (source) params.set('source', source);
+  if (questionCount) params.set('count', String(questionCount));
+  if (difficulty) params.set('difficulty', difficulty);
+  if (questionType) params.set('type', questionType);
+  getQuizCategories(quizOptions).forEach(category => params.append('category', String(category)));
+  if (timeLimit) params.set('time', String(timeLimit));
+  if (typeof pauseLimit === 'number') params.set('pauses', String(pauseLimit));
+  if (exam) params.set('exam', '1');
+  if (normalizeSeed(seed)) params.set('seed', normalizeSeed(seed));
+  (questionIds || []).slice(0, MAX_LINKED_QUESTIONS).forEach(id => params.append('q', String(id)));
+
+  return params.toString();
+};
+
+/**
+ * Reads quiz options from URL query parameters, dropping any that are malformed
+ * @param {string} search - Query string, with or without the leading "?"
+ * @returns {object} Quiz options found in the URL (only the ones present)
+ */
+export const fromQuizSearch = (search) => {
+  const params = new URLSearchParams(search);
+  const options = {};
+
+  const source = params.get('source');
+  if (source && source.trim()) options.source = source.trim();
+
+  const questionCount = parseCount(params.get('count'), MAX_QUESTION_COUNT);
+  if (questionCount) options.questionCount = questionCount;
+
+  const difficulty = params.get('difficulty');
+  if (DIFFICULTIES.includes(difficulty)) options.difficulty = difficulty;
+
+  const questionType = params.get('type');
+  if (questionType === 'mixed' || Object.values(QUESTION_TYPES).includes(questionType)) {
+    options.questionType = questionType;
+  }
+
+  // Open Trivia DB categories are numbers, the rest are names
+  const categories = params.getAll('category')
+    .map(category => category.trim())
+    .filter(Boolean)
+    .map(category => (/^\d+$/.test(category) ? Number(category) : category));
+  if (categories.length > 0) options.categories = Array.from(new Set(categories));
+
+  const timeLimit = parseCount(params.get('time'), MAX_TIME_LIMIT);
+  if (timeLimit) options.timeLimit = timeLimit;
+
+  // No pauses parameter means no limit; 0 means the quiz can't be paused
+  const pauses = params.get('pauses');
+  if (pauses !== null && /^\d+$/.test(pauses.trim()) && Number(pauses) <= MAX_PAUSE_LIMIT) {
+    options.pauseLimit = Number(pauses);
+  }
+
+  if (params.get('exam') === '1') options.exam = true;
+
+  const seed = normalizeSeed(params.get('seed'));
+  if (seed) options.seed = seed;
+
+  const questionIds = Array.from(new Set(params.getAll('q').map(id => id.trim()).filter(Boolean)))
+    .slice(0, MAX_LINKED_QUESTIONS);
+  if (questionIds.length > 0) options.questionIds = questionIds;
+
+  return options;
+};
+
+/**
+ * Gets the quiz page path for a set of quiz options
+ * @param {object} quizOptions - Quiz options
+ * @returns {string} Path with query string
+ */
+export const getQuizPath = (quizOptions) => {
+  const search = toQuizSearch(quizOptions);
+  return search ? `/quiz?${search}` : '/quiz';
+};
+
+/**
+ * Checks whether a challenge link can deal someone else the same quiz. Open
+ * Trivia DB picks its own questions and another browser could only look them
+ * up in its own offline cache, and question packs live in this browser's
+ * storage, so quizzes from them (or from saved questions) can't be shared.
+ * @param {object} quizOptions - Quiz options
+ * @returns {boolean} True when the quiz can be shared
+ */
+export const canShareQuiz = (quizOptions) => !resolveProvider(quizOptions.source).capabilities.privateQuestions;
+
+/**
+ * Builds a link that deals someone else the same quiz
+ * @param {object} quizOptions - Quiz options
+ * @param {object} quiz - { seed, questions } of the quiz as it was dealt
+ * @returns {string} Absolute URL
+ */
+export const getChallengeLink = (quizOptions, { seed = null, questions = [] } = {}) => {
+  const path = getQuizPath({
+    ...quizOptions,
+    questionCount: questions.length || quizOptions.questionCount,
+    seed: seed || quizOptions.seed,
+    // A seed deals the same questions again, the ids also cover linked and streamed quizzes
+    questionIds: questions.map(question => question.id)
+  });
+  return new URL(path, window.location.origin).href;
+};
+
+export default {
+  DEFAULT_QUIZ_OPTIONS,
+  PAUSE_LIMIT_OPTIONS,
+  getQuizCategories,
+  toLoadOptions,
+  toQuizSearch,
+  fromQuizSearch,
+  getQuizPath,
+  canShareQuiz,
+  getChallengeLink
+};
@@ -0,0 +1,33 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+// Packs are read from localStorage when the providers load
+const storage = new Map();
+globalThis.localStorage = {
+  getItem: key => (storage.has(key) ? storage.get(key) : null),
+  setItem: (key, value) => storage.set(key, String(value)),
+  removeItem: key => storage.delete(key)
+};
+
+const { savePack, getPackSourceId } = await import('./questionPacks.js');
+const { canShareQuiz } = await import('./quizOptions.js');
+
+describe('canShareQuiz', () => {
+  it('shares quizzes from the bundled questions', () => {
+    assert.equal(canShareQuiz({ source: 'local' }), true);
+  });
+
+  it('keeps quizzes from Open Trivia DB and saved questions to this browser', () => {
+    assert.equal(canShareQuiz({ source: 'opentdb' }), false);
+    assert.equal(canShareQuiz({ source: 'cache' }), false);
+  });
+
+  it('keeps quizzes from a question pack to this browser', () => {
+    const pack = savePack({
+      name: 'Capitals',
+      questions: [{ id: 'capital-1', type: 'boolean', question: 'Is Paris the capital of France?', options: ['True', 'False'], correctAnswer: 0 }]
+    });
+
+    assert.equal(canShareQuiz({ source: getPackSourceId(pack.id) }), false);
+  });
+});
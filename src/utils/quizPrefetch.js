@@ -0,0 +1,127 @@
+import { getActiveProfileId, reprioritizeRequests, REQUEST_PRIORITIES } from './api';
+import { resolveProvider } from './providers';
+import { createSeed } from './random';
+
+/**
+ * Loads the next quiz in the background so starting it doesn't wait for
+ * the rate limiter. Only online sources are prefetched, offline ones are
+ * instant anyway. One prefetch is kept at a time.
+ */
+
+const PREFETCH_MAX_AGE = 15 * 60 * 1000; // Older prefetches are thrown away
+
+let prefetch = null; // { key, controller, promise, priority, notices, seed, createdAt }
+
+/**
+ * Builds the key a prefetch is stored under
+ * @param {object} loadOptions - { source, amount, categories, difficulty, type }
+ * @returns {string} Key
+ */
+const getPrefetchKey = ({ source, amount, categories = [], difficulty = null, type = null }) => {
+  return JSON.stringify([getActiveProfileId(), source, amount, [...categories].sort(), difficulty, type]);
+};
+
+/**
+ * Runs a callback once the browser is idle
+ * @param {Function} callback - Callback
+ */
+const whenIdle = (callback) => {
+  if (typeof requestIdleCallback === 'function') {
+    requestIdleCallback(callback, { timeout: 2000 });
+  } else {
+    setTimeout(callback, 200);
+  }
+};
+
+/**
+ * Drops the current prefetch, cancelling its requests
+ */
+export const cancelPrefetch = () => {
+  if (prefetch) {
+    prefetch.controller.abort();
+    prefetch = null;
+  }
+};
+
+/**
+ * Starts loading a quiz in the background at idle priority, unless the
+ * same quiz is already being prefetched
+ * @param {object} loadOptions - { source, amount, categories, difficulty, type }
+ */
+export const prefetchQuiz = (loadOptions) => {
+  const provider = resolveProvider(loadOptions.source);
+  if (!provider.capabilities.online) return;
+
+  const key = getPrefetchKey(loadOptions);
+  if (prefetch && prefetch.key === key && Date.now() - prefetch.createdAt < PREFETCH_MAX_AGE) return;
+
+  cancelPrefetch();
+
+  const controller = new AbortController();
+  const entry = {
+    key,
+    controller,
+    priority: REQUEST_PRIORITIES.idle,
+    notices: [],
+    seed: createSeed(), // Recorded with the result, like any other quiz's seed
+    createdAt: Date.now()
+  };
+
+  entry.promise = new Promise(resolve => whenIdle(resolve))
+    .then(() => {
+      if (controller.signal.aborted) return null;
+
+      return provider.loadQuestions({
+        ...loadOptions,
+        seed: entry.seed,
+        signal: controller.signal,
+        priority: entry.priority,
+        onNotice: notice => entry.notices.push(notice)
+      });
+    })
+    .catch(error => {
+      console.warn('Prefetching the next quiz failed:', error.message);
+      return null;
+    });
+
+  prefetch = entry;
+};
+
+/**
+ * Hands over a prefetched quiz matching the options, if there is one.
+ * A prefetch still in flight moves up to interactive priority.
+ * @param {object} loadOptions - { source, amount, categories, difficulty, type }
+ * @param {AbortSignal} signal - Cancels the prefetch when the caller gives up (optional)
+ * @returns {object|null} { signal, result } where signal identifies the prefetch's queued
+ *   requests and result resolves to { questions, notices, seed }, or to null when the prefetch
+ *   failed; null when nothing matching was prefetched
+ */
+export const takePrefetchedQuiz = (loadOptions, signal = null) => {
+  const entry = prefetch;
+  if (!entry || entry.key !== getPrefetchKey(loadOptions)) return null;
+
+  prefetch = null;
+  if (Date.now() - entry.createdAt >= PREFETCH_MAX_AGE) {
+    entry.controller.abort();
+    return null;
+  }
+
+  entry.priority = REQUEST_PRIORITIES.interactive;
+  reprioritizeRequests(entry.controller.signal, entry.priority);
+  if (signal) {
+    signal.addEventListener('abort', () => entry.controller.abort(), { once: true });
+  }
+
+  return {
+    signal: entry.controller.signal,
+    result: entry.promise.then(questions => (questions && questions.length > 0
+      ? { questions, notices: entry.notices, seed: entry.seed }
+      : null))
+  };
+};
+
+export default {
+  prefetchQuiz,
+  takePrefetchedQuiz,
+  cancelPrefetch
+};
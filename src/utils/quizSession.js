@@ -0,0 +1,172 @@
+import { getActiveProfileId } from './api.js';
+import { createSeed } from './random.js';
+import { resolveProvider } from './providers.js';
+
+/**
+ * The unfinished quiz of each profile, saved as it is played so a refresh
+ * or a crash doesn't lose it
+ *
+ * {
+ *   default: {                     // profile id
+ *     id: 'k3mq8zta',              // session id, kept in the quiz page's history entry
+ *     options: { ... },            // quiz options, see quizOptions.js
+ *     quiz: { ... },               // engine state, see engine/quizEngine.js, with each
+ *                                  // question saved as { id, source } to keep it small
+ *     savedAt: 1718000000000
+ *   }
+ * }
+ *
+ * Resuming loads the questions back from their sources by id (see
+ * loadSessionQuestions). Questions from sources with an offline cache (Open
+ * Trivia DB) are saved whole instead: they can only be looked up again once
+ * the cache has stored them, which may not have happened yet, or ever when
+ * IndexedDB isn't available. Exam quizzes are never saved, so they can't be
+ * resumed.
+ */
+
+const SESSION_STORAGE_KEY = 'quizmaster_sessions';
+const EXPIRY_STORAGE_KEY = 'quizmaster_session_expiry';
+const HOUR = 60 * 60 * 1000;
+
+export const DEFAULT_SESSION_EXPIRY_HOURS = 24;
+
+// How long an unfinished quiz can wait to be resumed, offered in Custom Quiz settings
+export const SESSION_EXPIRY_OPTIONS = [1, 24, 168]; // hours
+
+/**
+ * Creates an id for a new quiz session
+ * @returns {string} Session id
+ */
+export const createSessionId = () => createSeed();
+
+/**
+ * Reads the saved sessions of all profiles
+ * @returns {object} Map of profile id to session
+ */
+const readSessions = () => {
+  try {
+    const stored = localStorage.getItem(SESSION_STORAGE_KEY);
+    return stored ? JSON.parse(stored) : {};
+  } catch (error) {
+    console.error('Error reading the unfinished quiz:', error);
+    return {};
+  }
+};
+
+/**
+ * Writes the saved sessions of all profiles
+ * @param {object} sessions - Map of profile id to session
+ */
+const writeSessions = (sessions) => {
+  try {
+    localStorage.setItem(SESSION_STORAGE_KEY, JSON.stringify(sessions));
+  } catch (error) {
+    // Usually a full storage; the quiz goes on, it just can't be resumed
+    console.error('Error saving the unfinished quiz:', error);
+  }
+};
+
+/**
+ * Gets how long an unfinished quiz is kept
+ * @returns {number} Hours
+ */
+export const getSessionExpiry = () => {
+  try {
+    const stored = localStorage.getItem(EXPIRY_STORAGE_KEY);
+    const hours = stored === null ? DEFAULT_SESSION_EXPIRY_HOURS : JSON.parse(stored);
+    return Number.isFinite(hours) && hours > 0 ? hours : DEFAULT_SESSION_EXPIRY_HOURS;
+  } catch (error) {
+    return DEFAULT_SESSION_EXPIRY_HOURS;
+  }
+};
+
+/**
+ * Sets how long an unfinished quiz is kept
+ * @param {number} hours - Hours
+ */
+export const setSessionExpiry = (hours) => {
+  try {
+    localStorage.setItem(EXPIRY_STORAGE_KEY, JSON.stringify(hours));
+  } catch (error) {
+    console.error('Error saving the session expiry:', error);
+  }
+};
+
+/**
+ * Saves the active profile's unfinished quiz, replacing any earlier one
+ * @param {object} session - { id, options, quiz }
+ */
+export const saveQuizSession = ({ id, options, quiz }) => {
+  const sessions = readSessions();
+  const questions = quiz.questions.map(question => (
+    resolveProvider(question.source).capabilities.offlineCache ? question : { id: question.id, source: question.source }
+  ));
+  sessions[getActiveProfileId()] = { id, options, quiz: { ...quiz, questions }, savedAt: Date.now() };
+  writeSessions(sessions);
+};
+
+/**
+ * Gets the active profile's unfinished quiz, dropping it once it has expired
+ * @returns {object|null} { id, options, quiz, savedAt }, null when there is none
+ */
+export const getQuizSession = () => {
+  const session = readSessions()[getActiveProfileId()];
+  if (!session) return null;
+
+  const isValid = session.id && session.options && session.quiz
+    && Array.isArray(session.quiz.questions) && session.quiz.questions.length > 0;
+  if (!isValid || Date.now() - session.savedAt > getSessionExpiry() * HOUR) {
+    clearQuizSession();
+    return null;
+  }
+
+  return session;
+};
+
+/**
+ * Loads the questions of a saved quiz back from the sources they came from
+ * @param {object} quiz - Saved engine state, its questions as { id, source }
+ *   or, for sources with an offline cache, as they were played
+ * @returns {Promise<Array|null>} Questions in quiz order, null when any of them
+ *   can't be found any more (e.g. a pack was deleted)
+ */
+export const loadSessionQuestions = async (quiz) => {
+  const idsBySource = new Map();
+  quiz.questions.filter(question => !question.type).forEach(({ id, source }) => {
+    idsBySource.set(source, [...(idsBySource.get(source) || []), id]);
+  });
+
+  const loaded = await Promise.all(
+    [...idsBySource].map(([source, ids]) => resolveProvider(source).loadQuestionsById(ids))
+  );
+  const byId = new Map(loaded.flat().map(question => [question.id, question]));
+  const questions = quiz.questions.map(question => (question.type ? question : byId.get(question.id)));
+
+  return questions.every(Boolean) ? questions : null;
+};
+
+/**
+ * Forgets the active profile's unfinished quiz
+ * @param {string} id - Only forget the session with this id (optional), so a
+ *   quiz finishing in one tab can't drop the one being played in another
+ */
+export const clearQuizSession = (id = null) => {
+  const sessions = readSessions();
+  const session = sessions[getActiveProfileId()];
+  if (!session || (id && session.id !== id)) return;
+
+  delete sessions[getActiveProfileId()];
+  writeSessions(sessions);
+};
+
+export default {
+  DEFAULT_SESSION_EXPIRY_HOURS,
+  SESSION_EXPIRY_OPTIONS,
+  createSessionId,
+  getSessionExpiry,
+  setSessionExpiry,
+  saveQuizSession,
+  getQuizSession,
+  loadSessionQuestions,
+  clearQuizSession
+};
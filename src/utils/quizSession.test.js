@@ -0,0 +1,46 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+// Sessions are kept in localStorage; there is no IndexedDB here, so nothing reaches the offline cache
+const storage = new Map();
+globalThis.localStorage = {
+  getItem: key => (storage.has(key) ? storage.get(key) : null),
+  setItem: (key, value) => storage.set(key, String(value)),
+  removeItem: key => storage.delete(key)
+};
+
+const { resolveProvider } = await import('./providers.js');
+const { saveQuizSession, getQuizSession, loadSessionQuestions } = await import('./quizSession.js');
+
+const openTriviaQuestion = {
+  id: 'opentdb-4k2m9x',
+  source: 'opentdb',
+  type: 'boolean',
+  category: 'Science: Computers',
+  difficulty: 'easy',
+  question: 'The logo for Snapchat is a Bell.',
+  options: ['True', 'False'],
+  correctAnswer: 1,
+  answerKey: 'false',
+  explanation: { key: 'api.explanation', params: { answer: 'False' } },
+  language: 'en',
+  translations: {}
+};
+
+describe('quizSession', () => {
+  it('resumes an Open Trivia DB quiz without the offline cache', async () => {
+    const [localQuestion] = await resolveProvider('local').loadQuestions({ amount: 1 });
+    const quiz = { status: 'in-progress', currentIndex: 1, answers: {}, questions: [localQuestion, openTriviaQuestion] };
+
+    saveQuizSession({ id: 'k3mq8zta', options: { source: 'opentdb' }, quiz });
+    const session = getQuizSession();
+
+    // Only the question the offline cache would have to find again is saved whole
+    assert.deepEqual(session.quiz.questions[0], { id: localQuestion.id, source: 'local' });
+    assert.deepEqual(await loadSessionQuestions(session.quiz), [localQuestion, openTriviaQuestion]);
+  });
+
+  it('gives up on a quiz whose questions are gone', async () => {
+    assert.equal(await loadSessionQuestions({ questions: [{ id: 'local-missing', source: 'local' }] }), null);
+  });
+});
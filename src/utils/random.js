@@ -0,0 +1,76 @@
+/**
+ * Seedable random numbers, so a quiz can be dealt again exactly
+ *
+ * A seed is any string. The same seed always gives the same sequence
+ * (mulberry32 over a 32-bit hash of the seed), on every browser and in
+ * Node. Keep this module free of imports: api.js and the local question
+ * server both load it.
+ */
+
+const SEED_ALPHABET = 'abcdefghjkmnpqrstuvwxyz23456789'; // no 0/o, 1/l/i look-alikes
+const SEED_LENGTH = 8;
+
+/**
+ * Hashes a seed into a 32-bit integer (FNV-1a)
+ * @param {string} seed - Seed
+ * @returns {number} Unsigned 32-bit hash
+ */
+const hashSeed = (seed) => {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < seed.length; i++) {
+    hash ^= seed.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+};
+
+/**
+ * Creates a random number generator
+ * @param {string|number|null} seed - Seed, null for an unseeded (Math.random) generator
+ * @returns {Function} Returns a number in [0, 1) on each call, like Math.random
+ */
+export const createRandom = (seed) => {
+  if (seed === undefined || seed === null || seed === '') return Math.random;
+
+  let state = hashSeed(String(seed));
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+};
+
+/**
+ * Creates a new seed that is short enough to read out or type
+ * @returns {string} Seed
+ */
+export const createSeed = () => {
+  const values = new Uint32Array(SEED_LENGTH);
+  if (typeof crypto !== 'undefined' && crypto.getRandomValues) {
+    crypto.getRandomValues(values);
+  } else {
+    values.forEach((value, index) => {
+      values[index] = Math.floor(Math.random() * 4294967296);
+    });
+  }
+  return Array.from(values, value => SEED_ALPHABET[value % SEED_ALPHABET.length]).join('');
+};
+
+/**
+ * Cleans up a seed typed or pasted by a player
+ * @param {*} seed - Raw seed
+ * @returns {string|null} Trimmed seed, null when empty
+ */
+export const normalizeSeed = (seed) => {
+  if (seed === undefined || seed === null) return null;
+  const trimmed = String(seed).trim();
+  return trimmed ? trimmed.slice(0, 64) : null;
+};
+
+export default {
+  createRandom,
+  createSeed,
+  normalizeSeed
+};
@@ -0,0 +1,63 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { createRandom, createSeed, normalizeSeed } from './random.js';
+import { shuffleArray } from './api.js';
+
+const draw = (random, count) => Array.from({ length: count }, () => random());
+
+describe('createRandom', () => {
+  it('gives the same sequence for the same seed', () => {
+    assert.deepEqual(draw(createRandom('k3mq8zta'), 20), draw(createRandom('k3mq8zta'), 20));
+    assert.deepEqual(draw(createRandom(42), 5), draw(createRandom('42'), 5));
+  });
+
+  it('gives different sequences for different seeds', () => {
+    assert.notDeepEqual(draw(createRandom('k3mq8zta'), 5), draw(createRandom('k3mq8ztb'), 5));
+  });
+
+  it('stays in [0, 1) and spreads its numbers out', () => {
+    const numbers = draw(createRandom('k3mq8zta'), 1000);
+
+    assert.ok(numbers.every(number => number >= 0 && number < 1));
+    assert.ok(new Set(numbers).size > 990);
+    const mean = numbers.reduce((sum, number) => sum + number, 0) / numbers.length;
+    assert.ok(Math.abs(mean - 0.5) < 0.05);
+  });
+
+  it('falls back to Math.random without a seed', () => {
+    assert.equal(createRandom(null), Math.random);
+    assert.equal(createRandom(undefined), Math.random);
+    assert.equal(createRandom(''), Math.random);
+  });
+});
+
+describe('shuffleArray', () => {
+  it('shuffles the same way for the same seed, without touching the input', () => {
+    const items = Array.from({ length: 20 }, (value, index) => index);
+    const shuffled = shuffleArray(items, createRandom('k3mq8zta'));
+
+    assert.deepEqual(shuffled, shuffleArray(items, createRandom('k3mq8zta')));
+    assert.notDeepEqual(shuffled, items);
+    assert.deepEqual([...shuffled].sort((a, b) => a - b), items);
+    assert.deepEqual(items, Array.from({ length: 20 }, (value, index) => index));
+  });
+});
+
+describe('createSeed', () => {
+  it('makes short seeds without look-alike characters', () => {
+    const seeds = Array.from({ length: 50 }, createSeed);
+
+    assert.ok(seeds.every(seed => /^[a-hjkmnp-z2-9]{8}$/.test(seed)));
+    assert.ok(new Set(seeds).size > 45);
+  });
+});
+
+describe('normalizeSeed', () => {
+  it('trims seeds and turns empty ones into null', () => {
+    assert.equal(normalizeSeed('  k3mq8zta '), 'k3mq8zta');
+    assert.equal(normalizeSeed(1234), '1234');
+    assert.equal(normalizeSeed('   '), null);
+    assert.equal(normalizeSeed(null), null);
+    assert.equal(normalizeSeed('x'.repeat(100)).length, 64);
+  });
+});
@@ -0,0 +1,260 @@
+/**
+ * Rich text for question text, options and explanations
+ *
+ * Supported subset:
+ *   **bold**, *italic* or _italic_, `inline code`, x^2^ superscript, H~2~O subscript,
+ *   $inline math$ and $$display math$$ (see utils/texMath), ```lang fenced code blocks```,
+ *   "- " and "1. " lists (in text of more than one line), paragraphs split by blank lines, and \ to escape any of these
+ *
+ * Text is parsed into a plain node tree that components/RichText turns into
+ * React elements; nothing is ever rendered as HTML, so text from any source
+ * is safe to show. Markers only count when they look deliberate: "5 * 3 * 2",
+ * snake_case and "$5 or $10" stay as typed.
+ *
+ * Blocks:  { type: 'paragraph', children } | { type: 'code', language, text }
+ *          | { type: 'math', tex } | { type: 'list', ordered, start, items: [children] }
+ * Inlines: { type: 'text', text } | { type: 'strong' | 'em' | 'sup' | 'sub', children }
+ *          | { type: 'code', text } | { type: 'math', tex, display } | { type: 'break' }
+ */
+
+const ESCAPABLE = '\\`*_{}[]()#+-.!$^~|';
+
+const FENCE = /^\s*```\s*([\w+#-]*)\s*$/;
+const BULLET_ITEM = /^\s*[-*+]\s+(.*)$/;
+const ORDERED_ITEM = /^\s*(\d{1,9})[.)]\s+(.*)$/;
+
+const isSpace = char => char === undefined || /\s/.test(char);
+const isWordChar = char => char !== undefined && /[\p{L}\p{N}]/u.test(char);
+
+/**
+ * Finds the closing marker of an inline span
+ * @param {string} text - Text being parsed
+ * @param {string} marker - Closing marker
+ * @param {number} from - Index to start looking at
+ * @param {object} rules - { intraword } whether the marker may touch letters on its outside,
+ *   { noSpaces } whether the span may contain spaces, { notBeforeDigit } for $
+ * @returns {number} Index of the closing marker, or -1
+ */
+const findClosing = (text, marker, from, { intraword = true, noSpaces = false, notBeforeDigit = false } = {}) => {
+  for (let i = from; i < text.length; i++) {
+    if (text[i] === '\\') {
+      i++;
+      continue;
+    }
+    if (noSpaces && isSpace(text[i])) return -1;
+    if (!text.startsWith(marker, i) || i === from || isSpace(text[i - 1])) continue;
+
+    const after = text[i + marker.length];
+    if (!intraword && isWordChar(after)) continue;
+    if (notBeforeDigit && /[0-9]/.test(after || '')) continue;
+    // "**" is not the end of a "*" span
+    if (marker.length === 1 && text[i + 1] === marker && marker !== '$') {
+      i++;
+      continue;
+    }
+    return i;
+  }
+  return -1;
+};
+
+// Inline spans: marker, node type and the rules its markers follow
+const SPANS = [
+  { marker: '**', type: 'strong' },
+  { marker: '__', type: 'strong', rules: { intraword: false } },
+  { marker: '*', type: 'em', rules: { intraword: false } },
+  { marker: '_', type: 'em', rules: { intraword: false } },
+  { marker: '^', type: 'sup', rules: { noSpaces: true } },
+  { marker: '~', type: 'sub', rules: { noSpaces: true } }
+];
+
+/**
+ * Parses inline markup
+ * @param {string} text - Text of one paragraph or list item
+ * @returns {Array} Inline nodes
+ */
+export const parseInline = (text) => {
+  const nodes = [];
+  let buffer = '';
+
+  const flush = () => {
+    if (buffer) {
+      nodes.push({ type: 'text', text: buffer });
+      buffer = '';
+    }
+  };
+
+  let i = 0;
+  while (i < text.length) {
+    const char = text[i];
+
+    if (char === '\\' && ESCAPABLE.includes(text[i + 1] || '\n')) {
+      buffer += text[i + 1];
+      i += 2;
+      continue;
+    }
+
+    if (char === '\n') {
+      flush();
+      nodes.push({ type: 'break' });
+      i++;
+      continue;
+    }
+
+    // Code spans take their content literally
+    if (char === '`') {
+      const run = /^`+/.exec(text.slice(i))[0];
+      const end = text.indexOf(run, i + run.length);
+      if (end !== -1) {
+        flush();
+        nodes.push({ type: 'code', text: text.slice(i + run.length, end).replace(/^ (.+) $/, '$1') });
+        i = end + run.length;
+      } else {
+        buffer += run;
+        i += run.length;
+      }
+      continue;
+    }
+
+    // Math: no space inside the dollars, and no digit right after the closing one
+    if (char === '$') {
+      const display = text.startsWith('$$', i);
+      const marker = display ? '$$' : '$';
+      const start = i + marker.length;
+      const end = isSpace(text[start]) ? -1 : findClosing(text, marker, start, { notBeforeDigit: !display });
+      if (end !== -1) {
+        flush();
+        nodes.push({ type: 'math', tex: text.slice(start, end), display });
+        i = end + marker.length;
+      } else {
+        buffer += marker;
+        i += marker.length;
+      }
+      continue;
+    }
+
+    const span = SPANS.find(({ marker, rules = {} }) => text.startsWith(marker, i) &&
+      !isSpace(text[i + marker.length]) &&
+      (rules.intraword !== false || !isWordChar(text[i - 1])));
+
+    if (span) {
+      const start = i + span.marker.length;
+      const end = findClosing(text, span.marker, start, span.rules);
+      if (end !== -1) {
+        flush();
+        nodes.push({ type: span.type, children: parseInline(text.slice(start, end)) });
+        i = end + span.marker.length;
+        continue;
+      }
+    }
+
+    buffer += char;
+    i++;
+  }
+
+  flush();
+  return nodes;
+};
+
+/**
+ * Parses rich text into blocks
+ * @param {string} text - Rich text
+ * @returns {Array} Block nodes
+ */
+export const parseRichText = (text) => {
+  const lines = String(text ?? '').replace(/\r\n?/g, '\n').split('\n');
+  const blocks = [];
+  let paragraph = [];
+  let list = null;
+
+  const flush = () => {
+    if (paragraph.length > 0) {
+      blocks.push({ type: 'paragraph', children: parseInline(paragraph.join('\n')) });
+      paragraph = [];
+    }
+    if (list) {
+      blocks.push(list);
+      list = null;
+    }
+  };
+
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i];
+    const fence = FENCE.exec(line);
+
+    if (fence) {
+      flush();
+      const code = [];
+      for (i++; i < lines.length && !/^\s*```\s*$/.test(lines[i]); i++) {
+        code.push(lines[i]);
+      }
+      blocks.push({ type: 'code', language: fence[1].toLowerCase() || null, text: code.join('\n') });
+      continue;
+    }
+
+    // Display math on lines of its own
+    if (line.trim().startsWith('$$')) {
+      const rest = lines.slice(i).join('\n').trim().slice(2);
+      const end = rest.indexOf('$$');
+      const after = end === -1 ? null : rest.slice(end + 2);
+      const endLine = end === -1 ? -1 : i + rest.slice(0, end).split('\n').length - 1;
+
+      if (end !== -1 && !after.split('\n')[0].trim()) {
+        flush();
+        blocks.push({ type: 'math', tex: rest.slice(0, end).trim() });
+        i = endLine;
+        continue;
+      }
+    }
+
+    // Lists need more than one line, so a lone "1984. ..." stays a sentence
+    const bullet = lines.length > 1 && BULLET_ITEM.exec(line);
+    const ordered = lines.length > 1 && ORDERED_ITEM.exec(line);
+
+    if (bullet || ordered) {
+      const isOrdered = !bullet;
+      if (paragraph.length > 0 || (list && list.ordered !== isOrdered)) flush();
+      if (!list) {
+        list = { type: 'list', ordered: isOrdered, start: isOrdered ? Number(ordered[1]) : 1, items: [] };
+      }
+      list.items.push(parseInline(isOrdered ? ordered[2] : bullet[1]));
+    } else if (!line.trim()) {
+      flush();
+    } else if (list) {
+      // Lines under an item continue it
+      const item = list.items[list.items.length - 1];
+      item.push({ type: 'break' }, ...parseInline(line.trim()));
+    } else {
+      paragraph.push(line);
+    }
+  }
+
+  flush();
+  return blocks;
+};
+
+/**
+ * Flattens rich text into plain text, for labels and titles
+ * @param {string} text - Rich text
+ * @returns {string} Text without markup (math and code as written)
+ */
+export const toPlainText = (text) => {
+  const inlineText = nodes => nodes.map(child => {
+    if (child.type === 'text' || child.type === 'code') return child.text;
+    if (child.type === 'math') return child.tex;
+    if (child.type === 'break') return ' ';
+    return inlineText(child.children);
+  }).join('');
+
+  return parseRichText(text).map(block => {
+    if (block.type === 'paragraph') return inlineText(block.children);
+    if (block.type === 'list') return block.items.map(inlineText).join('; ');
+    if (block.type === 'math') return block.tex;
+    return block.text;
+  }).join(' ').replace(/\s+/g, ' ').trim();
+};
+
+export default {
+  parseInline,
+  parseRichText,
+  toPlainText
+};
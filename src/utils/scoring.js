@@ -0,0 +1,177 @@
+import { QUESTION_TYPES, createTextAnswerKey, listAcceptedAnswers } from './questionSchema.js';
+
+/**
+ * Scoring rules for each question type
+ *
+ * Every rule returns a credit between 0 and 1. A question counts as
+ * correct only with full credit; questions with `partialCredit: true`
+ * also earn a fraction of a point for partly correct answers.
+ */
+
+/**
+ * Checks whether an answer has been given for a question
+ * @param {object} question - Canonical question
+ * @param {*} answer - Player's answer
+ * @returns {boolean} True when the question has been answered
+ */
+export const hasAnswer = (question, answer) => {
+  if (answer === undefined || answer === null) return false;
+  if (Array.isArray(answer)) return answer.length > 0;
+  if (typeof answer === 'string') return answer.trim().length > 0;
+  return true;
+};
+
+/**
+ * Multi-select: one point per correct option chosen, minus one per wrong
+ * option chosen, divided by the number of correct options
+ * @param {object} question - Canonical question
+ * @param {Array<number>} answer - Chosen option indices
+ * @returns {number} Credit between 0 and 1
+ */
+const scoreMultiSelect = (question, answer) => {
+  const correct = new Set(question.correctAnswer);
+  const chosen = new Set(answer);
+
+  const hits = [...chosen].filter(index => correct.has(index)).length;
+  const misses = chosen.size - hits;
+
+  if (hits === correct.size && misses === 0) return 1;
+  if (!question.partialCredit) return 0;
+
+  return Math.max(0, (hits - misses) / correct.size);
+};
+
+/**
+ * Ordering: share of items placed in their correct position
+ * @param {object} question - Canonical question
+ * @param {Array<number>} answer - Option indices in the player's order
+ * @returns {number} Credit between 0 and 1
+ */
+const scoreOrdering = (question, answer) => {
+  const expected = question.correctAnswer;
+  const inPlace = expected.filter((optionIndex, position) => answer[position] === optionIndex).length;
+
+  if (inPlace === expected.length) return 1;
+  if (!question.partialCredit) return 0;
+
+  return inPlace / expected.length;
+};
+
+/**
+ * Levenshtein distance between two strings
+ * @param {string} a - First string
+ * @param {string} b - Second string
+ * @returns {number} Number of single-character edits between them
+ */
+export const editDistance = (a, b) => {
+  if (a === b) return 0;
+  if (!a.length) return b.length;
+  if (!b.length) return a.length;
+
+  let previous = Array.from({ length: b.length + 1 }, (value, index) => index);
+
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      const substitution = previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1);
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, substitution);
+    }
+    previous = current;
+  }
+
+  return previous[b.length];
+};
+
+/**
+ * Finds the accepted answer a typed answer matches, ignoring case, accents
+ * and punctuation and allowing up to `maxDistance` typos
+ * @param {object} question - Canonical free-text question
+ * @param {string} answer - Typed answer
+ * @returns {number} Index of the matched accepted answer, or -1
+ */
+export const matchTextAnswer = (question, answer) => {
+  const typed = createTextAnswerKey(answer);
+  if (!typed) return -1;
+
+  const distances = question.answerKey.map(key => editDistance(typed, key));
+  const best = Math.min(...distances);
+
+  return best <= (question.maxDistance || 0) ? distances.indexOf(best) : -1;
+};
+
+/**
+ * Scores one answer
+ * @param {object} question - Canonical question
+ * @param {*} answer - Player's answer (undefined when skipped)
+ * @returns {object} { isCorrect, credit }
+ */
+export const scoreAnswer = (question, answer) => {
+  if (!hasAnswer(question, answer)) {
+    return { isCorrect: false, credit: 0 };
+  }
+
+  let credit;
+
+  switch (question.type) {
+    case QUESTION_TYPES.multiSelect:
+      credit = Array.isArray(answer) ? scoreMultiSelect(question, answer) : 0;
+      break;
+    case QUESTION_TYPES.ordering:
+      credit = Array.isArray(answer) ? scoreOrdering(question, answer) : 0;
+      break;
+    case QUESTION_TYPES.text: {
+      // Answers count in any of the question's languages, not only the one it was shown in
+      const answerKey = listAcceptedAnswers(question).map(createTextAnswerKey);
+      credit = typeof answer === 'string' && matchTextAnswer({ ...question, answerKey }, answer) !== -1 ? 1 : 0;
+      break;
+    }
+    default:
+      credit = answer === question.correctAnswer ? 1 : 0;
+  }
+
+  // Keep fractional credit readable (e.g. 0.67 rather than 0.6666666)
+  credit = Math.round(credit * 100) / 100;
+
+  return { isCorrect: credit === 1, credit };
+};
+
+/**
+ * Scores a whole quiz
+ * @param {Array} questions - Canonical questions
+ * @param {object} selectedAnswers - Answers keyed by question id
+ * @returns {object} { score, correctCount, results }
+ */
+export const scoreQuiz = (questions, selectedAnswers) => {
+  let score = 0;
+  let correctCount = 0;
+
+  const results = questions.map(question => {
+    const userAnswer = selectedAnswers[question.id];
+    const { isCorrect, credit } = scoreAnswer(question, userAnswer);
+
+    score += credit;
+    if (isCorrect) correctCount++;
+
+    return {
+      question,
+      userAnswer,
+      isCorrect,
+      credit,
+      correctAnswer: question.correctAnswer
+    };
+  });
+
+  return {
+    score: Math.round(score * 100) / 100,
+    correctCount,
+    results
+  };
+};
+
+export default {
+  hasAnswer,
+  editDistance,
+  matchTextAnswer,
+  scoreAnswer,
+  scoreQuiz
+};
@@ -0,0 +1,79 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { createTextAnswerKey, listAcceptedAnswers } from './questionSchema.js';
+import { editDistance, matchTextAnswer, scoreAnswer } from './scoring.js';
+
+const capital = {
+  id: 'local-capital-germany',
+  type: 'text',
+  language: 'en',
+  question: 'What is the capital of Germany?',
+  correctAnswer: ['Berlin'],
+  answerKey: ['berlin'],
+  maxDistance: 0,
+  translations: {
+    es: { question: '¿Cuál es la capital de Alemania?', acceptedAnswers: ['Berlín'] },
+    de: { question: 'Was ist die Hauptstadt von Deutschland?', acceptedAnswers: ['Berlin', 'Hauptstadt Berlin'] }
+  }
+};
+
+describe('listAcceptedAnswers', () => {
+  it('lists every language\'s answers once, the given language first', () => {
+    assert.deepEqual(listAcceptedAnswers(capital), ['Berlin', 'Hauptstadt Berlin']);
+    assert.deepEqual(listAcceptedAnswers(capital, 'de'), ['Berlin', 'Hauptstadt Berlin']);
+    assert.deepEqual(listAcceptedAnswers({ ...capital, correctAnswer: ['Berlin, Germany'] }, 'es'), ['Berlín', 'Berlin, Germany', 'Hauptstadt Berlin']);
+  });
+});
+
+describe('scoreAnswer', () => {
+  it('accepts typed answers in any of the question\'s languages', () => {
+    assert.equal(scoreAnswer(capital, 'berlín').isCorrect, true);
+    assert.equal(scoreAnswer(capital, 'Hauptstadt Berlin').isCorrect, true);
+    assert.equal(scoreAnswer(capital, 'Bonn').isCorrect, false);
+  });
+});
+
+describe('editDistance', () => {
+  it('counts single-character insertions, deletions and substitutions', () => {
+    assert.equal(editDistance('paris', 'paris'), 0);
+    assert.equal(editDistance('', 'abc'), 3);
+    assert.equal(editDistance('abc', ''), 3);
+    assert.equal(editDistance('paris', 'pariss'), 1);
+    assert.equal(editDistance('paris', 'pars'), 1);
+    assert.equal(editDistance('paris', 'parus'), 1);
+    assert.equal(editDistance('kitten', 'sitting'), 3);
+  });
+});
+
+describe('matchTextAnswer', () => {
+  const symbol = {
+    type: 'text',
+    correctAnswer: ['Na', 'Sodium'],
+    answerKey: ['na', 'sodium'],
+    maxDistance: 1
+  };
+
+  it('ignores case, accents, punctuation and extra spaces', () => {
+    assert.equal(createTextAnswerKey('  São   Paulo! '), 'sao paulo');
+    assert.equal(matchTextAnswer({ ...symbol, answerKey: ['sao paulo'], maxDistance: 0 }, 'SAO PAULO.'), 0);
+  });
+
+  it('returns the index of the closest accepted answer', () => {
+    assert.equal(matchTextAnswer(symbol, 'na'), 0);
+    assert.equal(matchTextAnswer(symbol, 'sodum'), 1);
+  });
+
+  it('allows typos up to maxDistance and no further', () => {
+    assert.equal(matchTextAnswer(symbol, 'sodiun'), 1);
+    assert.equal(matchTextAnswer(symbol, 'sodum!'), 1);
+    assert.equal(matchTextAnswer(symbol, 'sodim'), 1);
+    assert.equal(matchTextAnswer(symbol, 'sdum'), -1);
+    assert.equal(matchTextAnswer({ ...symbol, maxDistance: 0 }, 'sodiun'), -1);
+    assert.equal(matchTextAnswer({ ...symbol, maxDistance: undefined }, 'sodiun'), -1);
+  });
+
+  it('never matches an empty answer', () => {
+    assert.equal(matchTextAnswer({ ...symbol, maxDistance: 2 }, ' ?! '), -1);
+    assert.equal(scoreAnswer(symbol, '   ').isCorrect, false);
+  });
+});
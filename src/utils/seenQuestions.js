@@ -0,0 +1,163 @@
+import { getActiveProfileId, shuffleArray } from './api.js';
+import { createRandom } from './random.js';
+
+/**
+ * Per-profile log of when each question was last shown, used to keep
+ * recently seen questions out of new quizzes for a cooldown window
+ *
+ * {
+ *   default: {                     // profile id
+ *     'local-12': 1718000000000    // question id: last shown (ms since epoch)
+ *   }
+ * }
+ */
+
+const SEEN_STORAGE_KEY = 'quizmaster_seen_questions';
+const COOLDOWN_STORAGE_KEY = 'quizmaster_seen_cooldown';
+const DAY = 24 * 60 * 60 * 1000;
+const MAX_ENTRIES_PER_PROFILE = 2000;
+
+export const DEFAULT_COOLDOWN_DAYS = 7;
+
+export const COOLDOWN_OPTIONS = [
+  { days: 0 },
+  { days: 1 },
+  { days: 7 },
+  { days: 30 }
+];
+
+/**
+ * Reads the seen logs of all profiles
+ * @returns {object} Map of profile id to { questionId: timestamp }
+ */
+const readSeenLogs = () => {
+  try {
+    const stored = localStorage.getItem(SEEN_STORAGE_KEY);
+    return stored ? JSON.parse(stored) : {};
+  } catch (error) {
+    console.error('Error reading seen questions:', error);
+    return {};
+  }
+};
+
+/**
+ * Gets the seen log of the active profile
+ * @returns {object} Map of question id to the time it was last shown
+ */
+export const getSeenLog = () => readSeenLogs()[getActiveProfileId()] || {};
+
+/**
+ * Gets the cooldown window during which seen questions are held back
+ * @returns {number} Cooldown in days, 0 when repeats are allowed right away
+ */
+export const getSeenCooldown = () => {
+  try {
+    const stored = localStorage.getItem(COOLDOWN_STORAGE_KEY);
+    const days = stored === null ? DEFAULT_COOLDOWN_DAYS : JSON.parse(stored);
+    return Number.isFinite(days) && days >= 0 ? days : DEFAULT_COOLDOWN_DAYS;
+  } catch (error) {
+    return DEFAULT_COOLDOWN_DAYS;
+  }
+};
+
+/**
+ * Sets the cooldown window
+ * @param {number} days - Cooldown in days, 0 to turn it off
+ */
+export const setSeenCooldown = (days) => {
+  try {
+    localStorage.setItem(COOLDOWN_STORAGE_KEY, JSON.stringify(Math.max(0, days)));
+  } catch (error) {
+    console.error('Error saving seen cooldown:', error);
+  }
+};
+
+/**
+ * Records that questions were shown to the active profile
+ * @param {Array} questions - Questions that were shown
+ */
+export const markQuestionsSeen = (questions) => {
+  if (questions.length === 0) return;
+
+  try {
+    const logs = readSeenLogs();
+    const profileId = getActiveProfileId();
+    const now = Date.now();
+    const log = { ...logs[profileId] };
+
+    questions.forEach(question => {
+      log[question.id] = now;
+    });
+
+    // Forget the oldest entries so the log can't outgrow storage
+    const entries = Object.entries(log);
+    logs[profileId] = entries.length > MAX_ENTRIES_PER_PROFILE
+      ? Object.fromEntries(entries.sort((a, b) => b[1] - a[1]).slice(0, MAX_ENTRIES_PER_PROFILE))
+      : log;
+
+    localStorage.setItem(SEEN_STORAGE_KEY, JSON.stringify(logs));
+  } catch (error) {
+    console.error('Error saving seen questions:', error);
+  }
+};
+
+/**
+ * Forgets every question the active profile has seen
+ */
+export const clearSeenLog = () => {
+  try {
+    const logs = readSeenLogs();
+    delete logs[getActiveProfileId()];
+    localStorage.setItem(SEEN_STORAGE_KEY, JSON.stringify(logs));
+  } catch (error) {
+    console.error('Error clearing seen questions:', error);
+  }
+};
+
+/**
+ * Checks which questions were shown within the cooldown window
+ * @param {Array} questions - Questions to check
+ * @param {object} log - Seen log (defaults to the active profile's)
+ * @returns {Array} The questions still in their cooldown
+ */
+export const filterRecentlySeen = (questions, log = getSeenLog()) => {
+  const cooldown = getSeenCooldown();
+  if (cooldown === 0) return [];
+
+  const cutoff = Date.now() - cooldown * DAY;
+  return questions.filter(question => log[question.id] > cutoff);
+};
+
+/**
+ * Picks questions from a pool, preferring ones the active profile hasn't
+ * seen within the cooldown and, among the rest, the ones seen longest ago.
+ * Never picks the same question twice.
+ * @param {Array} pool - Questions to pick from
+ * @param {number} amount - Number of questions wanted
+ * @param {object} options - { seed } makes the pick repeatable for the same pool,
+ *   { avoidSeen } false ignores the seen log (for a pick that must match another player's)
+ * @returns {Array} Selected questions in random order (fewer when the pool is small)
+ */
+export const pickFreshQuestions = (pool, amount, { seed = null, avoidSeen = true } = {}) => {
+  const random = createRandom(seed);
+  const log = avoidSeen ? getSeenLog() : {};
+  const recent = new Set(avoidSeen ? filterRecentlySeen(pool, log) : []);
+
+  // With a seed only what is in the pool matters, not the order it was read in
+  const ordered = seed ? [...pool].sort((a, b) => (String(a.id) < String(b.id) ? -1 : 1)) : pool;
+
+  const fresh = shuffleArray(ordered.filter(question => !recent.has(question)), random);
+  const stale = [...recent].sort((a, b) => log[a.id] - log[b.id]);
+
+  return shuffleArray([...fresh, ...stale].slice(0, amount), random);
+};
+
+export default {
+  getSeenLog,
+  getSeenCooldown,
+  setSeenCooldown,
+  markQuestionsSeen,
+  clearSeenLog,
+  filterRecentlySeen,
+  pickFreshQuestions
+};
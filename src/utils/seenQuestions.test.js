@@ -0,0 +1,60 @@
+import { describe, it, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+// The seen log is kept in localStorage
+const storage = new Map();
+globalThis.localStorage = {
+  getItem: key => (storage.has(key) ? storage.get(key) : null),
+  setItem: (key, value) => storage.set(key, String(value)),
+  removeItem: key => storage.delete(key)
+};
+
+const { markQuestionsSeen, clearSeenLog, pickFreshQuestions } = await import('./seenQuestions.js');
+
+const DAY = 24 * 60 * 60 * 1000;
+const pool = Array.from({ length: 12 }, (value, index) => ({ id: `local-${index + 1}`, question: `Question ${index + 1}` }));
+const ids = questions => questions.map(question => question.id);
+
+describe('pickFreshQuestions', () => {
+  beforeEach(() => clearSeenLog());
+
+  it('deals the same questions in the same order for the same seed', () => {
+    const first = pickFreshQuestions(pool, 5, { seed: 'k3mq8zta' });
+
+    assert.deepEqual(ids(pickFreshQuestions(pool, 5, { seed: 'k3mq8zta' })), ids(first));
+    assert.notDeepEqual(ids(pickFreshQuestions(pool, 5, { seed: 'x7pw2rbn' })), ids(first));
+  });
+
+  it('doesn\'t depend on the order the pool was read in', () => {
+    const reversed = [...pool].reverse();
+
+    assert.deepEqual(
+      ids(pickFreshQuestions(reversed, 5, { seed: 'k3mq8zta' })),
+      ids(pickFreshQuestions(pool, 5, { seed: 'k3mq8zta' }))
+    );
+  });
+
+  it('never picks a question twice, even when asked for more than the pool has', () => {
+    const picked = pickFreshQuestions(pool, 20, { seed: 'k3mq8zta' });
+
+    assert.equal(picked.length, pool.length);
+    assert.equal(new Set(ids(picked)).size, pool.length);
+  });
+
+  it('holds back recently seen questions, oldest first, unless told to ignore them', (t) => {
+    const now = Date.now();
+    t.mock.method(Date, 'now', () => now - 2 * DAY);
+    markQuestionsSeen(pool.slice(0, 5));
+    t.mock.method(Date, 'now', () => now - DAY);
+    markQuestionsSeen(pool.slice(5, 10));
+    t.mock.restoreAll();
+
+    const picked = pickFreshQuestions(pool, 7, { seed: 'k3mq8zta' });
+    assert.deepEqual(ids(picked).sort(), ['local-1', 'local-11', 'local-12', 'local-2', 'local-3', 'local-4', 'local-5']);
+
+    // A seed shared with another player has to deal them the same quiz, whatever either has seen
+    const ignoringSeen = pickFreshQuestions(pool, 7, { seed: 'k3mq8zta', avoidSeen: false });
+    clearSeenLog();
+    assert.deepEqual(ids(ignoringSeen), ids(pickFreshQuestions(pool, 7, { seed: 'k3mq8zta' })));
+  });
+});
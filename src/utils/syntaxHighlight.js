@@ -0,0 +1,172 @@
+/**
+ * Small offline syntax highlighter for code blocks in questions. It only
+ * tells keywords, strings, comments and numbers apart, which is all a quiz
+ * question needs, and returns tokens rather than markup.
+ */
+
+const C_LIKE_KEYWORDS = [
+  'auto', 'bool', 'break', 'case', 'catch', 'char', 'class', 'const', 'continue', 'default', 'delete', 'do',
+  'double', 'else', 'enum', 'extern', 'false', 'float', 'for', 'goto', 'if', 'include', 'inline', 'int',
+  'long', 'namespace', 'new', 'nullptr', 'private', 'protected', 'public', 'return', 'short', 'signed',
+  'sizeof', 'static', 'struct', 'switch', 'template', 'this', 'throw', 'true', 'try', 'typedef', 'typename',
+  'union', 'unsigned', 'using', 'virtual', 'void', 'volatile', 'while'
+];
+
+const LANGUAGES = {
+  javascript: {
+    aliases: ['js', 'jsx', 'ts', 'tsx', 'typescript'],
+    keywords: [
+      'async', 'await', 'break', 'case', 'catch', 'class', 'const', 'continue', 'default', 'delete', 'do',
+      'else', 'export', 'extends', 'false', 'finally', 'for', 'from', 'function', 'if', 'import', 'in',
+      'instanceof', 'interface', 'let', 'new', 'null', 'of', 'return', 'static', 'super', 'switch', 'this',
+      'throw', 'true', 'try', 'type', 'typeof', 'undefined', 'var', 'void', 'while', 'yield'
+    ],
+    lineComment: '//',
+    blockComment: ['/*', '*/'],
+    quotes: ['"', '\'', '`']
+  },
+  python: {
+    aliases: ['py'],
+    keywords: [
+      'and', 'as', 'assert', 'async', 'await', 'break', 'class', 'continue', 'def', 'del', 'elif', 'else',
+      'except', 'False', 'finally', 'for', 'from', 'global', 'if', 'import', 'in', 'is', 'lambda', 'None',
+      'nonlocal', 'not', 'or', 'pass', 'print', 'raise', 'return', 'True', 'try', 'while', 'with', 'yield'
+    ],
+    lineComment: '#',
+    quotes: ['"', '\'']
+  },
+  c: {
+    aliases: ['cpp', 'c++', 'h', 'hpp', 'csharp', 'cs', 'c#', 'java', 'go', 'rust', 'rs', 'swift', 'kotlin'],
+    keywords: [
+      ...C_LIKE_KEYWORDS,
+      'abstract', 'extends', 'final', 'fn', 'func', 'implements', 'import', 'interface', 'let', 'match',
+      'mut', 'null', 'override', 'package', 'String', 'super', 'synchronized', 'throws', 'val', 'var'
+    ],
+    lineComment: '//',
+    blockComment: ['/*', '*/'],
+    quotes: ['"', '\'']
+  },
+  sql: {
+    aliases: [],
+    keywords: [
+      'add', 'all', 'alter', 'and', 'as', 'asc', 'between', 'by', 'case', 'count', 'create', 'delete', 'desc',
+      'distinct', 'drop', 'else', 'end', 'exists', 'from', 'group', 'having', 'in', 'index', 'inner', 'insert',
+      'into', 'is', 'join', 'key', 'left', 'like', 'limit', 'not', 'null', 'on', 'or', 'order', 'outer',
+      'primary', 'right', 'select', 'set', 'table', 'then', 'union', 'update', 'values', 'when', 'where'
+    ],
+    caseInsensitive: true,
+    lineComment: '--',
+    blockComment: ['/*', '*/'],
+    quotes: ['\'', '"']
+  },
+  shell: {
+    aliases: ['bash', 'sh', 'zsh'],
+    keywords: [
+      'case', 'do', 'done', 'echo', 'elif', 'else', 'esac', 'exit', 'export', 'fi', 'for', 'function', 'if',
+      'in', 'local', 'read', 'return', 'then', 'until', 'while'
+    ],
+    lineComment: '#',
+    quotes: ['"', '\'']
+  }
+};
+
+/**
+ * Finds the language definition for a code block's language name
+ * @param {string|null} name - Language name or alias
+ * @returns {object|null} Language definition, null when unknown
+ */
+const findLanguage = (name) => {
+  if (!name) return null;
+
+  const key = name.toLowerCase();
+  const entry = Object.entries(LANGUAGES).find(([id, language]) => id === key || language.aliases.includes(key));
+  if (!entry) return null;
+
+  const language = entry[1];
+  if (!language.keywordSet) {
+    language.keywordSet = new Set(language.caseInsensitive
+      ? language.keywords.map(keyword => keyword.toLowerCase())
+      : language.keywords);
+  }
+  return language;
+};
+
+/**
+ * Reads a quoted string starting at a position
+ * @param {string} code - Code
+ * @param {number} start - Index of the opening quote
+ * @returns {number} Index just past the closing quote (or the end of the line when unclosed)
+ */
+const readString = (code, start) => {
+  const quote = code[start];
+  let i = start + 1;
+
+  while (i < code.length && code[i] !== quote) {
+    if (code[i] === '\\') i++;
+    if (code[i] === '\n' && quote !== '`') return i;
+    i++;
+  }
+  return Math.min(i + 1, code.length);
+};
+
+/**
+ * Splits code into highlighted tokens
+ * @param {string} code - Code
+ * @param {string|null} languageName - Language of the code block (e.g. 'js', 'python')
+ * @returns {Array} Tokens as { type, text }, type is one of 'keyword', 'string',
+ *   'comment', 'number' or 'text'; a single text token for unknown languages
+ */
+export const highlightCode = (code, languageName) => {
+  const language = findLanguage(languageName);
+  if (!language) return [{ type: 'text', text: code }];
+
+  const tokens = [];
+  const push = (type, text) => {
+    const last = tokens[tokens.length - 1];
+    if (last && last.type === type) {
+      last.text += text;
+    } else {
+      tokens.push({ type, text });
+    }
+  };
+
+  let i = 0;
+  while (i < code.length) {
+    const rest = code.slice(i);
+    const { blockComment, lineComment } = language;
+
+    if (blockComment && rest.startsWith(blockComment[0])) {
+      const end = code.indexOf(blockComment[1], i + blockComment[0].length);
+      const stop = end === -1 ? code.length : end + blockComment[1].length;
+      push('comment', code.slice(i, stop));
+      i = stop;
+    } else if (lineComment && rest.startsWith(lineComment)) {
+      const end = code.indexOf('\n', i);
+      const stop = end === -1 ? code.length : end;
+      push('comment', code.slice(i, stop));
+      i = stop;
+    } else if (language.quotes.includes(code[i])) {
+      const stop = readString(code, i);
+      push('string', code.slice(i, stop));
+      i = stop;
+    } else if (/[0-9]/.test(code[i]) && !/[\w$]/.test(code[i - 1] || '')) {
+      const [number] = /^(0x[0-9a-f]+|[0-9][0-9_]*(\.[0-9]+)?(e[+-]?[0-9]+)?)/i.exec(rest);
+      push('number', number);
+      i += number.length;
+    } else if (/[A-Za-z_$]/.test(code[i])) {
+      const [word] = /^[A-Za-z_$][\w$]*/.exec(rest);
+      const key = language.caseInsensitive ? word.toLowerCase() : word;
+      push(language.keywordSet.has(key) ? 'keyword' : 'text', word);
+      i += word.length;
+    } else {
+      push('text', code[i]);
+      i++;
+    }
+  }
+
+  return tokens;
+};
+
+export default {
+  highlightCode
+};
@@ -0,0 +1,261 @@
+/**
+ * LaTeX-style math subset, parsed into a tree of MathML nodes
+ * ({ tag, attrs, text } or { tag, attrs, children }) that components/RichText
+ * renders. Only the tags and attributes written here are ever produced.
+ *
+ * Supported: numbers, letters, operators, x^2, x_i, x_i^2, {groups},
+ * \frac{a}{b}, \sqrt{x}, \sqrt[n]{x}, \text{...}, \mathbb{R}, \left( \right),
+ * \operatorname{...}, Greek letters, common operators, arrows and relations,
+ * function names (\sin, \log, ...) and spacing (\, \; \quad).
+ * Anything else is shown as typed.
+ */
+
+const IDENTIFIERS = {
+  alpha: 'α', beta: 'β', gamma: 'γ', delta: 'δ', epsilon: 'ϵ', varepsilon: 'ε', zeta: 'ζ', eta: 'η',
+  theta: 'θ', vartheta: 'ϑ', iota: 'ι', kappa: 'κ', lambda: 'λ', mu: 'μ', nu: 'ν', xi: 'ξ', pi: 'π',
+  rho: 'ρ', sigma: 'σ', tau: 'τ', upsilon: 'υ', phi: 'ϕ', varphi: 'φ', chi: 'χ', psi: 'ψ', omega: 'ω',
+  Gamma: 'Γ', Delta: 'Δ', Theta: 'Θ', Lambda: 'Λ', Xi: 'Ξ', Pi: 'Π', Sigma: 'Σ', Upsilon: 'Υ',
+  Phi: 'Φ', Psi: 'Ψ', Omega: 'Ω', infty: '∞', emptyset: '∅', hbar: 'ℏ', ell: 'ℓ', partial: '∂', nabla: '∇'
+};
+
+const OPERATORS = {
+  times: '×', cdot: '⋅', div: '÷', pm: '±', mp: '∓', ast: '∗', star: '⋆', circ: '∘', bullet: '∙',
+  leq: '≤', le: '≤', geq: '≥', ge: '≥', neq: '≠', ne: '≠', approx: '≈', equiv: '≡', sim: '∼', simeq: '≃',
+  cong: '≅', propto: '∝', ll: '≪', gg: '≫', to: '→', rightarrow: '→', leftarrow: '←', leftrightarrow: '↔',
+  Rightarrow: '⇒', Leftarrow: '⇐', Leftrightarrow: '⇔', implies: '⟹', iff: '⟺', mapsto: '↦',
+  in: '∈', notin: '∉', ni: '∋', subset: '⊂', subseteq: '⊆', supset: '⊃', supseteq: '⊇', cup: '∪', cap: '∩',
+  setminus: '∖', forall: '∀', exists: '∃', neg: '¬', lnot: '¬', land: '∧', wedge: '∧', lor: '∨', vee: '∨',
+  oplus: '⊕', otimes: '⊗', perp: '⊥', parallel: '∥', angle: '∠', degree: '°', prime: '′',
+  sum: '∑', prod: '∏', int: '∫', oint: '∮', ldots: '…', cdots: '⋯', dots: '…',
+  langle: '⟨', rangle: '⟩', lfloor: '⌊', rfloor: '⌋', lceil: '⌈', rceil: '⌉', vert: '|', mid: '∣',
+  '{': '{', '}': '}', '|': '‖', '%': '%', '#': '#', '&': '&', $: '$', _: '_'
+};
+
+const FUNCTIONS = [
+  'sin', 'cos', 'tan', 'cot', 'sec', 'csc', 'arcsin', 'arccos', 'arctan', 'sinh', 'cosh', 'tanh',
+  'log', 'ln', 'lg', 'exp', 'lim', 'max', 'min', 'sup', 'inf', 'det', 'gcd', 'mod', 'deg', 'dim'
+];
+
+const SPACES = { ',': '0.17em', ':': '0.22em', ';': '0.28em', ' ': '0.25em', quad: '1em', qquad: '2em', '!': '0em' };
+
+const DOUBLE_STRUCK = { C: 'ℂ', N: 'ℕ', P: 'ℙ', Q: 'ℚ', R: 'ℝ', Z: 'ℤ' };
+
+/**
+ * Splits TeX into tokens
+ * @param {string} tex - TeX source
+ * @returns {Array} Tokens as { type, value } where type is 'command',
+ *   'number', 'letter', 'open', 'close', 'sup', 'sub' or 'symbol'
+ */
+const tokenize = (tex) => {
+  const tokens = [];
+  let i = 0;
+
+  while (i < tex.length) {
+    const char = tex[i];
+
+    if (char === '\\') {
+      const name = /^[a-zA-Z]+/.exec(tex.slice(i + 1));
+      const value = name ? name[0] : tex[i + 1] || '';
+      tokens.push({ type: 'command', value });
+      i += 1 + value.length;
+    } else if (/\s/.test(char)) {
+      i++;
+    } else if (/[0-9]/.test(char) || (char === '.' && /[0-9]/.test(tex[i + 1] || ''))) {
+      const [number] = /^[0-9]*\.?[0-9]+|^[0-9]+\.?/.exec(tex.slice(i));
+      tokens.push({ type: 'number', value: number });
+      i += number.length;
+    } else if (/[a-zA-Z]/.test(char)) {
+      tokens.push({ type: 'letter', value: char });
+      i++;
+    } else {
+      const type = { '{': 'open', '}': 'close', '^': 'sup', _: 'sub' }[char] || 'symbol';
+      tokens.push({ type, value: char });
+      i++;
+    }
+  }
+
+  return tokens;
+};
+
+/**
+ * Reads the raw text of a braced argument, for \text and friends
+ * @param {string} tex - TeX source
+ * @param {number} start - Index of the opening brace
+ * @returns {object} { text, end } where end is the index after the closing brace
+ */
+const readBracedText = (tex, start) => {
+  let depth = 0;
+  for (let i = start; i < tex.length; i++) {
+    if (tex[i] === '\\') {
+      i++;
+    } else if (tex[i] === '{') {
+      depth++;
+    } else if (tex[i] === '}' && --depth === 0) {
+      return { text: tex.slice(start + 1, i), end: i + 1 };
+    }
+  }
+  return { text: tex.slice(start + 1), end: tex.length };
+};
+
+const node = (tag, content, attrs = {}) => (
+  Array.isArray(content) ? { tag, attrs, children: content } : { tag, attrs, text: content }
+);
+
+/**
+ * Parses TeX into a tree of MathML nodes
+ * @param {string} tex - TeX source, without the $ delimiters
+ * @param {object} options - { display } true for block (display style) math
+ * @returns {object} Root math node
+ */
+export const parseTex = (tex, { display = false } = {}) => {
+  // \text{...} keeps its spaces, so it is lifted out before tokenizing
+  const texts = [];
+  let source = '';
+  let i = 0;
+  while (i < tex.length) {
+    const match = /^\\(text|textrm|mathrm|textbf|operatorname)\s*(?=\{)/.exec(tex.slice(i));
+    if (match) {
+      const { text, end } = readBracedText(tex, i + match[0].length);
+      texts.push({ command: match[1], text });
+      source += `\\${match[1]}{${texts.length - 1}}`;
+      i = end;
+    } else {
+      source += tex[i];
+      i++;
+    }
+  }
+
+  const tokens = tokenize(source);
+  let position = 0;
+
+  const peek = () => tokens[position];
+  const next = () => tokens[position++];
+
+  const parseGroupIndex = () => {
+    // Lifted text placeholders: "{", number, "}"
+    next();
+    const index = Number(next().value);
+    next();
+    return texts[index];
+  };
+
+  const parseRow = (closing = null) => {
+    const children = [];
+    while (position < tokens.length) {
+      const token = peek();
+      if (closing && token.type === closing.type && token.value === closing.value) break;
+      children.push(parseScripts(parseAtom()));
+    }
+    return children;
+  };
+
+  const parseArgument = () => {
+    const token = peek();
+    if (!token) return node('mrow', []);
+    return parseAtom();
+  };
+
+  const parseCommand = (name) => {
+    if (name === 'frac' || name === 'dfrac' || name === 'tfrac') {
+      const numerator = parseArgument();
+      const denominator = parseArgument();
+      return node('mfrac', [numerator, denominator]);
+    }
+
+    if (name === 'sqrt') {
+      if (peek() && peek().value === '[') {
+        next();
+        const index = parseRow({ type: 'symbol', value: ']' });
+        next();
+        const radicand = parseArgument();
+        return node('mroot', [radicand, node('mrow', index)]);
+      }
+      return node('msqrt', [parseArgument()]);
+    }
+
+    if (['text', 'textrm', 'mathrm', 'textbf', 'operatorname'].includes(name) && peek() && peek().type === 'open') {
+      const { command, text } = parseGroupIndex();
+      if (command === 'operatorname') return node('mi', text);
+      return node('mtext', text, command === 'textbf' ? { mathvariant: 'bold' } : {});
+    }
+
+    if (name === 'mathbb') {
+      const argument = parseArgument();
+      const letter = argument.text ?? argument.children.map(child => child.text || '').join('');
+      return DOUBLE_STRUCK[letter] ? node('mi', DOUBLE_STRUCK[letter]) : node('mi', letter, { mathvariant: 'double-struck' });
+    }
+
+    if (name === 'left' || name === 'right') {
+      const delimiter = next();
+      if (!delimiter || delimiter.value === '.') return node('mrow', []);
+      const value = delimiter.type === 'command' ? OPERATORS[delimiter.value] || delimiter.value : delimiter.value;
+      return node('mo', value, { stretchy: 'true' });
+    }
+
+    if (name in SPACES) return node('mspace', [], { width: SPACES[name] });
+    if (name in IDENTIFIERS) return node('mi', IDENTIFIERS[name]);
+    if (name in OPERATORS) return node('mo', OPERATORS[name]);
+    if (FUNCTIONS.includes(name)) return node('mi', name);
+    if (name === '\\') return node('mspace', [], { linebreak: 'newline' });
+
+    // Unknown commands are shown as typed
+    return node('mtext', `\\${name}`);
+  };
+
+  const parseAtom = () => {
+    const token = next();
+
+    switch (token.type) {
+      case 'number':
+        return node('mn', token.value);
+      case 'letter':
+        return node('mi', token.value);
+      case 'open': {
+        const children = parseRow({ type: 'close', value: '}' });
+        next();
+        return node('mrow', children);
+      }
+      case 'command':
+        return parseCommand(token.value);
+      case 'symbol':
+        if (token.value === '-') return node('mo', '−');
+        if (token.value === '*') return node('mo', '∗');
+        if (token.value === '\'') return node('mo', '′');
+        return node('mo', token.value);
+      default:
+        // A stray "}", "^" or "_" is shown as typed
+        return node('mo', token.value);
+    }
+  };
+
+  const parseScripts = (base) => {
+    let sub = null;
+    let sup = null;
+
+    while (peek() && (peek().type === 'sup' || peek().type === 'sub')) {
+      const { type } = next();
+      const script = parseArgument();
+      if (type === 'sup') sup = script;
+      else sub = script;
+    }
+
+    if (sub && sup) return node('msubsup', [base, sub, sup]);
+    if (sub) return node('msub', [base, sub]);
+    if (sup) return node('msup', [base, sup]);
+    return base;
+  };
+
+  let children;
+  try {
+    children = parseRow();
+  } catch (error) {
+    // Unbalanced input: show the source rather than nothing
+    children = [node('mtext', tex)];
+  }
+
+  return node('math', [node('mrow', children)], display ? { display: 'block' } : {});
+};
+
+export default {
+  parseTex
+};